@@ -0,0 +1,137 @@
+require("dotenv").config();
+const crypto = require("crypto");
+const { pad2 } = require("../utils/dates");
+
+// E-invoice registration (IRP) client is chosen from the environment:
+//  - IRP_BASE_URL set -> HTTP client posting to a GSP/IRP gateway, or a local mock IRP server
+//  - otherwise        -> in-process mock that issues IRNs without leaving the machine (development)
+// Both answer in the IRP's own response shape:
+//   { Status: 1, Data: {...} } on success, { Status: 0, ErrorDetails: [{ ErrorCode, ErrorMessage }] } on failure
+// Tests can swap the client with setIrpClient().
+
+// IRP timestamps are 'YYYY-MM-DD HH:mm:ss' in IST
+const irpTimestamp = (date = new Date()) => {
+  const ist = new Date(date.getTime() + 330 * 60 * 1000);
+  return (
+    `${ist.getUTCFullYear()}-${pad2(ist.getUTCMonth() + 1)}-${pad2(ist.getUTCDate())} ` +
+    `${pad2(ist.getUTCHours())}:${pad2(ist.getUTCMinutes())}:${pad2(ist.getUTCSeconds())}`
+  );
+};
+
+// 'DD/MM/YYYY' -> financial year such as '2025-26', part of what makes an IRN unique
+const financialYear = (docDate) => {
+  const [, month, year] = String(docDate).split("/").map(Number);
+  const start = month >= 4 ? year : year - 1;
+  return `${start}-${String(start + 1).slice(2)}`;
+};
+
+const base64url = (value) => Buffer.from(JSON.stringify(value)).toString("base64url");
+
+const failure = (ErrorCode, ErrorMessage) => ({ Status: 0, ErrorDetails: [{ ErrorCode, ErrorMessage }] });
+
+const createMockClient = () => {
+  const issued = new Map();
+
+  return {
+    name: "mock",
+
+    async generateIrn(payload) {
+      const { SellerDtls, BuyerDtls, DocDtls, ItemList, ValDtls } = payload;
+      // The real IRN is a hash of seller GSTIN, financial year, document type and number
+      const irn = crypto
+        .createHash("sha256")
+        .update(`${SellerDtls.Gstin}${financialYear(DocDtls.Dt)}${DocDtls.Typ}${DocDtls.No}`)
+        .digest("hex");
+      if (issued.has(irn)) return failure("2150", "Duplicate IRN");
+
+      const ackDate = irpTimestamp();
+      const qrPayload = {
+        data: JSON.stringify({
+          SellerGstin: SellerDtls.Gstin,
+          BuyerGstin: BuyerDtls.Gstin,
+          DocNo: DocDtls.No,
+          DocTyp: DocDtls.Typ,
+          DocDt: DocDtls.Dt,
+          TotInvVal: ValDtls.TotInvVal,
+          ItemCnt: ItemList.length,
+          MainHsnCode: ItemList[0] && ItemList[0].HsnCd,
+          Irn: irn,
+          IrnDt: ackDate,
+        }),
+        iss: "MOCK-IRP",
+      };
+      // Same JWS layout as the IRP's signed QR, with a placeholder signature
+      const signedQr = `${base64url({ alg: "none", typ: "JWT" })}.${base64url(qrPayload)}.mock-signature`;
+
+      const data = {
+        AckNo: `${Date.now()}${crypto.randomInt(10, 100)}`,
+        AckDt: ackDate,
+        Irn: irn,
+        SignedInvoice: `${base64url({ alg: "none", typ: "JWT" })}.${base64url({ data: JSON.stringify(payload) })}.mock-signature`,
+        SignedQRCode: signedQr,
+      };
+      issued.set(irn, "ACT");
+      return { Status: 1, Data: data };
+    },
+
+    async cancelIrn({ Irn }) {
+      // IRNs issued before a restart are unknown to the mock, so only repeat cancellations fail
+      if (issued.get(Irn) === "CNL") return failure("9999", "Invoice is already cancelled");
+      issued.set(Irn, "CNL");
+      return { Status: 1, Data: { Irn, CancelDate: irpTimestamp() } };
+    },
+  };
+};
+
+const createHttpClient = (baseUrl) => {
+  const post = async (path, body) => {
+    const response = await fetch(`${baseUrl.replace(/\/$/, "")}${path}`, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        ...(process.env.IRP_AUTH_TOKEN ? { Authorization: `Bearer ${process.env.IRP_AUTH_TOKEN}` } : {}),
+      },
+      body: JSON.stringify(body),
+      signal: AbortSignal.timeout(Number(process.env.IRP_TIMEOUT_MS) || 15000),
+    });
+    const text = await response.text();
+    try {
+      return JSON.parse(text);
+    } catch (err) {
+      throw new Error(`IRP returned HTTP ${response.status} with a non-JSON body`);
+    }
+  };
+
+  return {
+    name: "http",
+    generateIrn: (payload) => post("/invoice", payload),
+    cancelIrn: ({ Irn, CnlRsn, CnlRem }) => post("/invoice/cancel", { Irn, CnlRsn, CnlRem }),
+  };
+};
+
+const createIrpClient = () => {
+  if (process.env.IRP_BASE_URL) return createHttpClient(process.env.IRP_BASE_URL);
+  return createMockClient();
+};
+
+let client = createIrpClient();
+
+const setIrpClient = (customClient) => {
+  client = customClient;
+};
+
+/**
+ * Register an e-invoice payload. Resolves to the IRP response; network or
+ * gateway failures reject.
+ */
+const generateIrn = async (payload) => {
+  const result = await client.generateIrn(payload);
+  if (client.name === "mock" && result.Status === 1) {
+    console.log("🧾 E-invoice registered on mock IRP (no IRP_BASE_URL configured):", payload.DocDtls.No);
+  }
+  return result;
+};
+
+const cancelIrn = async ({ Irn, CnlRsn, CnlRem }) => client.cancelIrn({ Irn, CnlRsn, CnlRem });
+
+module.exports = { generateIrn, cancelIrn, setIrpClient, createMockClient };
@@ -0,0 +1,45 @@
+require("dotenv").config();
+const nodemailer = require("nodemailer");
+
+// Mail transport is chosen from the environment:
+//  - SMTP_HOST set  -> real SMTP (also works against a local stand-in such as MailHog on port 1025)
+//  - otherwise      -> JSON transport that sends nothing (development); only the
+//                      recipient and subject are logged, since bodies carry token links
+// Tests can swap the transport with setTransport().
+const createTransport = () => {
+  if (process.env.SMTP_HOST) {
+    return nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: Number(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === "true",
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined,
+    });
+  }
+  return nodemailer.createTransport({ jsonTransport: true });
+};
+
+let transport = createTransport();
+
+const setTransport = (customTransport) => {
+  transport = customTransport;
+};
+
+const sendMail = async ({ to, subject, text, html, attachments }) => {
+  const info = await transport.sendMail({
+    from: process.env.MAIL_FROM || "PragatiApp <no-reply@pragatiapp.local>",
+    to,
+    subject,
+    text,
+    html,
+    attachments,
+  });
+
+  if (!process.env.SMTP_HOST) {
+    console.log("📧 Mail (not sent, no SMTP_HOST configured):", to, "-", subject);
+  }
+  return info;
+};
+
+module.exports = { sendMail, setTransport };
@@ -0,0 +1,29 @@
+// Roles a user can hold within a company and what each may do.
+// Read-only routes are open to every role unless they name a permission here, as mutating routes do.
+const ROLES = ['owner', 'accountant', 'sales', 'viewer'];
+
+const PERMISSIONS = {
+  'company:update': ['owner'],
+  'books:lock': ['owner', 'accountant'],
+  'users:manage': ['owner'],
+
+  'items:write': ['owner', 'accountant', 'sales'],
+  'items:delete': ['owner', 'accountant'],
+
+  'parties:write': ['owner', 'accountant', 'sales'],
+  'parties:delete': ['owner', 'accountant'],
+
+  'invoices:write': ['owner', 'accountant', 'sales'],
+  'invoices:delete': ['owner', 'accountant'],
+
+  'sales_documents:write': ['owner', 'accountant', 'sales'],
+  'sales_documents:delete': ['owner', 'accountant'],
+
+  'payments:write': ['owner', 'accountant'],
+
+  'audit:read': ['owner', 'accountant'],
+};
+
+const hasPermission = (role, permission) => (PERMISSIONS[permission] || []).includes(role);
+
+module.exports = { ROLES, PERMISSIONS, hasPermission };
@@ -0,0 +1,80 @@
+// controllers/auditController.js
+const pool = require('../db');
+const { verifyAuditChain } = require('../utils/audit');
+const { parseListQuery, createFilter, buildPagination } = require('../utils/listQuery');
+const { BadRequestError } = require('../utils/errors');
+
+/**
+ * Audit trail of the logged-in company, newest first, filterable by entity, actor and date
+ * (query checked against AuditLogQuery)
+ */
+const getAuditLogs = async (req, res, next) => {
+  const company_id = req.user.company_id;
+  const { entity, entity_id, action, actor_id, date_from, date_to } = req.query;
+
+  const list = parseListQuery(req.query, {
+    sortable: { seq: 'a.seq', created_at: 'a.created_at' },
+    defaultSort: 'seq',
+  });
+  if (list.error) {
+    throw new BadRequestError(list.error);
+  }
+
+  const filter = createFilter('a.company_id = $1', [company_id]);
+  if (entity) filter.add(`a.entity = ${filter.param(entity)}`);
+  if (entity_id) filter.add(`a.entity_id = ${filter.param(String(entity_id))}`);
+  if (action) filter.add(`a.action = ${filter.param(String(action))}`);
+  if (actor_id) filter.add(`a.actor_id::text = ${filter.param(String(actor_id))}`);
+  if (date_from) filter.add(`a.created_at >= ${filter.param(date_from)}::date`);
+  if (date_to) filter.add(`a.created_at < ${filter.param(date_to)}::date + 1`);
+
+  try {
+    const countResult = await pool.query(
+      `SELECT COUNT(*) AS total FROM audit_logs a WHERE ${filter.where()}`,
+      filter.params.slice()
+    );
+
+    const result = await pool.query(
+      `SELECT a.id, a.seq, a.created_at, a.actor_id, u.email AS actor_email,
+              a.entity, a.entity_id, a.action,
+              a.before_data AS before, a.after_data AS after,
+              a.prev_hash, a.hash
+         FROM audit_logs a
+         LEFT JOIN users u ON u.id = a.actor_id
+        WHERE ${filter.where()}
+        ORDER BY ${list.orderBy}
+        LIMIT ${filter.param(list.limit)} OFFSET ${filter.param(list.offset)}`,
+      filter.params
+    );
+
+    res.json({
+      success: true,
+      message: 'Audit log fetched successfully',
+      entries: result.rows,
+      pagination: buildPagination(list, parseInt(countResult.rows[0].total, 10)),
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Re-hash the company's audit chain to detect edited, removed or reordered entries
+ */
+const verifyAuditLog = async (req, res, next) => {
+  try {
+    const result = await verifyAuditChain(pool, req.user.company_id);
+
+    res.json({
+      success: true,
+      message: result.valid
+        ? 'Audit log is intact'
+        : `Audit log has been tampered with at entry ${result.broken_at}`,
+      ...result,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+module.exports = { getAuditLogs, verifyAuditLog };
@@ -1,27 +1,88 @@
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const pool = require('../db');
+const { hashToken, createOpaqueToken } = require('../utils/tokens');
+const { sendMail } = require('../config/mailer');
+const { BadRequestError, UnauthorizedError, NotFoundError, ConflictError } = require('../utils/errors');
 
-// Generate JWT
-const generateToken = (user) => {
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+const PASSWORD_RESET_TTL_MINUTES = 60;
+const EMAIL_VERIFICATION_TTL_MINUTES = 48 * 60;
+const APP_URL = process.env.APP_URL || 'http://localhost:3000';
+
+// Generate short-lived access JWT bound to a server-side session
+const generateToken = (user, sessionId) => {
   return jwt.sign(
-    { id: user.id, company_id: user.company_id },
+    { id: user.id, company_id: user.company_id, role: user.role, sid: sessionId },
     process.env.JWT_SECRET,
-    { expiresIn: '30d' }
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+};
+
+// Start a session (one per device/login) and issue an access + refresh token pair
+const issueTokens = async (db, user, req) => {
+  const { token: refreshToken, tokenHash } = createOpaqueToken();
+
+  const sessionResult = await db.query(
+    `INSERT INTO user_sessions (user_id, company_id, refresh_token_hash, expires_at, user_agent, ip_address)
+     VALUES ($1, $2, $3, NOW() + ($4 || ' days')::interval, $5, $6)
+     RETURNING id`,
+    [user.id, user.company_id, tokenHash, REFRESH_TOKEN_TTL_DAYS, req.get('user-agent') || null, req.ip || null]
+  );
+
+  return {
+    token: generateToken(user, sessionResult.rows[0].id),
+    refresh_token: refreshToken,
+  };
+};
+
+// Create a single-use token for `purpose`, invalidating any earlier unused one
+const createUserToken = async (db, userId, purpose, ttlMinutes) => {
+  await db.query(
+    `UPDATE user_tokens SET used_at = NOW()
+      WHERE user_id = $1 AND purpose = $2 AND used_at IS NULL`,
+    [userId, purpose]
   );
+
+  const { token, tokenHash } = createOpaqueToken();
+  await db.query(
+    `INSERT INTO user_tokens (user_id, purpose, token_hash, expires_at)
+     VALUES ($1, $2, $3, NOW() + ($4 || ' minutes')::interval)`,
+    [userId, purpose, tokenHash, ttlMinutes]
+  );
+  return token;
+};
+
+// Mark a valid token as used; returns its user id, or null if invalid/expired/used
+const consumeUserToken = async (db, token, purpose) => {
+  const result = await db.query(
+    `UPDATE user_tokens SET used_at = NOW()
+      WHERE token_hash = $1 AND purpose = $2
+        AND used_at IS NULL
+        AND expires_at > NOW()
+      RETURNING user_id`,
+    [hashToken(token), purpose]
+  );
+  return result.rows[0] ? result.rows[0].user_id : null;
+};
+
+const sendVerificationEmail = async (email, token) => {
+  const link = `${APP_URL}/verify-email?token=${token}`;
+  await sendMail({
+    to: email,
+    subject: 'Verify your PragatiApp email address',
+    text: `Welcome to PragatiApp!\n\nConfirm your email address by opening this link:\n${link}\n\nThe link expires in 48 hours.`,
+  });
 };
 
 // Register new user + company
-const register = async (req, res) => {
+const register = async (req, res, next) => {
   const client = await pool.connect();
 
   try {
     const { company_name, company_email, email, password } = req.body;
 
-    if (!company_name || !email || !password) {
-      return res.status(400).json({ message: 'All fields are required' });
-    }
-
     await client.query('BEGIN');
 
     // Step 1: Create a company
@@ -39,30 +100,40 @@ const register = async (req, res) => {
 
     // Step 3: Create user
     const userResult = await client.query(
-      `INSERT INTO users (company_id, email, password) 
-       VALUES ($1, $2, $3) RETURNING id, company_id, email`,
+      `INSERT INTO users (company_id, email, password, role) 
+       VALUES ($1, $2, $3, 'owner') RETURNING id, company_id, email, role`,
       [companyId, email, hashedPassword]
     );
 
+    const tokens = await issueTokens(client, userResult.rows[0], req);
+    const verificationToken = await createUserToken(
+      client, userResult.rows[0].id, 'email_verification', EMAIL_VERIFICATION_TTL_MINUTES
+    );
+
     await client.query('COMMIT');
 
-    const token = generateToken(userResult.rows[0]);
+    // Registration succeeds even if the mail server is down; the user can ask for a resend
+    try {
+      await sendVerificationEmail(email, verificationToken);
+    } catch (mailError) {
+      console.error('Verification email failed:', mailError.message);
+    }
+
     res.status(201).json({
-      message: 'User registered successfully',
-      token,
-      user: userResult.rows[0],
+      message: 'User registered successfully. Please verify your email address.',
+      ...tokens,
+      user: { ...userResult.rows[0], email_verified: false },
     });
   } catch (error) {
     await client.query('ROLLBACK');
-    console.error(error);
-    res.status(500).json({ message: 'Registration failed', error: error.message });
+    next(error);
   } finally {
     client.release();
   }
 };
 
 // Login existing user
-const login = async (req, res) => {
+const login = async (req, res, next) => {
   try {
     const { email, password } = req.body;
 
@@ -70,25 +141,344 @@ const login = async (req, res) => {
     const user = result.rows[0];
 
     if (!user) {
-      return res.status(404).json({ message: 'User not found' });
+      throw new NotFoundError('User not found');
     }
 
     const isMatch = await bcrypt.compare(password, user.password);
     if (!isMatch) {
-      return res.status(401).json({ message: 'Invalid credentials' });
+      throw new UnauthorizedError('Invalid credentials');
     }
 
-    const token = generateToken(user);
+    const tokens = await issueTokens(pool, user, req);
 
     res.json({
       message: 'Login successful',
-      token,
-      user: { id: user.id, company_id: user.company_id, email: user.email },
+      ...tokens,
+      user: {
+        id: user.id,
+        company_id: user.company_id,
+        email: user.email,
+        role: user.role,
+        email_verified: Boolean(user.email_verified_at),
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Accept an invitation: create the invited user inside the existing company
+const acceptInvitation = async (req, res, next) => {
+  const client = await pool.connect();
+
+  try {
+    const { token, password } = req.body;
+
+    await client.query('BEGIN');
+
+    const inviteResult = await client.query(
+      `SELECT id, company_id, email, role
+         FROM user_invitations
+        WHERE token_hash = $1
+          AND accepted_at IS NULL
+          AND expires_at > NOW()
+        FOR UPDATE`,
+      [hashToken(token)]
+    );
+    const invite = inviteResult.rows[0];
+
+    if (!invite) {
+      throw new BadRequestError('Invitation is invalid or has expired');
+    }
+
+    const salt = await bcrypt.genSalt(10);
+    const hashedPassword = await bcrypt.hash(password, salt);
+
+    // The invitation was delivered to this address, so it counts as verified
+    const userResult = await client.query(
+      `INSERT INTO users (company_id, email, password, role, email_verified_at)
+       VALUES ($1, $2, $3, $4, NOW()) RETURNING id, company_id, email, role`,
+      [invite.company_id, invite.email, hashedPassword, invite.role]
+    );
+
+    await client.query(
+      'UPDATE user_invitations SET accepted_at = NOW() WHERE id = $1',
+      [invite.id]
+    );
+
+    const tokens = await issueTokens(client, userResult.rows[0], req);
+
+    await client.query('COMMIT');
+
+    res.status(201).json({
+      message: 'Invitation accepted successfully',
+      ...tokens,
+      user: userResult.rows[0],
     });
   } catch (error) {
-    console.error(error);
-    res.status(500).json({ message: 'Login failed', error: error.message });
+    await client.query('ROLLBACK');
+    next(error.code === '23505' ? new ConflictError('A user with this email already exists') : error);
+  } finally {
+    client.release();
   }
 };
 
-module.exports = { register, login };
+// Exchange a refresh token for a new access token; the refresh token rotates on every use
+const refresh = async (req, res, next) => {
+  const client = await pool.connect();
+
+  try {
+    const { refresh_token } = req.body;
+
+    const presentedHash = hashToken(refresh_token);
+
+    await client.query('BEGIN');
+
+    const sessionResult = await client.query(
+      `SELECT s.id, u.id AS user_id, u.company_id, u.email, u.role
+         FROM user_sessions s
+         JOIN users u ON u.id = s.user_id
+        WHERE s.refresh_token_hash = $1
+          AND s.revoked_at IS NULL
+          AND s.expires_at > NOW()
+        FOR UPDATE OF s`,
+      [presentedHash]
+    );
+    const session = sessionResult.rows[0];
+
+    if (!session) {
+      // A rotated-out token being replayed means it leaked: kill that session
+      await client.query(
+        `UPDATE user_sessions SET revoked_at = NOW()
+          WHERE previous_token_hash = $1 AND revoked_at IS NULL`,
+        [presentedHash]
+      );
+      await client.query('COMMIT');
+      return next(new UnauthorizedError('Invalid or expired refresh token.'));
+    }
+
+    const { token: newRefreshToken, tokenHash } = createOpaqueToken();
+
+    await client.query(
+      `UPDATE user_sessions
+          SET previous_token_hash = refresh_token_hash,
+              refresh_token_hash = $1,
+              last_used_at = NOW()
+        WHERE id = $2`,
+      [tokenHash, session.id]
+    );
+
+    await client.query('COMMIT');
+
+    const user = { id: session.user_id, company_id: session.company_id, role: session.role };
+    res.json({
+      message: 'Token refreshed successfully',
+      token: generateToken(user, session.id),
+      refresh_token: newRefreshToken,
+    });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    next(error);
+  } finally {
+    client.release();
+  }
+};
+
+// Log out the current session
+const logout = async (req, res, next) => {
+  try {
+    await pool.query(
+      `UPDATE user_sessions SET revoked_at = NOW()
+        WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL`,
+      [req.user.sid, req.user.id]
+    );
+
+    res.json({ message: 'Logged out successfully' });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Log out every session of the current user (e.g. lost phone)
+const logoutAll = async (req, res, next) => {
+  try {
+    const result = await pool.query(
+      `UPDATE user_sessions SET revoked_at = NOW()
+        WHERE user_id = $1 AND revoked_at IS NULL`,
+      [req.user.id]
+    );
+
+    res.json({ message: 'Logged out of all devices', sessions_revoked: result.rowCount });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Start a password reset; always answers the same way so emails cannot be enumerated
+const forgotPassword = async (req, res, next) => {
+  try {
+    const { email } = req.body;
+
+    const result = await pool.query('SELECT id, email FROM users WHERE email = $1', [email]);
+    const user = result.rows[0];
+
+    if (user) {
+      const token = await createUserToken(pool, user.id, 'password_reset', PASSWORD_RESET_TTL_MINUTES);
+      const link = `${APP_URL}/reset-password?token=${token}`;
+      // A mail failure must not change the answer, or it would reveal that the account exists
+      try {
+        await sendMail({
+          to: user.email,
+          subject: 'Reset your PragatiApp password',
+          text: `We received a request to reset your password.\n\nSet a new password here:\n${link}\n\nThe link expires in 1 hour and can be used once. If you did not ask for this, ignore this email.`,
+        });
+      } catch (mailError) {
+        console.error('Password reset email failed:', mailError.message);
+      }
+    }
+
+    res.json({ message: 'If an account exists for this email, a reset link has been sent' });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Set a new password with a reset token; logs out every session
+const resetPassword = async (req, res, next) => {
+  const client = await pool.connect();
+
+  try {
+    const { token, password } = req.body;
+
+    await client.query('BEGIN');
+
+    const userId = await consumeUserToken(client, token, 'password_reset');
+    if (!userId) {
+      throw new BadRequestError('Reset link is invalid or has expired');
+    }
+
+    const salt = await bcrypt.genSalt(10);
+    const hashedPassword = await bcrypt.hash(password, salt);
+
+    await client.query('UPDATE users SET password = $1 WHERE id = $2', [hashedPassword, userId]);
+    await client.query(
+      'UPDATE user_sessions SET revoked_at = NOW() WHERE user_id = $1 AND revoked_at IS NULL',
+      [userId]
+    );
+
+    await client.query('COMMIT');
+    res.json({ message: 'Password reset successfully. Please log in again.' });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    next(error);
+  } finally {
+    client.release();
+  }
+};
+
+// Change password for the logged-in user; other sessions are logged out
+const changePassword = async (req, res, next) => {
+  const client = await pool.connect();
+
+  try {
+    const { current_password, new_password } = req.body;
+
+    await client.query('BEGIN');
+
+    const result = await client.query('SELECT password FROM users WHERE id = $1 FOR UPDATE', [req.user.id]);
+    if (result.rowCount === 0) {
+      throw new NotFoundError('User not found');
+    }
+
+    const isMatch = await bcrypt.compare(current_password, result.rows[0].password);
+    if (!isMatch) {
+      throw new UnauthorizedError('Current password is incorrect');
+    }
+
+    const salt = await bcrypt.genSalt(10);
+    const hashedPassword = await bcrypt.hash(new_password, salt);
+
+    await client.query('UPDATE users SET password = $1 WHERE id = $2', [hashedPassword, req.user.id]);
+    await client.query(
+      `UPDATE user_sessions SET revoked_at = NOW()
+        WHERE user_id = $1 AND id <> $2 AND revoked_at IS NULL`,
+      [req.user.id, req.user.sid]
+    );
+    await client.query('COMMIT');
+
+    res.json({ message: 'Password changed successfully' });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    next(error);
+  } finally {
+    client.release();
+  }
+};
+
+// Confirm an email address with the token sent on registration
+const verifyEmail = async (req, res, next) => {
+  const client = await pool.connect();
+
+  try {
+    const { token } = req.body;
+
+    await client.query('BEGIN');
+
+    const userId = await consumeUserToken(client, token, 'email_verification');
+    if (!userId) {
+      throw new BadRequestError('Verification link is invalid or has expired');
+    }
+
+    await client.query(
+      'UPDATE users SET email_verified_at = COALESCE(email_verified_at, NOW()) WHERE id = $1',
+      [userId]
+    );
+
+    await client.query('COMMIT');
+    res.json({ message: 'Email verified successfully' });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    next(error);
+  } finally {
+    client.release();
+  }
+};
+
+// Send a fresh verification email to the logged-in user
+const resendVerification = async (req, res, next) => {
+  try {
+    const result = await pool.query(
+      'SELECT id, email, email_verified_at FROM users WHERE id = $1',
+      [req.user.id]
+    );
+    const user = result.rows[0];
+
+    if (!user) {
+      throw new NotFoundError('User not found');
+    }
+    if (user.email_verified_at) {
+      throw new BadRequestError('Email is already verified');
+    }
+
+    const token = await createUserToken(pool, user.id, 'email_verification', EMAIL_VERIFICATION_TTL_MINUTES);
+    await sendVerificationEmail(user.email, token);
+
+    res.json({ message: 'Verification email sent' });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  register,
+  login,
+  acceptInvitation,
+  refresh,
+  logout,
+  logoutAll,
+  forgotPassword,
+  resetPassword,
+  changePassword,
+  verifyEmail,
+  resendVerification,
+};
@@ -1,14 +1,25 @@
 const pool = require("../db");
 const cloudinary = require("../config/cloudinary");
+const { gstinError } = require("../utils/gst");
+const { auditActor, recordAudit } = require("../utils/audit");
+const { monthEnd } = require("../utils/periodLock");
+const { toDateString } = require("../utils/dates");
+const { BadRequestError, NotFoundError } = require("../utils/errors");
 
 // ✅ GET Company details by ID
-const getCompanyDetails = async (req, res) => {
+const getCompanyDetails = async (req, res, next) => {
   const { company_id } = req.params;
   console.log("📥 Received company_id:", company_id);
 
+  // 🔒 Users can only read their own company
+  if (company_id !== req.user.company_id) {
+    throw new NotFoundError("Company not found");
+  }
+
   try {
     const query = `
-      SELECT id, name, address, gstin, contact_email, contact_phone, logo, created_at, updated_at
+      SELECT id, name, address, city, pincode, gstin, state_code, contact_email, contact_phone, logo,
+             books_locked_until, created_at, updated_at
       FROM companies
       WHERE id = $1;
     `;
@@ -16,7 +27,7 @@ const getCompanyDetails = async (req, res) => {
     const { rows } = await pool.query(query, [company_id]);
 
     if (rows.length === 0) {
-      return res.status(404).json({ message: "Company not found" });
+      throw new NotFoundError("Company not found");
     }
 
     res.status(200).json({
@@ -25,23 +36,30 @@ const getCompanyDetails = async (req, res) => {
       company: rows[0],
     });
   } catch (error) {
-    console.error("❌ Error fetching company details:", error);
-    res.status(500).json({ success: false, message: "Server error" });
+    next(error);
   }
 };
 
-// ✅ UPDATE Company details (including logo upload)
-const updateCompanyDetails = async (req, res) => {
+// ✅ UPDATE Company details (including logo upload); body checked against CompanyUpdate, the GSTIN checksum here
+const updateCompanyDetails = async (req, res, next) => {
+  const company_id = req.user.company_id; // 🔒 never trust a company_id from the body
   const {
-    company_id,
     name,
     address,
+    city,
+    pincode,
     gstin,
+    state_code,
     contact_email,
     contact_phone,
     logo, // base64 string here
   } = req.body;
 
+  if (gstin && gstinError(gstin)) {
+    throw new BadRequestError(gstinError(gstin));
+  }
+
+  const client = await pool.connect();
   try {
     let logoUrl = null;
 
@@ -57,6 +75,19 @@ const updateCompanyDetails = async (req, res) => {
       console.log("✅ Logo uploaded successfully:", logoUrl);
     }
 
+    await client.query("BEGIN");
+
+    const before = await client.query(
+      `SELECT id, name, address, city, pincode, gstin, state_code, contact_email, contact_phone, logo
+         FROM companies
+        WHERE id = $1
+        FOR UPDATE`,
+      [company_id]
+    );
+    if (before.rowCount === 0) {
+      throw new NotFoundError("Company not found");
+    }
+
     // ✅ Update company in database
     const query = `
       UPDATE companies
@@ -67,9 +98,12 @@ const updateCompanyDetails = async (req, res) => {
         contact_email = COALESCE($4, contact_email),
         contact_phone = COALESCE($5, contact_phone),
         logo = COALESCE($6, logo),
+        state_code = COALESCE($7, state_code),
+        city = COALESCE($8, city),
+        pincode = COALESCE($9, pincode),
         updated_at = NOW()
-      WHERE id = $7
-      RETURNING id, name, address, gstin, contact_email, contact_phone, logo;
+      WHERE id = $10
+      RETURNING id, name, address, city, pincode, gstin, state_code, contact_email, contact_phone, logo;
     `;
 
     const values = [
@@ -79,24 +113,90 @@ const updateCompanyDetails = async (req, res) => {
       contact_email || null,
       contact_phone || null,
       logoUrl || null,
+      state_code || null,
+      city || null,
+      pincode || null,
       company_id,
     ];
 
-    const { rows } = await pool.query(query, values);
+    const { rows } = await client.query(query, values);
 
-    if (rows.length === 0) {
-      return res.status(404).json({ message: "Company not found" });
-    }
+    await recordAudit(client, {
+      ...auditActor(req),
+      entity: "company",
+      entity_id: company_id,
+      action: "update",
+      before: before.rows[0],
+      after: rows[0],
+    });
 
+    await client.query("COMMIT");
     res.status(200).json({
       success: true,
       message: "Company details updated successfully",
       company: rows[0],
     });
   } catch (err) {
-    console.error("❌ Error updating company details:", err);
-    res.status(500).json({ message: "Server error" });
+    await client.query("ROLLBACK");
+    next(err);
+  } finally {
+    client.release();
+  }
+};
+
+// ✅ Close the books up to the end of a month, or reopen them (month: null)
+const updateBooksLock = async (req, res, next) => {
+  const company_id = req.user.company_id;
+  const { month } = req.body;
+
+  // month is YYYY-MM or null (checked against BooksLockInput)
+  const lockedUntil = month === null ? null : monthEnd(month);
+  if (lockedUntil && lockedUntil >= toDateString(new Date())) {
+    throw new BadRequestError("Only months that have already ended can be closed");
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+
+    const before = await client.query(
+      `SELECT id, books_locked_until FROM companies WHERE id = $1 FOR UPDATE`,
+      [company_id]
+    );
+    if (before.rowCount === 0) {
+      throw new NotFoundError("Company not found");
+    }
+
+    const { rows } = await client.query(
+      `UPDATE companies
+          SET books_locked_until = $1::date,
+              updated_at = NOW()
+        WHERE id = $2
+        RETURNING id, books_locked_until`,
+      [lockedUntil, company_id]
+    );
+
+    await recordAudit(client, {
+      ...auditActor(req),
+      entity: "company",
+      entity_id: company_id,
+      action: lockedUntil ? "lock_books" : "unlock_books",
+      before: before.rows[0],
+      after: rows[0],
+    });
+
+    await client.query("COMMIT");
+    res.status(200).json({
+      success: true,
+      message: lockedUntil ? `Books closed up to ${lockedUntil}` : "Books reopened",
+      books_locked_until: lockedUntil,
+    });
+  } catch (err) {
+    await client.query("ROLLBACK");
+    next(err);
+  } finally {
+    client.release();
   }
 };
 
-module.exports = { getCompanyDetails, updateCompanyDetails };
+module.exports = { getCompanyDetails, updateCompanyDetails, updateBooksLock };
@@ -4,29 +4,43 @@ const pool = require('../db');
  * Dashboard stats (Monthly Overview)
  * Returns previous & current month metrics
  */
-const getDashboardStats = async (req, res) => {
+const getDashboardStats = async (req, res, next) => {
   const company_id = req.user.company_id; // Assuming authentication middleware adds user object
 
   try {
     const query = `
       SELECT json_build_object(
-          -- Total Revenue (Sum of total_amount from invoices)
-          'previous_month_total_revenue', COALESCE(SUM(CASE WHEN date_trunc('month', invoice_date) = date_trunc('month', CURRENT_DATE) - interval '1 month' AND company_id = $1 THEN total_amount END), 0),
-          'current_month_total_revenue', COALESCE(SUM(CASE WHEN date_trunc('month', invoice_date) = date_trunc('month', CURRENT_DATE) AND company_id = $1 THEN total_amount END), 0),
+          -- Total Revenue (Sum of total_amount from issued invoices, net of credit notes)
+          'previous_month_total_revenue', COALESCE(SUM(CASE WHEN date_trunc('month', invoice_date) = date_trunc('month', CURRENT_DATE) - interval '1 month' AND company_id = $1 AND invoice_type IN ('sale', 'credit_note') AND status NOT IN ('draft', 'cancelled') THEN CASE WHEN invoice_type = 'credit_note' THEN -total_amount ELSE total_amount END END), 0),
+          'current_month_total_revenue', COALESCE(SUM(CASE WHEN date_trunc('month', invoice_date) = date_trunc('month', CURRENT_DATE) AND company_id = $1 AND invoice_type IN ('sale', 'credit_note') AND status NOT IN ('draft', 'cancelled') THEN CASE WHEN invoice_type = 'credit_note' THEN -total_amount ELSE total_amount END END), 0),
+
+          -- Collections (Sum of payments received against sales each month)
+          'previous_month_collections', COALESCE((SELECT SUM(pay.amount) FROM payments pay
+              JOIN invoices inv ON inv.id = pay.invoice_id
+              WHERE pay.company_id = $1
+              AND inv.invoice_type = 'sale'
+              AND date_trunc('month', pay.payment_date) = date_trunc('month', CURRENT_DATE) - interval '1 month'), 0),
+          'current_month_collections', COALESCE((SELECT SUM(pay.amount) FROM payments pay
+              JOIN invoices inv ON inv.id = pay.invoice_id
+              WHERE pay.company_id = $1
+              AND inv.invoice_type = 'sale'
+              AND date_trunc('month', pay.payment_date) = date_trunc('month', CURRENT_DATE)), 0),
 
           -- Total Customers (New customers created each month)
           'previous_month_total_customers', COALESCE((SELECT COUNT(*) FROM parties 
               WHERE type = 'customer' 
               AND company_id = $1
+              AND deleted_at IS NULL
               AND date_trunc('month', created_at) = date_trunc('month', CURRENT_DATE) - interval '1 month'), 0),
           'current_month_total_customers', COALESCE((SELECT COUNT(*) FROM parties 
               WHERE type = 'customer' 
               AND company_id = $1
+              AND deleted_at IS NULL
               AND date_trunc('month', created_at) = date_trunc('month', CURRENT_DATE)), 0),
 
           -- Total Sales (Count of paid invoices)
-          'previous_month_total_sales', COALESCE(SUM(CASE WHEN date_trunc('month', invoice_date) = date_trunc('month', CURRENT_DATE) - interval '1 month' AND status = 'paid' AND company_id = $1 THEN 1 END), 0),
-          'current_month_total_sales', COALESCE(SUM(CASE WHEN date_trunc('month', invoice_date) = date_trunc('month', CURRENT_DATE) AND status = 'paid' AND company_id = $1 THEN 1 END), 0),
+          'previous_month_total_sales', COALESCE(SUM(CASE WHEN date_trunc('month', invoice_date) = date_trunc('month', CURRENT_DATE) - interval '1 month' AND status = 'paid' AND company_id = $1 AND invoice_type = 'sale' THEN 1 END), 0),
+          'current_month_total_sales', COALESCE(SUM(CASE WHEN date_trunc('month', invoice_date) = date_trunc('month', CURRENT_DATE) AND status = 'paid' AND company_id = $1 AND invoice_type = 'sale' THEN 1 END), 0),
 
           -- Total Products Sold (Sum of quantity from invoice_items)
           'previous_month_total_products_sold', COALESCE((
@@ -34,7 +48,9 @@ const getDashboardStats = async (req, res) => {
               FROM invoice_items ii
               JOIN invoices inv ON ii.invoice_id = inv.id
               WHERE inv.status = 'paid'
+              AND inv.invoice_type = 'sale'
               AND inv.company_id = $1
+              AND inv.deleted_at IS NULL
               AND date_trunc('month', inv.invoice_date) = date_trunc('month', CURRENT_DATE) - interval '1 month'
           ), 0),
           'current_month_total_products_sold', COALESCE((
@@ -42,24 +58,26 @@ const getDashboardStats = async (req, res) => {
               FROM invoice_items ii
               JOIN invoices inv ON ii.invoice_id = inv.id
               WHERE inv.status = 'paid'
+              AND inv.invoice_type = 'sale'
               AND inv.company_id = $1
+              AND inv.deleted_at IS NULL
               AND date_trunc('month', inv.invoice_date) = date_trunc('month', CURRENT_DATE)
           ), 0)
       ) AS monthly_stats
-      FROM invoices;
+      FROM invoices
+      WHERE deleted_at IS NULL;
     `;
 
     const result = await pool.query(query, [company_id]);
 
     res.status(200).json(result.rows[0].monthly_stats);
   } catch (err) {
-    console.error('Error fetching dashboard stats:', err);
-    res.status(500).json({ error: 'Internal Server Error' });
+    next(err);
   }
 };
 
 // GET /api/dashboard/revenue-overview
-const getRevenueOverview = async (req, res) => {
+const getRevenueOverview = async (req, res, next) => {
   try {
     const company_id = req.user.company_id; // from auth middleware
 
@@ -72,9 +90,12 @@ const getRevenueOverview = async (req, res) => {
 FROM (
     SELECT 
         date_trunc('month', invoice_date) AS month,
-        COALESCE(SUM(total_amount), 0) AS total_revenue
+        COALESCE(SUM(CASE WHEN invoice_type = 'credit_note' THEN -total_amount ELSE total_amount END), 0) AS total_revenue
     FROM invoices
     WHERE company_id = $1
+      AND deleted_at IS NULL
+      AND invoice_type IN ('sale', 'credit_note')
+      AND status NOT IN ('draft', 'cancelled')
       AND invoice_date >= date_trunc('month', CURRENT_DATE) - interval '5 month'
       AND invoice_date <= CURRENT_DATE
     GROUP BY date_trunc('month', invoice_date)
@@ -86,14 +107,13 @@ FROM (
 
     res.status(200).json(result);
   } catch (error) {
-    console.error('Error fetching revenue overview:', error);
-    res.status(500).json({ message: 'Server error fetching revenue overview' });
+    next(error);
   }
 };
 
 
 
-const getSalesDistribution = async (req, res) => {
+const getSalesDistribution = async (req, res, next) => {
   try {
     const company_id = req.user.company_id; // ✅ Ensure company scoping
 
@@ -105,7 +125,9 @@ const getSalesDistribution = async (req, res) => {
       JOIN items i ON ii.item_id = i.id
       JOIN invoices inv ON inv.id = ii.invoice_id
       WHERE inv.status = 'paid'
+        AND inv.invoice_type = 'sale'
         AND inv.company_id = $1  -- ✅ filter by company
+        AND inv.deleted_at IS NULL
       GROUP BY i.category
       ORDER BY total_amount DESC;
     `, [company_id]);
@@ -127,8 +149,7 @@ const getSalesDistribution = async (req, res) => {
 
     res.status(200).json({ sales_distribution });
   } catch (error) {
-    console.error("Error fetching sales distribution:", error);
-    res.status(500).json({ error: "Internal server error" });
+    next(error);
   }
 };
 
@@ -138,7 +159,7 @@ const getSalesDistribution = async (req, res) => {
  * @route GET /api/dashboard/top-products
  * @access Private
  */
-const getTopProducts = async (req, res) => {
+const getTopProducts = async (req, res, next) => {
   try {
     const company_id = req.user.company_id; // from auth middleware
 
@@ -151,7 +172,9 @@ const getTopProducts = async (req, res) => {
       JOIN invoices inv ON ii.invoice_id = inv.id
       JOIN items i ON ii.item_id = i.id
       WHERE inv.status = 'paid'
+        AND inv.invoice_type = 'sale'
         AND inv.company_id = $1
+        AND inv.deleted_at IS NULL
         AND date_trunc('month', inv.invoice_date) = date_trunc('month', CURRENT_DATE)
       GROUP BY i.name
       ORDER BY units_sold DESC
@@ -169,8 +192,7 @@ const getTopProducts = async (req, res) => {
       })),
     });
   } catch (error) {
-    console.error('Error fetching top products:', error);
-    res.status(500).json({ error: 'Internal Server Error' });
+    next(error);
   }
 };
 
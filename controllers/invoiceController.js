@@ -1,211 +1,382 @@
 // controllers/invoiceController.js
 const pool = require('../db');
+const { computeLineTax, splitTax } = require('../utils/gst');
+const { renderInvoicePdf } = require('../utils/invoicePdf');
+const { NOTE_TYPES, syncInvoicePayments } = require('../utils/payments');
+const { moveStock, costAmount } = require('../utils/stock');
+const { parseListQuery, createFilter, buildPagination } = require('../utils/listQuery');
+const { allocateNumber } = require('../utils/numbering');
+const { CANCEL_REASONS, CANCEL_WINDOW_HOURS, buildEInvoicePayload } = require('../utils/eInvoice');
+const { generateIrn, cancelIrn } = require('../config/irp');
+const { parseTransportDetails, buildEwayBill, buildEwayBillExport } = require('../utils/ewayBill');
+const { toDateString } = require('../utils/dates');
+const { auditActor, recordAudit } = require('../utils/audit');
+const { periodLockReason } = require('../utils/periodLock');
+const { BadRequestError, NotFoundError, ConflictError, UnprocessableError, BadGatewayError } = require('../utils/errors');
+const {
+  PARTY_TYPE_FOR,
+  resolveSupply,
+  stockSign,
+  invoiceNumberTaken,
+  rollUpInvoiceTotals,
+  insertInvoice,
+} = require('../utils/invoices');
+
+const INVOICE_STATUSES = ['draft', 'sent', 'partially_paid', 'paid', 'cancelled'];
+
+// Statuses a user may move an invoice to; payment statuses follow recorded payments
+// and cancelling has its own action
+const STATUS_TRANSITIONS = {
+  draft: ['sent'],
+};
+
+// Issued invoices are tax records: only drafts can be edited, the rest are corrected with notes
+const EDITABLE_STATUSES = ['draft'];
+// Paid invoices must have their payments removed before they can be cancelled
+const CANCELLABLE_STATUSES = ['draft', 'sent'];
+// Issued invoices are cancelled, not archived
+const ARCHIVABLE_STATUSES = ['draft', 'cancelled'];
+
+// Returns against a sale are credit notes, returns to a supplier are debit notes
+const NOTE_TYPE_FOR = { sale: 'credit_note', purchase: 'debit_note' };
+const NOTE_LABEL = { credit_note: 'Credit note', debit_note: 'Debit note' };
+
+/**
+ * Why an invoice can no longer be edited or deleted, or null when it can.
+ * E-invoices (even after their IRN is cancelled), notes and invoices with
+ * notes against them are immutable.
+ */
+const immutableReason = async (db, invoice) => {
+  if (invoice.irn) {
+    return 'Invoice is registered as an e-invoice and can no longer be edited or deleted; raise a credit note instead';
+  }
+  if (NOTE_TYPES.includes(invoice.invoice_type)) {
+    return `${NOTE_LABEL[invoice.invoice_type]}s cannot be edited or deleted`;
+  }
+  const notes = await db.query(
+    `SELECT invoice_number FROM invoices WHERE original_invoice_id = $1 AND company_id = $2`,
+    [invoice.id, invoice.company_id]
+  );
+  if (notes.rowCount > 0) {
+    const numbers = notes.rows.map((n) => n.invoice_number).join(', ');
+    return `Invoice has credit/debit notes against it (${numbers}); raise another note instead`;
+  }
+  return null;
+};
 
 /**
  * Create a new invoice with multiple items (multi-tenant safe)
  */
-const createInvoice = async (req, res) => {
+const createInvoice = async (req, res, next) => {
   const client = await pool.connect();
-  const { party_id, invoice_number, due_date, items = [], status } = req.body;
+  const { party_id, invoice_number, due_date, items = [], status, invoice_type } = req.body;
   const company_id = req.user.company_id;
 
   try {
     await client.query('BEGIN');
 
-    // 0) Validate party belongs to company
-    const partyCheck = await client.query(
-      `SELECT 1 FROM parties WHERE id = $1 AND company_id = $2`,
-      [party_id, company_id]
-    );
-    if (partyCheck.rowCount === 0) {
-      throw new Error('Party not found for this company');
-    }
-
-    // 0.1) Optional: ensure invoice_number uniqueness per company (DB already enforces it)
-    // but this provides a clearer error message
-    const invNumCheck = await client.query(
-      `SELECT 1 FROM invoices WHERE company_id = $1 AND invoice_number = $2`,
-      [company_id, invoice_number]
-    );
-    if (invNumCheck.rowCount > 0) {
-      throw new Error('Invoice number already exists for this company');
-    }
-
-    // Step A: Insert invoice (status optional)
-    const invoiceResult = await client.query(
-      `INSERT INTO invoices (company_id, party_id, invoice_number, due_date, total_amount, status)
-       VALUES ($1, $2, $3, $4, $5, COALESCE($6, 'draft')::invoice_status)
-       RETURNING *`,
-      [company_id, party_id, invoice_number, due_date || null, 0, status]
-    );
-
-    const invoiceId = invoiceResult.rows[0].id;
-    let totalAmount = 0;
-
-    // Step B: Loop through items (if any)
-    for (const item of items) {
-      const { item_id, quantity } = item;
-
-      if (!item_id) throw new Error('Item ID is required for each item line');
-      if (!quantity || quantity <= 0) {
-        throw new Error(`Item quantity must be greater than 0 for item: ${item_id}`);
-      }
-
-      // Fetch item (only from this company)
-      const itemData = await client.query(
-        `SELECT price, quantity AS stock_quantity
-           FROM items
-          WHERE id = $1 AND company_id = $2`,
-        [item_id, company_id]
-      );
-      if (itemData.rowCount === 0) {
-        throw new Error(`Item not found for this company: ${item_id}`);
-      }
-
-      const { price: priceAtPurchase, stock_quantity } = itemData.rows[0];
-
-      if (stock_quantity < quantity) {
-        throw new Error(`Insufficient stock for item: ${item_id}`);
-      }
-
-      const totalLineAmount = Number(priceAtPurchase) * Number(quantity);
-      totalAmount += totalLineAmount;
-
-      await client.query(
-        `INSERT INTO invoice_items (invoice_id, item_id, quantity, price_at_purchase, total_line_amount)
-         VALUES ($1, $2, $3, $4, $5)`,
-        [invoiceId, item_id, quantity, priceAtPurchase, totalLineAmount]
-      );
-
-      // Decrement stock WITH company scope
-      await client.query(
-        `UPDATE items
-            SET quantity = quantity - $1
-          WHERE id = $2 AND company_id = $3`,
-        [quantity, item_id, company_id]
-      );
-    }
+    const invoice = await insertInvoice(client, {
+      company_id,
+      user_id: req.user.id,
+      party_id,
+      invoice_number,
+      due_date,
+      items,
+      status,
+      invoice_type,
+    });
 
-    // Update total amount on invoice
-    await client.query(
-      `UPDATE invoices SET total_amount = $1 WHERE id = $2 AND company_id = $3`,
-      [totalAmount, invoiceId, company_id]
-    );
+    await recordAudit(client, {
+      ...auditActor(req),
+      entity: 'invoice',
+      entity_id: invoice.id,
+      action: 'create',
+      after: await loadInvoiceDetails(client, invoice.id, company_id),
+    });
 
     await client.query('COMMIT');
     res.status(201).json({
-      message: 'Invoice created successfully',
-      invoice_id: invoiceId,
+      message: invoice.invoice_type === 'purchase' ? 'Purchase bill created successfully' : 'Invoice created successfully',
+      invoice_id: invoice.id,
+      invoice_number: invoice.invoice_number,
+      invoice_type: invoice.invoice_type,
     });
   } catch (err) {
     await client.query('ROLLBACK');
-    console.error('❌ createInvoice error:', err);
-    // Unique violation hint
-    if (err.code === '23505') {
-      return res.status(400).json({ error: 'Duplicate invoice number for this company' });
-    }
-    res.status(400).json({ error: err.message || 'Failed to create invoice' });
+    // Unique violation: another request took the same number first
+    next(err.code === '23505' ? new ConflictError('Duplicate invoice number for this company') : err);
   } finally {
     client.release();
   }
 };
 
 /**
- * Get all invoices for the logged-in company
+ * Get all invoices for the logged-in company (query checked against InvoiceListQuery)
  */
-const getAllInvoices = async (req, res) => {
+const getAllInvoices = async (req, res, next) => {
   const company_id = req.user.company_id;
+  const { type, status, party_id, date_from, date_to } = req.query;
+
+  const list = parseListQuery(req.query, {
+    sortable: {
+      created_at: 'i.created_at',
+      invoice_date: 'i.invoice_date',
+      due_date: 'i.due_date',
+      invoice_number: 'i.invoice_number',
+      total_amount: 'i.total_amount',
+      balance_due: '(i.total_amount - i.amount_paid - i.amount_credited)',
+      status: 'i.status',
+      party_name: 'p.name',
+    },
+    defaultSort: 'created_at',
+  });
+  if (list.error) {
+    throw new BadRequestError(list.error);
+  }
+
+  // status accepts a comma separated list, e.g. status=sent,partially_paid
+  const statuses = status ? String(status).split(',').map((st) => st.trim()) : [];
+  if (statuses.some((st) => !INVOICE_STATUSES.includes(st))) {
+    throw new BadRequestError(`Status must be one of: ${INVOICE_STATUSES.join(', ')}`);
+  }
+
+  const filter = createFilter('i.company_id = $1 AND i.deleted_at IS NULL', [company_id]);
+  if (type) filter.add(`i.invoice_type = ${filter.param(type)}::invoice_type`);
+  if (statuses.length) filter.add(`i.status = ANY(${filter.param(statuses)}::invoice_status[])`);
+  if (party_id) filter.add(`i.party_id::text = ${filter.param(party_id)}`);
+  if (date_from) filter.add(`i.invoice_date >= ${filter.param(date_from)}::date`);
+  if (date_to) filter.add(`i.invoice_date <= ${filter.param(date_to)}::date`);
+  if (list.search) {
+    const term = filter.param(`%${list.search}%`);
+    filter.add(`(i.invoice_number ILIKE ${term} OR p.name ILIKE ${term})`);
+  }
+
+  const fromClause = `
+       FROM invoices i
+       JOIN parties p
+         ON i.party_id = p.id
+        AND p.company_id = i.company_id              -- 🔒 ensure party is same company
+       WHERE ${filter.where()}`;
 
   try {
+    const countResult = await pool.query(`SELECT COUNT(*) AS total ${fromClause}`, filter.params.slice());
+
     const result = await pool.query(
       `SELECT 
           i.id,
           i.invoice_number,
+          i.invoice_type,
           i.invoice_date,
           i.due_date,
           i.total_amount,
+          i.amount_paid,
+          i.amount_credited,
+          i.total_amount - i.amount_paid - i.amount_credited AS balance_due,
           i.status,
+          i.original_invoice_id,
           i.created_at,
           i.updated_at,
+          i.party_id,
           p.name AS party_name
-       FROM invoices i
-       JOIN parties p
-         ON i.party_id = p.id
-        AND p.company_id = i.company_id              -- 🔒 ensure party is same company
-       WHERE i.company_id = $1
-       ORDER BY i.created_at DESC`,
-      [company_id]
+       ${fromClause}
+       ORDER BY ${list.orderBy}
+       LIMIT ${filter.param(list.limit)} OFFSET ${filter.param(list.offset)}`,
+      filter.params
     );
 
-    res.status(200).json(result.rows);
+    res.status(200).json({
+      success: true,
+      message: 'Invoices fetched successfully',
+      invoices: result.rows,
+      pagination: buildPagination(list, parseInt(countResult.rows[0].total, 10)),
+    });
   } catch (err) {
-    console.error('❌ getAllInvoices error:', err);
-    res.status(500).json({ error: 'Error fetching invoices' });
+    next(err);
   }
 };
 
+/**
+ * Load an invoice header with its lines (scoped to company).
+ * Returns null when the invoice does not belong to the company, or is
+ * archived unless `includeArchived` is set.
+ */
+const loadInvoiceDetails = async (db, id, company_id, { includeArchived = false } = {}) => {
+  const invoiceResult = await db.query(
+    `SELECT 
+        id, 
+        company_id, 
+        party_id, 
+        invoice_number, 
+        invoice_type,
+        invoice_date, 
+        due_date, 
+        place_of_supply,
+        supply_type,
+        taxable_amount,
+        cgst_amount,
+        sgst_amount,
+        igst_amount,
+        total_amount, 
+        amount_paid,
+        amount_credited,
+        total_amount - amount_paid - amount_credited AS balance_due,
+        status,
+        original_invoice_id,
+        (SELECT o.invoice_number FROM invoices o WHERE o.id = inv.original_invoice_id) AS original_invoice_number,
+        (SELECT o.invoice_date FROM invoices o WHERE o.id = inv.original_invoice_id) AS original_invoice_date,
+        note_reason,
+        sales_document_id,
+        irn,
+        irn_ack_no,
+        irn_ack_date,
+        irn_signed_qr,
+        irn_cancelled_at,
+        irn_cancel_reason,
+        transporter_id,
+        transporter_name,
+        transport_mode,
+        vehicle_number,
+        transport_doc_no,
+        transport_doc_date,
+        distance_km,
+        dispatch_address,
+        dispatch_city,
+        dispatch_pincode,
+        dispatch_state_code,
+        ship_to_address,
+        ship_to_city,
+        ship_to_pincode,
+        ship_to_state_code,
+        deleted_at,
+        deleted_by,
+        created_at,
+        updated_at
+     FROM invoices inv
+     WHERE id = $1 AND company_id = $2 AND ($3::boolean OR deleted_at IS NULL)`,
+    [id, company_id, includeArchived]
+  );
+
+  if (invoiceResult.rowCount === 0) return null;
+
+  const itemsResult = await db.query(
+    `SELECT
+        ii.id,
+        ii.item_id,
+        ii.quantity,
+        ii.price_at_purchase,
+        ii.hsn_code,
+        ii.gst_rate,
+        ii.taxable_amount,
+        ii.cgst_amount,
+        ii.sgst_amount,
+        ii.igst_amount,
+        ii.total_line_amount,
+        ii.unit_cost,
+        ii.cost_amount,
+        ii.original_item_id,
+        it.name AS item_name,
+        it.category
+     FROM invoice_items ii
+     JOIN items it
+       ON ii.item_id = it.id
+     JOIN invoices inv
+       ON ii.invoice_id = inv.id
+    WHERE ii.invoice_id = $1
+      AND inv.company_id = $2`,      // 🔒 scope items to the same company via invoices
+    [id, company_id]
+  );
+
+  // Credit/debit notes raised against this invoice
+  const notesResult = await db.query(
+    `SELECT id, invoice_number, invoice_type, invoice_date, total_amount, note_reason, status
+       FROM invoices
+      WHERE original_invoice_id = $1 AND company_id = $2
+      ORDER BY invoice_date, created_at`,
+    [id, company_id]
+  );
+
+  return {
+    ...invoiceResult.rows[0],
+    items: itemsResult.rows,
+    notes: notesResult.rows,
+  };
+};
+
 /**
  * Get single invoice details with items (scoped to company)
  */
-const getInvoiceById = async (req, res) => {
+const getInvoiceById = async (req, res, next) => {
   const { id } = req.params;
   const company_id = req.user.company_id;
 
   try {
-    const invoiceResult = await pool.query(
-      `SELECT 
-          id, 
-          company_id, 
-          party_id, 
-          invoice_number, 
-          invoice_date, 
-          due_date, 
-          total_amount, 
-          status,
-          created_at,
-          updated_at
-       FROM invoices 
-       WHERE id = $1 AND company_id = $2`,
-      [id, company_id]
-    );
+    const invoice = await loadInvoiceDetails(pool, id, company_id);
 
-    if (invoiceResult.rowCount === 0) {
-      return res.status(404).json({ error: 'Invoice not found' });
+    if (!invoice) {
+      throw new NotFoundError('Invoice not found');
     }
 
-    const itemsResult = await pool.query(
-      `SELECT
-          ii.id,
-          ii.item_id,
-          ii.quantity,
-          ii.price_at_purchase,
-          ii.total_line_amount,
-          it.name AS item_name,
-          it.category
-       FROM invoice_items ii
-       JOIN items it
-         ON ii.item_id = it.id
-       JOIN invoices inv
-         ON ii.invoice_id = inv.id
-      WHERE ii.invoice_id = $1
-        AND inv.company_id = $2`,      // 🔒 scope items to the same company via invoices
-      [id, company_id]
-    );
+    res.status(200).json(invoice);
+  } catch (err) {
+    next(err);
+  }
+};
 
-    res.status(200).json({
-      ...invoiceResult.rows[0],
-      items: itemsResult.rows,
+/**
+ * Issuing company and party rows for a loaded invoice (used on printed and e-invoices)
+ */
+const loadInvoiceParties = async (db, invoice) => {
+  const companyResult = await db.query(
+    `SELECT id, name, address, city, pincode, gstin, state_code, contact_email, contact_phone, logo
+       FROM companies
+      WHERE id = $1`,
+    [invoice.company_id]
+  );
+  const partyResult = await db.query(
+    `SELECT id, name, billing_address, city, pincode, gstin, state_code, contact_email, contact_phone
+       FROM parties
+      WHERE id = $1 AND company_id = $2`,
+    [invoice.party_id, invoice.company_id]
+  );
+  return { company: companyResult.rows[0], party: partyResult.rows[0] };
+};
+
+/**
+ * Render a printable GST tax invoice PDF (scoped to company)
+ */
+const getInvoicePdf = async (req, res, next) => {
+  const { id } = req.params;
+  const company_id = req.user.company_id;
+
+  try {
+    const invoice = await loadInvoiceDetails(pool, id, company_id);
+
+    if (!invoice) {
+      throw new NotFoundError('Invoice not found');
+    }
+
+    const { company, party } = await loadInvoiceParties(pool, invoice);
+    const pdf = await renderInvoicePdf({ company, party, invoice });
+
+    const disposition = req.query.disposition === 'inline' ? 'inline' : 'attachment';
+    const filename = `${String(invoice.invoice_number).replace(/[^A-Za-z0-9._-]/g, '_')}.pdf`;
+
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `${disposition}; filename="${filename}"`,
+      'Content-Length': pdf.length,
     });
+    res.status(200).send(pdf);
   } catch (err) {
-    console.error('❌ getInvoiceById error:', err);
-    res.status(500).json({ error: 'Error fetching invoice details' });
+    next(err);
   }
 };
 
 /**
- * Update invoice details (party_id, due_date, status, items) — multi-tenant safe
+ * Update a draft invoice (party_id, due_date, items) — multi-tenant safe.
+ * The body is checked against InvoiceUpdate.
  */
-const updateInvoice = async (req, res) => {
+const updateInvoice = async (req, res, next) => {
   const { id } = req.params;
   const { due_date, party_id, status, items } = req.body;
   const company_id = req.user.company_id;
@@ -215,24 +386,44 @@ const updateInvoice = async (req, res) => {
   try {
     await client.query('BEGIN');
 
-    // 1) Ensure invoice belongs to company
+    // 1) Ensure invoice belongs to company (archived invoices are restored before editing)
     const invoiceResult = await client.query(
-      `SELECT * FROM invoices WHERE id = $1 AND company_id = $2`,
+      `SELECT * FROM invoices WHERE id = $1 AND company_id = $2 AND deleted_at IS NULL FOR UPDATE`,
       [id, company_id]
     );
     if (invoiceResult.rowCount === 0) {
-      throw new Error('Invoice not found');
+      throw new NotFoundError('Invoice not found');
     }
 
-    // 1.1) If party change requested, ensure party belongs to this company
-    if (party_id) {
-      const partyCheck = await client.query(
-        `SELECT 1 FROM parties WHERE id = $1 AND company_id = $2`,
-        [party_id, company_id]
+    // 1.1) Only drafts in an open period can change; notes, and invoices
+    // that have notes against them, are immutable
+    const currentInvoice = invoiceResult.rows[0];
+    let lockedReason = null;
+    if (!EDITABLE_STATUSES.includes(currentInvoice.status)) {
+      lockedReason = `A ${currentInvoice.status} invoice can no longer be edited; raise a credit or debit note instead`;
+    } else {
+      lockedReason = (await periodLockReason(client, company_id, currentInvoice.invoice_date))
+        || (await immutableReason(client, currentInvoice));
+    }
+    if (lockedReason) {
+      throw new ConflictError(lockedReason);
+    }
+    // Issuing and cancelling have their own endpoints
+    if (status && status !== currentInvoice.status) {
+      throw new BadRequestError(
+        'Status cannot be changed here; issue the invoice through its status endpoint or cancel it with the cancel action'
       );
-      if (partyCheck.rowCount === 0) {
-        throw new Error('Party not found for this company');
-      }
+    }
+    const before = await loadInvoiceDetails(client, id, company_id);
+
+    // 1.2) Ensure (new) party belongs to this company and re-decide intra/inter-state supply
+    const supply = await resolveSupply(client, company_id, party_id || currentInvoice.party_id);
+
+    // 1.3) Document type is fixed at creation; a new party must match it
+    const invoiceType = currentInvoice.invoice_type;
+    const isPurchase = invoiceType === 'purchase';
+    if (supply.party_type !== PARTY_TYPE_FOR[invoiceType]) {
+      throw new UnprocessableError(`A ${invoiceType} must be raised against a ${PARTY_TYPE_FOR[invoiceType]}`);
     }
 
     // 2) Update invoice meta
@@ -240,56 +431,77 @@ const updateInvoice = async (req, res) => {
       `UPDATE invoices
           SET due_date = COALESCE($1, due_date),
               party_id = COALESCE($2, party_id),
-              status   = COALESCE($3, status)::invoice_status,
+              place_of_supply = $3,
+              supply_type = $4::supply_type,
               updated_at = NOW()
-        WHERE id = $4 AND company_id = $5`,
-      [due_date || null, party_id || null, status || null, id, company_id]
+        WHERE id = $5 AND company_id = $6`,
+      [due_date || null, party_id || null,
+       supply.place_of_supply, supply.supply_type, id, company_id]
     );
 
     // 3) Update items if provided
     if (Array.isArray(items)) {
       // Fetch existing invoice items
       const existingItems = await client.query(
-        `SELECT item_id, quantity FROM invoice_items WHERE invoice_id = $1`,
+        `SELECT item_id, quantity, price_at_purchase, unit_cost FROM invoice_items WHERE invoice_id = $1`,
         [id]
       );
 
       const existingMap = new Map(
-        existingItems.rows.map((row) => [row.item_id, row.quantity])
+        existingItems.rows.map((row) => [row.item_id, row])
       );
 
-      let totalAmount = 0;
-
       for (const item of items) {
-        const { item_id, quantity } = item;
-
-        if (!item_id) throw new Error('Item ID is required for each item line');
-        if (!quantity || quantity <= 0) {
-          throw new Error(`Quantity must be greater than 0 for item ${item_id}`);
-        }
+        const { item_id, quantity, price: linePrice } = item;
 
-        // Fetch item price & stock (scoped)
+        // Fetch item price, cost & stock (scoped)
         const itemData = await client.query(
-          `SELECT price, quantity AS stock_quantity
+          `SELECT price, cost_price, quantity AS stock_quantity, hsn_code, gst_rate, deleted_at
              FROM items
             WHERE id = $1 AND company_id = $2`,
           [item_id, company_id]
         );
         if (itemData.rowCount === 0) {
-          throw new Error(`Item not found for this company: ${item_id}`);
+          throw new UnprocessableError(`Item not found for this company: ${item_id}`);
+        }
+        // Lines already on the invoice may keep an archived item; new ones may not
+        if (itemData.rows[0].deleted_at && !existingMap.has(item_id)) {
+          throw new UnprocessableError(`Item is archived; restore it before adding it to documents: ${item_id}`);
         }
 
-        const { price, stock_quantity } = itemData.rows[0];
-        const prevQty = existingMap.get(item_id) || 0;
+        const { stock_quantity, hsn_code, gst_rate } = itemData.rows[0];
+        const existingLine = existingMap.get(item_id);
+        const prevQty = existingLine ? existingLine.quantity : 0;
         const quantityChange = Number(quantity) - Number(prevQty);
+        const stockChange = stockSign(invoiceType) * quantityChange;
 
-        // If increasing qty, ensure stock available
-        if (quantityChange > 0 && stock_quantity < quantityChange) {
-          throw new Error(`Insufficient stock for item: ${item_id}`);
+        // If taking more stock out, ensure stock available
+        if (stockChange < 0 && stock_quantity < -stockChange) {
+          throw new ConflictError(`Insufficient stock for item: ${item_id}`);
         }
 
-        const totalLineAmount = Number(price) * Number(quantity);
-        totalAmount += totalLineAmount;
+        // Sales re-price from the item; bills keep the supplier's rate unless a new one is sent
+        let price = itemData.rows[0].price;
+        if (isPurchase) {
+          if (linePrice !== undefined) price = Number(linePrice);
+          else if (existingLine) price = existingLine.price_at_purchase;
+        }
+        if (!(price >= 0)) {
+          throw new BadRequestError(`Price must be 0 or more for item: ${item_id}`);
+        }
+
+        const tax = computeLineTax({
+          price,
+          quantity,
+          gstRate: gst_rate,
+          supplyType: supply.supply_type,
+        });
+
+        // Bills are costed at their rate; a sale line keeps the cost it went out at,
+        // so units added or returned by the edit move at that same cost
+        const unitCost = isPurchase
+          ? price
+          : existingLine?.unit_cost ?? itemData.rows[0].cost_price;
 
         if (existingMap.has(item_id)) {
           // update line
@@ -297,87 +509,151 @@ const updateInvoice = async (req, res) => {
             `UPDATE invoice_items
                 SET quantity = $1,
                     price_at_purchase = $2,
-                    total_line_amount = $3
-              WHERE invoice_id = $4 AND item_id = $5`,
-            [quantity, price, totalLineAmount, id, item_id]
+                    hsn_code = $3,
+                    gst_rate = $4,
+                    taxable_amount = $5,
+                    cgst_amount = $6,
+                    sgst_amount = $7,
+                    igst_amount = $8,
+                    total_line_amount = $9,
+                    unit_cost = $10,
+                    cost_amount = $11
+              WHERE invoice_id = $12 AND item_id = $13`,
+            [quantity, price, hsn_code, tax.gst_rate, tax.taxable_amount, tax.cgst_amount,
+             tax.sgst_amount, tax.igst_amount, tax.total_line_amount, unitCost, costAmount(unitCost, quantity),
+             id, item_id]
           );
         } else {
           // insert new line
           await client.query(
-            `INSERT INTO invoice_items (invoice_id, item_id, quantity, price_at_purchase, total_line_amount)
-             VALUES ($1, $2, $3, $4, $5)`,
-            [id, item_id, quantity, price, totalLineAmount]
+            `INSERT INTO invoice_items (invoice_id, item_id, quantity, price_at_purchase, hsn_code, gst_rate,
+                                        taxable_amount, cgst_amount, sgst_amount, igst_amount, total_line_amount,
+                                        unit_cost, cost_amount)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)`,
+            [id, item_id, quantity, price, hsn_code, tax.gst_rate, tax.taxable_amount,
+             tax.cgst_amount, tax.sgst_amount, tax.igst_amount, tax.total_line_amount,
+             unitCost, costAmount(unitCost, quantity)]
           );
         }
 
-        // Adjust stock WITH company scope (quantityChange can be negative -> adds stock)
-        await client.query(
-          `UPDATE items
-              SET quantity = quantity - $1
-            WHERE id = $2 AND company_id = $3`,
-          [quantityChange, item_id, company_id]
-        );
+        // Adjust stock WITH company scope by the signed difference (no-op when unchanged)
+        await moveStock(client, {
+          company_id,
+          item_id,
+          change: stockChange,
+          reason: 'invoice_edit',
+          reference_type: 'invoice',
+          reference_id: id,
+          user_id: req.user.id,
+          unit_cost: unitCost,
+        });
 
         // mark this item as processed
         existingMap.delete(item_id);
       }
 
-      // Items that were removed in the new payload -> delete and return stock
-      for (const [oldItemId, oldQty] of existingMap.entries()) {
+      // Items that were removed in the new payload -> delete and reverse their stock movement
+      for (const [oldItemId, oldLine] of existingMap.entries()) {
         await client.query(
           `DELETE FROM invoice_items WHERE invoice_id = $1 AND item_id = $2`,
           [id, oldItemId]
         );
 
-        await client.query(
-          `UPDATE items
-              SET quantity = quantity + $1
-            WHERE id = $2 AND company_id = $3`,
-          [oldQty, oldItemId, company_id]
-        );
+        await moveStock(client, {
+          company_id,
+          item_id: oldItemId,
+          change: -stockSign(invoiceType) * Number(oldLine.quantity),
+          reason: 'invoice_edit',
+          reference_type: 'invoice',
+          reference_id: id,
+          note: 'Line removed from invoice',
+          user_id: req.user.id,
+          unit_cost: oldLine.unit_cost,
+        });
       }
 
-      // Recompute total from DB to be 100% accurate (optional but robust)
-      const sumRes = await client.query(
-        `SELECT COALESCE(SUM(total_line_amount), 0) AS total
-           FROM invoice_items
-          WHERE invoice_id = $1`,
+    } else if (supply.supply_type !== currentInvoice.supply_type) {
+      // 3.1) Party moved across states without line changes -> re-split existing lines
+      const existingLines = await client.query(
+        `SELECT id, taxable_amount, gst_rate FROM invoice_items WHERE invoice_id = $1`,
         [id]
       );
-      const finalTotal = Number(sumRes.rows[0].total) || 0;
-
-      await client.query(
-        `UPDATE invoices SET total_amount = $1 WHERE id = $2 AND company_id = $3`,
-        [finalTotal, id, company_id]
-      );
+      for (const line of existingLines.rows) {
+        const tax = splitTax(line.taxable_amount, line.gst_rate, supply.supply_type);
+        await client.query(
+          `UPDATE invoice_items
+              SET cgst_amount = $1,
+                  sgst_amount = $2,
+                  igst_amount = $3,
+                  total_line_amount = $4
+            WHERE id = $5`,
+          [tax.cgst_amount, tax.sgst_amount, tax.igst_amount, tax.total_line_amount, line.id]
+        );
+      }
     }
 
+    // 4) Recompute taxes and total from DB to be 100% accurate
+    await rollUpInvoiceTotals(client, id, company_id);
+
+    // 5) Re-derive payment status against the new total (rejects total below amount paid)
+    await syncInvoicePayments(client, id, company_id);
+
+    await recordAudit(client, {
+      ...auditActor(req),
+      entity: 'invoice',
+      entity_id: id,
+      action: 'update',
+      before,
+      after: await loadInvoiceDetails(client, id, company_id),
+    });
+
     await client.query('COMMIT');
     res.status(200).json({ message: 'Invoice updated successfully' });
   } catch (err) {
     await client.query('ROLLBACK');
-    console.error('❌ updateInvoice error:', err);
-    res.status(400).json({ error: err.message });
+    next(err);
   } finally {
     client.release();
   }
 };
 
 /**
- * Update only the invoice status
+ * Move an invoice along its status flow (a draft is issued by marking it 'sent').
+ * InvoiceStatusInput only lets through statuses a user may set.
  */
-const updateInvoiceStatus = async (req, res) => {
+const updateInvoiceStatus = async (req, res, next) => {
   const { id } = req.params;
   const { status } = req.body;
   const company_id = req.user.company_id;
 
-  const validStatuses = ['draft', 'sent', 'paid', 'cancelled'];
-  if (!validStatuses.includes(status)) {
-    return res.status(400).json({ error: 'Invalid status value' });
-  }
+  const client = await pool.connect();
 
   try {
-    const result = await pool.query(
+    await client.query('BEGIN');
+
+    const current = await client.query(
+      `SELECT * FROM invoices WHERE id = $1 AND company_id = $2 AND deleted_at IS NULL FOR UPDATE`,
+      [id, company_id]
+    );
+    if (current.rowCount === 0) {
+      throw new NotFoundError('Invoice not found');
+    }
+
+    const from = current.rows[0].status;
+    const allowed = STATUS_TRANSITIONS[from] || [];
+    if (!allowed.includes(status)) {
+      throw new ConflictError(
+        allowed.length
+          ? `A ${from} invoice can only be marked as: ${allowed.join(', ')}`
+          : `A ${from} invoice can no longer change status here`
+      );
+    }
+    const lockedReason = await periodLockReason(client, company_id, current.rows[0].invoice_date);
+    if (lockedReason) {
+      throw new ConflictError(lockedReason);
+    }
+
+    const result = await client.query(
       `UPDATE invoices
           SET status = $1::invoice_status,
               updated_at = NOW()
@@ -386,24 +662,221 @@ const updateInvoiceStatus = async (req, res) => {
       [status, id, company_id]
     );
 
-    if (result.rowCount === 0) {
-      return res.status(404).json({ error: 'Invoice not found' });
-    }
+    await recordAudit(client, {
+      ...auditActor(req),
+      entity: 'invoice',
+      entity_id: id,
+      action: 'update_status',
+      before: current.rows[0],
+      after: result.rows[0],
+    });
 
+    await client.query('COMMIT');
     res.status(200).json({
       message: `Invoice marked as '${status}'`,
       invoice: result.rows[0],
     });
   } catch (err) {
-    console.error('❌ updateInvoiceStatus error:', err);
-    res.status(500).json({ error: 'Error updating invoice status' });
+    await client.query('ROLLBACK');
+    next(err);
+  } finally {
+    client.release();
   }
 };
 
 /**
- * Delete an invoice (and its items) safely for this company
+ * Cancel a draft or issued invoice, bill or note. The document keeps its number
+ * and stays on record, its stock movement is reversed and a cancelled note no
+ * longer reduces its invoice's balance.
  */
-const deleteInvoice = async (req, res) => {
+const cancelInvoice = async (req, res, next) => {
+  const { id } = req.params;
+  const company_id = req.user.company_id;
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const current = await client.query(
+      `SELECT * FROM invoices WHERE id = $1 AND company_id = $2 AND deleted_at IS NULL FOR UPDATE`,
+      [id, company_id]
+    );
+    if (current.rowCount === 0) {
+      throw new NotFoundError('Invoice not found');
+    }
+    const invoice = current.rows[0];
+
+    let conflict = null;
+    if (invoice.status === 'cancelled') conflict = 'Invoice is already cancelled';
+    // Registered e-invoices are only cancelled through their IRN
+    else if (invoice.irn) conflict = 'Invoice is registered as an e-invoice; cancel its IRN to cancel it';
+    else if (!CANCELLABLE_STATUSES.includes(invoice.status)) {
+      conflict = `A ${invoice.status} invoice cannot be cancelled; delete its payments and cancel its notes first`;
+    } else {
+      const notes = await client.query(
+        `SELECT 1 FROM invoices WHERE original_invoice_id = $1 AND company_id = $2 AND status <> 'cancelled'`,
+        [id, company_id]
+      );
+      if (notes.rowCount > 0) conflict = 'Invoice has credit/debit notes against it; cancel them first';
+    }
+    if (!conflict) conflict = await periodLockReason(client, company_id, invoice.invoice_date);
+    if (conflict) {
+      throw new ConflictError(conflict);
+    }
+    const before = await loadInvoiceDetails(client, id, company_id);
+
+    await reverseCancelledStock(client, invoice, req.user.id);
+
+    await client.query(
+      `UPDATE invoices
+          SET status = 'cancelled',
+              updated_at = NOW()
+        WHERE id = $1 AND company_id = $2`,
+      [id, company_id]
+    );
+
+    if (invoice.original_invoice_id) {
+      await syncInvoicePayments(client, invoice.original_invoice_id, company_id);
+    }
+
+    const cancelled = await loadInvoiceDetails(client, id, company_id);
+    await recordAudit(client, {
+      ...auditActor(req),
+      entity: 'invoice',
+      entity_id: id,
+      action: 'cancel',
+      before,
+      after: cancelled,
+    });
+
+    await client.query('COMMIT');
+    res.status(200).json({
+      message: `${invoice.invoice_number} marked as 'cancelled'`,
+      invoice: cancelled,
+    });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    next(err);
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Get archived invoices, bills and notes (the trash) for the logged-in company
+ */
+const getArchivedInvoices = async (req, res, next) => {
+  const company_id = req.user.company_id;
+  const { type } = req.query;
+
+  const list = parseListQuery(req.query, {
+    sortable: {
+      deleted_at: 'i.deleted_at',
+      invoice_date: 'i.invoice_date',
+      invoice_number: 'i.invoice_number',
+      total_amount: 'i.total_amount',
+      party_name: 'p.name',
+    },
+    defaultSort: 'deleted_at',
+  });
+  if (list.error) {
+    throw new BadRequestError(list.error);
+  }
+
+  const filter = createFilter('i.company_id = $1 AND i.deleted_at IS NOT NULL', [company_id]);
+  if (type) filter.add(`i.invoice_type = ${filter.param(type)}::invoice_type`);
+  if (list.search) {
+    const term = filter.param(`%${list.search}%`);
+    filter.add(`(i.invoice_number ILIKE ${term} OR p.name ILIKE ${term})`);
+  }
+
+  const fromClause = `
+       FROM invoices i
+       JOIN parties p
+         ON i.party_id = p.id
+        AND p.company_id = i.company_id
+       WHERE ${filter.where()}`;
+
+  try {
+    const countResult = await pool.query(`SELECT COUNT(*) AS total ${fromClause}`, filter.params.slice());
+
+    const result = await pool.query(
+      `SELECT
+          i.id,
+          i.invoice_number,
+          i.invoice_type,
+          i.invoice_date,
+          i.due_date,
+          i.total_amount,
+          i.status,
+          i.party_id,
+          p.name AS party_name,
+          i.deleted_at,
+          i.deleted_by,
+          i.created_at
+       ${fromClause}
+       ORDER BY ${list.orderBy}
+       LIMIT ${filter.param(list.limit)} OFFSET ${filter.param(list.offset)}`,
+      filter.params
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Archived invoices fetched successfully',
+      invoices: result.rows,
+      pagination: buildPagination(list, parseInt(countResult.rows[0].total, 10)),
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Move an invoice's lines in or out of stock: archiving and cancelling take back
+ * what the invoice moved (sales return stock, bills take it back out), restoring moves it again
+ */
+const moveInvoiceStock = async (client, { invoice, direction, reason, user_id }) => {
+  const lines = await client.query(
+    `SELECT item_id, quantity, unit_cost
+       FROM invoice_items
+      WHERE invoice_id = $1`,
+    [invoice.id]
+  );
+  for (const line of lines.rows) {
+    await moveStock(client, {
+      company_id: invoice.company_id,
+      item_id: line.item_id,
+      change: direction * stockSign(invoice.invoice_type) * Number(line.quantity),
+      reason,
+      reference_type: 'invoice',
+      reference_id: invoice.id,
+      user_id,
+      unit_cost: line.unit_cost,
+    });
+  }
+};
+
+/**
+ * Take back the stock a document moved when it is cancelled. Drafts moved
+ * stock too; notes raised with `return_stock: false` never did and are left alone.
+ */
+const reverseCancelledStock = async (client, invoice, user_id) => {
+  const moved = await client.query(
+    `SELECT 1
+       FROM stock_movements
+      WHERE company_id = $1 AND reference_type = 'invoice' AND reference_id = $2
+      LIMIT 1`,
+    [invoice.company_id, invoice.id]
+  );
+  if (moved.rowCount === 0) return;
+  await moveInvoiceStock(client, { invoice, direction: -1, reason: 'invoice_cancel', user_id });
+};
+
+/**
+ * Archive an invoice: its stock movement is reversed (cancelled ones already
+ * were) and it leaves lists, reports and the dashboard until it is restored
+ */
+const deleteInvoice = async (req, res, next) => {
   const { id } = req.params;
   const company_id = req.user.company_id;
   const client = await pool.connect();
@@ -413,74 +886,738 @@ const deleteInvoice = async (req, res) => {
 
     // Check ownership
     const invoiceCheck = await client.query(
-      `SELECT id FROM invoices WHERE id = $1 AND company_id = $2`,
+      `SELECT id, company_id, invoice_type, invoice_date, status, irn, deleted_at
+         FROM invoices
+        WHERE id = $1 AND company_id = $2
+        FOR UPDATE`,
       [id, company_id]
     );
     if (invoiceCheck.rowCount === 0) {
-      throw new Error('Invoice not found');
+      throw new NotFoundError('Invoice not found');
+    }
+    const invoice = invoiceCheck.rows[0];
+    if (invoice.deleted_at) {
+      throw new ConflictError('Invoice is already archived');
+    }
+    if (!ARCHIVABLE_STATUSES.includes(invoice.status)) {
+      throw new ConflictError(`A ${invoice.status} invoice cannot be archived; cancel it first`);
     }
 
-    // Return stock to items before deleting lines
-    const lines = await client.query(
-      `SELECT item_id, quantity
-         FROM invoice_items
-        WHERE invoice_id = $1`,
-      [id]
+    const lockedReason = (await periodLockReason(client, company_id, invoice.invoice_date))
+      || (await immutableReason(client, invoice));
+    if (lockedReason) {
+      throw new ConflictError(lockedReason);
+    }
+
+    // Payments would be left against an invoice that no longer counts anywhere
+    const payments = await client.query(
+      `SELECT COUNT(*) AS count FROM payments WHERE invoice_id = $1 AND company_id = $2`,
+      [id, company_id]
     );
-    for (const line of lines.rows) {
-      await client.query(
-        `UPDATE items
-            SET quantity = quantity + $1
-          WHERE id = $2 AND company_id = $3`,
-        [line.quantity, line.item_id, company_id]
+    if (Number(payments.rows[0].count) > 0) {
+      throw new ConflictError(
+        `Invoice has ${payments.rows[0].count} payment(s) recorded against it; delete them before archiving the invoice`
       );
     }
 
-    // Delete invoice_items with company scoping via USING
+    const before = await loadInvoiceDetails(client, id, company_id);
+
+    if (invoice.status !== 'cancelled') {
+      await moveInvoiceStock(client, { invoice, direction: -1, reason: 'invoice_delete', user_id: req.user.id });
+    }
+
+    await client.query(
+      `UPDATE invoices SET deleted_at = NOW(), deleted_by = $3 WHERE id = $1 AND company_id = $2`,
+      [id, company_id, req.user.id]
+    );
+
+    await recordAudit(client, {
+      ...auditActor(req),
+      entity: 'invoice',
+      entity_id: id,
+      action: 'archive',
+      before,
+      after: await loadInvoiceDetails(client, id, company_id, { includeArchived: true }),
+    });
+
+    await client.query('COMMIT');
+    res.status(200).json({ message: 'Invoice archived successfully' });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    next(err);
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Restore an archived invoice; its stock movement is applied again unless it is cancelled
+ */
+const restoreInvoice = async (req, res, next) => {
+  const { id } = req.params;
+  const company_id = req.user.company_id;
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const invoiceCheck = await client.query(
+      `SELECT inv.id, inv.company_id, inv.invoice_type, inv.invoice_date, inv.status, inv.deleted_at,
+              p.name AS party_name, p.deleted_at AS party_deleted_at
+         FROM invoices inv
+         JOIN parties p ON p.id = inv.party_id
+        WHERE inv.id = $1 AND inv.company_id = $2
+        FOR UPDATE OF inv`,
+      [id, company_id]
+    );
+    if (invoiceCheck.rowCount === 0) {
+      throw new NotFoundError('Invoice not found');
+    }
+    const invoice = invoiceCheck.rows[0];
+    if (!invoice.deleted_at) {
+      throw new ConflictError('Invoice is not archived');
+    }
+    const lockedReason = await periodLockReason(client, company_id, invoice.invoice_date);
+    if (lockedReason) {
+      throw new ConflictError(lockedReason);
+    }
+    if (invoice.party_deleted_at) {
+      throw new ConflictError(`Party '${invoice.party_name}' is archived; restore it before the invoice`);
+    }
+
+    const archivedItems = await client.query(
+      `SELECT DISTINCT it.name
+         FROM invoice_items ii
+         JOIN items it ON it.id = ii.item_id
+        WHERE ii.invoice_id = $1 AND it.deleted_at IS NOT NULL
+        ORDER BY it.name`,
+      [id]
+    );
+    if (archivedItems.rowCount > 0) {
+      const names = archivedItems.rows.map((row) => row.name).join(', ');
+      throw new ConflictError(`Items on this invoice are archived (${names}); restore them before the invoice`);
+    }
+
+    const before = await loadInvoiceDetails(client, id, company_id, { includeArchived: true });
+
+    if (invoice.status !== 'cancelled') {
+      await moveInvoiceStock(client, { invoice, direction: 1, reason: 'invoice_restore', user_id: req.user.id });
+    }
+
     await client.query(
-      `DELETE FROM invoice_items ii
-        USING invoices inv
-       WHERE ii.invoice_id = inv.id
-         AND inv.id = $1
-         AND inv.company_id = $2`,
+      `UPDATE invoices SET deleted_at = NULL, deleted_by = NULL WHERE id = $1 AND company_id = $2`,
       [id, company_id]
     );
 
-    // Delete invoice
+    const restored = await loadInvoiceDetails(client, id, company_id);
+    await recordAudit(client, {
+      ...auditActor(req),
+      entity: 'invoice',
+      entity_id: id,
+      action: 'restore',
+      before,
+      after: restored,
+    });
+
+    await client.query('COMMIT');
+    res.status(200).json({ message: 'Invoice restored successfully', invoice: restored });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    next(err);
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Delete an archived invoice and its lines for good
+ */
+const deleteInvoicePermanently = async (req, res, next) => {
+  const { id } = req.params;
+  const company_id = req.user.company_id;
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const before = await loadInvoiceDetails(client, id, company_id, { includeArchived: true });
+    if (!before) {
+      throw new NotFoundError('Invoice not found');
+    }
+    if (!before.deleted_at) {
+      throw new ConflictError('Archive the invoice before deleting it permanently');
+    }
+    const lockedReason = await periodLockReason(client, company_id, before.invoice_date);
+    if (lockedReason) {
+      throw new ConflictError(lockedReason);
+    }
+
+    // Lines go with the invoice; its stock was already reversed when it was archived
     await client.query(
-      `DELETE FROM invoices WHERE id = $1 AND company_id = $2`,
+      `DELETE FROM invoices WHERE id = $1 AND company_id = $2 AND deleted_at IS NOT NULL`,
+      [id, company_id]
+    );
+
+    await recordAudit(client, { ...auditActor(req), entity: 'invoice', entity_id: id, action: 'delete', before });
+
+    await client.query('COMMIT');
+    res.status(200).json({ message: 'Invoice deleted permanently' });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    next(err);
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Raise a credit note (against a sale) or debit note (against a purchase bill)
+ * for specific lines of an invoice. The original invoice is left untouched;
+ * the note reduces its balance and can optionally move the goods back.
+ */
+const createInvoiceNote = async (req, res, next) => {
+  const { id } = req.params;
+  const { items = [], reason, invoice_number, return_stock = true } = req.body;
+  const company_id = req.user.company_id;
+
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    // 1) Lock the original so concurrent notes cannot over-return a line
+    const originalResult = await client.query(
+      `SELECT id, party_id, invoice_number, invoice_type, status, place_of_supply, supply_type
+         FROM invoices
+        WHERE id = $1 AND company_id = $2 AND deleted_at IS NULL
+        FOR UPDATE`,
+      [id, company_id]
+    );
+    if (originalResult.rowCount === 0) {
+      throw new NotFoundError('Invoice not found');
+    }
+    const original = originalResult.rows[0];
+
+    const noteType = NOTE_TYPE_FOR[original.invoice_type];
+    if (!noteType) {
+      throw new UnprocessableError('Notes can only be raised against sales invoices and purchase bills');
+    }
+    if (['draft', 'cancelled'].includes(original.status)) {
+      throw new ConflictError(`Cannot raise a note against a ${original.status} invoice`);
+    }
+    // The note is dated today, so it only needs today's period to be open
+    const lockedReason = await periodLockReason(client, company_id, null);
+    if (lockedReason) {
+      throw new ConflictError(lockedReason);
+    }
+
+    // 2) Number the note from its own series unless one is supplied
+    const numberExists = (number) =>
+      invoiceNumberTaken(client, { company_id, number, invoiceType: noteType, party_id: original.party_id });
+
+    let noteNumber = invoice_number ? String(invoice_number).trim() : '';
+    if (!noteNumber) {
+      noteNumber = await allocateNumber(client, company_id, noteType, { isTaken: numberExists });
+    } else if (await numberExists(noteNumber)) {
+      throw new ConflictError('Invoice number already exists for this company');
+    }
+
+    // 3) Note header mirrors the original's party and place of supply.
+    // A note is fully applied against its original, so its own balance is zero.
+    const noteResult = await client.query(
+      `INSERT INTO invoices (company_id, party_id, invoice_number, invoice_type, total_amount, status,
+                             place_of_supply, supply_type, original_invoice_id, note_reason)
+       VALUES ($1, $2, $3, $4::invoice_type, 0, 'sent', $5, $6::supply_type, $7, $8)
+       RETURNING id`,
+      [company_id, original.party_id, noteNumber, noteType,
+       original.place_of_supply, original.supply_type, id, reason || null]
+    );
+    const noteId = noteResult.rows[0].id;
+
+    const seenLines = new Set();
+    for (const line of items) {
+      const { invoice_item_id, quantity } = line;
+
+      if (!invoice_item_id) throw new BadRequestError('invoice_item_id is required for each line');
+      if (seenLines.has(invoice_item_id)) {
+        throw new BadRequestError(`Invoice line listed more than once: ${invoice_item_id}`);
+      }
+      seenLines.add(invoice_item_id);
+      if (!Number.isInteger(Number(quantity)) || Number(quantity) <= 0) {
+        throw new BadRequestError(`Quantity must be a whole number greater than 0 for line: ${invoice_item_id}`);
+      }
+
+      // 3.1) The line must belong to the original; cap at what has not been returned yet
+      const lineResult = await client.query(
+        `SELECT ii.item_id, ii.quantity, ii.price_at_purchase, ii.hsn_code, ii.gst_rate, ii.unit_cost,
+                COALESCE((
+                  SELECT SUM(ni.quantity)
+                    FROM invoice_items ni
+                    JOIN invoices n ON n.id = ni.invoice_id
+                   WHERE ni.original_item_id = ii.id AND n.status <> 'cancelled'
+                ), 0) AS returned_quantity
+           FROM invoice_items ii
+          WHERE ii.id = $1 AND ii.invoice_id = $2`,
+        [invoice_item_id, id]
+      );
+      if (lineResult.rowCount === 0) {
+        throw new UnprocessableError(`Line not found on invoice ${original.invoice_number}: ${invoice_item_id}`);
+      }
+      const originalLine = lineResult.rows[0];
+      const returnable = Number(originalLine.quantity) - Number(originalLine.returned_quantity);
+      if (Number(quantity) > returnable) {
+        throw new UnprocessableError(`Only ${returnable} unit(s) left to return on line: ${invoice_item_id}`);
+      }
+
+      // 3.2) Same rate and GST as the original line, so taxes reverse exactly
+      const tax = computeLineTax({
+        price: originalLine.price_at_purchase,
+        quantity,
+        gstRate: originalLine.gst_rate,
+        supplyType: original.supply_type,
+      });
+
+      // 3.3) Customer returns come back into stock at the cost they went out at,
+      // returns to a supplier go out at the current average cost
+      let movement = null;
+      if (return_stock) {
+        movement = await moveStock(client, {
+          company_id,
+          item_id: originalLine.item_id,
+          change: stockSign(noteType) * Number(quantity),
+          reason: noteType === 'credit_note' ? 'sales_return' : 'purchase_return',
+          reference_type: 'invoice',
+          reference_id: noteId,
+          note: `${NOTE_LABEL[noteType]} against ${original.invoice_number}`,
+          user_id: req.user.id,
+          unit_cost: originalLine.unit_cost,
+        });
+      }
+      const unitCost = movement ? movement.unit_cost : null;
+
+      await client.query(
+        `INSERT INTO invoice_items (invoice_id, item_id, quantity, price_at_purchase, hsn_code, gst_rate,
+                                    taxable_amount, cgst_amount, sgst_amount, igst_amount, total_line_amount,
+                                    original_item_id, unit_cost, cost_amount)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)`,
+        [noteId, originalLine.item_id, quantity, originalLine.price_at_purchase, originalLine.hsn_code,
+         tax.gst_rate, tax.taxable_amount, tax.cgst_amount, tax.sgst_amount, tax.igst_amount,
+         tax.total_line_amount, invoice_item_id, unitCost, costAmount(unitCost, quantity)]
+      );
+    }
+
+    await rollUpInvoiceTotals(client, noteId, company_id);
+    await client.query(
+      `UPDATE invoices SET amount_credited = total_amount WHERE id = $1 AND company_id = $2`,
+      [noteId, company_id]
+    );
+
+    // 4) Reduce the original's outstanding balance
+    const balance = await syncInvoicePayments(client, id, company_id);
+    const note = await loadInvoiceDetails(client, noteId, company_id);
+
+    await recordAudit(client, { ...auditActor(req), entity: 'invoice', entity_id: noteId, action: 'create', after: note });
+
+    await client.query('COMMIT');
+    res.status(201).json({
+      message: `${NOTE_LABEL[noteType]} created successfully`,
+      note,
+      invoice: { id, ...balance },
+    });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    next(err);
+  } finally {
+    client.release();
+  }
+};
+
+// E-invoice registration fields as returned to clients
+const eInvoiceDetails = (invoice) =>
+  invoice.irn
+    ? {
+        irn: invoice.irn,
+        ack_no: invoice.irn_ack_no,
+        ack_date: invoice.irn_ack_date,
+        signed_qr: invoice.irn_signed_qr,
+        status: invoice.irn_cancelled_at ? 'cancelled' : 'active',
+        cancelled_at: invoice.irn_cancelled_at,
+        cancel_reason: invoice.irn_cancel_reason,
+      }
+    : null;
+
+const irpErrors = (response) =>
+  (response && Array.isArray(response.ErrorDetails) ? response.ErrorDetails : []).map(
+    (e) => `${e.ErrorCode}: ${e.ErrorMessage}`
+  );
+
+/**
+ * Preview the IRP e-invoice JSON for an invoice, with anything that would stop it registering
+ */
+const getEInvoice = async (req, res, next) => {
+  const { id } = req.params;
+  const company_id = req.user.company_id;
+
+  try {
+    const invoice = await loadInvoiceDetails(pool, id, company_id);
+    if (!invoice) {
+      throw new NotFoundError('Invoice not found');
+    }
+
+    const { company, party } = await loadInvoiceParties(pool, invoice);
+    const { payload, errors } = buildEInvoicePayload({ company, party, invoice });
+
+    res.status(200).json({
+      invoice_id: invoice.id,
+      invoice_number: invoice.invoice_number,
+      einvoice: eInvoiceDetails(invoice),
+      ready: !invoice.irn && errors.length === 0,
+      errors,
+      payload,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Register an invoice on the IRP and store the IRN, acknowledgement and signed QR code
+ */
+const generateEInvoice = async (req, res, next) => {
+  const { id } = req.params;
+  const company_id = req.user.company_id;
+
+  try {
+    const invoice = await loadInvoiceDetails(pool, id, company_id);
+    if (!invoice) {
+      throw new NotFoundError('Invoice not found');
+    }
+    if (invoice.irn) {
+      throw new ConflictError(
+        invoice.irn_cancelled_at
+          ? 'The IRN of this invoice was cancelled; its number cannot be registered again'
+          : 'Invoice already has an IRN',
+        { details: { einvoice: eInvoiceDetails(invoice) } }
+      );
+    }
+    const lockedReason = await periodLockReason(pool, company_id, invoice.invoice_date);
+    if (lockedReason) {
+      throw new ConflictError(lockedReason);
+    }
+
+    const { company, party } = await loadInvoiceParties(pool, invoice);
+    const { payload, errors } = buildEInvoicePayload({ company, party, invoice });
+    if (errors.length) {
+      throw new BadRequestError('Invoice is not ready for e-invoicing', { details: { errors } });
+    }
+
+    let response;
+    try {
+      response = await generateIrn(payload);
+    } catch (err) {
+      throw new BadGatewayError('Could not reach the e-invoice registration portal', { cause: err });
+    }
+    if (!response || response.Status !== 1 || !response.Data || !response.Data.Irn) {
+      throw new UnprocessableError('E-invoice was rejected by the IRP', { details: { errors: irpErrors(response) } });
+    }
+
+    const { Irn, AckNo, AckDt, SignedQRCode } = response.Data;
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const result = await client.query(
+        `UPDATE invoices
+            SET irn = $1,
+                irn_ack_no = $2,
+                irn_ack_date = ($3::timestamp AT TIME ZONE 'Asia/Kolkata'),
+                irn_signed_qr = $4,
+                updated_at = NOW()
+          WHERE id = $5 AND company_id = $6 AND irn IS NULL
+          RETURNING *`,
+        [Irn, String(AckNo), AckDt, SignedQRCode, id, company_id]
+      );
+      if (result.rowCount === 0) {
+        throw new ConflictError('Invoice already has an IRN');
+      }
+
+      await recordAudit(client, {
+        ...auditActor(req),
+        entity: 'invoice',
+        entity_id: id,
+        action: 'generate_irn',
+        before: invoice,
+        after: await loadInvoiceDetails(client, id, company_id),
+      });
+
+      await client.query('COMMIT');
+      res.status(201).json({
+        message: `E-invoice registered for ${invoice.invoice_number}`,
+        einvoice: eInvoiceDetails(result.rows[0]),
+      });
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
+    } finally {
+      client.release();
+    }
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Cancel an invoice's IRN on the IRP (within 24 hours of generation); the invoice is cancelled with it
+ */
+const cancelEInvoice = async (req, res, next) => {
+  const { id } = req.params;
+  const { reason_code, remarks } = req.body;
+  const company_id = req.user.company_id;
+
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const invoiceResult = await client.query(
+      `SELECT * FROM invoices WHERE id = $1 AND company_id = $2 FOR UPDATE`,
       [id, company_id]
     );
+    if (invoiceResult.rowCount === 0) {
+      throw new NotFoundError('Invoice not found');
+    }
+    const invoice = invoiceResult.rows[0];
+
+    let conflict = null;
+    if (!invoice.irn) conflict = 'Invoice has no IRN';
+    else if (invoice.irn_cancelled_at) conflict = 'IRN is already cancelled';
+    else if (Date.now() - new Date(invoice.irn_ack_date).getTime() > CANCEL_WINDOW_HOURS * 60 * 60 * 1000) {
+      conflict = `An IRN can only be cancelled within ${CANCEL_WINDOW_HOURS} hours of generation; raise a credit note instead`;
+    } else if (Number(invoice.amount_paid) > 0) {
+      conflict = 'Delete the payments recorded against this invoice before cancelling its IRN';
+    } else {
+      const notes = await client.query(
+        `SELECT 1 FROM invoices WHERE original_invoice_id = $1 AND company_id = $2 AND status <> 'cancelled'`,
+        [id, company_id]
+      );
+      if (notes.rowCount > 0) conflict = 'Invoice has credit/debit notes against it; cancel them first';
+    }
+    if (!conflict) conflict = await periodLockReason(client, company_id, invoice.invoice_date);
+    if (conflict) {
+      throw new ConflictError(conflict);
+    }
+    const before = await loadInvoiceDetails(client, id, company_id);
+
+    // Every local change is made (and can fail) before the IRP call; the IRN
+    // is only cancelled on the portal once nothing but the commit is left
+    await reverseCancelledStock(client, invoice, req.user.id);
+
+    const result = await client.query(
+      `UPDATE invoices
+          SET irn_cancelled_at = NOW(),
+              irn_cancel_reason = $1,
+              status = 'cancelled',
+              updated_at = NOW()
+        WHERE id = $2 AND company_id = $3
+        RETURNING *`,
+      [`${CANCEL_REASONS[reason_code]}: ${String(remarks).trim()}`, id, company_id]
+    );
+
+    // A cancelled credit note no longer reduces its invoice's balance
+    if (invoice.original_invoice_id) {
+      await syncInvoicePayments(client, invoice.original_invoice_id, company_id);
+    }
+
+    await recordAudit(client, {
+      ...auditActor(req),
+      entity: 'invoice',
+      entity_id: id,
+      action: 'cancel_irn',
+      before,
+      after: await loadInvoiceDetails(client, id, company_id),
+    });
+
+    let response;
+    try {
+      response = await cancelIrn({ Irn: invoice.irn, CnlRsn: String(reason_code), CnlRem: String(remarks).trim() });
+    } catch (err) {
+      throw new BadGatewayError('Could not reach the e-invoice registration portal', { cause: err });
+    }
+    if (!response || response.Status !== 1) {
+      throw new UnprocessableError('IRN cancellation was rejected by the IRP', { details: { errors: irpErrors(response) } });
+    }
 
     await client.query('COMMIT');
-    res.status(200).json({ message: 'Invoice deleted successfully' });
+
+    res.status(200).json({
+      message: `IRN cancelled and ${invoice.invoice_number} marked as 'cancelled'`,
+      einvoice: eInvoiceDetails(result.rows[0]),
+    });
   } catch (err) {
     await client.query('ROLLBACK');
-    console.error('❌ deleteInvoice error:', err);
-    res.status(500).json({ error: err.message });
+    next(err);
   } finally {
     client.release();
   }
 };
 
+/**
+ * Set the transporter, vehicle, distance and dispatch/ship-to addresses used on the e-way bill.
+ * Transport details are not part of the tax invoice, so they can be set on issued and e-invoiced invoices.
+ */
+const updateInvoiceTransport = async (req, res, next) => {
+  const { id } = req.params;
+  const company_id = req.user.company_id;
+
+  const parsed = parseTransportDetails(req.body);
+  if (parsed.error) {
+    throw new BadRequestError(parsed.error);
+  }
+
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const before = await loadInvoiceDetails(client, id, company_id);
+    if (!before) {
+      throw new NotFoundError('Invoice not found');
+    }
+    const conflict = before.status === 'cancelled'
+      ? 'Transport details cannot be set on a cancelled invoice'
+      : await periodLockReason(client, company_id, before.invoice_date);
+    if (conflict) {
+      throw new ConflictError(conflict);
+    }
+
+    const columns = Object.keys(parsed.values);
+    const params = Object.values(parsed.values);
+    const result = await client.query(
+      `UPDATE invoices
+          SET ${columns.map((column, i) => `${column} = $${i + 1}`).join(', ')},
+              updated_at = NOW()
+        WHERE id = $${columns.length + 1} AND company_id = $${columns.length + 2}
+        RETURNING id, ${columns.join(', ')}`,
+      [...params, id, company_id]
+    );
+
+    await recordAudit(client, {
+      ...auditActor(req),
+      entity: 'invoice',
+      entity_id: id,
+      action: 'update_transport',
+      before,
+      after: await loadInvoiceDetails(client, id, company_id),
+    });
+
+    await client.query('COMMIT');
+    res.status(200).json({
+      message: 'Transport details updated',
+      transport: result.rows[0],
+    });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    next(err);
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Preview the e-way bill entry for an invoice, with anything the portal would reject
+ */
+const getInvoiceEwayBill = async (req, res, next) => {
+  const { id } = req.params;
+  const company_id = req.user.company_id;
+
+  try {
+    const invoice = await loadInvoiceDetails(pool, id, company_id);
+    if (!invoice) {
+      throw new NotFoundError('Invoice not found');
+    }
+
+    const { company, party } = await loadInvoiceParties(pool, invoice);
+    const { bill, issues } = buildEwayBill({ company, party, invoice });
+
+    res.status(200).json({
+      invoice_id: invoice.id,
+      invoice_number: invoice.invoice_number,
+      ready: !issues.some((issue) => issue.severity === 'error'),
+      issues,
+      bill,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Download the e-way bill bulk-upload JSON for the selected invoices.
+ * Nothing is exported while any invoice has errors, so a file never fails part-way on the portal.
+ */
+const exportEwayBills = async (req, res, next) => {
+  const { invoice_ids } = req.body;
+  const company_id = req.user.company_id;
+  const ids = [...new Set(invoice_ids)];
+
+  try {
+    const bills = [];
+    const rejected = [];
+    let company = null;
+
+    for (const id of ids) {
+      const invoice = await loadInvoiceDetails(pool, id, company_id);
+      if (!invoice) {
+        rejected.push({ invoice_id: id, invoice_number: null, issues: [{ severity: 'error', message: 'Invoice not found' }] });
+        continue;
+      }
+      const parties = await loadInvoiceParties(pool, invoice);
+      company = parties.company;
+      const { bill, issues } = buildEwayBill({ ...parties, invoice });
+      if (issues.some((issue) => issue.severity === 'error')) {
+        rejected.push({ invoice_id: invoice.id, invoice_number: invoice.invoice_number, issues });
+      } else {
+        bills.push(bill);
+      }
+    }
+
+    if (rejected.length) {
+      throw new BadRequestError('Some invoices are not ready for an e-way bill', { details: { invoices: rejected } });
+    }
+
+    const stamp = toDateString(new Date()).replace(/-/g, '');
+    res.set('Content-Disposition', `attachment; filename="EWB_${company.gstin || 'NO_GSTIN'}_${stamp}.json"`);
+    res.status(200).json(buildEwayBillExport(bills));
+  } catch (err) {
+    next(err);
+  }
+};
+
 /**
  * Summary KPIs for invoices (scoped)
  */
-const getInvoiceSummary = async (req, res) => {
+const getInvoiceSummary = async (req, res, next) => {
   try {
     const company_id = req.user.company_id;
+    // Receivables (sales) by default; ?type=purchase summarises supplier bills.
+    // Only issued documents count, as on the dashboard.
+    const type = req.query.type || 'sale';
 
     const result = await pool.query(
       `
       SELECT
         COUNT(*) AS total_invoices,
         COALESCE(SUM(total_amount), 0) AS total_amount,
-        COALESCE(SUM(CASE WHEN status = 'paid' THEN total_amount ELSE 0 END), 0) AS paid_amount,
-        COUNT(CASE WHEN status != 'paid' AND due_date < NOW() THEN 1 END) AS overdue
+        COALESCE(SUM(amount_paid), 0) AS paid_amount,
+        COALESCE(SUM(amount_credited), 0) AS credited_amount,
+        COALESCE(SUM(total_amount - amount_paid - amount_credited), 0) AS outstanding_amount,
+        COUNT(CASE WHEN status <> 'paid' AND due_date < NOW() THEN 1 END) AS overdue
       FROM invoices
-      WHERE company_id = $1::uuid;
+      WHERE company_id = $1::uuid
+        AND invoice_type = $2::invoice_type
+        AND deleted_at IS NULL
+        AND status NOT IN ('draft', 'cancelled');
       `,
-      [company_id]
+      [company_id, type]
     );
 
     const row = result.rows[0];
@@ -492,14 +1629,13 @@ const getInvoiceSummary = async (req, res) => {
         total_invoices: parseInt(row.total_invoices, 10) || 0,
         total_amount: parseFloat(row.total_amount) || 0,
         paid_amount: parseFloat(row.paid_amount) || 0,
+        credited_amount: parseFloat(row.credited_amount) || 0,
+        outstanding_amount: parseFloat(row.outstanding_amount) || 0,
         overdue: parseInt(row.overdue, 10) || 0,
       },
     });
   } catch (err) {
-    console.error('❌ getInvoiceSummary error:', err);
-    res
-      .status(500)
-      .json({ error: 'Internal Server Error while fetching invoice summary' });
+    next(err);
   }
 };
 
@@ -507,8 +1643,20 @@ module.exports = {
   createInvoice,
   getAllInvoices,
   getInvoiceById,
+  getInvoicePdf,
   updateInvoice,
   updateInvoiceStatus,
+  cancelInvoice,
   deleteInvoice,
+  getArchivedInvoices,
+  restoreInvoice,
+  deleteInvoicePermanently,
+  createInvoiceNote,
+  getEInvoice,
+  generateEInvoice,
+  cancelEInvoice,
+  updateInvoiceTransport,
+  getInvoiceEwayBill,
+  exportEwayBills,
   getInvoiceSummary,
 };
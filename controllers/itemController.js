@@ -1,113 +1,496 @@
 const pool = require('../db');
+const { moveStock } = require('../utils/stock');
+const { parseListQuery, createFilter, buildPagination } = require('../utils/listQuery');
+const { auditActor, recordAudit } = require('../utils/audit');
+const { BadRequestError, NotFoundError, ConflictError } = require('../utils/errors');
+
+const ITEM_COLUMNS =
+  'id, company_id, name, description, category, price, cost_price, quantity, hsn_code, gst_rate, deleted_at, deleted_by, created_at, updated_at';
+
+const ITEM_SORTABLE = {
+  created_at: 'created_at',
+  name: 'name',
+  price: 'price',
+  quantity: 'quantity',
+  category: 'category',
+};
+
+// ✅ GET all items for logged-in user's company (paginated, sortable, searchable)
+const getAllItems = async (req, res, next) => {
+  const { company_id } = req.user;
+  const { category, low_stock } = req.query;
+
+  const list = parseListQuery(req.query, { sortable: ITEM_SORTABLE, defaultSort: 'created_at' });
+  if (list.error) {
+    throw new BadRequestError(list.error);
+  }
+
+  const filter = createFilter('company_id = $1 AND deleted_at IS NULL', [company_id]);
+  if (category) filter.add(`category = ${filter.param(category)}`);
+  if (low_stock === 'true') filter.add('quantity < 5');
+  if (list.search) {
+    const term = filter.param(`%${list.search}%`);
+    filter.add(`(name ILIKE ${term} OR description ILIKE ${term} OR hsn_code ILIKE ${term})`);
+  }
 
-// ✅ GET all items for logged-in user's company
-const getAllItems = async (req, res) => {
   try {
-    const { company_id } = req.user;
+    const countResult = await pool.query(
+      `SELECT COUNT(*) AS total FROM items WHERE ${filter.where()}`,
+      filter.params.slice()
+    );
 
     const result = await pool.query(
-      `SELECT id, company_id, name, description, category, price, quantity, created_at, updated_at 
+      `SELECT ${ITEM_COLUMNS} 
        FROM items 
-       WHERE company_id = $1 
-       ORDER BY created_at DESC`,
-      [company_id]
+       WHERE ${filter.where()} 
+       ORDER BY ${list.orderBy}
+       LIMIT ${filter.param(list.limit)} OFFSET ${filter.param(list.offset)}`,
+      filter.params
     );
 
     res.status(200).json({
       success: true,
       message: "Items fetched successfully",
       items: result.rows,
+      pagination: buildPagination(list, parseInt(countResult.rows[0].total, 10)),
     });
   } catch (err) {
-    console.error('❌ Error fetching items:', err.message);
-    res.status(500).json({ success: false, message: 'Server error fetching items' });
+    next(err);
   }
 };
 
-// ✅ CREATE new item
-const createItem = async (req, res) => {
+// ✅ CREATE new item (body checked against ItemInput)
+const createItem = async (req, res, next) => {
+  const { company_id, id: user_id } = req.user;
+  const { name, description, price, cost_price, quantity = 0, category, hsn_code, gst_rate } = req.body;
+
+  const client = await pool.connect();
+
   try {
-    const { company_id } = req.user;
-    const { name, description, price, quantity, category } = req.body;
+    await client.query('BEGIN');
 
-    const result = await pool.query(
-      `INSERT INTO items (company_id, name, description, price, quantity, category, created_at, updated_at)
-       VALUES ($1, $2, $3, $4, $5, $6, NOW(), NOW())
-       RETURNING id, company_id, name, description, category, price, quantity, created_at, updated_at`,
-      [company_id, name, description, price, quantity, category]
+    // Item starts empty; opening stock is booked through the ledger
+    const result = await client.query(
+      `INSERT INTO items (company_id, name, description, price, cost_price, quantity, category, hsn_code, gst_rate,
+                          created_at, updated_at)
+       VALUES ($1, $2, $3, $4, COALESCE($5, 0), 0, $6, $7, COALESCE($8, 0), NOW(), NOW())
+       RETURNING id`,
+      [company_id, name, description ?? null, price, cost_price ?? null, category, hsn_code || null, gst_rate ?? null]
     );
+    const itemId = result.rows[0].id;
+
+    await moveStock(client, {
+      company_id,
+      item_id: itemId,
+      change: Number(quantity),
+      reason: 'opening',
+      reference_type: 'item',
+      reference_id: itemId,
+      note: 'Opening stock',
+      user_id,
+      unit_cost: cost_price ?? 0,
+    });
 
+    const item = await client.query(`SELECT ${ITEM_COLUMNS} FROM items WHERE id = $1`, [itemId]);
+
+    await recordAudit(client, { ...auditActor(req), entity: 'item', entity_id: itemId, action: 'create', after: item.rows[0] });
+
+    await client.query('COMMIT');
     res.status(201).json({
       success: true,
       message: "Item created successfully",
-      item: result.rows[0],
+      item: item.rows[0],
     });
   } catch (err) {
-    console.error('❌ Error creating item:', err.message);
-    res.status(500).json({ success: false, message: 'Server error creating item' });
+    await client.query('ROLLBACK');
+    next(err);
+  } finally {
+    client.release();
   }
 };
 
-// ✅ UPDATE item
-const updateItem = async (req, res) => {
+// ✅ UPDATE item (body checked against ItemUpdate)
+const updateItem = async (req, res, next) => {
+  const { id } = req.params;
+  const { company_id, id: user_id } = req.user;
+  const { name, description, price, cost_price, quantity, category, hsn_code, gst_rate, adjustment_note } = req.body;
+
+  const client = await pool.connect();
+
   try {
-    const { id } = req.params;
-    const { company_id } = req.user;
-    const { name, description, price, quantity, category } = req.body;
+    await client.query('BEGIN');
 
-    const result = await pool.query(
+    const current = await client.query(
+      `SELECT ${ITEM_COLUMNS} FROM items WHERE id = $1 AND company_id = $2 FOR UPDATE`,
+      [id, company_id]
+    );
+    if (current.rowCount === 0) {
+      throw new NotFoundError('Item not found or unauthorized');
+    }
+    if (current.rows[0].deleted_at) {
+      throw new ConflictError('Item is archived; restore it before editing');
+    }
+
+    await client.query(
       `UPDATE items
        SET name = COALESCE($1, name),
            description = COALESCE($2, description),
            price = COALESCE($3, price),
-           quantity = COALESCE($4, quantity),
-           category = COALESCE($5, category),
+           category = COALESCE($4, category),
+           hsn_code = COALESCE($5, hsn_code),
+           gst_rate = COALESCE($6, gst_rate),
+           cost_price = COALESCE($7, cost_price),
            updated_at = NOW()
-       WHERE id = $6 AND company_id = $7
-       RETURNING id, company_id, name, description, category, price, quantity, created_at, updated_at`,
-      [name, description, price, quantity, category, id, company_id]
+       WHERE id = $8 AND company_id = $9`,
+      [name, description, price, category, hsn_code, gst_rate, cost_price ?? null, id, company_id]
     );
 
-    if (result.rowCount === 0)
-      return res.status(404).json({ message: 'Item not found or unauthorized' });
+    // A new quantity is a manual stock adjustment by the difference
+    if (quantity !== undefined && quantity !== null) {
+      await moveStock(client, {
+        company_id,
+        item_id: id,
+        change: Number(quantity) - Number(current.rows[0].quantity),
+        reason: 'adjustment',
+        reference_type: 'item',
+        reference_id: id,
+        note: adjustment_note || null,
+        user_id,
+      });
+    }
+
+    const result = await client.query(`SELECT ${ITEM_COLUMNS} FROM items WHERE id = $1`, [id]);
 
+    await recordAudit(client, {
+      ...auditActor(req),
+      entity: 'item',
+      entity_id: id,
+      action: 'update',
+      before: current.rows[0],
+      after: result.rows[0],
+    });
+
+    await client.query('COMMIT');
     res.json({
       success: true,
       message: "Item updated successfully",
       item: result.rows[0],
     });
   } catch (err) {
-    console.error('❌ Error updating item:', err.message);
-    res.status(500).json({ success: false, message: 'Server error updating item' });
+    await client.query('ROLLBACK');
+    next(err);
+  } finally {
+    client.release();
   }
 };
 
-// ✅ DELETE item
-const deleteItem = async (req, res) => {
+// ✅ GET stock ledger for one item
+const getItemMovements = async (req, res, next) => {
   try {
     const { id } = req.params;
     const { company_id } = req.user;
 
+    const item = await pool.query(
+      `SELECT i.id, i.name, i.quantity,
+              COALESCE((SELECT SUM(quantity_change) FROM stock_movements sm WHERE sm.item_id = i.id), 0) AS ledger_quantity
+         FROM items i
+        WHERE i.id = $1 AND i.company_id = $2`,
+      [id, company_id]
+    );
+
+    if (item.rowCount === 0)
+      throw new NotFoundError('Item not found or unauthorized');
+
+    const movements = await pool.query(
+      `SELECT id, quantity_change, balance_after, reason, reference_type, reference_id, note, created_by, created_at
+         FROM stock_movements
+        WHERE item_id = $1 AND company_id = $2
+        ORDER BY created_at DESC, id`,
+      [id, company_id]
+    );
+
+    const { quantity, ledger_quantity, ...rest } = item.rows[0];
+
+    res.status(200).json({
+      success: true,
+      message: "Stock movements fetched successfully",
+      item: {
+        ...rest,
+        quantity: Number(quantity),
+        ledger_quantity: Number(ledger_quantity),
+        reconciled: Number(quantity) === Number(ledger_quantity),
+      },
+      movements: movements.rows,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// ✅ Reconciliation: items whose ledger sum differs from items.quantity
+const getStockReconciliation = async (req, res, next) => {
+  try {
+    const { company_id } = req.user;
+
     const result = await pool.query(
-      'DELETE FROM items WHERE id = $1 AND company_id = $2 RETURNING id',
+      `SELECT i.id, i.name, i.quantity,
+              COALESCE(SUM(sm.quantity_change), 0) AS ledger_quantity
+         FROM items i
+         LEFT JOIN stock_movements sm ON sm.item_id = i.id
+        WHERE i.company_id = $1
+        GROUP BY i.id, i.name, i.quantity
+       HAVING i.quantity <> COALESCE(SUM(sm.quantity_change), 0)
+        ORDER BY i.name`,
+      [company_id]
+    );
+
+    const mismatches = result.rows.map((row) => ({
+      id: row.id,
+      name: row.name,
+      quantity: Number(row.quantity),
+      ledger_quantity: Number(row.ledger_quantity),
+      difference: Number(row.quantity) - Number(row.ledger_quantity),
+    }));
+
+    res.status(200).json({
+      success: true,
+      message: mismatches.length ? "Stock ledger does not match item quantities" : "Stock ledger is reconciled",
+      data: {
+        reconciled: mismatches.length === 0,
+        mismatches,
+      },
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// ✅ GET archived items (the trash)
+const getArchivedItems = async (req, res, next) => {
+  const { company_id } = req.user;
+
+  const list = parseListQuery(req.query, {
+    sortable: { ...ITEM_SORTABLE, deleted_at: 'deleted_at' },
+    defaultSort: 'deleted_at',
+  });
+  if (list.error) {
+    throw new BadRequestError(list.error);
+  }
+
+  const filter = createFilter('company_id = $1 AND deleted_at IS NOT NULL', [company_id]);
+  if (list.search) {
+    const term = filter.param(`%${list.search}%`);
+    filter.add(`(name ILIKE ${term} OR description ILIKE ${term} OR hsn_code ILIKE ${term})`);
+  }
+
+  try {
+    const countResult = await pool.query(
+      `SELECT COUNT(*) AS total FROM items WHERE ${filter.where()}`,
+      filter.params.slice()
+    );
+
+    const result = await pool.query(
+      `SELECT ${ITEM_COLUMNS}
+       FROM items
+       WHERE ${filter.where()}
+       ORDER BY ${list.orderBy}
+       LIMIT ${filter.param(list.limit)} OFFSET ${filter.param(list.offset)}`,
+      filter.params
+    );
+
+    res.status(200).json({
+      success: true,
+      message: "Archived items fetched successfully",
+      items: result.rows,
+      pagination: buildPagination(list, parseInt(countResult.rows[0].total, 10)),
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// ✅ DELETE item (archive it; it can be restored from the trash)
+const deleteItem = async (req, res, next) => {
+  const { id } = req.params;
+  const { company_id, id: user_id } = req.user;
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const current = await client.query(
+      `SELECT ${ITEM_COLUMNS} FROM items WHERE id = $1 AND company_id = $2 FOR UPDATE`,
+      [id, company_id]
+    );
+    if (current.rowCount === 0) {
+      throw new NotFoundError('Item not found or unauthorized');
+    }
+    if (current.rows[0].deleted_at) {
+      throw new ConflictError('Item is already archived');
+    }
+
+    // Running schedules would keep billing an item nobody can see
+    const schedules = await client.query(
+      `SELECT COUNT(DISTINCT r.id) AS count
+         FROM recurring_invoice_items ri
+         JOIN recurring_invoices r ON r.id = ri.recurring_invoice_id
+        WHERE ri.item_id = $1 AND r.company_id = $2 AND r.status IN ('active', 'paused')`,
+      [id, company_id]
+    );
+    if (Number(schedules.rows[0].count) > 0) {
+      throw new ConflictError(
+        `Item is billed by ${schedules.rows[0].count} recurring invoice(s); delete them before archiving the item`
+      );
+    }
+
+    const result = await client.query(
+      `UPDATE items SET deleted_at = NOW(), deleted_by = $3
+        WHERE id = $1 AND company_id = $2
+        RETURNING ${ITEM_COLUMNS}`,
+      [id, company_id, user_id]
+    );
+
+    await recordAudit(client, {
+      ...auditActor(req),
+      entity: 'item',
+      entity_id: id,
+      action: 'archive',
+      before: current.rows[0],
+      after: result.rows[0],
+    });
+
+    await client.query('COMMIT');
+    res.json({
+      success: true,
+      message: 'Item archived successfully',
+      item: result.rows[0],
+    });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    next(err);
+  } finally {
+    client.release();
+  }
+};
+
+// ✅ RESTORE an archived item
+const restoreItem = async (req, res, next) => {
+  const { id } = req.params;
+  const { company_id } = req.user;
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const current = await client.query(
+      `SELECT ${ITEM_COLUMNS} FROM items WHERE id = $1 AND company_id = $2 FOR UPDATE`,
+      [id, company_id]
+    );
+    if (current.rowCount === 0) {
+      throw new NotFoundError('Item not found or unauthorized');
+    }
+    if (!current.rows[0].deleted_at) {
+      throw new ConflictError('Item is not archived');
+    }
+
+    const result = await client.query(
+      `UPDATE items SET deleted_at = NULL, deleted_by = NULL
+        WHERE id = $1 AND company_id = $2
+        RETURNING ${ITEM_COLUMNS}`,
+      [id, company_id]
+    );
+
+    await recordAudit(client, {
+      ...auditActor(req),
+      entity: 'item',
+      entity_id: id,
+      action: 'restore',
+      before: current.rows[0],
+      after: result.rows[0],
+    });
+
+    await client.query('COMMIT');
+    res.json({
+      success: true,
+      message: 'Item restored successfully',
+      item: result.rows[0],
+    });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    next(err);
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Why an item cannot be deleted for good, or null when it can.
+ * Items on any invoice, quotation/sales order or recurring invoice stay in
+ * the trash so those documents keep their lines.
+ */
+const permanentDeleteBlocker = async (db, id) => {
+  const result = await db.query(
+    `SELECT (SELECT COUNT(*) FROM invoice_items WHERE item_id = $1) AS invoice_lines,
+            (SELECT COUNT(*) FROM sales_document_items WHERE item_id = $1) AS sales_document_lines,
+            (SELECT COUNT(*) FROM recurring_invoice_items WHERE item_id = $1) AS recurring_lines`,
+    [id]
+  );
+  const { invoice_lines, sales_document_lines, recurring_lines } = result.rows[0];
+  const uses = [
+    [invoice_lines, 'invoice/bill line(s)'],
+    [sales_document_lines, 'quotation/sales order line(s)'],
+    [recurring_lines, 'recurring invoice line(s)'],
+  ]
+    .filter(([count]) => Number(count) > 0)
+    .map(([count, label]) => `${count} ${label}`);
+
+  return uses.length ? `Item is used on ${uses.join(', ')}; it can stay archived but cannot be deleted permanently` : null;
+};
+
+// ✅ DELETE an archived item permanently
+const deleteItemPermanently = async (req, res, next) => {
+  const { id } = req.params;
+  const { company_id } = req.user;
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const current = await client.query(
+      `SELECT ${ITEM_COLUMNS} FROM items WHERE id = $1 AND company_id = $2 FOR UPDATE`,
       [id, company_id]
     );
+    if (current.rowCount === 0) {
+      throw new NotFoundError('Item not found or unauthorized');
+    }
+    if (!current.rows[0].deleted_at) {
+      throw new ConflictError('Archive the item before deleting it permanently');
+    }
+
+    const blocker = await permanentDeleteBlocker(client, id);
+    if (blocker) {
+      throw new ConflictError(blocker);
+    }
 
-    if (result.rowCount === 0)
-      return res.status(404).json({ message: 'Item not found or unauthorized' });
+    // Its stock movements go with it
+    await client.query('DELETE FROM items WHERE id = $1 AND company_id = $2', [id, company_id]);
+    await recordAudit(client, { ...auditActor(req), entity: 'item', entity_id: id, action: 'delete', before: current.rows[0] });
 
+    await client.query('COMMIT');
     res.json({
       success: true,
-      message: 'Item deleted successfully',
+      message: 'Item deleted permanently',
     });
   } catch (err) {
-    console.error('❌ Error deleting item:', err.message);
-    res.status(500).json({ success: false, message: 'Server error deleting item' });
+    await client.query('ROLLBACK');
+    next(err);
+  } finally {
+    client.release();
   }
 };
 
 // ✅ DASHBOARD SUMMARY API (inside same controller)
-const getItemSummary = async (req, res) => {
+const getItemSummary = async (req, res, next) => {
   try {
     const { company_id } = req.user;
 
@@ -119,7 +502,7 @@ const getItemSummary = async (req, res) => {
         COUNT(DISTINCT category) AS categories,
         COUNT(*) FILTER (WHERE quantity < 5) AS low_stock
       FROM items
-      WHERE company_id = $1
+      WHERE company_id = $1 AND deleted_at IS NULL
       `,
       [company_id]
     );
@@ -137,8 +520,7 @@ const getItemSummary = async (req, res) => {
       },
     });
   } catch (err) {
-    console.error('❌ Error fetching summary:', err.message);
-    res.status(500).json({ success: false, message: 'Server error fetching summary' });
+    next(err);
   }
 };
 
@@ -147,5 +529,10 @@ module.exports = {
   createItem, 
   updateItem, 
   deleteItem, 
-  getItemSummary  
+  getArchivedItems,
+  restoreItem,
+  deleteItemPermanently,
+  getItemSummary,
+  getItemMovements,
+  getStockReconciliation
 };
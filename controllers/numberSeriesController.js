@@ -0,0 +1,89 @@
+const pool = require("../db");
+const { DOCUMENT_TYPES, getSeries, peekNextNumber } = require("../utils/numbering");
+const { auditActor, recordAudit } = require("../utils/audit");
+
+// ✅ GET numbering series of the logged-in user's company (with the next number)
+const getNumberSeries = async (req, res, next) => {
+  const company_id = req.user.company_id;
+
+  try {
+    const series = [];
+    for (const documentType of DOCUMENT_TYPES) {
+      const config = await getSeries(pool, company_id, documentType);
+      series.push({
+        document_type: documentType,
+        prefix: config.prefix,
+        padding: config.padding,
+        reset_yearly: config.reset_yearly,
+        is_default: config.id === null,
+        next_number: await peekNextNumber(pool, company_id, documentType),
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Numbering series fetched successfully",
+      series,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// ✅ UPDATE (or create) the numbering series for a document type (body checked against NumberSeriesInput)
+const updateNumberSeries = async (req, res, next) => {
+  const company_id = req.user.company_id;
+  const { document_type } = req.params;
+  const { prefix, padding, reset_yearly } = req.body;
+
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    const current = await getSeries(client, company_id, document_type);
+
+    // Counters are kept per prefix, so a new prefix starts again from 1
+    const { rows } = await client.query(
+      `INSERT INTO number_series (company_id, document_type, prefix, padding, reset_yearly)
+       VALUES ($1, $2, $3, $4, $5)
+       ON CONFLICT (company_id, document_type)
+       DO UPDATE SET prefix = EXCLUDED.prefix,
+                     padding = EXCLUDED.padding,
+                     reset_yearly = EXCLUDED.reset_yearly
+       RETURNING document_type, prefix, padding, reset_yearly`,
+      [
+        company_id,
+        document_type,
+        prefix !== undefined ? String(prefix) : current.prefix,
+        padding !== undefined ? Number(padding) : current.padding,
+        reset_yearly !== undefined ? reset_yearly : current.reset_yearly,
+      ]
+    );
+
+    // A company still on the default series has no row to record as before
+    await recordAudit(client, {
+      ...auditActor(req),
+      entity: "number_series",
+      entity_id: document_type,
+      action: "update",
+      before: current.id ? current : null,
+      after: rows[0],
+    });
+
+    await client.query("COMMIT");
+    res.status(200).json({
+      success: true,
+      message: "Numbering series updated successfully",
+      series: {
+        ...rows[0],
+        next_number: await peekNextNumber(pool, company_id, document_type),
+      },
+    });
+  } catch (err) {
+    await client.query("ROLLBACK");
+    next(err);
+  } finally {
+    client.release();
+  }
+};
+
+module.exports = { getNumberSeries, updateNumberSeries };
@@ -1,88 +1,376 @@
 const pool = require('../db');
+const { gstinError } = require('../utils/gst');
+const { parseListQuery, createFilter, buildPagination } = require('../utils/listQuery');
+const { buildPartyLedger, balanceSide } = require('../utils/ledger');
+const { renderStatementPdf } = require('../utils/statementPdf');
+const { toCsv } = require('../utils/csv');
+const { auditActor, recordAudit } = require('../utils/audit');
+const { BadRequestError, NotFoundError, ConflictError } = require('../utils/errors');
+
+// Columns a party update may change; only those sent in the body are touched
+const PARTY_FIELDS = ['name', 'type', 'contact_email', 'contact_phone', 'billing_address', 'city', 'pincode', 'gstin', 'state_code'];
+
+// Optional columns where an empty string means "not set"
+const OPTIONAL_PARTY_FIELDS = ['city', 'pincode', 'gstin', 'state_code'];
+
+const PARTY_SORTABLE = {
+  created_at: 'created_at',
+  name: 'name',
+  type: 'type',
+};
+
+// ✅ GET all parties (paginated, sortable, searchable)
+const getAllParties = async (req, res, next) => {
+  const { company_id } = req.user;
+  const { type } = req.query;
+
+  const list = parseListQuery(req.query, { sortable: PARTY_SORTABLE, defaultSort: 'created_at' });
+  if (list.error) {
+    throw new BadRequestError(list.error);
+  }
+
+  const filter = createFilter('company_id = $1 AND deleted_at IS NULL', [company_id]);
+  if (type) filter.add(`type = ${filter.param(type)}::party_type`);
+  if (list.search) {
+    const term = filter.param(`%${list.search}%`);
+    filter.add(`(name ILIKE ${term} OR contact_email ILIKE ${term} OR contact_phone ILIKE ${term} OR gstin ILIKE ${term})`);
+  }
 
-// ✅ GET all parties
-const getAllParties = async (req, res) => {
   try {
-    const { company_id } = req.user;
+    const countResult = await pool.query(
+      `SELECT COUNT(*) AS total FROM parties WHERE ${filter.where()}`,
+      filter.params.slice()
+    );
+
     const result = await pool.query(
-      'SELECT * FROM parties WHERE company_id = $1 ORDER BY created_at DESC',
-      [company_id]
+      `SELECT * FROM parties
+        WHERE ${filter.where()}
+        ORDER BY ${list.orderBy}
+        LIMIT ${filter.param(list.limit)} OFFSET ${filter.param(list.offset)}`,
+      filter.params
     );
-    res.json(result.rows);
+
+    res.json({
+      success: true,
+      message: 'Parties fetched successfully',
+      parties: result.rows,
+      pagination: buildPagination(list, parseInt(countResult.rows[0].total, 10)),
+    });
   } catch (err) {
-    console.error('Error fetching parties:', err.message);
-    res.status(500).json({ message: 'Server error fetching parties' });
+    next(err);
   }
 };
+// ✅ CREATE party (body checked against PartyInput; the GSTIN checksum is checked here)
+const createParty = async (req, res, next) => {
+  const { company_id } = req.user;
+  const { name, type, contact_email, contact_phone, billing_address, city, pincode, gstin, state_code } = req.body;
+
+  if (gstin && gstinError(gstin)) throw new BadRequestError(gstinError(gstin));
 
-// ✅ CREATE party
-const createParty = async (req, res) => {
+  const client = await pool.connect();
   try {
-    const { company_id } = req.user;
-    const { name, type, contact_email, contact_phone, billing_address } = req.body;
+    await client.query('BEGIN');
 
-    const result = await pool.query(
-      `INSERT INTO parties (company_id, name, type, contact_email, contact_phone, billing_address)
-       VALUES ($1, $2, $3, $4, $5, $6)
+    const result = await client.query(
+      `INSERT INTO parties (company_id, name, type, contact_email, contact_phone, billing_address, city, pincode, gstin, state_code)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
        RETURNING *`,
-      [company_id, name, type, contact_email, contact_phone, billing_address]
+      [
+        company_id, name, type, contact_email ?? null, contact_phone ?? null, billing_address ?? null,
+        city || null, pincode || null, gstin || null, state_code || null,
+      ]
     );
 
+    await recordAudit(client, {
+      ...auditActor(req),
+      entity: 'party',
+      entity_id: result.rows[0].id,
+      action: 'create',
+      after: result.rows[0],
+    });
+
+    await client.query('COMMIT');
     res.status(201).json(result.rows[0]);
   } catch (err) {
-    console.error('Error creating party:', err.message);
-    res.status(500).json({ message: 'Server error creating party' });
+    await client.query('ROLLBACK');
+    next(err);
+  } finally {
+    client.release();
   }
 };
 
-// ✅ UPDATE party
-const updateParty = async (req, res) => {
+// ✅ UPDATE party (body checked against PartyUpdate); fields left out keep their value
+const updateParty = async (req, res, next) => {
+  const { id } = req.params;
+  const { company_id } = req.user;
+  const { gstin } = req.body;
+
+  if (gstin && gstinError(gstin)) throw new BadRequestError(gstinError(gstin));
+
+  const columns = PARTY_FIELDS.filter((field) => req.body[field] !== undefined);
+  const values = columns.map((field) =>
+    OPTIONAL_PARTY_FIELDS.includes(field) ? req.body[field] || null : req.body[field]
+  );
+  if (columns.length === 0) {
+    throw new BadRequestError(`Send at least one of: ${PARTY_FIELDS.join(', ')}`);
+  }
+
+  const client = await pool.connect();
   try {
-    const { id } = req.params;
-    const { company_id } = req.user;
-    const { name, type, contact_email, contact_phone, billing_address } = req.body;
+    await client.query('BEGIN');
 
-    const result = await pool.query(
+    const before = await client.query(
+      'SELECT * FROM parties WHERE id = $1 AND company_id = $2 FOR UPDATE',
+      [id, company_id]
+    );
+    if (before.rowCount === 0) {
+      throw new NotFoundError('Party not found or unauthorized');
+    }
+    if (before.rows[0].deleted_at) {
+      throw new ConflictError('Party is archived; restore it before editing');
+    }
+
+    const result = await client.query(
       `UPDATE parties
-       SET name = $1, type = $2, contact_email = $3, contact_phone = $4, billing_address = $5, updated_at = NOW()
-       WHERE id = $6 AND company_id = $7
-       RETURNING *`,
-      [name, type, contact_email, contact_phone, billing_address, id, company_id]
+          SET ${columns.map((column, i) => `${column} = $${i + 1}`).join(', ')},
+              updated_at = NOW()
+        WHERE id = $${columns.length + 1} AND company_id = $${columns.length + 2}
+        RETURNING *`,
+      [...values, id, company_id]
     );
 
-    if (result.rowCount === 0)
-      return res.status(404).json({ message: 'Party not found or unauthorized' });
+    await recordAudit(client, {
+      ...auditActor(req),
+      entity: 'party',
+      entity_id: id,
+      action: 'update',
+      before: before.rows[0],
+      after: result.rows[0],
+    });
 
+    await client.query('COMMIT');
     res.json(result.rows[0]);
   } catch (err) {
-    console.error('Error updating party:', err.message);
-    res.status(500).json({ message: 'Server error updating party' });
+    await client.query('ROLLBACK');
+    next(err);
+  } finally {
+    client.release();
   }
 };
 
-// ✅ DELETE party
-const deleteParty = async (req, res) => {
+// ✅ GET archived parties (the trash)
+const getArchivedParties = async (req, res, next) => {
+  const { company_id } = req.user;
+  const { type } = req.query;
+
+  const list = parseListQuery(req.query, {
+    sortable: { ...PARTY_SORTABLE, deleted_at: 'deleted_at' },
+    defaultSort: 'deleted_at',
+  });
+  if (list.error) {
+    throw new BadRequestError(list.error);
+  }
+
+  const filter = createFilter('company_id = $1 AND deleted_at IS NOT NULL', [company_id]);
+  if (type) filter.add(`type = ${filter.param(type)}::party_type`);
+  if (list.search) {
+    const term = filter.param(`%${list.search}%`);
+    filter.add(`(name ILIKE ${term} OR contact_email ILIKE ${term} OR contact_phone ILIKE ${term} OR gstin ILIKE ${term})`);
+  }
+
   try {
-    const { id } = req.params;
-    const { company_id } = req.user;
+    const countResult = await pool.query(
+      `SELECT COUNT(*) AS total FROM parties WHERE ${filter.where()}`,
+      filter.params.slice()
+    );
 
     const result = await pool.query(
-      'DELETE FROM parties WHERE id = $1 AND company_id = $2 RETURNING *',
+      `SELECT * FROM parties
+        WHERE ${filter.where()}
+        ORDER BY ${list.orderBy}
+        LIMIT ${filter.param(list.limit)} OFFSET ${filter.param(list.offset)}`,
+      filter.params
+    );
+
+    res.json({
+      success: true,
+      message: 'Archived parties fetched successfully',
+      parties: result.rows,
+      pagination: buildPagination(list, parseInt(countResult.rows[0].total, 10)),
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// ✅ DELETE party (archive it; it can be restored from the trash)
+const deleteParty = async (req, res, next) => {
+  const { id } = req.params;
+  const { company_id, id: user_id } = req.user;
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const before = await client.query(
+      'SELECT * FROM parties WHERE id = $1 AND company_id = $2 FOR UPDATE',
+      [id, company_id]
+    );
+    if (before.rowCount === 0) {
+      throw new NotFoundError('Party not found or unauthorized');
+    }
+    if (before.rows[0].deleted_at) {
+      throw new ConflictError('Party is already archived');
+    }
+
+    // Running schedules would keep invoicing a party nobody can see
+    const schedules = await client.query(
+      `SELECT COUNT(*) AS count FROM recurring_invoices
+        WHERE party_id = $1 AND company_id = $2 AND status IN ('active', 'paused')`,
       [id, company_id]
     );
+    if (Number(schedules.rows[0].count) > 0) {
+      throw new ConflictError(
+        `Party has ${schedules.rows[0].count} recurring invoice(s); delete them before archiving the party`
+      );
+    }
 
-    if (result.rowCount === 0)
-      return res.status(404).json({ message: 'Party not found or unauthorized' });
+    const result = await client.query(
+      `UPDATE parties SET deleted_at = NOW(), deleted_by = $3
+        WHERE id = $1 AND company_id = $2
+        RETURNING *`,
+      [id, company_id, user_id]
+    );
+
+    await recordAudit(client, {
+      ...auditActor(req),
+      entity: 'party',
+      entity_id: id,
+      action: 'archive',
+      before: before.rows[0],
+      after: result.rows[0],
+    });
 
-    res.json({ message: 'Party deleted successfully' });
+    await client.query('COMMIT');
+    res.json({ message: 'Party archived successfully', party: result.rows[0] });
   } catch (err) {
-    console.error('Error deleting party:', err.message);
-    res.status(500).json({ message: 'Server error deleting party' });
+    await client.query('ROLLBACK');
+    next(err);
+  } finally {
+    client.release();
+  }
+};
+
+// ✅ RESTORE an archived party
+const restoreParty = async (req, res, next) => {
+  const { id } = req.params;
+  const { company_id } = req.user;
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const before = await client.query(
+      'SELECT * FROM parties WHERE id = $1 AND company_id = $2 FOR UPDATE',
+      [id, company_id]
+    );
+    if (before.rowCount === 0) {
+      throw new NotFoundError('Party not found or unauthorized');
+    }
+    if (!before.rows[0].deleted_at) {
+      throw new ConflictError('Party is not archived');
+    }
+
+    const result = await client.query(
+      `UPDATE parties SET deleted_at = NULL, deleted_by = NULL
+        WHERE id = $1 AND company_id = $2
+        RETURNING *`,
+      [id, company_id]
+    );
+
+    await recordAudit(client, {
+      ...auditActor(req),
+      entity: 'party',
+      entity_id: id,
+      action: 'restore',
+      before: before.rows[0],
+      after: result.rows[0],
+    });
+
+    await client.query('COMMIT');
+    res.json({ message: 'Party restored successfully', party: result.rows[0] });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    next(err);
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Why a party cannot be deleted for good, or null when it can.
+ * Invoices, quotations/sales orders and recurring invoices (archived ones
+ * included) keep their party, so such parties can only stay archived.
+ */
+const permanentDeleteBlocker = async (db, id, company_id) => {
+  const result = await db.query(
+    `SELECT (SELECT COUNT(*) FROM invoices WHERE party_id = $1 AND company_id = $2) AS invoices,
+            (SELECT COUNT(*) FROM sales_documents WHERE party_id = $1 AND company_id = $2) AS sales_documents,
+            (SELECT COUNT(*) FROM recurring_invoices WHERE party_id = $1 AND company_id = $2) AS recurring_invoices`,
+    [id, company_id]
+  );
+  const counts = result.rows[0];
+  const uses = [
+    [counts.invoices, 'invoice(s)/bill(s)'],
+    [counts.sales_documents, 'quotation(s)/sales order(s)'],
+    [counts.recurring_invoices, 'recurring invoice(s)'],
+  ]
+    .filter(([count]) => Number(count) > 0)
+    .map(([count, label]) => `${count} ${label}`);
+
+  return uses.length ? `Party has ${uses.join(', ')}; it can stay archived but cannot be deleted permanently` : null;
+};
+
+// ✅ DELETE an archived party permanently
+const deletePartyPermanently = async (req, res, next) => {
+  const { id } = req.params;
+  const { company_id } = req.user;
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const before = await client.query(
+      'SELECT * FROM parties WHERE id = $1 AND company_id = $2 FOR UPDATE',
+      [id, company_id]
+    );
+    if (before.rowCount === 0) {
+      throw new NotFoundError('Party not found or unauthorized');
+    }
+    if (!before.rows[0].deleted_at) {
+      throw new ConflictError('Archive the party before deleting it permanently');
+    }
+
+    const blocker = await permanentDeleteBlocker(client, id, company_id);
+    if (blocker) {
+      throw new ConflictError(blocker);
+    }
+
+    await client.query('DELETE FROM parties WHERE id = $1 AND company_id = $2', [id, company_id]);
+    await recordAudit(client, { ...auditActor(req), entity: 'party', entity_id: id, action: 'delete', before: before.rows[0] });
+
+    await client.query('COMMIT');
+    res.json({ message: 'Party deleted permanently' });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    next(err);
+  } finally {
+    client.release();
   }
 };
 
 // ✅ GET party summary (counts)
-const getPartySummary = async (req, res) => {
+const getPartySummary = async (req, res, next) => {
   try {
     const { company_id } = req.user;
 
@@ -91,7 +379,7 @@ const getPartySummary = async (req, res) => {
              SUM(CASE WHEN type = 'customer' THEN 1 ELSE 0 END) AS customers,
              SUM(CASE WHEN type = 'supplier' THEN 1 ELSE 0 END) AS suppliers
       FROM parties
-      WHERE company_id = $1;
+      WHERE company_id = $1 AND deleted_at IS NULL;
     `;
 
     const result = await pool.query(totalPartiesQuery, [company_id]);
@@ -106,9 +394,115 @@ const getPartySummary = async (req, res) => {
       },
     });
   } catch (err) {
-    console.error('Error fetching party summary:', err.message);
-    res.status(500).json({ message: 'Server error fetching party summary' });
+    next(err);
+  }
+};
+
+// Dates are checked against PartyLedgerQuery; returns an error message or null
+const validateLedgerRange = ({ from, to }) => {
+  if (from && to && from > to) return 'from must be on or before to';
+  return null;
+};
+
+// ✅ GET party ledger (opening, running and closing balance for a date range)
+const getPartyLedger = async (req, res, next) => {
+  const { id } = req.params;
+  const { company_id } = req.user;
+  const { from, to } = req.query;
+
+  const rangeError = validateLedgerRange({ from, to });
+  if (rangeError) throw new BadRequestError(rangeError);
+
+  try {
+    const ledger = await buildPartyLedger(pool, { company_id, party_id: id, from, to });
+    if (!ledger) throw new NotFoundError('Party not found or unauthorized');
+
+    res.json({
+      success: true,
+      message: 'Party ledger fetched successfully',
+      ...ledger,
+      closing_balance_side: balanceSide(ledger.closing_balance),
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+const STATEMENT_CSV_COLUMNS = [
+  { key: 'entry_date', label: 'Date' },
+  { key: 'description', label: 'Particulars' },
+  { key: 'reference', label: 'Reference' },
+  { key: 'against_reference', label: 'Against' },
+  { key: 'narration', label: 'Narration' },
+  { key: 'debit', label: 'Debit' },
+  { key: 'credit', label: 'Credit' },
+  { key: 'balance', label: 'Balance' },
+  { key: 'side', label: 'Dr/Cr' },
+];
+
+// ✅ GET customer/supplier statement of account as PDF (default) or CSV
+const getPartyStatement = async (req, res, next) => {
+  const { id } = req.params;
+  const { company_id } = req.user;
+  const { from, to, format = 'pdf' } = req.query;
+
+  const rangeError = validateLedgerRange({ from, to });
+  if (rangeError) throw new BadRequestError(rangeError);
+
+  try {
+    const ledger = await buildPartyLedger(pool, { company_id, party_id: id, from, to });
+    if (!ledger) throw new NotFoundError('Party not found or unauthorized');
+
+    const period = [from, to].filter(Boolean).join('_to_');
+    const basename = `Statement_${ledger.party.name}${period ? `_${period}` : ''}`.replace(/[^A-Za-z0-9._-]/g, '_');
+    const disposition = req.query.disposition === 'inline' ? 'inline' : 'attachment';
+
+    let body;
+    if (format === 'csv') {
+      const rows = [
+        { entry_date: from || '', description: 'Opening Balance', balance: Math.abs(ledger.opening_balance), side: balanceSide(ledger.opening_balance) },
+        ...ledger.entries.map((entry) => ({ ...entry, balance: Math.abs(entry.balance), side: balanceSide(entry.balance) })),
+        {
+          entry_date: to || '',
+          description: 'Closing Balance',
+          debit: ledger.total_debit,
+          credit: ledger.total_credit,
+          balance: Math.abs(ledger.closing_balance),
+          side: balanceSide(ledger.closing_balance),
+        },
+      ];
+      body = toCsv(STATEMENT_CSV_COLUMNS, rows);
+      res.set('Content-Type', 'text/csv; charset=utf-8');
+    } else {
+      const companyResult = await pool.query(
+        `SELECT id, name, address, gstin, state_code, contact_email, contact_phone, logo
+           FROM companies
+          WHERE id = $1`,
+        [company_id]
+      );
+      body = await renderStatementPdf({ company: companyResult.rows[0], ledger });
+      res.set('Content-Type', 'application/pdf');
+    }
+
+    res.set({
+      'Content-Disposition': `${disposition}; filename="${basename}.${format}"`,
+      'Content-Length': Buffer.byteLength(body),
+    });
+    res.status(200).send(body);
+  } catch (err) {
+    next(err);
   }
 };
 
-module.exports = { getAllParties, createParty, updateParty, deleteParty,  getPartySummary  };
+module.exports = {
+  getAllParties,
+  createParty,
+  updateParty,
+  deleteParty,
+  getArchivedParties,
+  restoreParty,
+  deletePartyPermanently,
+  getPartySummary,
+  getPartyLedger,
+  getPartyStatement,
+};
@@ -0,0 +1,172 @@
+// controllers/paymentController.js
+const pool = require('../db');
+const { round2 } = require('../utils/gst');
+const { NOTE_TYPES, syncInvoicePayments } = require('../utils/payments');
+const { auditActor, recordAudit } = require('../utils/audit');
+const { periodLockReason } = require('../utils/periodLock');
+const { NotFoundError, ConflictError, UnprocessableError } = require('../utils/errors');
+
+/**
+ * List payments recorded against an invoice with its balance (scoped to company)
+ */
+const getInvoicePayments = async (req, res, next) => {
+  const { id } = req.params;
+  const company_id = req.user.company_id;
+
+  try {
+    const invoiceResult = await pool.query(
+      `SELECT id, invoice_number, total_amount, amount_paid, amount_credited, status
+         FROM invoices
+        WHERE id = $1 AND company_id = $2 AND deleted_at IS NULL`,
+      [id, company_id]
+    );
+    if (invoiceResult.rowCount === 0) {
+      throw new NotFoundError('Invoice not found');
+    }
+
+    const paymentsResult = await pool.query(
+      `SELECT id, amount, payment_date, mode, reference, notes, created_at
+         FROM payments
+        WHERE invoice_id = $1 AND company_id = $2
+        ORDER BY payment_date, created_at`,
+      [id, company_id]
+    );
+
+    const invoice = invoiceResult.rows[0];
+    res.status(200).json({
+      invoice_id: invoice.id,
+      invoice_number: invoice.invoice_number,
+      status: invoice.status,
+      total_amount: Number(invoice.total_amount),
+      amount_paid: Number(invoice.amount_paid),
+      amount_credited: Number(invoice.amount_credited),
+      balance_due: round2(Number(invoice.total_amount) - Number(invoice.amount_paid) - Number(invoice.amount_credited)),
+      payments: paymentsResult.rows,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Record a (partial) payment against an invoice (body checked against PaymentInput)
+ */
+const createPayment = async (req, res, next) => {
+  const { id } = req.params;
+  const { amount, payment_date, mode, reference, notes } = req.body;
+  const company_id = req.user.company_id;
+
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const invoiceResult = await client.query(
+      `SELECT status, invoice_type, total_amount - amount_paid - amount_credited AS balance_due
+         FROM invoices
+        WHERE id = $1 AND company_id = $2 AND deleted_at IS NULL
+        FOR UPDATE`,
+      [id, company_id]
+    );
+    if (invoiceResult.rowCount === 0) {
+      throw new NotFoundError('Invoice not found');
+    }
+    const invoice = invoiceResult.rows[0];
+    if (NOTE_TYPES.includes(invoice.invoice_type)) {
+      throw new UnprocessableError('Payments cannot be recorded against credit or debit notes');
+    }
+    if (invoice.status === 'cancelled') {
+      throw new ConflictError('Cannot record a payment against a cancelled invoice');
+    }
+    if (invoice.status === 'draft') {
+      throw new ConflictError('Issue the invoice before recording payments against it');
+    }
+    const lockedReason = await periodLockReason(client, company_id, payment_date || null);
+    if (lockedReason) {
+      throw new ConflictError(lockedReason);
+    }
+    if (Number(amount) > Number(invoice.balance_due)) {
+      throw new UnprocessableError(`Payment exceeds the balance due (${invoice.balance_due})`);
+    }
+
+    const paymentResult = await client.query(
+      `INSERT INTO payments (company_id, invoice_id, amount, payment_date, mode, reference, notes)
+       VALUES ($1, $2, $3, COALESCE($4::date, CURRENT_DATE), $5::payment_mode, $6, $7)
+       RETURNING id, amount, payment_date, mode, reference, notes, created_at`,
+      [company_id, id, amount, payment_date || null, mode, reference || null, notes || null]
+    );
+
+    // Re-derive amount paid / status; rejects overpayment
+    const balance = await syncInvoicePayments(client, id, company_id);
+
+    await recordAudit(client, {
+      ...auditActor(req),
+      entity: 'payment',
+      entity_id: paymentResult.rows[0].id,
+      action: 'create',
+      after: { ...paymentResult.rows[0], invoice_id: id },
+    });
+
+    await client.query('COMMIT');
+    res.status(201).json({
+      message: 'Payment recorded successfully',
+      payment: paymentResult.rows[0],
+      invoice: { id, ...balance },
+    });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    next(err);
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Remove a wrongly recorded payment and re-derive the invoice balance
+ */
+const deletePayment = async (req, res, next) => {
+  const { id, paymentId } = req.params;
+  const company_id = req.user.company_id;
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const result = await client.query(
+      `DELETE FROM payments
+        WHERE id = $1 AND invoice_id = $2 AND company_id = $3
+        RETURNING *`,
+      [paymentId, id, company_id]
+    );
+    if (result.rowCount === 0) {
+      throw new NotFoundError('Payment not found');
+    }
+    const lockedReason = await periodLockReason(client, company_id, result.rows[0].payment_date);
+    if (lockedReason) {
+      throw new ConflictError(lockedReason);
+    }
+
+    const balance = await syncInvoicePayments(client, id, company_id);
+
+    await recordAudit(client, {
+      ...auditActor(req),
+      entity: 'payment',
+      entity_id: paymentId,
+      action: 'delete',
+      before: result.rows[0],
+    });
+
+    await client.query('COMMIT');
+    res.status(200).json({
+      message: 'Payment deleted successfully',
+      invoice: { id, ...balance },
+    });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    next(err);
+  } finally {
+    client.release();
+  }
+};
+
+module.exports = { getInvoicePayments, createPayment, deletePayment };
@@ -0,0 +1,324 @@
+// controllers/recurringInvoiceController.js
+const pool = require('../db');
+const { resolveSupply } = require('../utils/invoices');
+const { parseListQuery, createFilter, buildPagination } = require('../utils/listQuery');
+const { auditActor, recordAudit } = require('../utils/audit');
+const { BadRequestError, NotFoundError, ConflictError, UnprocessableError } = require('../utils/errors');
+const { upcomingRunDates, firstRunOnOrAfter } = require('../utils/recurring');
+const { toDateString } = require('../utils/dates');
+
+const DEFAULT_UPCOMING = 5;
+
+const SCHEDULE_COLUMNS = `r.id, r.party_id, p.name AS party_name, r.frequency, r.start_date, r.end_date,
+       r.next_run_date, r.last_run_date, r.due_in_days, r.invoice_status, r.status, r.last_error,
+       r.failure_count, r.created_at, r.updated_at`;
+
+const loadSchedule = async (db, id, company_id) => {
+  const result = await db.query(
+    `SELECT ${SCHEDULE_COLUMNS}
+       FROM recurring_invoices r
+       JOIN parties p ON p.id = r.party_id
+      WHERE r.id = $1 AND r.company_id = $2`,
+    [id, company_id]
+  );
+  return result.rows[0] || null;
+};
+
+/**
+ * Create a recurring invoice template; the scheduler bills it from start_date.
+ * The body is checked against RecurringInvoiceInput.
+ */
+const createRecurringInvoice = async (req, res, next) => {
+  const { party_id, frequency, start_date, end_date, due_in_days = 0, invoice_status = 'draft', items = [] } = req.body;
+  const company_id = req.user.company_id;
+
+  // Past start dates would make the scheduler back-bill every missed period at once
+  if (start_date < toDateString(new Date())) {
+    throw new BadRequestError('start_date cannot be in the past');
+  }
+  if (end_date && end_date < start_date) {
+    throw new BadRequestError('end_date must be on or after start_date');
+  }
+
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const supply = await resolveSupply(client, company_id, party_id);
+    if (supply.party_type !== 'customer') {
+      throw new UnprocessableError('Recurring invoices must be raised against a customer');
+    }
+
+    const scheduleResult = await client.query(
+      `INSERT INTO recurring_invoices (company_id, party_id, frequency, start_date, end_date, next_run_date,
+                                       due_in_days, invoice_status, created_by)
+       VALUES ($1, $2, $3::recurring_frequency, $4, $5, $4, $6, $7::invoice_status, $8)
+       RETURNING id`,
+      [company_id, party_id, frequency, start_date, end_date || null, Number(due_in_days), invoice_status, req.user.id]
+    );
+    const scheduleId = scheduleResult.rows[0].id;
+
+    for (const line of items) {
+      const { item_id, quantity, price } = line;
+
+      const itemCheck = await client.query(
+        `SELECT deleted_at FROM items WHERE id = $1 AND company_id = $2`,
+        [item_id, company_id]
+      );
+      if (itemCheck.rowCount === 0) {
+        throw new UnprocessableError(`Item not found for this company: ${item_id}`);
+      }
+      if (itemCheck.rows[0].deleted_at) {
+        throw new UnprocessableError(`Item is archived; restore it before adding it to documents: ${item_id}`);
+      }
+
+      await client.query(
+        `INSERT INTO recurring_invoice_items (recurring_invoice_id, item_id, quantity, price)
+         VALUES ($1, $2, $3, $4)`,
+        [scheduleId, item_id, quantity, price ?? null]
+      );
+    }
+
+    const schedule = await loadSchedule(client, scheduleId, company_id);
+    await recordAudit(client, {
+      ...auditActor(req),
+      entity: 'recurring_invoice',
+      entity_id: scheduleId,
+      action: 'create',
+      after: { ...schedule, items: items.map(({ item_id, quantity, price }) => ({ item_id, quantity, price: price ?? null })) },
+    });
+    await client.query('COMMIT');
+    res.status(201).json({
+      message: 'Recurring invoice created successfully',
+      recurring_invoice: { ...schedule, upcoming_runs: upcomingRunDates(schedule, DEFAULT_UPCOMING) },
+    });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    next(err);
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * List recurring invoice templates with their next run dates (query checked against RecurringInvoiceListQuery)
+ */
+const getAllRecurringInvoices = async (req, res, next) => {
+  const company_id = req.user.company_id;
+  const { status, party_id } = req.query;
+
+  const list = parseListQuery(req.query, {
+    sortable: {
+      created_at: 'r.created_at',
+      next_run_date: 'r.next_run_date',
+      party_name: 'p.name',
+    },
+    defaultSort: 'created_at',
+  });
+  if (list.error) {
+    throw new BadRequestError(list.error);
+  }
+
+  const filter = createFilter('r.company_id = $1', [company_id]);
+  if (status) filter.add(`r.status = ${filter.param(status)}::recurring_status`);
+  if (party_id) filter.add(`r.party_id::text = ${filter.param(party_id)}`);
+  if (list.search) filter.add(`p.name ILIKE ${filter.param(`%${list.search}%`)}`);
+
+  const fromClause = `
+       FROM recurring_invoices r
+       JOIN parties p ON p.id = r.party_id
+      WHERE ${filter.where()}`;
+
+  try {
+    const countResult = await pool.query(`SELECT COUNT(*) AS total ${fromClause}`, filter.params.slice());
+    const result = await pool.query(
+      `SELECT ${SCHEDULE_COLUMNS}
+       ${fromClause}
+       ORDER BY ${list.orderBy}
+       LIMIT ${filter.param(list.limit)} OFFSET ${filter.param(list.offset)}`,
+      filter.params
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Recurring invoices fetched successfully',
+      recurring_invoices: result.rows.map((row) => ({ ...row, upcoming_runs: upcomingRunDates(row, 3) })),
+      pagination: buildPagination(list, parseInt(countResult.rows[0].total, 10)),
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Template details: lines, upcoming run dates (?upcoming=N) and recent runs
+ */
+const getRecurringInvoiceById = async (req, res, next) => {
+  const { id } = req.params;
+  const company_id = req.user.company_id;
+  const upcoming = req.query.upcoming === undefined ? DEFAULT_UPCOMING : Number(req.query.upcoming);
+
+  try {
+    const schedule = await loadSchedule(pool, id, company_id);
+    if (!schedule) {
+      throw new NotFoundError('Recurring invoice not found');
+    }
+
+    const itemsResult = await pool.query(
+      `SELECT ri.id, ri.item_id, it.name AS item_name, ri.quantity, ri.price, it.price AS current_item_price
+         FROM recurring_invoice_items ri
+         JOIN items it ON it.id = ri.item_id
+        WHERE ri.recurring_invoice_id = $1`,
+      [id]
+    );
+    const runsResult = await pool.query(
+      `SELECT run.run_date, run.invoice_id, inv.invoice_number, inv.total_amount, run.created_at
+         FROM recurring_invoice_runs run
+         LEFT JOIN invoices inv ON inv.id = run.invoice_id
+        WHERE run.recurring_invoice_id = $1 AND run.company_id = $2
+        ORDER BY run.run_date DESC
+        LIMIT 12`,
+      [id, company_id]
+    );
+
+    res.status(200).json({
+      ...schedule,
+      items: itemsResult.rows,
+      upcoming_runs: upcomingRunDates(schedule, upcoming),
+      recent_runs: runsResult.rows,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Pause an active schedule; no invoices are generated until it is resumed
+ */
+const pauseRecurringInvoice = async (req, res, next) => {
+  const { id } = req.params;
+  const company_id = req.user.company_id;
+
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const before = await loadSchedule(client, id, company_id);
+    const result = await client.query(
+      `UPDATE recurring_invoices
+          SET status = 'paused'
+        WHERE id = $1 AND company_id = $2 AND status = 'active'
+        RETURNING id`,
+      [id, company_id]
+    );
+    if (result.rowCount === 0) {
+      await client.query('ROLLBACK');
+      const schedule = await loadSchedule(pool, id, company_id);
+      if (!schedule) throw new NotFoundError('Recurring invoice not found');
+      throw new ConflictError(`Recurring invoice is ${schedule.status}, only active schedules can be paused`);
+    }
+
+    const schedule = await loadSchedule(client, id, company_id);
+    await recordAudit(client, { ...auditActor(req), entity: 'recurring_invoice', entity_id: id, action: 'pause', before, after: schedule });
+
+    await client.query('COMMIT');
+    res.status(200).json({ message: 'Recurring invoice paused', recurring_invoice: schedule });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    next(err);
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Resume a paused schedule. Dates missed while paused are skipped, not back-billed.
+ */
+const resumeRecurringInvoice = async (req, res, next) => {
+  const { id } = req.params;
+  const company_id = req.user.company_id;
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const current = await client.query(
+      `SELECT * FROM recurring_invoices WHERE id = $1 AND company_id = $2 FOR UPDATE`,
+      [id, company_id]
+    );
+    if (current.rowCount === 0) {
+      throw new NotFoundError('Recurring invoice not found');
+    }
+    const schedule = current.rows[0];
+    if (schedule.status !== 'paused') {
+      throw new ConflictError(`Recurring invoice is ${schedule.status}, only paused schedules can be resumed`);
+    }
+
+    const next = firstRunOnOrAfter(schedule, toDateString(new Date()));
+    const ended = Boolean(schedule.end_date) && next > toDateString(schedule.end_date);
+    await client.query(
+      `UPDATE recurring_invoices
+          SET status = $1::recurring_status,
+              next_run_date = $2,
+              failure_count = 0
+        WHERE id = $3 AND company_id = $4`,
+      [ended ? 'ended' : 'active', next, id, company_id]
+    );
+
+    const updated = await loadSchedule(client, id, company_id);
+    await recordAudit(client, { ...auditActor(req), entity: 'recurring_invoice', entity_id: id, action: 'resume', before: schedule, after: updated });
+    await client.query('COMMIT');
+    res.status(200).json({
+      message: ended ? 'Recurring invoice has no runs left before its end date' : 'Recurring invoice resumed',
+      recurring_invoice: { ...updated, upcoming_runs: upcomingRunDates(updated, DEFAULT_UPCOMING) },
+    });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    next(err);
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Delete a template; invoices it already generated are kept
+ */
+const deleteRecurringInvoice = async (req, res, next) => {
+  const { id } = req.params;
+  const company_id = req.user.company_id;
+
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const result = await client.query(
+      `DELETE FROM recurring_invoices WHERE id = $1 AND company_id = $2 RETURNING *`,
+      [id, company_id]
+    );
+    if (result.rowCount === 0) {
+      throw new NotFoundError('Recurring invoice not found');
+    }
+
+    await recordAudit(client, { ...auditActor(req), entity: 'recurring_invoice', entity_id: id, action: 'delete', before: result.rows[0] });
+
+    await client.query('COMMIT');
+    res.status(200).json({ message: 'Recurring invoice deleted successfully' });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    next(err);
+  } finally {
+    client.release();
+  }
+};
+
+module.exports = {
+  createRecurringInvoice,
+  getAllRecurringInvoices,
+  getRecurringInvoiceById,
+  pauseRecurringInvoice,
+  resumeRecurringInvoice,
+  deleteRecurringInvoice,
+};
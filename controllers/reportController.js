@@ -1,22 +1,39 @@
 // controllers/reportController.js
 const pool = require("../db"); // PostgreSQL connection pool
+const { toDateString } = require("../utils/dates");
+const { AGEING_BUCKETS, outstandingInvoices, summariseAgeing } = require("../utils/ageing");
+const { parsePeriod, previousPeriod, buildGstr1, buildGstr3b } = require("../utils/gstReturns");
+const { BadRequestError } = require("../utils/errors");
 
-// Get total sales and purchases for last 5 months (with month name)
-exports.getMonthlySummary = async (req, res) => {
+// Get total sales and purchases for last 5 months (with month name).
+// Credit notes are netted off sales and debit notes off purchases, for both totals and GST.
+exports.getMonthlySummary = async (req, res, next) => {
   try {
     const query = `
       SELECT 
         TO_CHAR(invoice_date, 'Month') AS month_name,
-        SUM(CASE WHEN p.type = 'customer' THEN i.total_amount ELSE 0 END) AS total_sales,
-        SUM(CASE WHEN p.type = 'supplier' THEN i.total_amount ELSE 0 END) AS total_purchases
+        SUM(CASE i.invoice_type WHEN 'sale' THEN i.total_amount WHEN 'credit_note' THEN -i.total_amount ELSE 0 END) AS total_sales,
+        SUM(CASE i.invoice_type WHEN 'purchase' THEN i.total_amount WHEN 'debit_note' THEN -i.total_amount ELSE 0 END) AS total_purchases,
+        SUM(CASE i.invoice_type WHEN 'credit_note' THEN i.total_amount ELSE 0 END) AS total_credit_notes,
+        SUM(CASE i.invoice_type WHEN 'debit_note' THEN i.total_amount ELSE 0 END) AS total_debit_notes,
+        SUM(CASE i.invoice_type
+              WHEN 'sale' THEN i.cgst_amount + i.sgst_amount + i.igst_amount
+              WHEN 'credit_note' THEN -(i.cgst_amount + i.sgst_amount + i.igst_amount)
+              ELSE 0 END) AS output_gst,
+        SUM(CASE i.invoice_type
+              WHEN 'purchase' THEN i.cgst_amount + i.sgst_amount + i.igst_amount
+              WHEN 'debit_note' THEN -(i.cgst_amount + i.sgst_amount + i.igst_amount)
+              ELSE 0 END) AS input_gst
       FROM invoices i
-      JOIN parties p ON i.party_id = p.id
-      WHERE invoice_date >= (CURRENT_DATE - INTERVAL '5 months')
+      WHERE i.company_id = $1
+        AND i.deleted_at IS NULL
+        AND i.status NOT IN ('draft', 'cancelled')
+        AND invoice_date >= (CURRENT_DATE - INTERVAL '5 months')
       GROUP BY TO_CHAR(invoice_date, 'Month'), DATE_TRUNC('month', invoice_date)
       ORDER BY DATE_TRUNC('month', invoice_date);
     `;
 
-    const { rows } = await pool.query(query);
+    const { rows } = await pool.query(query, [req.user.company_id]);
 
     res.status(200).json({
       success: true,
@@ -24,10 +41,249 @@ exports.getMonthlySummary = async (req, res) => {
       data: rows,
     });
   } catch (error) {
-    console.error("❌ Error fetching monthly summary:", error);
-    res.status(500).json({
-      success: false,
-      message: "Error fetching monthly summary",
+    next(error);
+  }
+};
+
+// Receivables age sale invoices per customer, payables age purchase bills per supplier
+const AGEING_SIDES = {
+  receivables: { invoiceType: "sale", partiesKey: "customers", title: "Receivables ageing" },
+  payables: { invoiceType: "purchase", partiesKey: "suppliers", title: "Payables ageing" },
+};
+
+// Ageing summary: party balances bucketed by days past due date (query checked against AgeingQuery)
+const ageingSummaryHandler = (side) => async (req, res, next) => {
+  const { invoiceType, partiesKey, title } = AGEING_SIDES[side];
+  const { party_id } = req.query;
+  const as_of = req.query.as_of || toDateString(new Date());
+
+  try {
+    const invoices = await outstandingInvoices(pool, {
+      company_id: req.user.company_id,
+      invoiceType,
+      asOf: as_of,
+      party_id: party_id || null,
+    });
+    const { totals, parties } = summariseAgeing(invoices);
+
+    res.status(200).json({
+      success: true,
+      message: `${title} fetched successfully`,
+      data: {
+        as_of,
+        buckets: AGEING_BUCKETS.map(({ key, label }) => ({ key, label })),
+        totals,
+        [partiesKey]: parties,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Drill-down: the outstanding invoices/bills behind an ageing report, most overdue first
+const ageingInvoicesHandler = (side) => async (req, res, next) => {
+  const { invoiceType } = AGEING_SIDES[side];
+  const { party_id, bucket } = req.query;
+  const as_of = req.query.as_of || toDateString(new Date());
+
+  try {
+    const invoices = await outstandingInvoices(pool, {
+      company_id: req.user.company_id,
+      invoiceType,
+      asOf: as_of,
+      party_id: party_id || null,
+      bucket: bucket || null,
     });
+
+    res.status(200).json({
+      success: true,
+      message: "Outstanding invoices fetched successfully",
+      data: {
+        as_of,
+        total_outstanding: summariseAgeing(invoices).totals.total,
+        invoices,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+exports.getReceivablesAgeing = ageingSummaryHandler("receivables");
+exports.getReceivablesAgeingInvoices = ageingInvoicesHandler("receivables");
+exports.getPayablesAgeing = ageingSummaryHandler("payables");
+exports.getPayablesAgeingInvoices = ageingInvoicesHandler("payables");
+
+const DEFAULT_UPCOMING_DAYS = 30;
+
+// Supplier bills to pay: already overdue, and falling due within the next N days (by due date)
+exports.getUpcomingPayments = async (req, res, next) => {
+  const days = req.query.days === undefined ? DEFAULT_UPCOMING_DAYS : Number(req.query.days);
+  const as_of = toDateString(new Date());
+
+  try {
+    const bills = await outstandingInvoices(pool, {
+      company_id: req.user.company_id,
+      invoiceType: "purchase",
+      asOf: as_of,
+      party_id: req.query.party_id || null,
+    });
+
+    const overdue = bills.filter((bill) => bill.days_overdue > 0);
+    const upcoming = bills
+      .filter((bill) => bill.days_overdue === 0 && bill.days_to_due <= days)
+      .sort((a, b) => a.days_to_due - b.days_to_due);
+
+    res.status(200).json({
+      success: true,
+      message: "Upcoming payments fetched successfully",
+      data: {
+        as_of,
+        days,
+        overdue_total: summariseAgeing(overdue).totals.total,
+        upcoming_total: summariseAgeing(upcoming).totals.total,
+        overdue,
+        upcoming,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Profit & loss groupings: SQL key columns and the label each row gets
+const PROFIT_LOSS_GROUPS = {
+  month: {
+    select: `TO_CHAR(DATE_TRUNC('month', inv.invoice_date), 'YYYY-MM') AS month`,
+    groupBy: `DATE_TRUNC('month', inv.invoice_date)`,
+    orderBy: `DATE_TRUNC('month', inv.invoice_date)`,
+  },
+  category: {
+    select: "it.category",
+    groupBy: "it.category",
+    orderBy: "revenue DESC",
+  },
+  item: {
+    select: "it.id AS item_id, it.name AS item_name, it.category",
+    groupBy: "it.id, it.name, it.category",
+    orderBy: "revenue DESC",
+  },
+};
+
+const round2 = (value) => Math.round(Number(value) * 100) / 100;
+
+const withMargin = ({ revenue, cogs, ...rest }) => {
+  const net = round2(revenue);
+  const cost = round2(cogs);
+  const grossMargin = round2(net - cost);
+  return {
+    ...rest,
+    revenue: net,
+    cogs: cost,
+    gross_margin: grossMargin,
+    margin_percent: net ? round2((grossMargin / net) * 100) : null,
+  };
+};
+
+// Profit & loss for a date range: revenue (taxable value, net of credit notes), cost of goods
+// sold from the weighted-average cost recorded on each line, gross margin and margin %
+exports.getProfitAndLoss = async (req, res, next) => {
+  const today = toDateString(new Date());
+  // Default to the current financial year (April - March) to date
+  const fyStartYear = Number(today.slice(0, 4)) - (Number(today.slice(5, 7)) < 4 ? 1 : 0);
+  const { from = `${fyStartYear}-04-01`, to = today, group_by = "month" } = req.query;
+
+  // Dates and group_by are checked against ProfitLossQuery
+  if (from > to) {
+    throw new BadRequestError("from must be on or before to");
+  }
+  const group = PROFIT_LOSS_GROUPS[group_by];
+
+  try {
+    // Credit note lines reverse the revenue and, when goods came back, the cost of the sale
+    const { rows } = await pool.query(
+      `SELECT ${group.select},
+              SUM(CASE WHEN inv.invoice_type = 'sale' THEN ii.quantity ELSE -ii.quantity END) AS quantity,
+              SUM(CASE WHEN inv.invoice_type = 'sale' THEN ii.taxable_amount ELSE -ii.taxable_amount END) AS revenue,
+              SUM(CASE WHEN inv.invoice_type = 'sale' THEN ii.cost_amount ELSE -ii.cost_amount END) AS cogs
+         FROM invoice_items ii
+         JOIN invoices inv ON inv.id = ii.invoice_id
+         JOIN items it ON it.id = ii.item_id
+        WHERE inv.company_id = $1
+          AND inv.deleted_at IS NULL
+          AND inv.invoice_type IN ('sale', 'credit_note')
+          AND inv.status NOT IN ('draft', 'cancelled')
+          AND inv.invoice_date BETWEEN $2 AND $3
+        GROUP BY ${group.groupBy}
+        ORDER BY ${group.orderBy}`,
+      [req.user.company_id, from, to]
+    );
+
+    const data = rows.map((row) => withMargin({ ...row, quantity: Number(row.quantity) }));
+    const totals = withMargin({
+      revenue: data.reduce((sum, row) => sum + row.revenue, 0),
+      cogs: data.reduce((sum, row) => sum + row.cogs, 0),
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Profit and loss fetched successfully",
+      data: { from, to, group_by, totals, rows: data },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// ?period is a YYYY-MM month (checked against the route's query schema)
+const loadReturnPeriod = async (req) => {
+  const period = parsePeriod(req.query.period || previousPeriod());
+  const { rows } = await pool.query(`SELECT id, name, gstin, state_code FROM companies WHERE id = $1`, [
+    req.user.company_id,
+  ]);
+  return { period, company: rows[0] };
+};
+
+// GSTR-1 for a month in the GST offline tool format, with every document the portal would reject flagged.
+// ?format=json downloads just the file to upload.
+exports.getGstr1 = async (req, res, next) => {
+  try {
+    const context = await loadReturnPeriod(req);
+    const result = await buildGstr1(pool, context);
+
+    if (req.query.format === "json") {
+      const filename = `GSTR1_${context.company.gstin || "NO_GSTIN"}_${context.period.fp}.json`;
+      res.set("Content-Disposition", `attachment; filename="${filename}"`);
+      return res.status(200).json(result.gstr1);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: result.ready_to_file
+        ? "GSTR-1 generated successfully"
+        : "GSTR-1 generated with errors that will be rejected on upload",
+      data: { period: context.period.period, ...result },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// GSTR-3B summary for a month: outward supplies, inter-state B2C supplies, eligible ITC and tax payable
+exports.getGstr3b = async (req, res, next) => {
+  try {
+    const context = await loadReturnPeriod(req);
+    const result = await buildGstr3b(pool, context);
+
+    res.status(200).json({
+      success: true,
+      message: result.ready_to_file
+        ? "GSTR-3B summary generated successfully"
+        : "GSTR-3B summary generated with errors to fix before filing",
+      data: { period: context.period.period, ...result },
+    });
+  } catch (error) {
+    next(error);
   }
 };
@@ -0,0 +1,582 @@
+// controllers/salesDocumentController.js
+const pool = require('../db');
+const { computeLineTax } = require('../utils/gst');
+const { allocateNumber } = require('../utils/numbering');
+const { resolveSupply, insertInvoice } = require('../utils/invoices');
+const { parseListQuery, createFilter, buildPagination } = require('../utils/listQuery');
+const { auditActor, recordAudit } = require('../utils/audit');
+const { BadRequestError, NotFoundError, ConflictError, UnprocessableError } = require('../utils/errors');
+
+const SALES_DOCUMENT_STATUSES = ['draft', 'sent', 'accepted', 'declined', 'expired', 'converted'];
+const DOCUMENT_LABEL = { quotation: 'Quotation', sales_order: 'Sales order' };
+
+// Statuses a user may move a document to; `expired` and `converted` are set by the system
+const STATUS_TRANSITIONS = {
+  draft: ['sent'],
+  sent: ['accepted', 'declined'],
+};
+
+// Documents that can still be edited, and converted into the next document
+const EDITABLE_STATUSES = ['draft', 'sent'];
+const CONVERTIBLE_STATUSES = ['draft', 'sent', 'accepted'];
+
+// Quotations become sales orders or invoices; sales orders become invoices
+const CONVERSION_TARGETS = { quotation: ['sales_order', 'invoice'], sales_order: ['invoice'] };
+
+/**
+ * Mark open documents whose validity date has passed as expired
+ */
+const expireSalesDocuments = async (db, company_id) => {
+  await db.query(
+    `UPDATE sales_documents
+        SET status = 'expired'
+      WHERE company_id = $1
+        AND status IN ('draft', 'sent')
+        AND valid_until < CURRENT_DATE`,
+    [company_id]
+  );
+};
+
+const documentNumberTaken = async (db, company_id, documentType, number) => {
+  const check = await db.query(
+    `SELECT 1 FROM sales_documents
+      WHERE company_id = $1 AND document_type = $2::sales_document_type AND document_number = $3`,
+    [company_id, documentType, number]
+  );
+  return check.rowCount > 0;
+};
+
+/**
+ * Insert priced lines for a document and roll their taxes up onto it.
+ * Lines default to the item's selling price; a quoted `price` overrides it.
+ * No stock is checked or moved.
+ */
+const writeLines = async (client, { documentId, company_id, supplyType, items }) => {
+  for (const line of items) {
+    const { item_id, quantity, price } = line;
+
+    const itemData = await client.query(
+      `SELECT price, hsn_code, gst_rate, deleted_at FROM items WHERE id = $1 AND company_id = $2`,
+      [item_id, company_id]
+    );
+    if (itemData.rowCount === 0) {
+      throw new UnprocessableError(`Item not found for this company: ${item_id}`);
+    }
+    if (itemData.rows[0].deleted_at) {
+      throw new UnprocessableError(`Item is archived; restore it before adding it to documents: ${item_id}`);
+    }
+
+    const { hsn_code, gst_rate } = itemData.rows[0];
+    const unitPrice = price !== undefined && price !== null ? Number(price) : Number(itemData.rows[0].price);
+    if (!(unitPrice >= 0)) {
+      throw new BadRequestError(`Price must be 0 or more for item: ${item_id}`);
+    }
+
+    const tax = computeLineTax({ price: unitPrice, quantity, gstRate: gst_rate, supplyType });
+
+    await client.query(
+      `INSERT INTO sales_document_items (sales_document_id, item_id, quantity, price, hsn_code, gst_rate,
+                                         taxable_amount, cgst_amount, sgst_amount, igst_amount, total_line_amount)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)`,
+      [documentId, item_id, quantity, unitPrice, hsn_code, tax.gst_rate,
+       tax.taxable_amount, tax.cgst_amount, tax.sgst_amount, tax.igst_amount, tax.total_line_amount]
+    );
+  }
+
+  await client.query(
+    `UPDATE sales_documents sd
+        SET taxable_amount = t.taxable_amount,
+            cgst_amount    = t.cgst_amount,
+            sgst_amount    = t.sgst_amount,
+            igst_amount    = t.igst_amount,
+            total_amount   = t.total_amount
+       FROM (
+         SELECT COALESCE(SUM(taxable_amount), 0)    AS taxable_amount,
+                COALESCE(SUM(cgst_amount), 0)       AS cgst_amount,
+                COALESCE(SUM(sgst_amount), 0)       AS sgst_amount,
+                COALESCE(SUM(igst_amount), 0)       AS igst_amount,
+                COALESCE(SUM(total_line_amount), 0) AS total_amount
+           FROM sales_document_items
+          WHERE sales_document_id = $1
+       ) t
+      WHERE sd.id = $1 AND sd.company_id = $2`,
+    [documentId, company_id]
+  );
+};
+
+/**
+ * Resolve the customer of a quotation/sales order and its supply type
+ */
+const resolveCustomerSupply = async (client, company_id, party_id) => {
+  const supply = await resolveSupply(client, company_id, party_id);
+  if (supply.party_type !== 'customer') {
+    throw new UnprocessableError('Quotations and sales orders must be raised against a customer');
+  }
+  return supply;
+};
+
+/**
+ * Load a document with its lines and the documents it is linked to.
+ * Returns null when it does not belong to the company.
+ */
+const loadSalesDocument = async (db, id, company_id) => {
+  const docResult = await db.query(
+    `SELECT sd.*,
+            p.name AS party_name,
+            src.document_number AS source_document_number
+       FROM sales_documents sd
+       JOIN parties p ON p.id = sd.party_id
+       LEFT JOIN sales_documents src ON src.id = sd.source_document_id
+      WHERE sd.id = $1 AND sd.company_id = $2`,
+    [id, company_id]
+  );
+  if (docResult.rowCount === 0) return null;
+
+  const itemsResult = await db.query(
+    `SELECT sdi.id, sdi.item_id, it.name AS item_name, sdi.quantity, sdi.price, sdi.hsn_code, sdi.gst_rate,
+            sdi.taxable_amount, sdi.cgst_amount, sdi.sgst_amount, sdi.igst_amount, sdi.total_line_amount
+       FROM sales_document_items sdi
+       JOIN items it ON it.id = sdi.item_id
+      WHERE sdi.sales_document_id = $1`,
+    [id]
+  );
+
+  // Documents created from this one (sales orders and invoices)
+  const convertedResult = await db.query(
+    `SELECT 'sales_order' AS document_type, id, document_number AS number, status::text AS status, created_at
+       FROM sales_documents
+      WHERE source_document_id = $1 AND company_id = $2
+     UNION ALL
+     SELECT 'invoice', id, invoice_number, status::text, created_at
+       FROM invoices
+      WHERE sales_document_id = $1 AND company_id = $2
+      ORDER BY created_at`,
+    [id, company_id]
+  );
+
+  return {
+    ...docResult.rows[0],
+    items: itemsResult.rows,
+    converted_to: convertedResult.rows,
+  };
+};
+
+/**
+ * Create a quotation or sales order (no stock impact); the body is checked against SalesDocumentInput
+ */
+const createSalesDocument = async (req, res, next) => {
+  const { document_type, party_id, document_number, document_date, valid_until, notes, status, items = [] } = req.body;
+  const company_id = req.user.company_id;
+
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const supply = await resolveCustomerSupply(client, company_id, party_id);
+
+    let number = document_number ? String(document_number).trim() : '';
+    if (!number) {
+      number = await allocateNumber(client, company_id, document_type, {
+        isTaken: (n) => documentNumberTaken(client, company_id, document_type, n),
+      });
+    } else if (await documentNumberTaken(client, company_id, document_type, number)) {
+      throw new ConflictError(`${DOCUMENT_LABEL[document_type]} number already exists for this company`);
+    }
+
+    const docResult = await client.query(
+      `INSERT INTO sales_documents (company_id, party_id, document_type, document_number, document_date,
+                                    valid_until, place_of_supply, supply_type, status, notes, created_by)
+       VALUES ($1, $2, $3::sales_document_type, $4, COALESCE($5::date, CURRENT_DATE), $6, $7, $8::supply_type,
+               COALESCE($9, 'draft')::sales_document_status, $10, $11)
+       RETURNING id`,
+      [company_id, party_id, document_type, number, document_date || null, valid_until || null,
+       supply.place_of_supply, supply.supply_type, status || null, notes || null, req.user.id]
+    );
+    const documentId = docResult.rows[0].id;
+
+    await writeLines(client, { documentId, company_id, supplyType: supply.supply_type, items });
+
+    const document = await loadSalesDocument(client, documentId, company_id);
+    await recordAudit(client, { ...auditActor(req), entity: 'sales_document', entity_id: documentId, action: 'create', after: document });
+    await client.query('COMMIT');
+    res.status(201).json({
+      message: `${DOCUMENT_LABEL[document_type]} created successfully`,
+      document,
+    });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    next(err);
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * List quotations and sales orders (paginated, filterable)
+ */
+const getAllSalesDocuments = async (req, res, next) => {
+  const company_id = req.user.company_id;
+  const { type, status, party_id } = req.query;
+
+  const list = parseListQuery(req.query, {
+    sortable: {
+      created_at: 'sd.created_at',
+      document_date: 'sd.document_date',
+      valid_until: 'sd.valid_until',
+      document_number: 'sd.document_number',
+      total_amount: 'sd.total_amount',
+      status: 'sd.status',
+      party_name: 'p.name',
+    },
+    defaultSort: 'created_at',
+  });
+  if (list.error) {
+    throw new BadRequestError(list.error);
+  }
+  const statuses = status ? String(status).split(',').map((st) => st.trim()) : [];
+  if (statuses.some((st) => !SALES_DOCUMENT_STATUSES.includes(st))) {
+    throw new BadRequestError(`Status must be one of: ${SALES_DOCUMENT_STATUSES.join(', ')}`);
+  }
+
+  const filter = createFilter('sd.company_id = $1', [company_id]);
+  if (type) filter.add(`sd.document_type = ${filter.param(type)}::sales_document_type`);
+  if (statuses.length) filter.add(`sd.status = ANY(${filter.param(statuses)}::sales_document_status[])`);
+  if (party_id) filter.add(`sd.party_id::text = ${filter.param(party_id)}`);
+  if (list.search) {
+    const term = filter.param(`%${list.search}%`);
+    filter.add(`(sd.document_number ILIKE ${term} OR p.name ILIKE ${term})`);
+  }
+
+  const fromClause = `
+       FROM sales_documents sd
+       JOIN parties p ON p.id = sd.party_id
+      WHERE ${filter.where()}`;
+
+  try {
+    await expireSalesDocuments(pool, company_id);
+
+    const countResult = await pool.query(`SELECT COUNT(*) AS total ${fromClause}`, filter.params.slice());
+    const result = await pool.query(
+      `SELECT sd.id, sd.document_type, sd.document_number, sd.document_date, sd.valid_until,
+              sd.total_amount, sd.status, sd.party_id, p.name AS party_name,
+              sd.source_document_id, sd.created_at, sd.updated_at
+       ${fromClause}
+       ORDER BY ${list.orderBy}
+       LIMIT ${filter.param(list.limit)} OFFSET ${filter.param(list.offset)}`,
+      filter.params
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Sales documents fetched successfully',
+      documents: result.rows,
+      pagination: buildPagination(list, parseInt(countResult.rows[0].total, 10)),
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Get a quotation or sales order with its lines and links
+ */
+const getSalesDocumentById = async (req, res, next) => {
+  const { id } = req.params;
+  const company_id = req.user.company_id;
+
+  try {
+    await expireSalesDocuments(pool, company_id);
+    const document = await loadSalesDocument(pool, id, company_id);
+
+    if (!document) {
+      throw new NotFoundError('Document not found');
+    }
+
+    res.status(200).json(document);
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Edit a draft or sent document; `items`, when given, replaces all lines
+ */
+const updateSalesDocument = async (req, res, next) => {
+  const { id } = req.params;
+  const { party_id, document_date, valid_until, notes, items } = req.body;
+  const company_id = req.user.company_id;
+
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+    await expireSalesDocuments(client, company_id);
+
+    const current = await client.query(
+      `SELECT id, party_id, status FROM sales_documents WHERE id = $1 AND company_id = $2 FOR UPDATE`,
+      [id, company_id]
+    );
+    if (current.rowCount === 0) {
+      throw new NotFoundError('Document not found');
+    }
+    if (!EDITABLE_STATUSES.includes(current.rows[0].status)) {
+      throw new ConflictError(`A ${current.rows[0].status} document can no longer be edited`);
+    }
+    const before = await loadSalesDocument(client, id, company_id);
+
+    const supply = await resolveCustomerSupply(client, company_id, party_id || current.rows[0].party_id);
+
+    await client.query(
+      `UPDATE sales_documents
+          SET party_id = COALESCE($1, party_id),
+              document_date = COALESCE($2::date, document_date),
+              valid_until = COALESCE($3::date, valid_until),
+              notes = COALESCE($4, notes),
+              place_of_supply = $5,
+              supply_type = $6::supply_type
+        WHERE id = $7 AND company_id = $8`,
+      [party_id || null, document_date || null, valid_until || null, notes ?? null,
+       supply.place_of_supply, supply.supply_type, id, company_id]
+    );
+
+    // Lines are re-priced and re-taxed whenever they or the place of supply may have changed
+    const lines = Array.isArray(items)
+      ? items
+      : (await client.query(
+          `SELECT item_id, quantity, price FROM sales_document_items WHERE sales_document_id = $1`,
+          [id]
+        )).rows;
+    await client.query(`DELETE FROM sales_document_items WHERE sales_document_id = $1`, [id]);
+    await writeLines(client, { documentId: id, company_id, supplyType: supply.supply_type, items: lines });
+
+    const document = await loadSalesDocument(client, id, company_id);
+    await recordAudit(client, {
+      ...auditActor(req),
+      entity: 'sales_document',
+      entity_id: id,
+      action: 'update',
+      before,
+      after: document,
+    });
+    await client.query('COMMIT');
+    res.status(200).json({ message: 'Document updated successfully', document });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    next(err);
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Move a document along its lifecycle: draft -> sent -> accepted | declined
+ */
+const updateSalesDocumentStatus = async (req, res, next) => {
+  const { id } = req.params;
+  const { status } = req.body;
+  const company_id = req.user.company_id;
+
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+    await expireSalesDocuments(client, company_id);
+
+    const current = await client.query(
+      `SELECT id, document_type, document_number, status
+         FROM sales_documents
+        WHERE id = $1 AND company_id = $2
+        FOR UPDATE`,
+      [id, company_id]
+    );
+    if (current.rowCount === 0) {
+      throw new NotFoundError('Document not found');
+    }
+
+    const from = current.rows[0].status;
+    const allowed = STATUS_TRANSITIONS[from] || [];
+    if (!allowed.includes(status)) {
+      throw new ConflictError(
+        allowed.length
+          ? `A ${from} document can only be marked as: ${allowed.join(', ')}`
+          : `A ${from} document can no longer change status`
+      );
+    }
+
+    const result = await client.query(
+      `UPDATE sales_documents
+          SET status = $1::sales_document_status
+        WHERE id = $2 AND company_id = $3
+        RETURNING id, document_type, document_number, status`,
+      [status, id, company_id]
+    );
+
+    await recordAudit(client, {
+      ...auditActor(req),
+      entity: 'sales_document',
+      entity_id: id,
+      action: 'update_status',
+      before: current.rows[0],
+      after: result.rows[0],
+    });
+
+    await client.query('COMMIT');
+    res.status(200).json({
+      message: `Document marked as '${status}'`,
+      document: result.rows[0],
+    });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    next(err);
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Convert a quotation into a sales order or invoice, or a sales order into an
+ * invoice, in one call. Invoices take stock out as usual; the source is marked
+ * converted and stays linked to what was created from it.
+ */
+const convertSalesDocument = async (req, res, next) => {
+  const { id } = req.params;
+  const { to = 'invoice', due_date, status, invoice_number, valid_until } = req.body;
+  const company_id = req.user.company_id;
+
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+    await expireSalesDocuments(client, company_id);
+
+    const sourceResult = await client.query(
+      `SELECT * FROM sales_documents WHERE id = $1 AND company_id = $2 FOR UPDATE`,
+      [id, company_id]
+    );
+    if (sourceResult.rowCount === 0) {
+      throw new NotFoundError('Document not found');
+    }
+    const source = sourceResult.rows[0];
+
+    const targets = CONVERSION_TARGETS[source.document_type];
+    if (!targets.includes(to)) {
+      throw new UnprocessableError(`A ${source.document_type} can only be converted to: ${targets.join(', ')}`);
+    }
+    if (!CONVERTIBLE_STATUSES.includes(source.status)) {
+      throw new ConflictError(`A ${source.status} document cannot be converted`);
+    }
+
+    const lines = (await client.query(
+      `SELECT item_id, quantity, price FROM sales_document_items WHERE sales_document_id = $1`,
+      [id]
+    )).rows;
+
+    let created;
+    if (to === 'invoice') {
+      // Agreed prices carry over; stock and numbering work as for any new invoice
+      const invoice = await insertInvoice(
+        client,
+        {
+          company_id,
+          user_id: req.user.id,
+          party_id: source.party_id,
+          invoice_number,
+          due_date,
+          items: lines,
+          status,
+          invoice_type: 'sale',
+          sales_document_id: id,
+        },
+        { keepLinePrices: true }
+      );
+      created = { document_type: 'invoice', id: invoice.id, number: invoice.invoice_number };
+    } else {
+      const supply = await resolveCustomerSupply(client, company_id, source.party_id);
+      const number = await allocateNumber(client, company_id, 'sales_order', {
+        isTaken: (n) => documentNumberTaken(client, company_id, 'sales_order', n),
+      });
+      const orderResult = await client.query(
+        `INSERT INTO sales_documents (company_id, party_id, document_type, document_number, valid_until,
+                                      place_of_supply, supply_type, notes, source_document_id, created_by)
+         VALUES ($1, $2, 'sales_order', $3, $4, $5, $6::supply_type, $7, $8, $9)
+         RETURNING id`,
+        [company_id, source.party_id, number, valid_until || null, supply.place_of_supply,
+         supply.supply_type, source.notes, id, req.user.id]
+      );
+      const orderId = orderResult.rows[0].id;
+      await writeLines(client, { documentId: orderId, company_id, supplyType: supply.supply_type, items: lines });
+      created = { document_type: 'sales_order', id: orderId, number };
+    }
+
+    const converted = await client.query(
+      `UPDATE sales_documents SET status = 'converted' WHERE id = $1 AND company_id = $2 RETURNING *`,
+      [id, company_id]
+    );
+
+    await recordAudit(client, {
+      ...auditActor(req),
+      entity: 'sales_document',
+      entity_id: id,
+      action: 'convert',
+      before: source,
+      after: { ...converted.rows[0], converted_to: created },
+    });
+
+    await client.query('COMMIT');
+    res.status(201).json({
+      message: `${DOCUMENT_LABEL[source.document_type]} converted successfully`,
+      source_document_id: id,
+      created,
+    });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    next(err);
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Delete a quotation or sales order that nothing was created from
+ */
+const deleteSalesDocument = async (req, res, next) => {
+  const { id } = req.params;
+  const company_id = req.user.company_id;
+
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const document = await loadSalesDocument(client, id, company_id);
+    if (!document) {
+      throw new NotFoundError('Document not found');
+    }
+    if (document.converted_to.length > 0) {
+      const numbers = document.converted_to.map((d) => d.number).join(', ');
+      throw new ConflictError(`Document has been converted (${numbers}) and cannot be deleted`);
+    }
+
+    await client.query(`DELETE FROM sales_documents WHERE id = $1 AND company_id = $2`, [id, company_id]);
+    await recordAudit(client, { ...auditActor(req), entity: 'sales_document', entity_id: id, action: 'delete', before: document });
+
+    await client.query('COMMIT');
+    res.status(200).json({ message: 'Document deleted successfully' });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    next(err);
+  } finally {
+    client.release();
+  }
+};
+
+module.exports = {
+  createSalesDocument,
+  getAllSalesDocuments,
+  getSalesDocumentById,
+  updateSalesDocument,
+  updateSalesDocumentStatus,
+  convertSalesDocument,
+  deleteSalesDocument,
+};
@@ -1,6 +1,12 @@
 const pool = require('../db');
+const { createOpaqueToken } = require('../utils/tokens');
+const { sendMail } = require('../config/mailer');
+const { auditActor, recordAudit } = require('../utils/audit');
+const { NotFoundError, ConflictError } = require('../utils/errors');
 
-const getUserDetails = async (req, res) => {
+const INVITATION_TTL_DAYS = 7;
+
+const getUserDetails = async (req, res, next) => {
   try {
     // Get user id from the decoded JWT (authMiddleware adds req.user)
     const userId = req.user.id;
@@ -9,12 +15,15 @@ const getUserDetails = async (req, res) => {
       SELECT 
         u.id AS user_id,
         u.email,
+        u.role,
+        u.email_verified_at,
         u.created_at AS user_created_at,
         c.id AS company_id,
         c.name AS company_name,
         c.logo,
         c.address,
         c.gstin,
+        c.state_code,
         c.contact_email,
         c.contact_phone
       FROM users u
@@ -25,7 +34,7 @@ const getUserDetails = async (req, res) => {
     const { rows } = await pool.query(query, [userId]);
 
     if (rows.length === 0) {
-      return res.status(404).json({ message: "User not found" });
+      throw new NotFoundError("User not found");
     }
 
     const user = rows[0];
@@ -33,6 +42,8 @@ const getUserDetails = async (req, res) => {
     res.status(200).json({
       id: user.user_id,
       email: user.email,
+      role: user.role,
+      email_verified: Boolean(user.email_verified_at),
       created_at: user.user_created_at,
       company: {
         id: user.company_id,
@@ -40,14 +51,236 @@ const getUserDetails = async (req, res) => {
         logo: user.logo,
         address: user.address,
         gstin: user.gstin,
+        state_code: user.state_code,
         contact_email: user.contact_email,
         contact_phone: user.contact_phone,
       },
     });
   } catch (error) {
-    console.error("Error fetching user details:", error);
-    res.status(500).json({ message: "Server error" });
+    next(error);
+  }
+};
+
+// List users and pending invitations of the logged-in company
+const getCompanyUsers = async (req, res, next) => {
+  try {
+    const { company_id } = req.user;
+
+    const users = await pool.query(
+      `SELECT id, email, role, created_at
+         FROM users
+        WHERE company_id = $1
+        ORDER BY created_at`,
+      [company_id]
+    );
+    const invitations = await pool.query(
+      `SELECT id, email, role, expires_at, created_at
+         FROM user_invitations
+        WHERE company_id = $1 AND accepted_at IS NULL AND expires_at > NOW()
+        ORDER BY created_at DESC`,
+      [company_id]
+    );
+
+    res.status(200).json({ users: users.rows, invitations: invitations.rows });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Invite another user to the logged-in company with a role
+const inviteUser = async (req, res, next) => {
+  const { company_id, id: invited_by } = req.user;
+  const { email, role } = req.body;
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const existing = await client.query('SELECT 1 FROM users WHERE email = $1', [email]);
+    if (existing.rowCount > 0) {
+      throw new ConflictError("A user with this email already exists");
+    }
+
+    const { token, tokenHash } = createOpaqueToken();
+
+    const result = await client.query(
+      `INSERT INTO user_invitations (company_id, email, role, token_hash, invited_by, expires_at)
+       VALUES ($1, $2, $3, $4, $5, NOW() + ($6 || ' days')::interval)
+       RETURNING id, email, role, expires_at`,
+      [company_id, email, role, tokenHash, invited_by, INVITATION_TTL_DAYS]
+    );
+
+    // The token (and its hash) stay out of the audit trail
+    await recordAudit(client, {
+      ...auditActor(req),
+      entity: 'invitation',
+      entity_id: result.rows[0].id,
+      action: 'create',
+      after: result.rows[0],
+    });
+
+    await client.query('COMMIT');
+
+    const link = `${process.env.APP_URL || 'http://localhost:3000'}/accept-invitation?token=${token}`;
+    try {
+      await sendMail({
+        to: email,
+        subject: "You have been invited to PragatiApp",
+        text: `You have been invited to join your team on PragatiApp as ${role}.\n\nAccept the invitation and set your password here:\n${link}\n\nThe link expires in ${INVITATION_TTL_DAYS} days.`,
+      });
+    } catch (mailError) {
+      console.error("Invitation email failed:", mailError.message);
+    }
+
+    // The token only travels by email: accepting it marks that address as verified
+    res.status(201).json({
+      message: "Invitation created successfully",
+      invitation: result.rows[0],
+    });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    next(error);
+  } finally {
+    client.release();
+  }
+};
+
+// Revoke a pending invitation
+const revokeInvitation = async (req, res, next) => {
+  const { company_id } = req.user;
+  const { id } = req.params;
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const result = await client.query(
+      `DELETE FROM user_invitations
+        WHERE id = $1 AND company_id = $2 AND accepted_at IS NULL
+        RETURNING id, email, role, expires_at`,
+      [id, company_id]
+    );
+
+    if (result.rowCount === 0) {
+      throw new NotFoundError("Invitation not found");
+    }
+
+    await recordAudit(client, { ...auditActor(req), entity: 'invitation', entity_id: id, action: 'delete', before: result.rows[0] });
+
+    await client.query('COMMIT');
+    res.status(200).json({ message: "Invitation revoked successfully" });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    next(error);
+  } finally {
+    client.release();
+  }
+};
+
+// Ensure a change would not leave the company without an owner
+const isLastOwner = async (client, company_id, user_id) => {
+  const result = await client.query(
+    `SELECT COUNT(*) FILTER (WHERE role = 'owner') AS owners,
+            BOOL_OR(id = $2 AND role = 'owner') AS is_owner
+       FROM users
+      WHERE company_id = $1`,
+    [company_id, user_id]
+  );
+  const row = result.rows[0];
+  return row.is_owner && Number(row.owners) <= 1;
+};
+
+// Change the role of a user in the logged-in company
+const updateUserRole = async (req, res, next) => {
+  const { company_id } = req.user;
+  const { id } = req.params;
+  const { role } = req.body;
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const before = await client.query(
+      'SELECT id, email, role FROM users WHERE id = $1 AND company_id = $2 FOR UPDATE',
+      [id, company_id]
+    );
+    if (before.rowCount === 0) {
+      throw new NotFoundError("User not found");
+    }
+
+    if (role !== 'owner' && (await isLastOwner(client, company_id, id))) {
+      throw new ConflictError("The company must keep at least one owner");
+    }
+
+    const result = await client.query(
+      `UPDATE users SET role = $1, updated_at = NOW()
+        WHERE id = $2 AND company_id = $3
+        RETURNING id, email, role`,
+      [role, id, company_id]
+    );
+
+    await recordAudit(client, {
+      ...auditActor(req),
+      entity: 'user',
+      entity_id: id,
+      action: 'update_role',
+      before: before.rows[0],
+      after: result.rows[0],
+    });
+
+    await client.query('COMMIT');
+    res.status(200).json({ message: "User role updated successfully", user: result.rows[0] });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    next(error);
+  } finally {
+    client.release();
   }
 };
 
-module.exports = { getUserDetails };
+// Remove a user from the logged-in company
+const removeUser = async (req, res, next) => {
+  const { company_id } = req.user;
+  const { id } = req.params;
+
+  if (id === req.user.id) {
+    throw new ConflictError("You cannot remove yourself");
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    if (await isLastOwner(client, company_id, id)) {
+      throw new ConflictError("The company must keep at least one owner");
+    }
+
+    const result = await client.query(
+      'DELETE FROM users WHERE id = $1 AND company_id = $2 RETURNING id, email, role',
+      [id, company_id]
+    );
+
+    if (result.rowCount === 0) {
+      throw new NotFoundError("User not found");
+    }
+
+    await recordAudit(client, { ...auditActor(req), entity: 'user', entity_id: id, action: 'delete', before: result.rows[0] });
+
+    await client.query('COMMIT');
+    res.status(200).json({ message: "User removed successfully" });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    next(error);
+  } finally {
+    client.release();
+  }
+};
+
+module.exports = {
+  getUserDetails,
+  getCompanyUsers,
+  inviteUser,
+  revokeInvitation,
+  updateUserRole,
+  removeUser,
+};
@@ -7,7 +7,8 @@ const pool = new Pool({
   database: process.env.DB_DATABASE,
   password: process.env.DB_PASSWORD,
   port: process.env.DB_PORT,
-  ssl: true,
+  // Off only for a local server without TLS, e.g. the throwaway one the tests start
+  ssl: process.env.DB_SSL !== 'false',
 }); 
 
 pool.on('connect', () => {
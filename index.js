@@ -3,11 +3,17 @@ const app = express();
 const pool = require('./db');
 const cors = require('cors');
 const swaggerDocs = require('./swagger');
+const { startRecurringScheduler } = require('./utils/recurring');
+const requestIdMiddleware = require('./middleware/requestIdMiddleware');
+const envelopeMiddleware = require('./middleware/envelopeMiddleware');
+const { notFound, errorHandler } = require('./middleware/errorMiddleware');
 require('dotenv').config();
 const PORT = process.env.PORT || 5000;
 
 // Middlewares
-app.use(cors({ origin: '*', credentials: true }));
+app.use(requestIdMiddleware);
+app.use(cors({ origin: '*', credentials: true, exposedHeaders: ['X-Request-Id'] }));
+app.use(envelopeMiddleware);
 app.use(express.json());
 
 swaggerDocs(app);
@@ -18,9 +24,12 @@ app.use('/api/auth', require('./routes/authRoutes'));
 app.use('/api/items', require('./routes/itemRoutes'));
 app.use('/api/parties', require('./routes/partyRoutes'));
 app.use('/api/invoices', require('./routes/invoiceRoutes'));
+app.use('/api/sales-documents', require('./routes/salesDocumentRoutes'));
+app.use('/api/recurring-invoices', require('./routes/recurringInvoiceRoutes'));
 app.use('/api/dashboard', require('./routes/dashboardRoutes'));
 app.use("/api/companies", require('./routes/companyRoutes'));
 app.use("/api/reports", require("./routes/reportRoutes"));
+app.use('/api/audit', require('./routes/auditRoutes'));
 
 app.get('/test-db', async (req, res) => {
   try {
@@ -36,8 +45,13 @@ app.get('/', (req, res) => {
   res.send('API is running...');
 });
 
+// Errors from every router end up here (see utils/errors.js)
+app.use(notFound);
+app.use(errorHandler);
+
 
 app.listen(PORT, () => {
     console.log("app is running on port ", PORT);
+    startRecurringScheduler();
 })
 
@@ -1,18 +1,43 @@
 const jwt = require('jsonwebtoken');
+const pool = require('../db');
+const { UnauthorizedError } = require('../utils/errors');
 
-const authMiddleware = (req, res, next) => {
+const authMiddleware = async (req, res, next) => {
   const authHeader = req.headers['authorization'];
   const token = authHeader && authHeader.split(' ')[1]; 
   if (!token) {
-    return res.status(401).json({ message: 'Access denied. No token provided.' });
+    return next(new UnauthorizedError('Access denied. No token provided.'));
   }
+
+  let decoded;
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    req.user = decoded;
-    next();
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
   } catch (err) {
     console.error('JWT Verification Error:', err.message);
-    return res.status(401).json({ message: 'Invalid or expired token.' });
+    return next(new UnauthorizedError('Invalid or expired token.'));
+  }
+
+  // Tokens must belong to a live server-side session so logout/revocation takes effect immediately
+  if (!decoded.sid) {
+    return next(new UnauthorizedError('Session expired. Please log in again.'));
+  }
+
+  try {
+    const session = await pool.query(
+      `SELECT 1 FROM user_sessions
+        WHERE id = $1 AND user_id = $2
+          AND revoked_at IS NULL
+          AND expires_at > NOW()`,
+      [decoded.sid, decoded.id]
+    );
+    if (session.rowCount === 0) {
+      return next(new UnauthorizedError('Session has been revoked. Please log in again.'));
+    }
+  } catch (err) {
+    return next(err);
   }
+
+  req.user = decoded;
+  next();
 };
 module.exports = authMiddleware;
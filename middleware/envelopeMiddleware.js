@@ -0,0 +1,51 @@
+const { STATUS_CODES } = require('http');
+const { codeForStatus } = require('../utils/errors');
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Shape JSON responses consistently across routers.
+ *
+ * Every error body gets the request ID. Clients that send
+ * `X-Response-Envelope: true` also get every JSON response in one envelope:
+ *   { success: true, message?, data, request_id }
+ *   { success: false, error: { code, message, details? }, request_id }
+ * Downloads sent as JSON attachments (e.g. the GSTR-1 file) are left as they are.
+ */
+const envelopeMiddleware = (req, res, next) => {
+  const enveloped = String(req.get('X-Response-Envelope')).toLowerCase() === 'true';
+  const json = res.json.bind(res);
+
+  res.json = (body) => {
+    const failed = res.statusCode >= 400;
+
+    if (!enveloped || /attachment/.test(res.get('Content-Disposition') || '')) {
+      return json(failed && isPlainObject(body) ? { ...body, request_id: req.id } : body);
+    }
+
+    if (failed) {
+      const fields = isPlainObject(body) ? body : {};
+      // Anything besides the message and code (e.g. validation `errors`) is passed on as details
+      const { success, message, error, code, request_id, ...details } = fields;
+      return json({
+        success: false,
+        error: {
+          code: code || codeForStatus(res.statusCode),
+          message: message || error || STATUS_CODES[res.statusCode],
+          ...(Object.keys(details).length > 0 && { details }),
+        },
+        request_id: req.id,
+      });
+    }
+
+    if (isPlainObject(body)) {
+      const { success, message, ...data } = body;
+      return json({ success: true, ...(message && { message }), data, request_id: req.id });
+    }
+    return json({ success: true, data: body, request_id: req.id });
+  };
+
+  next();
+};
+
+module.exports = envelopeMiddleware;
@@ -0,0 +1,28 @@
+const { NotFoundError, toAppError } = require('../utils/errors');
+
+/**
+ * JSON 404 for requests no router matched
+ */
+const notFound = (req, res, next) => {
+  next(new NotFoundError(`Cannot ${req.method} ${req.path}`));
+};
+
+/**
+ * Last middleware: answers with the status and code of a typed error (see
+ * utils/errors.js), translating Postgres errors on the way. Anything else is
+ * logged with the request ID and answered with a generic 500.
+ * Express recognises error handlers by their four parameters, so `next` stays.
+ */
+const errorHandler = (err, req, res, next) => {
+  const error = toAppError(err);
+  if (error.status >= 500) {
+    console.error(`❌ ${req.method} ${req.originalUrl} failed [${req.id}]:`, err);
+  }
+  if (res.headersSent) {
+    // e.g. a PDF stream that broke halfway; all we can do is cut the connection
+    return res.destroy();
+  }
+  res.status(error.status).json(error.toJSON());
+};
+
+module.exports = { notFound, errorHandler };
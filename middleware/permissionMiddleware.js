@@ -0,0 +1,34 @@
+const pool = require('../db');
+const { hasPermission } = require('../config/roles');
+const { UnauthorizedError, ForbiddenError } = require('../utils/errors');
+
+/**
+ * Restrict a route to roles holding `permission` (see config/roles.js).
+ * Must run after authMiddleware. The role is read from the database so that
+ * role changes and removed users take effect without waiting for token expiry.
+ */
+const requirePermission = (permission) => async (req, res, next) => {
+  try {
+    const result = await pool.query(
+      'SELECT role FROM users WHERE id = $1 AND company_id = $2',
+      [req.user.id, req.user.company_id]
+    );
+
+    if (result.rowCount === 0) {
+      throw new UnauthorizedError('User no longer has access to this company.');
+    }
+
+    const { role } = result.rows[0];
+    req.user.role = role;
+
+    if (!hasPermission(role, permission)) {
+      throw new ForbiddenError(`Your role (${role}) is not allowed to perform this action.`);
+    }
+
+    next();
+  } catch (err) {
+    next(err);
+  }
+};
+
+module.exports = requirePermission;
@@ -0,0 +1,17 @@
+const crypto = require('crypto');
+
+// Caller-supplied IDs are kept (so a gateway or client can correlate logs) when they look sane
+const REQUEST_ID_REGEX = /^[A-Za-z0-9._:-]{1,100}$/;
+
+/**
+ * Give every request an ID, exposed as req.id and the X-Request-Id response
+ * header and included in every error body
+ */
+const requestIdMiddleware = (req, res, next) => {
+  const incoming = req.get('X-Request-Id');
+  req.id = incoming && REQUEST_ID_REGEX.test(incoming) ? incoming : crypto.randomUUID();
+  res.set('X-Request-Id', req.id);
+  next();
+};
+
+module.exports = requestIdMiddleware;
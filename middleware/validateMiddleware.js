@@ -0,0 +1,32 @@
+const { validateValue } = require('../utils/validation');
+const { BadRequestError } = require('../utils/errors');
+
+/**
+ * Check a request's path params, query string and JSON body against the
+ * schemas in schemas/ (the same ones the API docs are built from).
+ * Fails with a 400 listing every invalid field, e.g.
+ * { message: 'Invalid request', code: 'validation_failed', errors: [{ in: 'body', field: 'price', message: 'must be a number' }] }
+ */
+const validate = ({ params, query, body }) => (req, res, next) => {
+  const errors = [];
+  const check = (location, schema, value, coerceStrings) => {
+    if (!schema) return;
+    for (const error of validateValue(schema, value === undefined ? {} : value, { coerceStrings })) {
+      errors.push({ in: location, ...error });
+    }
+  };
+
+  // Express leaves req.body undefined when nothing was sent; handlers destructure it
+  if (body && req.body === undefined) req.body = {};
+
+  check('path', params, req.params, true);
+  check('query', query, req.query, true);
+  check('body', body, req.body, false);
+
+  if (errors.length) {
+    return next(new BadRequestError('Invalid request', { code: 'validation_failed', details: { errors } }));
+  }
+  next();
+};
+
+module.exports = validate;
@@ -3,7 +3,18 @@ CREATE EXTENSION IF NOT EXISTS "uuid-ossp";
 
 -- STEP 2: Create custom types
 CREATE TYPE party_type AS ENUM ('customer', 'supplier');
-CREATE TYPE invoice_status AS ENUM ('draft', 'sent', 'paid', 'cancelled');
+CREATE TYPE user_role AS ENUM ('owner', 'accountant', 'sales', 'viewer');
+CREATE TYPE user_token_purpose AS ENUM ('password_reset', 'email_verification');
+CREATE TYPE invoice_status AS ENUM ('draft', 'sent', 'partially_paid', 'paid', 'cancelled');
+CREATE TYPE supply_type AS ENUM ('intra', 'inter');
+CREATE TYPE payment_mode AS ENUM ('cash', 'upi', 'bank', 'cheque');
+CREATE TYPE invoice_type AS ENUM ('sale', 'purchase', 'credit_note', 'debit_note');
+CREATE TYPE sales_document_type AS ENUM ('quotation', 'sales_order');
+CREATE TYPE sales_document_status AS ENUM ('draft', 'sent', 'accepted', 'declined', 'expired', 'converted');
+CREATE TYPE recurring_frequency AS ENUM ('weekly', 'monthly', 'quarterly');
+CREATE TYPE recurring_status AS ENUM ('active', 'paused', 'ended');
+CREATE TYPE transport_mode AS ENUM ('road', 'rail', 'air', 'ship');
+CREATE TYPE stock_movement_reason AS ENUM ('opening', 'sale', 'purchase', 'adjustment', 'invoice_edit', 'invoice_delete', 'sales_return', 'purchase_return', 'invoice_restore', 'invoice_cancel');
 
 -- STEP 3: Create the 'updated_at' trigger function
 CREATE OR REPLACE FUNCTION update_updated_at_column()
@@ -22,10 +33,15 @@ CREATE TABLE IF NOT EXISTS companies (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
     name VARCHAR(255) NOT NULL,
     address TEXT,
+    city VARCHAR(100),
+    pincode CHAR(6),
     logo TEXT,
     gstin VARCHAR(15) UNIQUE,
+    state_code CHAR(2),
     contact_email VARCHAR(255) UNIQUE,
     contact_phone VARCHAR(20),
+    -- Last day of the most recent closed month; documents dated on or before it are frozen
+    books_locked_until DATE,
     created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
     updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
 );
@@ -33,12 +49,59 @@ CREATE TABLE IF NOT EXISTS companies (
 -- (CHILD) Depends on 'companies'
 CREATE TABLE IF NOT EXISTS users (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
-    company_id UUID NOT NULL UNIQUE REFERENCES companies(id) ON DELETE CASCADE,
+    company_id UUID NOT NULL REFERENCES companies(id) ON DELETE CASCADE,
     email VARCHAR(255) NOT NULL UNIQUE,
     password VARCHAR(255) NOT NULL,
+    role user_role NOT NULL DEFAULT 'owner',
+    email_verified_at TIMESTAMPTZ,
     created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
     updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
 );
+CREATE INDEX IF NOT EXISTS idx_users_company ON users(company_id);
+
+-- (CHILD) Depends on 'users'
+-- Single-use, expiring tokens for password reset and email verification (hash only)
+CREATE TABLE IF NOT EXISTS user_tokens (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    purpose user_token_purpose NOT NULL,
+    token_hash CHAR(64) NOT NULL UNIQUE,
+    expires_at TIMESTAMPTZ NOT NULL,
+    used_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- (CHILD) Depends on 'users' and 'companies'
+-- One row per login/device; the refresh token rotates on every use
+CREATE TABLE IF NOT EXISTS user_sessions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    company_id UUID NOT NULL REFERENCES companies(id) ON DELETE CASCADE,
+    refresh_token_hash CHAR(64) NOT NULL UNIQUE,
+    previous_token_hash CHAR(64),
+    expires_at TIMESTAMPTZ NOT NULL,
+    revoked_at TIMESTAMPTZ,
+    user_agent TEXT,
+    ip_address VARCHAR(64),
+    last_used_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS idx_user_sessions_user ON user_sessions(user_id);
+CREATE INDEX IF NOT EXISTS idx_user_sessions_previous ON user_sessions(previous_token_hash);
+
+-- (CHILD) Depends on 'companies' and 'users'
+-- Pending invitations for additional users; only a hash of the token is stored
+CREATE TABLE IF NOT EXISTS user_invitations (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    company_id UUID NOT NULL REFERENCES companies(id) ON DELETE CASCADE,
+    email VARCHAR(255) NOT NULL,
+    role user_role NOT NULL,
+    token_hash CHAR(64) NOT NULL UNIQUE,
+    invited_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    expires_at TIMESTAMPTZ NOT NULL,
+    accepted_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
 
 -- (CHILD) Depends on 'companies'
 CREATE TABLE IF NOT EXISTS parties (
@@ -49,6 +112,13 @@ CREATE TABLE IF NOT EXISTS parties (
     contact_email VARCHAR(255),
     contact_phone VARCHAR(20),
     billing_address TEXT,
+    city VARCHAR(100),
+    pincode CHAR(6),
+    gstin VARCHAR(15),
+    state_code CHAR(2),
+    -- Archived (in the trash) when set; archived rows are left out of lists and new documents
+    deleted_at TIMESTAMPTZ,
+    deleted_by UUID REFERENCES users(id) ON DELETE SET NULL,
     created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
     updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
 );
@@ -60,25 +130,193 @@ CREATE TABLE IF NOT EXISTS items (
     name VARCHAR(255) NOT NULL,
     description TEXT,
     price NUMERIC(10, 2) NOT NULL CHECK (price >= 0),
+    -- Weighted-average cost of the units in stock, re-averaged on every costed receipt
+    cost_price NUMERIC(12, 4) NOT NULL DEFAULT 0 CHECK (cost_price >= 0),
     quantity INTEGER NOT NULL DEFAULT 0 CHECK (quantity >= 0),
     category VARCHAR(100) NOT NULL,
+    hsn_code VARCHAR(8),
+    gst_rate NUMERIC(5, 2) NOT NULL DEFAULT 0 CHECK (gst_rate >= 0 AND gst_rate <= 100),
+    -- Archived (in the trash) when set; archived rows are left out of lists and new documents
+    deleted_at TIMESTAMPTZ,
+    deleted_by UUID REFERENCES users(id) ON DELETE SET NULL,
     created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
     updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
 );
 
 -- (CHILD) Depends on 'companies' and 'parties'
+-- Quotations and sales orders: priced like invoices but never touch stock
+CREATE TABLE IF NOT EXISTS sales_documents (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    company_id UUID NOT NULL REFERENCES companies(id) ON DELETE CASCADE,
+    party_id UUID NOT NULL REFERENCES parties(id) ON DELETE RESTRICT,
+    document_type sales_document_type NOT NULL,
+    document_number VARCHAR(50) NOT NULL,
+    document_date DATE NOT NULL DEFAULT CURRENT_DATE,
+    valid_until DATE,
+    place_of_supply CHAR(2),
+    supply_type supply_type NOT NULL DEFAULT 'intra',
+    taxable_amount NUMERIC(12, 2) NOT NULL DEFAULT 0,
+    cgst_amount NUMERIC(12, 2) NOT NULL DEFAULT 0,
+    sgst_amount NUMERIC(12, 2) NOT NULL DEFAULT 0,
+    igst_amount NUMERIC(12, 2) NOT NULL DEFAULT 0,
+    total_amount NUMERIC(12, 2) NOT NULL DEFAULT 0 CHECK (total_amount >= 0),
+    status sales_document_status NOT NULL DEFAULT 'draft',
+    notes TEXT,
+    -- Quotation a sales order was converted from
+    source_document_id UUID REFERENCES sales_documents(id) ON DELETE RESTRICT,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    UNIQUE (company_id, document_type, document_number)
+);
+
+-- (CHILD) Depends on 'sales_documents' and 'items'
+CREATE TABLE IF NOT EXISTS sales_document_items (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    sales_document_id UUID NOT NULL REFERENCES sales_documents(id) ON DELETE CASCADE,
+    item_id UUID NOT NULL REFERENCES items(id) ON DELETE RESTRICT,
+    quantity INTEGER NOT NULL CHECK (quantity > 0),
+    price NUMERIC(10, 2) NOT NULL CHECK (price >= 0),
+    hsn_code VARCHAR(8),
+    gst_rate NUMERIC(5, 2) NOT NULL DEFAULT 0,
+    taxable_amount NUMERIC(12, 2) NOT NULL DEFAULT 0,
+    cgst_amount NUMERIC(12, 2) NOT NULL DEFAULT 0,
+    sgst_amount NUMERIC(12, 2) NOT NULL DEFAULT 0,
+    igst_amount NUMERIC(12, 2) NOT NULL DEFAULT 0,
+    total_line_amount NUMERIC(12, 2) NOT NULL
+);
+
+-- (CHILD) Depends on 'companies', 'parties' and 'sales_documents'
 CREATE TABLE IF NOT EXISTS invoices (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
     company_id UUID NOT NULL REFERENCES companies(id) ON DELETE CASCADE,
     party_id UUID NOT NULL REFERENCES parties(id) ON DELETE RESTRICT,
     invoice_number VARCHAR(50) NOT NULL,
+    invoice_type invoice_type NOT NULL DEFAULT 'sale',
     invoice_date DATE NOT NULL DEFAULT CURRENT_DATE,
     due_date DATE,
+    place_of_supply CHAR(2),
+    supply_type supply_type NOT NULL DEFAULT 'intra',
+    taxable_amount NUMERIC(12, 2) NOT NULL DEFAULT 0,
+    cgst_amount NUMERIC(12, 2) NOT NULL DEFAULT 0,
+    sgst_amount NUMERIC(12, 2) NOT NULL DEFAULT 0,
+    igst_amount NUMERIC(12, 2) NOT NULL DEFAULT 0,
     total_amount NUMERIC(12, 2) NOT NULL CHECK (total_amount >= 0),
+    amount_paid NUMERIC(12, 2) NOT NULL DEFAULT 0 CHECK (amount_paid >= 0),
+    -- Credit/debit notes applied to this invoice; a note itself is fully applied to its original
+    amount_credited NUMERIC(12, 2) NOT NULL DEFAULT 0 CHECK (amount_credited >= 0),
+    -- Set on credit/debit notes only
+    original_invoice_id UUID REFERENCES invoices(id) ON DELETE RESTRICT,
+    note_reason TEXT,
+    -- Quotation or sales order this invoice was converted from
+    sales_document_id UUID REFERENCES sales_documents(id) ON DELETE RESTRICT,
     status invoice_status NOT NULL DEFAULT 'draft',
+    -- E-invoice registration returned by the IRP; kept after cancellation for the audit trail
+    irn VARCHAR(64),
+    irn_ack_no VARCHAR(20),
+    irn_ack_date TIMESTAMPTZ,
+    irn_signed_qr TEXT,
+    irn_cancelled_at TIMESTAMPTZ,
+    irn_cancel_reason TEXT,
+    -- Goods movement for the e-way bill; dispatch/ship-to are only set when they differ from the parties' addresses
+    transporter_id VARCHAR(15),
+    transporter_name VARCHAR(100),
+    transport_mode transport_mode,
+    vehicle_number VARCHAR(15),
+    transport_doc_no VARCHAR(15),
+    transport_doc_date DATE,
+    distance_km INTEGER CHECK (distance_km BETWEEN 1 AND 4000),
+    dispatch_address TEXT,
+    dispatch_city VARCHAR(100),
+    dispatch_pincode CHAR(6),
+    dispatch_state_code CHAR(2),
+    ship_to_address TEXT,
+    ship_to_city VARCHAR(100),
+    ship_to_pincode CHAR(6),
+    ship_to_state_code CHAR(2),
+    -- Archived (in the trash) when set; archiving reverses the invoice's stock movement, restoring re-applies it
+    deleted_at TIMESTAMPTZ,
+    deleted_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+-- Our own numbers (sales, credit/debit notes) are unique per company; supplier bill numbers only per supplier
+CREATE UNIQUE INDEX IF NOT EXISTS uq_invoices_sale_number
+    ON invoices(company_id, invoice_number) WHERE invoice_type <> 'purchase';
+CREATE UNIQUE INDEX IF NOT EXISTS uq_invoices_purchase_number
+    ON invoices(company_id, party_id, invoice_number) WHERE invoice_type = 'purchase';
+CREATE UNIQUE INDEX IF NOT EXISTS uq_invoices_irn ON invoices(irn) WHERE irn IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_invoices_original ON invoices(original_invoice_id) WHERE original_invoice_id IS NOT NULL;
+
+-- (CHILD) Depends on 'companies', 'parties' and 'users'
+-- Recurring invoice templates billed by the in-process scheduler
+CREATE TABLE IF NOT EXISTS recurring_invoices (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    company_id UUID NOT NULL REFERENCES companies(id) ON DELETE CASCADE,
+    party_id UUID NOT NULL REFERENCES parties(id) ON DELETE RESTRICT,
+    frequency recurring_frequency NOT NULL,
+    start_date DATE NOT NULL,
+    end_date DATE CHECK (end_date IS NULL OR end_date >= start_date),
+    next_run_date DATE NOT NULL,
+    last_run_date DATE,
+    due_in_days INTEGER NOT NULL DEFAULT 0 CHECK (due_in_days >= 0),
+    invoice_status invoice_status NOT NULL DEFAULT 'draft' CHECK (invoice_status IN ('draft', 'sent')),
+    status recurring_status NOT NULL DEFAULT 'active',
+    last_error TEXT,
+    -- Failed attempts in a row; the scheduler pauses the template when it reaches its limit
+    failure_count INTEGER NOT NULL DEFAULT 0 CHECK (failure_count >= 0),
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS idx_recurring_invoices_due ON recurring_invoices(next_run_date) WHERE status = 'active';
+-- Existing databases:
+-- ALTER TABLE recurring_invoices ADD COLUMN IF NOT EXISTS failure_count INTEGER NOT NULL DEFAULT 0 CHECK (failure_count >= 0);
+
+-- (CHILD) Depends on 'recurring_invoices' and 'items'
+-- A NULL price bills the item's selling price at run time
+CREATE TABLE IF NOT EXISTS recurring_invoice_items (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    recurring_invoice_id UUID NOT NULL REFERENCES recurring_invoices(id) ON DELETE CASCADE,
+    item_id UUID NOT NULL REFERENCES items(id) ON DELETE RESTRICT,
+    quantity INTEGER NOT NULL CHECK (quantity > 0),
+    price NUMERIC(10, 2) CHECK (price >= 0)
+);
+
+-- (CHILD) Depends on 'recurring_invoices' and 'invoices'
+-- One row per billed date; the unique key is what makes runs idempotent
+CREATE TABLE IF NOT EXISTS recurring_invoice_runs (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    recurring_invoice_id UUID NOT NULL REFERENCES recurring_invoices(id) ON DELETE CASCADE,
+    company_id UUID NOT NULL REFERENCES companies(id) ON DELETE CASCADE,
+    run_date DATE NOT NULL,
+    invoice_id UUID REFERENCES invoices(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    UNIQUE (recurring_invoice_id, run_date)
+);
+
+-- (CHILD) Depends on 'companies'
+-- Numbering series per document type, e.g. INV/2026-27/0001
+CREATE TABLE IF NOT EXISTS number_series (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    company_id UUID NOT NULL REFERENCES companies(id) ON DELETE CASCADE,
+    document_type VARCHAR(30) NOT NULL,
+    prefix VARCHAR(20) NOT NULL,
+    padding SMALLINT NOT NULL DEFAULT 4 CHECK (padding BETWEEN 1 AND 10),
+    reset_yearly BOOLEAN NOT NULL DEFAULT TRUE,
     created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
     updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
-    UNIQUE (company_id, invoice_number)
+    UNIQUE (company_id, document_type)
+);
+
+-- Last number handed out per series prefix and period ('2026-27', or 'all' when the series never resets)
+CREATE TABLE IF NOT EXISTS number_series_counters (
+    company_id UUID NOT NULL REFERENCES companies(id) ON DELETE CASCADE,
+    document_type VARCHAR(30) NOT NULL,
+    prefix VARCHAR(20) NOT NULL,
+    period VARCHAR(10) NOT NULL,
+    last_value INTEGER NOT NULL CHECK (last_value > 0),
+    PRIMARY KEY (company_id, document_type, prefix, period)
 );
 
 -- (CHILD) Depends on 'invoices' and 'items'
@@ -88,13 +326,118 @@ CREATE TABLE IF NOT EXISTS invoice_items (
     item_id UUID NOT NULL REFERENCES items(id) ON DELETE RESTRICT,
     quantity INTEGER NOT NULL CHECK (quantity > 0),
     price_at_purchase NUMERIC(10, 2) NOT NULL CHECK (price_at_purchase >= 0),
-    total_line_amount NUMERIC(12, 2) NOT NULL
+    hsn_code VARCHAR(8),
+    gst_rate NUMERIC(5, 2) NOT NULL DEFAULT 0,
+    taxable_amount NUMERIC(12, 2) NOT NULL DEFAULT 0,
+    cgst_amount NUMERIC(12, 2) NOT NULL DEFAULT 0,
+    sgst_amount NUMERIC(12, 2) NOT NULL DEFAULT 0,
+    igst_amount NUMERIC(12, 2) NOT NULL DEFAULT 0,
+    total_line_amount NUMERIC(12, 2) NOT NULL,
+    -- Stock value of the units this line moved (COGS on sale lines); NULL when no stock moved
+    unit_cost NUMERIC(12, 4),
+    cost_amount NUMERIC(12, 2) NOT NULL DEFAULT 0,
+    -- Credit/debit note lines point at the invoice line they return
+    original_item_id UUID REFERENCES invoice_items(id) ON DELETE RESTRICT
 );
 
+-- (CHILD) Depends on 'companies' and 'invoices'
+CREATE TABLE IF NOT EXISTS payments (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    company_id UUID NOT NULL REFERENCES companies(id) ON DELETE CASCADE,
+    invoice_id UUID NOT NULL REFERENCES invoices(id) ON DELETE CASCADE,
+    amount NUMERIC(12, 2) NOT NULL CHECK (amount > 0),
+    payment_date DATE NOT NULL DEFAULT CURRENT_DATE,
+    mode payment_mode NOT NULL,
+    reference VARCHAR(100),
+    notes TEXT,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS idx_payments_invoice ON payments(invoice_id);
+
+-- (CHILD) Depends on 'companies' and 'items'
+-- Append-only ledger of every change to items.quantity
+CREATE TABLE IF NOT EXISTS stock_movements (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    company_id UUID NOT NULL REFERENCES companies(id) ON DELETE CASCADE,
+    item_id UUID NOT NULL REFERENCES items(id) ON DELETE CASCADE,
+    quantity_change INTEGER NOT NULL CHECK (quantity_change <> 0),
+    balance_after INTEGER NOT NULL CHECK (balance_after >= 0),
+    -- Cost per unit the movement was valued at
+    unit_cost NUMERIC(12, 4),
+    reason stock_movement_reason NOT NULL,
+    reference_type VARCHAR(30),
+    reference_id UUID,
+    note TEXT,
+    -- No foreign key: ON DELETE SET NULL would be an update, which the append-only trigger refuses
+    created_by UUID,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS idx_stock_movements_item ON stock_movements(item_id, created_at);
+-- Existing databases:
+-- ALTER TABLE stock_movements DROP CONSTRAINT IF EXISTS stock_movements_created_by_fkey;
+
+-- (CHILD) Depends on 'companies'
+-- Append-only audit trail of every change made through the API, hash-chained per company:
+-- each row's hash covers its content and the previous row's hash, so edits and gaps are detectable
+CREATE TABLE IF NOT EXISTS audit_logs (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    company_id UUID NOT NULL REFERENCES companies(id) ON DELETE CASCADE,
+    seq BIGINT NOT NULL CHECK (seq > 0),
+    -- No foreign key: entries must outlive the users who made them
+    actor_id UUID,
+    entity VARCHAR(50) NOT NULL,
+    entity_id VARCHAR(64),
+    action VARCHAR(30) NOT NULL,
+    before_data JSONB,
+    after_data JSONB,
+    prev_hash CHAR(64) NOT NULL,
+    hash CHAR(64) NOT NULL,
+    created_at TIMESTAMPTZ NOT NULL,
+    UNIQUE (company_id, seq)
+);
+CREATE INDEX IF NOT EXISTS idx_audit_logs_entity ON audit_logs(company_id, entity, entity_id);
+CREATE INDEX IF NOT EXISTS idx_audit_logs_created ON audit_logs(company_id, created_at);
+
+-- Existing databases: seed the ledger with current stock so it reconciles
+-- INSERT INTO stock_movements (company_id, item_id, quantity_change, balance_after, reason, note)
+-- SELECT company_id, id, quantity, quantity, 'opening', 'Opening balance at ledger start'
+--   FROM items WHERE quantity > 0;
+
 
 -- STEP 5: Apply the triggers to the tables
 CREATE TRIGGER set_timestamp BEFORE UPDATE ON companies FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 CREATE TRIGGER set_timestamp BEFORE UPDATE ON users FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 CREATE TRIGGER set_timestamp BEFORE UPDATE ON parties FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 CREATE TRIGGER set_timestamp BEFORE UPDATE ON items FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
-CREATE TRIGGER set_timestamp BEFORE UPDATE ON invoices FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
\ No newline at end of file
+CREATE TRIGGER set_timestamp BEFORE UPDATE ON invoices FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER set_timestamp BEFORE UPDATE ON payments FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER set_timestamp BEFORE UPDATE ON sales_documents FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER set_timestamp BEFORE UPDATE ON recurring_invoices FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER set_timestamp BEFORE UPDATE ON number_series FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- STEP 6: Keep the stock ledger append-only (rows only go away with their item)
+CREATE OR REPLACE FUNCTION prevent_stock_movement_changes()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF TG_OP = 'DELETE' AND NOT EXISTS (SELECT 1 FROM items WHERE id = OLD.item_id) THEN
+        RETURN OLD;
+    END IF;
+    RAISE EXCEPTION 'stock_movements is append-only';
+END;
+$$ LANGUAGE 'plpgsql';
+
+CREATE TRIGGER stock_movements_append_only BEFORE UPDATE OR DELETE ON stock_movements FOR EACH ROW EXECUTE FUNCTION prevent_stock_movement_changes();
+
+-- STEP 7: Keep the audit log append-only (rows only go away with their company)
+CREATE OR REPLACE FUNCTION prevent_audit_log_changes()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF TG_OP = 'DELETE' AND NOT EXISTS (SELECT 1 FROM companies WHERE id = OLD.company_id) THEN
+        RETURN OLD;
+    END IF;
+    RAISE EXCEPTION 'audit_logs is append-only';
+END;
+$$ LANGUAGE 'plpgsql';
+
+CREATE TRIGGER audit_logs_append_only BEFORE UPDATE OR DELETE ON audit_logs FOR EACH ROW EXECUTE FUNCTION prevent_audit_log_changes();
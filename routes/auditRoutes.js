@@ -0,0 +1,159 @@
+const express = require('express');
+const router = express.Router();
+const authMiddleware = require('../middleware/authMiddleware');
+const requirePermission = require('../middleware/permissionMiddleware');
+const validate = require('../middleware/validateMiddleware');
+const { AuditLogQuery } = require('../schemas/audit');
+const { getAuditLogs, verifyAuditLog } = require('../controllers/auditController');
+
+router.use(authMiddleware);
+
+/**
+ * @swagger
+ * tags:
+ *   name: Audit
+ *   description: Tamper-evident trail of every change made through the API
+ */
+
+/**
+ * @swagger
+ * /api/audit:
+ *   get:
+ *     summary: List audit log entries
+ *     description: >
+ *       Every create, update and delete made through the API, with the acting user and snapshots of
+ *       the entity before and after the change. Entries are numbered per company (`seq`) and each
+ *       `hash` covers the entry and the previous entry's hash. Owners and accountants only.
+ *     tags: [Audit]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/ListQuery.page'
+ *       - $ref: '#/components/parameters/ListQuery.limit'
+ *       - $ref: '#/components/parameters/AuditLogQuery.sort'
+ *       - $ref: '#/components/parameters/ListQuery.order'
+ *       - $ref: '#/components/parameters/AuditLogQuery.entity'
+ *       - $ref: '#/components/parameters/AuditLogQuery.entity_id'
+ *       - $ref: '#/components/parameters/AuditLogQuery.action'
+ *       - $ref: '#/components/parameters/AuditLogQuery.actor_id'
+ *       - $ref: '#/components/parameters/AuditLogQuery.date_from'
+ *       - $ref: '#/components/parameters/AuditLogQuery.date_to'
+ *     responses:
+ *       200:
+ *         description: Audit log entries
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 entries:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/AuditLogEntry'
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
+ *       400:
+ *         description: Invalid filter or pagination parameter
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ *       403:
+ *         description: Role not allowed to read the audit log
+ */
+router.get('/', requirePermission('audit:read'), validate({ query: AuditLogQuery }), getAuditLogs);
+
+/**
+ * @swagger
+ * /api/audit/verify:
+ *   get:
+ *     summary: Check the audit log for tampering
+ *     description: >
+ *       Re-hashes the company's whole chain. Any edited, deleted or reordered entry breaks it at that
+ *       entry. Entries removed from the end cannot be detected from the chain alone, so keep the
+ *       returned `head_hash` somewhere else and compare it later.
+ *     tags: [Audit]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Verification result
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                   example: "Audit log is intact"
+ *                 valid:
+ *                   type: boolean
+ *                 entries_checked:
+ *                   type: integer
+ *                 broken_at:
+ *                   type: integer
+ *                   nullable: true
+ *                   description: seq of the first entry that does not match
+ *                 head_hash:
+ *                   type: string
+ *                   description: Hash of the last intact entry
+ *       403:
+ *         description: Role not allowed to read the audit log
+ */
+router.get('/verify', requirePermission('audit:read'), verifyAuditLog);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     AuditLogEntry:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *         seq:
+ *           type: string
+ *           description: Position in the company's chain, starting at 1
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *         actor_id:
+ *           type: string
+ *           format: uuid
+ *           nullable: true
+ *           description: Null for changes made by the system, e.g. invoices raised by the recurring scheduler
+ *         actor_email:
+ *           type: string
+ *           nullable: true
+ *           description: Null once the user has been removed
+ *         entity:
+ *           type: string
+ *           example: invoice
+ *         entity_id:
+ *           type: string
+ *           nullable: true
+ *         action:
+ *           type: string
+ *           example: update
+ *         before:
+ *           type: object
+ *           nullable: true
+ *           description: Snapshot before the change (null on create)
+ *         after:
+ *           type: object
+ *           nullable: true
+ *           description: Snapshot after the change (null on delete)
+ *         prev_hash:
+ *           type: string
+ *         hash:
+ *           type: string
+ */
+
+module.exports = router;
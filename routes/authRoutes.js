@@ -1,15 +1,48 @@
 const express = require('express');
 const router = express.Router();
-const { register, login } = require('../controllers/authController');
+const {
+  register,
+  login,
+  acceptInvitation,
+  refresh,
+  logout,
+  logoutAll,
+  forgotPassword,
+  resetPassword,
+  changePassword,
+  verifyEmail,
+  resendVerification,
+} = require('../controllers/authController');
+const authMiddleware = require('../middleware/authMiddleware');
+const validate = require('../middleware/validateMiddleware');
+const {
+  RegisterInput,
+  LoginInput,
+  AcceptInvitationInput,
+  RefreshInput,
+  ForgotPasswordInput,
+  ResetPasswordInput,
+  ChangePasswordInput,
+  VerifyEmailInput,
+} = require('../schemas/auth');
 
-router.post('/register', register);
-router.post('/login', login);
+router.post('/register', validate({ body: RegisterInput }), register);
+router.post('/login', validate({ body: LoginInput }), login);
+router.post('/accept-invitation', validate({ body: AcceptInvitationInput }), acceptInvitation);
+router.post('/refresh', validate({ body: RefreshInput }), refresh);
+router.post('/logout', authMiddleware, logout);
+router.post('/logout-all', authMiddleware, logoutAll);
+router.post('/forgot-password', validate({ body: ForgotPasswordInput }), forgotPassword);
+router.post('/reset-password', validate({ body: ResetPasswordInput }), resetPassword);
+router.post('/change-password', authMiddleware, validate({ body: ChangePasswordInput }), changePassword);
+router.post('/verify-email', validate({ body: VerifyEmailInput }), verifyEmail);
+router.post('/resend-verification', authMiddleware, resendVerification);
 
 /**
  * @swagger
  * tags:
  *   name: Authentication
- *   description: User registration and login
+ *   description: User registration, login and invitations
  */
 
 /**
@@ -23,29 +56,16 @@ router.post('/login', login);
  *       content:
  *         application/json:
  *           schema:
- *             type: object
- *             required:
- *               - company_name
- *               - email
- *               - password
- *             properties:
- *               company_name:
- *                 type: string
- *                 example: Techverse
- *               company_email:
- *                 type: string
- *                 example: info@techverse.com
- *               email:
- *                 type: string
- *                 example: owner@techverse.com
- *               password:
- *                 type: string
- *                 example: password123
+ *             $ref: '#/components/schemas/RegisterInput'
  *     responses:
  *       201:
  *         description: User registered successfully
  *       400:
- *         description: Missing required fields
+ *         description: Missing or invalid fields
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
  *       500:
  *         description: Server error
  */
@@ -61,24 +81,204 @@ router.post('/login', login);
  *       content:
  *         application/json:
  *           schema:
- *             type: object
- *             required:
- *               - email
- *               - password
- *             properties:
- *               email:
- *                 type: string
- *                 example: owner@techverse.com
- *               password:
- *                 type: string
- *                 example: password123
+ *             $ref: '#/components/schemas/LoginInput'
  *     responses:
  *       200:
- *         description: Login successful
+ *         description: Login successful. Returns a short-lived access `token` and a `refresh_token`.
+ *       400:
+ *         description: Missing email or password
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
  *       401:
  *         description: Invalid credentials
  *       404:
  *         description: User not found
  */
 
+/**
+ * @swagger
+ * /api/auth/accept-invitation:
+ *   post:
+ *     summary: Accept an invitation and create a user in the inviting company
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/AcceptInvitationInput'
+ *     responses:
+ *       201:
+ *         description: Invitation accepted, user created and logged in
+ *       400:
+ *         description: Missing token or password, or the invitation is invalid or has expired
+ *       409:
+ *         description: A user with this email already exists
+ */
+/**
+ * @swagger
+ * /api/auth/refresh:
+ *   post:
+ *     summary: Get a new access token using a refresh token
+ *     description: >
+ *       Refresh tokens rotate: the response carries a new `refresh_token` and the old one stops working.
+ *       Replaying an already-rotated refresh token revokes the whole session.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/RefreshInput'
+ *     responses:
+ *       200:
+ *         description: New access token and refresh token issued
+ *       400:
+ *         description: Refresh token is required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ *       401:
+ *         description: Invalid, expired or revoked refresh token
+ */
+
+/**
+ * @swagger
+ * /api/auth/logout:
+ *   post:
+ *     summary: Log out the current session
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Logged out successfully
+ *       401:
+ *         description: Unauthorized - missing, invalid or revoked token
+ */
+
+/**
+ * @swagger
+ * /api/auth/logout-all:
+ *   post:
+ *     summary: Log out of all devices
+ *     description: Revokes every session of the current user; all access and refresh tokens stop working.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: All sessions revoked
+ *       401:
+ *         description: Unauthorized - missing, invalid or revoked token
+ */
+/**
+ * @swagger
+ * /api/auth/forgot-password:
+ *   post:
+ *     summary: Request a password reset link by email
+ *     description: Always returns 200 so that registered emails cannot be discovered. The link expires after 1 hour.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ForgotPasswordInput'
+ *     responses:
+ *       200:
+ *         description: Reset link sent if the account exists
+ *       400:
+ *         description: Email is required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ */
+
+/**
+ * @swagger
+ * /api/auth/reset-password:
+ *   post:
+ *     summary: Set a new password using a single-use reset token
+ *     description: Logs the user out of every device.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ResetPasswordInput'
+ *     responses:
+ *       200:
+ *         description: Password reset successfully
+ *       400:
+ *         description: Password too short (see ValidationError), or the token is invalid, expired or already used
+ */
+
+/**
+ * @swagger
+ * /api/auth/change-password:
+ *   post:
+ *     summary: Change the password of the logged-in user
+ *     description: Other sessions are logged out; the current one stays active.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ChangePasswordInput'
+ *     responses:
+ *       200:
+ *         description: Password changed successfully
+ *       400:
+ *         description: Missing fields or password too short
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ *       401:
+ *         description: Current password is incorrect
+ */
+
+/**
+ * @swagger
+ * /api/auth/verify-email:
+ *   post:
+ *     summary: Verify an email address with the token sent on registration
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/VerifyEmailInput'
+ *     responses:
+ *       200:
+ *         description: Email verified successfully
+ *       400:
+ *         description: Missing token, or the token is invalid, expired or already used
+ */
+
+/**
+ * @swagger
+ * /api/auth/resend-verification:
+ *   post:
+ *     summary: Resend the email verification link
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Verification email sent
+ *       400:
+ *         description: Email is already verified
+ */
+
 module.exports = router;
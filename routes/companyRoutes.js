@@ -1,13 +1,130 @@
 const express = require("express");
-const { getCompanyDetails, updateCompanyDetails } = require("../controllers/companyController");
+const { getCompanyDetails, updateCompanyDetails, updateBooksLock } = require("../controllers/companyController");
+const { getNumberSeries, updateNumberSeries } = require("../controllers/numberSeriesController");
 const authMiddleware = require("../middleware/authMiddleware");
+const requirePermission = require("../middleware/permissionMiddleware");
 const upload = require("../middleware/uploadMiddleware");
+const validate = require("../middleware/validateMiddleware");
+const {
+  CompanyUpdate,
+  CompanyParams,
+  BooksLockInput,
+  NumberSeriesParams,
+  NumberSeriesInput,
+} = require("../schemas/companies");
 
 const router = express.Router();
 
 // Protect all routes
 router.use(authMiddleware);
 
+/**
+ * @swagger
+ * /api/companies/numbering-series:
+ *   get:
+ *     summary: Get the document numbering series of the logged-in company
+ *     description: >
+ *       Lists each document type with its prefix, padding and financial-year reset flag,
+ *       plus a preview of the next number. Unconfigured types use the default (e.g. `INV/2026-27/0001`).
+ *     tags: [Companies]
+ *     responses:
+ *       200:
+ *         description: Numbering series fetched successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Numbering series fetched successfully"
+ *                 series:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/NumberSeries'
+ */
+router.get("/numbering-series", getNumberSeries);
+
+/**
+ * @swagger
+ * /api/companies/numbering-series/{document_type}:
+ *   put:
+ *     summary: Configure the numbering series for a document type
+ *     description: >
+ *       Owner only. Numbers are allocated atomically when the document is created.
+ *       Changing the prefix starts a fresh counter for that prefix.
+ *     tags: [Companies]
+ *     parameters:
+ *       - $ref: '#/components/parameters/NumberSeriesParams.document_type'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/NumberSeriesInput'
+ *     responses:
+ *       200:
+ *         description: Numbering series updated successfully
+ *       400:
+ *         description: Unknown document type, or an invalid prefix, padding or reset flag
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ *       403:
+ *         description: Role not allowed to edit company settings
+ */
+router.put(
+  "/numbering-series/:document_type",
+  requirePermission("company:update"),
+  validate({ params: NumberSeriesParams, body: NumberSeriesInput }),
+  updateNumberSeries
+);
+
+/**
+ * @swagger
+ * /api/companies/books-lock:
+ *   put:
+ *     summary: Close the books up to the end of a month, or reopen them
+ *     description: >
+ *       Owners and accountants. Invoices, bills, notes and payments dated on or before the
+ *       last day of the closed month can no longer be created, changed, cancelled or deleted.
+ *       Send `month: null` to reopen every period.
+ *     tags: [Companies]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/BooksLockInput'
+ *     responses:
+ *       200:
+ *         description: Books closed or reopened
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Books closed up to 2026-09-30"
+ *                 books_locked_until:
+ *                   type: string
+ *                   format: date
+ *                   nullable: true
+ *       400:
+ *         description: Invalid month (see ValidationError), or a month that has not ended yet
+ *       403:
+ *         description: Role not allowed to close the books
+ */
+router.put("/books-lock", requirePermission("books:lock"), validate({ body: BooksLockInput }), updateBooksLock);
+
 /**
  * @swagger
  * /api/companies/{company_id}:
@@ -15,55 +132,63 @@ router.use(authMiddleware);
  *     summary: Get company details by ID
  *     tags: [Companies]
  *     parameters:
- *       - name: company_id
- *         in: path
- *         required: true
- *         description: UUID of the company
- *         schema:
- *           type: string
+ *       - $ref: '#/components/parameters/CompanyParams.company_id'
  *     responses:
  *       200:
  *         description: Company details fetched successfully
  *       404:
  *         description: Company not found
  */
-router.get("/:company_id", getCompanyDetails);
+router.get("/:company_id", validate({ params: CompanyParams }), getCompanyDetails);
 
 /**
  * @swagger
  * /api/companies/update:
  *   put:
  *     summary: Update company details (including base64 logo)
+ *     description: Owner only. Always updates the logged-in user's company.
  *     tags: [Companies]
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
- *             type: object
- *             properties:
- *               company_id:
- *                 type: string
- *                 example: "b0f0a8b8-8f4b-4a6e-a28c-45e7e1c8d9a1"
- *               name:
- *                 type: string
- *                 example: "Techverse"
- *               address:
- *                 type: string
- *                 example: "Indore, MP, India"
- *               gstin:
- *                 type: string
- *                 example: "22AAAAA0000A1Z5"
- *               contact_email:
- *                 type: string
- *                 example: "info@techverse.com"
- *               contact_phone:
- *                 type: string
- *                 example: "+91 9999999999"
- *               logo:
- *                 type: string
- *                 example: "data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAA..."
+ *             $ref: '#/components/schemas/CompanyUpdate'
+ *     responses:
+ *       200:
+ *         description: Company details updated successfully
+ *       400:
+ *         description: Invalid fields (see ValidationError), or a GSTIN with a bad checksum
+ *       403:
+ *         description: Role not allowed to edit company details
+ */
+router.put("/update", requirePermission("company:update"), validate({ body: CompanyUpdate }), updateCompanyDetails);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     NumberSeries:
+ *       type: object
+ *       properties:
+ *         document_type:
+ *           type: string
+ *           example: "invoice"
+ *         prefix:
+ *           type: string
+ *           example: "INV"
+ *         padding:
+ *           type: integer
+ *           example: 4
+ *         reset_yearly:
+ *           type: boolean
+ *           example: true
+ *         is_default:
+ *           type: boolean
+ *           description: True when the company has not configured this series yet
+ *         next_number:
+ *           type: string
+ *           example: "INV/2026-27/0001"
  */
-router.put("/update", updateCompanyDetails);
 
 module.exports = router;
@@ -35,6 +35,14 @@ router.use(authMiddleware);
  *                 current_month_total_revenue:
  *                   type: number
  *                   example: 2000
+ *                 previous_month_collections:
+ *                   type: number
+ *                   description: Payments received in the previous month
+ *                   example: 800
+ *                 current_month_collections:
+ *                   type: number
+ *                   description: Payments received in the current month
+ *                   example: 1500
  *                 previous_month_total_customers:
  *                   type: integer
  *                   example: 300
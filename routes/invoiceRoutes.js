@@ -1,14 +1,46 @@
 const express = require('express');
 const router = express.Router();
 const authMiddleware = require('../middleware/authMiddleware');
+const requirePermission = require('../middleware/permissionMiddleware');
+const validate = require('../middleware/validateMiddleware');
+const { IdParams } = require('../schemas/common');
+const {
+  InvoiceInput,
+  InvoiceUpdate,
+  InvoiceStatusInput,
+  InvoiceNoteInput,
+  PaymentInput,
+  PaymentParams,
+  EInvoiceCancelInput,
+  InvoiceTransport,
+  EwayBillExportInput,
+  InvoiceListQuery,
+  ArchivedInvoiceListQuery,
+  InvoiceSummaryQuery,
+  InvoicePdfQuery,
+} = require('../schemas/invoices');
 const {
   createInvoice,
   getAllInvoices,
   getInvoiceById,
+  getInvoicePdf,
   updateInvoice,
+  updateInvoiceStatus,
+  cancelInvoice,
   deleteInvoice,
+  getArchivedInvoices,
+  restoreInvoice,
+  deleteInvoicePermanently,
+  createInvoiceNote,
+  getEInvoice,
+  generateEInvoice,
+  cancelEInvoice,
+  updateInvoiceTransport,
+  getInvoiceEwayBill,
+  exportEwayBills,
   getInvoiceSummary 
 } = require('../controllers/invoiceController');
+const { getInvoicePayments, createPayment, deletePayment } = require('../controllers/paymentController');
 
 // Apply authentication middleware
 router.use(authMiddleware);
@@ -28,10 +60,14 @@ router.use(authMiddleware);
  * /api/invoices/summary:
  *   get:
  *     summary: Get invoice summary for the logged-in company
- *     description: Returns total invoices, total amount, paid amount, and overdue count.
+ *     description: >
+ *       Returns total invoices, total amount, collected amount, outstanding amount and overdue count
+ *       of issued documents; drafts and cancelled documents are left out.
  *     tags: [Invoices]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/InvoiceSummaryQuery.type'
  *     responses:
  *       200:
  *         description: Invoice summary fetched successfully
@@ -57,17 +93,82 @@ router.use(authMiddleware);
  *                       example: 225400
  *                     paid_amount:
  *                       type: number
+ *                       description: Sum of payments actually recorded
  *                       example: 96200
+ *                     credited_amount:
+ *                       type: number
+ *                       description: Sum of credit/debit notes applied to these invoices
+ *                       example: 4200
+ *                     outstanding_amount:
+ *                       type: number
+ *                       example: 129200
  *                     overdue:
  *                       type: integer
  *                       example: 1
+ *       400:
+ *         description: Invalid document type
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
  *       401:
  *         description: Unauthorized - missing or invalid token
  *       500:
  *         description: Server error
  */
 
-router.get('/summary', getInvoiceSummary);
+router.get('/summary', validate({ query: InvoiceSummaryQuery }), getInvoiceSummary);
+
+/**
+ * @swagger
+ * /api/invoices/eway-bills:
+ *   post:
+ *     summary: Download the e-way bill bulk-upload JSON for selected invoices
+ *     description: >
+ *       Builds one e-way bill per invoice from its parties and transport details (see
+ *       PUT /api/invoices/{id}/transport), in the portal's bulk generation format. Every invoice is
+ *       validated first; if any has errors nothing is exported and the errors are listed per invoice.
+ *       Invoices not above ₹50,000 are exported with a warning, as their e-way bill is optional.
+ *     tags: [Invoices]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/EwayBillExportInput'
+ *     responses:
+ *       200:
+ *         description: Bulk-upload JSON (`version`, `billLists`) sent as an attachment
+ *       400:
+ *         description: >
+ *           Invalid `invoice_ids` (see ValidationError), or some invoices are not ready
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: "Some invoices are not ready for an e-way bill"
+ *                 invoices:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       invoice_id:
+ *                         type: string
+ *                         format: uuid
+ *                       invoice_number:
+ *                         type: string
+ *                         nullable: true
+ *                       issues:
+ *                         type: array
+ *                         items:
+ *                           $ref: '#/components/schemas/EwayBillIssue'
+ */
+router.post('/eway-bills', requirePermission('invoices:write'), validate({ body: EwayBillExportInput }), exportEwayBills);
 
 
 /**
@@ -75,7 +176,11 @@ router.get('/summary', getInvoiceSummary);
  * /api/invoices:
  *   post:
  *     summary: Create a new invoice with multiple items
- *     description: Creates an invoice with its associated items and updates stock quantities accordingly.
+ *     description: >
+ *       Creates a sales invoice or a purchase bill with its associated items.
+ *       Sales decrease stock; purchase bills (raised against a supplier) increase it.
+ *       GST is applied per line from the item's `gst_rate`: CGST + SGST when the party is in the
+ *       company's state, IGST otherwise. Taxes are rolled up onto the invoice.
  *     tags: [Invoices]
  *     security:
  *       - bearerAuth: []
@@ -84,44 +189,7 @@ router.get('/summary', getInvoiceSummary);
  *       content:
  *         application/json:
  *           schema:
- *             type: object
- *             properties:
- *               party_id:
- *                 type: string
- *                 description: UUID of the customer or supplier
- *                 example: "b7d8a9d1-0a56-4e3c-93a9-1b02c8d74df2"
- *               invoice_number:
- *                 type: string
- *                 description: Unique invoice number for this company
- *                 example: "INV-2025-001"
- *               due_date:
- *                 type: string
- *                 format: date
- *                 description: Due date for the invoice payment
- *                 example: "2025-11-30"
- *               status:
- *                 type: string
- *                 description: Optional status of the invoice (defaults to `draft` if not provided)
- *                 enum: [draft, sent, paid, cancelled]
- *                 example: "draft"
- *               items:
- *                 type: array
- *                 description: List of items to be included in the invoice
- *                 items:
- *                   type: object
- *                   properties:
- *                     item_id:
- *                       type: string
- *                       description: UUID of the item
- *                       example: "5d5d61b5-b2a3-49e2-97ce-8c8f41f647af"
- *                     quantity:
- *                       type: integer
- *                       description: Quantity of the item being sold
- *                       example: 3
- *             required:
- *               - party_id
- *               - invoice_number
- *               - items
+ *             $ref: '#/components/schemas/InvoiceInput'
  *     responses:
  *       201:
  *         description: Invoice created successfully
@@ -137,68 +205,192 @@ router.get('/summary', getInvoiceSummary);
  *                   type: string
  *                   format: uuid
  *                   example: "f4a3a7b9-5b92-4f58-99ff-6f46b258d7d3"
+ *                 invoice_number:
+ *                   type: string
+ *                   description: The supplied number, or the one allocated from the series
+ *                   example: "INV/2026-27/0001"
+ *                 invoice_type:
+ *                   type: string
+ *                   enum: [sale, purchase]
  *       400:
- *         description: Invalid input data, insufficient stock, or validation error
+ *         description: Missing or invalid fields, or no bill number on a purchase bill
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 error:
- *                   type: string
- *                   example: "Insufficient stock for item: 5d5d61b5-b2a3-49e2-97ce-8c8f41f647af"
+ *               $ref: '#/components/schemas/ValidationError'
+ *       409:
+ *         description: Duplicate invoice number, insufficient stock, or a date in a closed period
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       422:
+ *         description: Unknown or archived party or item, or a party of the wrong type for the document
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       401:
  *         description: Unauthorized - missing or invalid token
  *       500:
  *         description: Internal server error
  */
-router.post('/', createInvoice);
+router.post('/', requirePermission('invoices:write'), validate({ body: InvoiceInput }), createInvoice);
 
 /**
  * @swagger
  * /api/invoices:
  *   get:
  *     summary: Get all invoices for the logged-in company
+ *     description: Paginated list of invoices with optional filters, search and sorting.
  *     tags: [Invoices]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/InvoiceListQuery.type'
+ *       - $ref: '#/components/parameters/InvoiceListQuery.status'
+ *       - $ref: '#/components/parameters/InvoiceListQuery.party_id'
+ *       - $ref: '#/components/parameters/InvoiceListQuery.date_from'
+ *       - $ref: '#/components/parameters/InvoiceListQuery.date_to'
+ *       - $ref: '#/components/parameters/ListQuery.q'
+ *       - $ref: '#/components/parameters/InvoiceListQuery.sort'
+ *       - $ref: '#/components/parameters/ListQuery.order'
+ *       - $ref: '#/components/parameters/ListQuery.page'
+ *       - $ref: '#/components/parameters/ListQuery.limit'
  *     responses:
  *       200:
  *         description: List of invoices fetched successfully
  *         content:
  *           application/json:
  *             schema:
- *               type: array
- *               items:
- *                 type: object
- *                 properties:
- *                   id:
- *                     type: string
- *                     format: uuid
- *                   invoice_number:
- *                     type: string
- *                   due_date:
- *                     type: string
- *                     format: date
- *                   total_amount:
- *                     type: number
- *                   status:
- *                     type: string
- *                     enum: [draft, sent, paid, cancelled]
- *                   created_at:
- *                     type: string
- *                     format: date-time
- *                     description: Date when the invoice was created
- *                   updated_at:
- *                     type: string
- *                     format: date-time
- *                     description: Last updated date of the invoice
- *                   party_name:
- *                     type: string
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Invoices fetched successfully"
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
+ *                 invoices:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: string
+ *                         format: uuid
+ *                       invoice_number:
+ *                         type: string
+ *                       invoice_type:
+ *                         type: string
+ *                         enum: [sale, purchase, credit_note, debit_note]
+ *                       due_date:
+ *                         type: string
+ *                         format: date
+ *                       total_amount:
+ *                         type: number
+ *                       amount_paid:
+ *                         type: number
+ *                       amount_credited:
+ *                         type: number
+ *                       balance_due:
+ *                         type: number
+ *                       original_invoice_id:
+ *                         type: string
+ *                         format: uuid
+ *                         nullable: true
+ *                         description: Set on credit/debit notes
+ *                       status:
+ *                         type: string
+ *                         enum: [draft, sent, partially_paid, paid, cancelled]
+ *                       created_at:
+ *                         type: string
+ *                         format: date-time
+ *                         description: Date when the invoice was created
+ *                       updated_at:
+ *                         type: string
+ *                         format: date-time
+ *                         description: Last updated date of the invoice
+ *                       party_id:
+ *                         type: string
+ *                         format: uuid
+ *                       party_name:
+ *                         type: string
+ *       400:
+ *         description: Invalid pagination, sort or filter parameter
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
  *       500:
  *         description: Internal server error
  */
-router.get('/', getAllInvoices);
+router.get('/', validate({ query: InvoiceListQuery }), getAllInvoices);
+
+/**
+ * @swagger
+ * /api/invoices/trash:
+ *   get:
+ *     summary: Get archived invoices, bills and notes
+ *     tags: [Invoices]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/ArchivedInvoiceListQuery.type'
+ *       - $ref: '#/components/parameters/ListQuery.q'
+ *       - $ref: '#/components/parameters/ArchivedInvoiceListQuery.sort'
+ *       - $ref: '#/components/parameters/ListQuery.order'
+ *       - $ref: '#/components/parameters/ListQuery.page'
+ *       - $ref: '#/components/parameters/ListQuery.limit'
+ *     responses:
+ *       200:
+ *         description: Archived invoices
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
+ *                 invoices:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: string
+ *                       invoice_number:
+ *                         type: string
+ *                       invoice_type:
+ *                         type: string
+ *                       invoice_date:
+ *                         type: string
+ *                         format: date
+ *                       total_amount:
+ *                         type: number
+ *                       status:
+ *                         type: string
+ *                       party_name:
+ *                         type: string
+ *                       deleted_at:
+ *                         type: string
+ *                         format: date-time
+ *                       deleted_by:
+ *                         type: string
+ *       400:
+ *         description: Invalid pagination, sort or filter parameter
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ */
+router.get('/trash', validate({ query: ArchivedInvoiceListQuery }), getArchivedInvoices);
 
 /**
  * @swagger
@@ -209,13 +401,7 @@ router.get('/', getAllInvoices);
  *     security:
  *       - bearerAuth: []
  *     parameters:
- *       - in: path
- *         name: id
- *         required: true
- *         description: UUID of the invoice
- *         schema:
- *           type: string
- *           format: uuid
+ *       - $ref: '#/components/parameters/IdParams.id'
  *     responses:
  *       200:
  *         description: Invoice details fetched successfully
@@ -229,14 +415,109 @@ router.get('/', getAllInvoices);
  *                   format: uuid
  *                 invoice_number:
  *                   type: string
+ *                 invoice_type:
+ *                   type: string
+ *                   enum: [sale, purchase, credit_note, debit_note]
  *                 due_date:
  *                   type: string
  *                   format: date
+ *                 place_of_supply:
+ *                   type: string
+ *                   description: 2-digit state code of the place of supply
+ *                 supply_type:
+ *                   type: string
+ *                   enum: [intra, inter]
+ *                 taxable_amount:
+ *                   type: number
+ *                 cgst_amount:
+ *                   type: number
+ *                 sgst_amount:
+ *                   type: number
+ *                 igst_amount:
+ *                   type: number
  *                 total_amount:
  *                   type: number
+ *                 amount_paid:
+ *                   type: number
+ *                 amount_credited:
+ *                   type: number
+ *                   description: Credit/debit notes applied (equals the total on a note itself)
+ *                 balance_due:
+ *                   type: number
+ *                   description: Negative when returns exceed what is still owed (a refund is due)
  *                 status:
  *                   type: string
- *                   enum: [draft, sent, paid, cancelled]
+ *                   enum: [draft, sent, partially_paid, paid, cancelled]
+ *                 original_invoice_id:
+ *                   type: string
+ *                   format: uuid
+ *                   nullable: true
+ *                 original_invoice_number:
+ *                   type: string
+ *                   nullable: true
+ *                 note_reason:
+ *                   type: string
+ *                   nullable: true
+ *                 sales_document_id:
+ *                   type: string
+ *                   format: uuid
+ *                   nullable: true
+ *                   description: Quotation or sales order this invoice was converted from
+ *                 irn:
+ *                   type: string
+ *                   nullable: true
+ *                   description: E-invoice reference number from the IRP
+ *                 irn_ack_no:
+ *                   type: string
+ *                   nullable: true
+ *                 irn_ack_date:
+ *                   type: string
+ *                   format: date-time
+ *                   nullable: true
+ *                 irn_signed_qr:
+ *                   type: string
+ *                   nullable: true
+ *                   description: Signed QR code data returned by the IRP (printed on the invoice PDF)
+ *                 irn_cancelled_at:
+ *                   type: string
+ *                   format: date-time
+ *                   nullable: true
+ *                 irn_cancel_reason:
+ *                   type: string
+ *                   nullable: true
+ *                 transport_mode:
+ *                   type: string
+ *                   nullable: true
+ *                   description: Transport details for the e-way bill; all fields are listed under InvoiceTransport
+ *                 vehicle_number:
+ *                   type: string
+ *                   nullable: true
+ *                 distance_km:
+ *                   type: integer
+ *                   nullable: true
+ *                 notes:
+ *                   type: array
+ *                   description: Credit/debit notes raised against this invoice
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: string
+ *                         format: uuid
+ *                       invoice_number:
+ *                         type: string
+ *                       invoice_type:
+ *                         type: string
+ *                         enum: [credit_note, debit_note]
+ *                       invoice_date:
+ *                         type: string
+ *                         format: date
+ *                       total_amount:
+ *                         type: number
+ *                       note_reason:
+ *                         type: string
+ *                       status:
+ *                         type: string
  *                 created_at:
  *                   type: string
  *                   format: date-time
@@ -259,140 +540,768 @@ router.get('/', getAllInvoices);
  *                         type: integer
  *                       price_at_purchase:
  *                         type: number
+ *                       hsn_code:
+ *                         type: string
+ *                       gst_rate:
+ *                         type: number
+ *                       taxable_amount:
+ *                         type: number
+ *                       cgst_amount:
+ *                         type: number
+ *                       sgst_amount:
+ *                         type: number
+ *                       igst_amount:
+ *                         type: number
  *                       total_line_amount:
  *                         type: number
+ *                       unit_cost:
+ *                         type: number
+ *                         nullable: true
+ *                         description: Stock cost per unit of this line (weighted average at the time of sale)
+ *                       cost_amount:
+ *                         type: number
+ *                         description: Cost of goods sold for sale lines
+ *                       original_item_id:
+ *                         type: string
+ *                         format: uuid
+ *                         nullable: true
+ *                         description: On note lines, the invoice line being returned
  *       404:
  *         description: Invoice not found
  *       500:
  *         description: Internal server error
  */
-router.get('/:id', getInvoiceById);
+router.get('/:id', validate({ params: IdParams }), getInvoiceById);
 
 /**
  * @swagger
- * /api/invoices/{id}:
- *   put:
- *     summary: Update an existing invoice (details and items)
+ * /api/invoices/{id}/pdf:
+ *   get:
+ *     summary: Download a printable GST tax invoice as PDF
  *     description: >
- *       Updates invoice details (like due date, party, status) and optionally updates the items array.  
- *       You can add new items, update existing item quantities, or remove items.  
- *       Stock quantities are automatically adjusted based on changes.
+ *       Renders the invoice server-side with the company details (name, address, GSTIN, logo),
+ *       the party billing address and the invoice lines with their tax split.
+ *       E-invoices with an active IRN also carry the IRN, acknowledgement and signed QR code.
+ *       Uses bundled fonts only; the company logo is skipped if it cannot be fetched.
  *     tags: [Invoices]
  *     security:
  *       - bearerAuth: []
  *     parameters:
- *       - in: path
- *         name: id
- *         required: true
- *         description: UUID of the invoice to update
- *         schema:
- *           type: string
- *           format: uuid
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             properties:
- *               party_id:
- *                 type: string
- *                 description: Updated party UUID (optional)
- *                 example: "b7d8a9d1-0a56-4e3c-93a9-1b02c8d74df2"
- *               due_date:
- *                 type: string
- *                 format: date
- *                 description: Updated due date (optional)
- *                 example: "2025-12-10"
- *               status:
- *                 type: string
- *                 description: Updated invoice status (optional)
- *                 enum: [draft, sent, paid, cancelled]
- *                 example: "sent"
- *               items:
- *                 type: array
- *                 description: >
- *                   Optional array of updated invoice items.  
- *                   - Existing items will have their quantities updated.  
- *                   - New items will be added.  
- *                   - Items missing from this list will be removed.
- *                 items:
- *                   type: object
- *                   properties:
- *                     item_id:
- *                       type: string
- *                       description: UUID of the item
- *                       example: "5d5d61b5-b2a3-49e2-97ce-8c8f41f647af"
- *                     quantity:
- *                       type: integer
- *                       description: Updated quantity for the item
- *                       example: 5
- *             example:
- *               due_date: "2025-12-10"
- *               status: "sent"
- *               items:
- *                 - item_id: "5d5d61b5-b2a3-49e2-97ce-8c8f41f647af"
- *                   quantity: 5
- *                 - item_id: "e9c6f7d3-0a55-4a5e-9c44-b6c6a1d68a9f"
- *                   quantity: 2
+ *       - $ref: '#/components/parameters/IdParams.id'
+ *       - $ref: '#/components/parameters/InvoicePdfQuery.disposition'
  *     responses:
  *       200:
- *         description: Invoice updated successfully
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 message:
- *                   type: string
- *                   example: "Invoice updated successfully"
- *       400:
- *         description: Invalid input, insufficient stock, or validation error
+ *         description: Invoice PDF
  *         content:
- *           application/json:
+ *           application/pdf:
  *             schema:
- *               type: object
- *               properties:
- *                 error:
- *                   type: string
- *                   example: "Insufficient stock for item: 5d5d61b5-b2a3-49e2-97ce-8c8f41f647af"
+ *               type: string
+ *               format: binary
  *       404:
  *         description: Invoice not found
- *       401:
- *         description: Unauthorized - missing or invalid token
  *       500:
  *         description: Internal server error
  */
-router.put('/:id', updateInvoice);
+router.get('/:id/pdf', validate({ params: IdParams, query: InvoicePdfQuery }), getInvoicePdf);
 
 /**
  * @swagger
- * /api/invoices/{id}:
- *   delete:
- *     summary: Delete an invoice and its associated items
+ * /api/invoices/{id}/einvoice:
+ *   get:
+ *     summary: Preview the e-invoice JSON for an invoice
+ *     description: >
+ *       Builds the NIC e-invoice schema (version 1.1) payload from the invoice, company and party,
+ *       and lists anything the IRP would reject (missing pincode, city, HSN code, buyer GSTIN...).
+ *       Only issued sales invoices and credit notes to GST-registered buyers can be registered.
  *     tags: [Invoices]
  *     security:
  *       - bearerAuth: []
  *     parameters:
- *       - in: path
- *         name: id
- *         required: true
- *         description: UUID of the invoice
- *         schema:
- *           type: string
- *           format: uuid
+ *       - $ref: '#/components/parameters/IdParams.id'
  *     responses:
  *       200:
- *         description: Invoice deleted successfully
+ *         description: E-invoice payload and readiness
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 invoice_id:
+ *                   type: string
+ *                   format: uuid
+ *                 invoice_number:
+ *                   type: string
+ *                 einvoice:
+ *                   nullable: true
+ *                   allOf:
+ *                     - $ref: '#/components/schemas/EInvoiceRegistration'
+ *                 ready:
+ *                   type: boolean
+ *                   description: True when the invoice has no IRN yet and no errors
+ *                 errors:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                   example: ["Buyer: a 6-digit pincode is required"]
+ *                 payload:
+ *                   type: object
+ *                   description: Request body for the IRP (Version, TranDtls, DocDtls, SellerDtls, BuyerDtls, ItemList, ValDtls, RefDtls)
  *       404:
  *         description: Invoice not found
- *       500:
- *         description: Internal server error
- */
-
-
-
-router.delete('/:id', deleteInvoice);
+ *   post:
+ *     summary: Register an invoice on the IRP and store its IRN
+ *     description: >
+ *       Submits the e-invoice JSON to the configured IRP client and stores the returned IRN,
+ *       acknowledgement number and date, and signed QR code. Without `IRP_BASE_URL` a local mock
+ *       IRP is used. Once registered, the invoice can no longer be edited or deleted.
+ *     tags: [Invoices]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdParams.id'
+ *     responses:
+ *       201:
+ *         description: E-invoice registered
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 einvoice:
+ *                   $ref: '#/components/schemas/EInvoiceRegistration'
+ *       400:
+ *         description: Invoice is not ready for e-invoicing; `errors` lists what to fix
+ *       404:
+ *         description: Invoice not found
+ *       409:
+ *         description: Invoice already has an IRN (active or cancelled), or is dated in a closed period
+ *       422:
+ *         description: The IRP rejected the e-invoice; `errors` carries its error codes
+ *       502:
+ *         description: The IRP could not be reached
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/:id/einvoice', validate({ params: IdParams }), getEInvoice);
+router.post('/:id/einvoice', requirePermission('invoices:write'), validate({ params: IdParams }), generateEInvoice);
+
+/**
+ * @swagger
+ * /api/invoices/{id}/einvoice/cancel:
+ *   post:
+ *     summary: Cancel an invoice's IRN
+ *     description: >
+ *       Cancels the IRN on the IRP, marks the invoice cancelled and reverses its stock movement.
+ *       Allowed within 24 hours of generation, and only when no payments or live credit/debit notes
+ *       are recorded against it; after that, raise a credit note instead. The document number cannot
+ *       be registered again.
+ *     tags: [Invoices]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdParams.id'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/EInvoiceCancelInput'
+ *     responses:
+ *       200:
+ *         description: IRN cancelled and invoice marked as cancelled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 einvoice:
+ *                   $ref: '#/components/schemas/EInvoiceRegistration'
+ *       400:
+ *         description: Invalid reason code or missing remarks
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ *       404:
+ *         description: Invoice not found
+ *       409:
+ *         description: >
+ *           No active IRN, past the 24-hour window, payments/notes recorded against the invoice,
+ *           or the invoice is dated in a closed period
+ *       422:
+ *         description: The IRP rejected the cancellation
+ *       502:
+ *         description: The IRP could not be reached
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post(
+  '/:id/einvoice/cancel',
+  requirePermission('invoices:write'),
+  validate({ params: IdParams, body: EInvoiceCancelInput }),
+  cancelEInvoice
+);
+
+/**
+ * @swagger
+ * /api/invoices/{id}/transport:
+ *   put:
+ *     summary: Set the transport details used on the e-way bill
+ *     description: >
+ *       Replaces the invoice's transporter, vehicle, distance and dispatch/ship-to addresses; omitted
+ *       fields are cleared, but at least one field must be sent (send nulls to clear everything).
+ *       Dispatch and ship-to addresses are only needed when goods leave from or go to a place other
+ *       than the parties' own addresses, and must be given in full. Allowed on issued and e-invoiced
+ *       invoices, but not on cancelled ones or in a closed period.
+ *     tags: [Invoices]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdParams.id'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/InvoiceTransport'
+ *     responses:
+ *       200:
+ *         description: Transport details updated
+ *       400:
+ *         description: >
+ *           Empty body, invalid vehicle number, transporter ID, distance, pincode or state code, or an
+ *           incomplete address
+ *       404:
+ *         description: Invoice not found
+ *       409:
+ *         description: The invoice is cancelled or dated in a closed period
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.put(
+  '/:id/transport',
+  requirePermission('invoices:write'),
+  validate({ params: IdParams, body: InvoiceTransport }),
+  updateInvoiceTransport
+);
+
+/**
+ * @swagger
+ * /api/invoices/{id}/eway-bill:
+ *   get:
+ *     summary: Preview the e-way bill for an invoice
+ *     description: >
+ *       Returns the invoice's entry for the e-way bill bulk-upload file and anything the portal would
+ *       reject, such as a missing distance, vehicle number, pincode or HSN code.
+ *     tags: [Invoices]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdParams.id'
+ *     responses:
+ *       200:
+ *         description: E-way bill entry and readiness
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 invoice_id:
+ *                   type: string
+ *                   format: uuid
+ *                 invoice_number:
+ *                   type: string
+ *                 ready:
+ *                   type: boolean
+ *                   description: True when there are no errors (warnings do not block the export)
+ *                 issues:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/EwayBillIssue'
+ *                 bill:
+ *                   type: object
+ *                   description: One `billLists` entry of the bulk-upload JSON
+ *       404:
+ *         description: Invoice not found
+ */
+router.get('/:id/eway-bill', validate({ params: IdParams }), getInvoiceEwayBill);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     EwayBillIssue:
+ *       type: object
+ *       properties:
+ *         severity:
+ *           type: string
+ *           enum: [error, warning]
+ *         message:
+ *           type: string
+ *           example: "Transport: vehicle_number is required for road transport"
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     EInvoiceRegistration:
+ *       type: object
+ *       properties:
+ *         irn:
+ *           type: string
+ *           description: 64-character invoice reference number
+ *         ack_no:
+ *           type: string
+ *         ack_date:
+ *           type: string
+ *           format: date-time
+ *         signed_qr:
+ *           type: string
+ *           description: Signed QR code data to print on the invoice
+ *         status:
+ *           type: string
+ *           enum: [active, cancelled]
+ *         cancelled_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         cancel_reason:
+ *           type: string
+ *           nullable: true
+ */
+
+/**
+ * @swagger
+ * /api/invoices/{id}/payments:
+ *   get:
+ *     summary: List payments recorded against an invoice
+ *     tags: [Invoices]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdParams.id'
+ *     responses:
+ *       200:
+ *         description: Payments and current balance of the invoice
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 invoice_id:
+ *                   type: string
+ *                   format: uuid
+ *                 invoice_number:
+ *                   type: string
+ *                 status:
+ *                   type: string
+ *                   enum: [draft, sent, partially_paid, paid, cancelled]
+ *                 total_amount:
+ *                   type: number
+ *                 amount_paid:
+ *                   type: number
+ *                 balance_due:
+ *                   type: number
+ *                 payments:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Payment'
+ *       404:
+ *         description: Invoice not found
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/:id/payments', validate({ params: IdParams }), getInvoicePayments);
+
+/**
+ * @swagger
+ * /api/invoices/{id}/payments:
+ *   post:
+ *     summary: Record a full or partial payment against an invoice
+ *     description: >
+ *       Adds a payment and re-derives the invoice balance. The status moves to `partially_paid`
+ *       or `paid` automatically. Payments above the balance due are rejected.
+ *     tags: [Invoices]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdParams.id'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PaymentInput'
+ *     responses:
+ *       201:
+ *         description: Payment recorded successfully
+ *       400:
+ *         description: Invalid fields
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ *       404:
+ *         description: Invoice not found
+ *       409:
+ *         description: The invoice is a draft or cancelled, or the payment date falls in a closed period
+ *       422:
+ *         description: Payment exceeds the balance due, or the invoice is a credit/debit note
+ */
+router.post(
+  '/:id/payments',
+  requirePermission('payments:write'),
+  validate({ params: IdParams, body: PaymentInput }),
+  createPayment
+);
+
+/**
+ * @swagger
+ * /api/invoices/{id}/payments/{paymentId}:
+ *   delete:
+ *     summary: Delete a recorded payment
+ *     tags: [Invoices]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/PaymentParams.id'
+ *       - $ref: '#/components/parameters/PaymentParams.paymentId'
+ *     responses:
+ *       200:
+ *         description: Payment deleted and invoice balance re-derived
+ *       400:
+ *         description: Invalid invoice or payment ID
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ *       404:
+ *         description: Payment not found
+ *       409:
+ *         description: The payment is dated in a closed period
+ */
+router.delete(
+  '/:id/payments/:paymentId',
+  requirePermission('payments:write'),
+  validate({ params: PaymentParams }),
+  deletePayment
+);
+
+/**
+ * @swagger
+ * /api/invoices/{id}/notes:
+ *   post:
+ *     summary: Raise a credit note (sales return) or debit note (purchase return) against an invoice
+ *     description: >
+ *       Creates a credit note for a sales invoice, or a debit note for a purchase bill, covering
+ *       specific lines of the original. Lines keep the original rate and GST, so taxes reverse exactly.
+ *       The note reduces the original's balance due and, with `return_stock`, moves the goods back
+ *       (into stock for customer returns, out of stock for returns to a supplier).
+ *       The original invoice itself is never modified and can no longer be edited or deleted.
+ *     tags: [Invoices]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdParams.id'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/InvoiceNoteInput'
+ *     responses:
+ *       201:
+ *         description: Note created; returns the note and the original's new balance
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: "Credit note created successfully"
+ *                 note:
+ *                   type: object
+ *                   description: The note, in the same shape as GET /api/invoices/{id}
+ *                 invoice:
+ *                   type: object
+ *                   properties:
+ *                     id:
+ *                       type: string
+ *                       format: uuid
+ *                     total_amount:
+ *                       type: number
+ *                     amount_paid:
+ *                       type: number
+ *                     amount_credited:
+ *                       type: number
+ *                     balance_due:
+ *                       type: number
+ *                     status:
+ *                       type: string
+ *       400:
+ *         description: Invalid fields (see ValidationError), or a line listed twice
+ *       404:
+ *         description: Invoice not found
+ *       409:
+ *         description: >
+ *           The original is a draft or cancelled, the note number is taken, or today falls in a
+ *           closed period
+ *       422:
+ *         description: >
+ *           The original is itself a note, a line is not on it, or a quantity is above what is
+ *           returnable
+ */
+router.post(
+  '/:id/notes',
+  requirePermission('invoices:write'),
+  validate({ params: IdParams, body: InvoiceNoteInput }),
+  createInvoiceNote
+);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Payment:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *         amount:
+ *           type: number
+ *         payment_date:
+ *           type: string
+ *           format: date
+ *         mode:
+ *           type: string
+ *           enum: [cash, upi, bank, cheque]
+ *         reference:
+ *           type: string
+ *         notes:
+ *           type: string
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/invoices/{id}:
+ *   put:
+ *     summary: Update a draft invoice (details and items)
+ *     description: >
+ *       Updates invoice details (like due date, party) and optionally updates the items array.  
+ *       You can add new items, update existing item quantities, or remove items.  
+ *       Stock quantities are automatically adjusted based on changes (reversed for purchase bills).  
+ *       Only drafts dated in an open period can be edited; issued invoices are corrected with
+ *       credit/debit notes. Issue a draft with `PUT /api/invoices/{id}/status` and cancel with
+ *       `POST /api/invoices/{id}/cancel`.
+ *     tags: [Invoices]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdParams.id'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/InvoiceUpdate'
+ *     responses:
+ *       200:
+ *         description: Invoice updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: "Invoice updated successfully"
+ *       400:
+ *         description: Invalid fields (see ValidationError), or a status change
+ *       404:
+ *         description: Invoice not found
+ *       409:
+ *         description: >
+ *           Invoice is not a draft, is dated in a closed period, or is an e-invoice, a credit/debit note
+ *           or has notes against it; or there is not enough stock
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       422:
+ *         description: Unknown or archived party or item, or a party of the wrong type for the document
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - missing or invalid token
+ *       500:
+ *         description: Internal server error
+ */
+router.put('/:id', requirePermission('invoices:write'), validate({ params: IdParams, body: InvoiceUpdate }), updateInvoice);
+
+/**
+ * @swagger
+ * /api/invoices/{id}/status:
+ *   put:
+ *     summary: Issue a draft invoice
+ *     description: >
+ *       The only manual transition is draft → sent. `partially_paid` and `paid` follow recorded
+ *       payments and credit/debit notes, and `cancelled` is set by the cancel action.
+ *     tags: [Invoices]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdParams.id'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/InvoiceStatusInput'
+ *     responses:
+ *       200:
+ *         description: Status updated
+ *       400:
+ *         description: Any status other than `sent`
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ *       404:
+ *         description: Invoice not found
+ *       409:
+ *         description: Transition not allowed from the current status, or the invoice is dated in a closed period
+ */
+router.put(
+  '/:id/status',
+  requirePermission('invoices:write'),
+  validate({ params: IdParams, body: InvoiceStatusInput }),
+  updateInvoiceStatus
+);
+
+/**
+ * @swagger
+ * /api/invoices/{id}/cancel:
+ *   post:
+ *     summary: Cancel an invoice, bill or credit/debit note
+ *     description: >
+ *       Drafts and issued (`sent`) documents can be cancelled; they keep their number and stay on record.
+ *       Payments must be deleted and notes against the invoice cancelled first. Registered e-invoices
+ *       are cancelled through `POST /api/invoices/{id}/einvoice/cancel`. The document's stock movement
+ *       is reversed (sales and credit notes bring stock back, bills and debit notes take it out again),
+ *       and cancelling a note restores the balance of its invoice.
+ *     tags: [Invoices]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdParams.id'
+ *     responses:
+ *       200:
+ *         description: Invoice cancelled
+ *       404:
+ *         description: Invoice not found
+ *       409:
+ *         description: >
+ *           Already cancelled, registered as an e-invoice, paid or with live notes against it,
+ *           dated in a closed period, or the stock it brought in has since been sold
+ */
+router.post('/:id/cancel', requirePermission('invoices:write'), validate({ params: IdParams }), cancelInvoice);
+
+/**
+ * @swagger
+ * /api/invoices/{id}:
+ *   delete:
+ *     summary: Archive an invoice
+ *     description: >
+ *       Moves the invoice to the trash and reverses its stock movement. Archived invoices are left
+ *       out of invoice lists, summaries, reports and the dashboard until they are restored.
+ *     tags: [Invoices]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdParams.id'
+ *     responses:
+ *       200:
+ *         description: Invoice archived successfully
+ *       404:
+ *         description: Invoice not found
+ *       409:
+ *         description: >
+ *           Already archived; only drafts and cancelled invoices dated in an open period can be archived,
+ *           and e-invoices, credit/debit notes, invoices with notes against them and invoices with
+ *           payments recorded cannot be
+ *       500:
+ *         description: Internal server error
+ */
+
+
+
+router.delete('/:id', requirePermission('invoices:delete'), validate({ params: IdParams }), deleteInvoice);
+
+/**
+ * @swagger
+ * /api/invoices/{id}/restore:
+ *   post:
+ *     summary: Restore an archived invoice
+ *     description: Applies the invoice's stock movement again; its party and items must not be archived.
+ *     tags: [Invoices]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdParams.id'
+ *     responses:
+ *       200:
+ *         description: Invoice restored successfully
+ *       404:
+ *         description: Invoice not found
+ *       409:
+ *         description: >
+ *           Invoice is not archived or is dated in a closed period, its party or items are archived,
+ *           or there is not enough stock to sell again
+ */
+router.post('/:id/restore', requirePermission('invoices:delete'), validate({ params: IdParams }), restoreInvoice);
+
+/**
+ * @swagger
+ * /api/invoices/{id}/permanent:
+ *   delete:
+ *     summary: Delete an archived invoice permanently
+ *     tags: [Invoices]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdParams.id'
+ *     responses:
+ *       200:
+ *         description: Invoice deleted permanently
+ *       404:
+ *         description: Invoice not found
+ *       409:
+ *         description: Invoice is not archived or is dated in a closed period
+ */
+router.delete(
+  '/:id/permanent',
+  requirePermission('invoices:delete'),
+  validate({ params: IdParams }),
+  deleteInvoicePermanently
+);
 
 
 
@@ -1,7 +1,22 @@
 const express = require('express');
 const router = express.Router();
 const authMiddleware = require('../middleware/authMiddleware');
-const { getAllItems, createItem, updateItem, deleteItem, getItemSummary } = require('../controllers/itemController');
+const requirePermission = require('../middleware/permissionMiddleware');
+const validate = require('../middleware/validateMiddleware');
+const { IdParams } = require('../schemas/common');
+const { ItemInput, ItemUpdate, ItemListQuery, ArchivedItemListQuery } = require('../schemas/items');
+const {
+  getAllItems,
+  createItem,
+  updateItem,
+  deleteItem,
+  getArchivedItems,
+  restoreItem,
+  deleteItemPermanently,
+  getItemSummary,
+  getItemMovements,
+  getStockReconciliation,
+} = require('../controllers/itemController');
 
 // ✅ Protect all routes
 router.use(authMiddleware);
@@ -18,9 +33,18 @@ router.use(authMiddleware);
  * /api/items:
  *   get:
  *     summary: Get all items for the logged-in company
+ *     description: Paginated list of items; `q` searches name, description and HSN code.
  *     tags: [Items]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/ItemListQuery.category'
+ *       - $ref: '#/components/parameters/ItemListQuery.low_stock'
+ *       - $ref: '#/components/parameters/ListQuery.q'
+ *       - $ref: '#/components/parameters/ItemListQuery.sort'
+ *       - $ref: '#/components/parameters/ListQuery.order'
+ *       - $ref: '#/components/parameters/ListQuery.page'
+ *       - $ref: '#/components/parameters/ListQuery.limit'
  *     responses:
  *       200:
  *         description: List of items
@@ -35,10 +59,18 @@ router.use(authMiddleware);
  *                 message:
  *                   type: string
  *                   example: "Items fetched successfully"
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
  *                 items:
  *                   type: array
  *                   items:
  *                     $ref: '#/components/schemas/Item'
+ *       400:
+ *         description: Invalid pagination, sort or filter parameter
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
  */
 
 /**
@@ -54,28 +86,7 @@ router.use(authMiddleware);
  *       content:
  *         application/json:
  *           schema:
- *             type: object
- *             required:
- *               - name
- *               - price
- *               - quantity
- *               - category
- *             properties:
- *               name:
- *                 type: string
- *                 example: "Laptop"
- *               description:
- *                 type: string
- *                 example: "15-inch gaming laptop"
- *               price:
- *                 type: number
- *                 example: 59999.99
- *               quantity:
- *                 type: integer
- *                 example: 10
- *               category:
- *                 type: string
- *                 example: "electronics"
+ *             $ref: '#/components/schemas/ItemInput'
  *     responses:
  *       201:
  *         description: Item created successfully
@@ -83,6 +94,12 @@ router.use(authMiddleware);
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Item'
+ *       400:
+ *         description: Missing or invalid fields
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
  */
 
 /**
@@ -94,32 +111,22 @@ router.use(authMiddleware);
  *     security:
  *       - bearerAuth: []
  *     parameters:
- *       - in: path
- *         name: id
- *         required: true
- *         description: Item ID
- *         schema:
- *           type: string
+ *       - $ref: '#/components/parameters/IdParams.id'
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
- *             type: object
- *             properties:
- *               name:
- *                 type: string
- *               description:
- *                 type: string
- *               price:
- *                 type: number
- *               quantity:
- *                 type: integer
- *               category:
- *                 type: string
+ *             $ref: '#/components/schemas/ItemUpdate'
  *     responses:
  *       200:
  *         description: Item updated successfully
+ *       400:
+ *         description: Invalid item ID or fields
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
  *       404:
  *         description: Item not found or unauthorized
  */
@@ -128,22 +135,105 @@ router.use(authMiddleware);
  * @swagger
  * /api/items/{id}:
  *   delete:
- *     summary: Delete an item
+ *     summary: Archive an item
+ *     description: >
+ *       Moves the item to the trash. Archived items are left out of item lists and summaries
+ *       and cannot be put on new documents; existing documents keep their lines.
  *     tags: [Items]
  *     security:
  *       - bearerAuth: []
  *     parameters:
- *       - in: path
- *         name: id
- *         required: true
- *         description: Item ID
- *         schema:
- *           type: string
+ *       - $ref: '#/components/parameters/IdParams.id'
  *     responses:
  *       200:
- *         description: Item deleted successfully
+ *         description: Item archived successfully
  *       404:
  *         description: Item not found or unauthorized
+ *       409:
+ *         description: Item is already archived, or active/paused recurring invoices bill it
+ */
+
+/**
+ * @swagger
+ * /api/items/trash:
+ *   get:
+ *     summary: Get archived items
+ *     tags: [Items]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/ListQuery.q'
+ *       - $ref: '#/components/parameters/ArchivedItemListQuery.sort'
+ *       - $ref: '#/components/parameters/ListQuery.order'
+ *       - $ref: '#/components/parameters/ListQuery.page'
+ *       - $ref: '#/components/parameters/ListQuery.limit'
+ *     responses:
+ *       200:
+ *         description: Archived items
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
+ *                 items:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Item'
+ *       400:
+ *         description: Invalid pagination or sort parameter
+ */
+
+/**
+ * @swagger
+ * /api/items/{id}/restore:
+ *   post:
+ *     summary: Restore an archived item
+ *     tags: [Items]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdParams.id'
+ *     responses:
+ *       200:
+ *         description: Item restored successfully
+ *       404:
+ *         description: Item not found or unauthorized
+ *       409:
+ *         description: Item is not archived
+ */
+
+/**
+ * @swagger
+ * /api/items/{id}/permanent:
+ *   delete:
+ *     summary: Delete an archived item permanently
+ *     description: Only items that were never put on an invoice, quotation/sales order or recurring invoice can be deleted; their stock ledger goes with them.
+ *     tags: [Items]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdParams.id'
+ *     responses:
+ *       200:
+ *         description: Item deleted permanently
+ *       404:
+ *         description: Item not found or unauthorized
+ *       409:
+ *         description: Item is not archived, or documents still use it (the message lists them)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: "Item is used on 3 invoice/bill line(s); it can stay archived but cannot be deleted permanently"
  */
 
 /**
@@ -165,8 +255,23 @@ router.use(authMiddleware);
  *           type: string
  *         price:
  *           type: number
+ *         cost_price:
+ *           type: number
+ *           description: Weighted-average cost per unit in stock, updated by purchase bills and returns
  *         quantity:
  *           type: integer
+ *         hsn_code:
+ *           type: string
+ *         gst_rate:
+ *           type: number
+ *         deleted_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: When the item was archived
+ *         deleted_by:
+ *           type: string
+ *           nullable: true
  *         created_at:
  *           type: string
  *           format: date-time
@@ -220,11 +325,139 @@ router.use(authMiddleware);
  *         description: Server error
  */
 
+/**
+ * @swagger
+ * /api/items/{id}/movements:
+ *   get:
+ *     summary: Get the stock movement history of an item
+ *     description: >
+ *       Lists every change to the item's quantity (opening stock, sales, purchases, manual
+ *       adjustments, invoice edits and deletes), newest first, and whether the ledger sum
+ *       matches the current quantity.
+ *     tags: [Items]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdParams.id'
+ *     responses:
+ *       200:
+ *         description: Stock movements fetched successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 item:
+ *                   type: object
+ *                   properties:
+ *                     id:
+ *                       type: string
+ *                     name:
+ *                       type: string
+ *                     quantity:
+ *                       type: integer
+ *                     ledger_quantity:
+ *                       type: integer
+ *                     reconciled:
+ *                       type: boolean
+ *                 movements:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/StockMovement'
+ *       404:
+ *         description: Item not found or unauthorized
+ */
+
+/**
+ * @swagger
+ * /api/items/stock-reconciliation:
+ *   get:
+ *     summary: Check that the stock ledger sums to each item's quantity
+ *     tags: [Items]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Reconciliation result with any mismatching items
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     reconciled:
+ *                       type: boolean
+ *                     mismatches:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           id:
+ *                             type: string
+ *                           name:
+ *                             type: string
+ *                           quantity:
+ *                             type: integer
+ *                           ledger_quantity:
+ *                             type: integer
+ *                           difference:
+ *                             type: integer
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     StockMovement:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         quantity_change:
+ *           type: integer
+ *           example: -3
+ *         balance_after:
+ *           type: integer
+ *           example: 17
+ *         unit_cost:
+ *           type: number
+ *           description: Cost per unit the movement was valued at (weighted average for issues)
+ *         reason:
+ *           type: string
+ *           enum: [opening, sale, purchase, adjustment, invoice_edit, invoice_delete, sales_return, purchase_return, invoice_restore, invoice_cancel]
+ *         reference_type:
+ *           type: string
+ *           example: invoice
+ *         reference_id:
+ *           type: string
+ *         note:
+ *           type: string
+ *         created_by:
+ *           type: string
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ */
 
-router.get('/', getAllItems);
-router.post('/', createItem);
-router.put('/:id', updateItem);
-router.delete('/:id', deleteItem);
+router.get('/', validate({ query: ItemListQuery }), getAllItems);
+router.post('/', requirePermission('items:write'), validate({ body: ItemInput }), createItem);
+router.put('/:id', requirePermission('items:write'), validate({ params: IdParams, body: ItemUpdate }), updateItem);
+router.delete('/:id', requirePermission('items:delete'), validate({ params: IdParams }), deleteItem);
 router.get('/summary', getItemSummary); 
+router.get('/trash', validate({ query: ArchivedItemListQuery }), getArchivedItems);
+router.post('/:id/restore', requirePermission('items:delete'), validate({ params: IdParams }), restoreItem);
+router.delete('/:id/permanent', requirePermission('items:delete'), validate({ params: IdParams }), deleteItemPermanently);
+router.get('/stock-reconciliation', getStockReconciliation);
+router.get('/:id/movements', validate({ params: IdParams }), getItemMovements);
 
 module.exports = router;
@@ -1,7 +1,29 @@
 const express = require('express');
 const router = express.Router();
 const authMiddleware = require('../middleware/authMiddleware');
-const { getAllParties, createParty, updateParty, deleteParty, getPartySummary } = require('../controllers/partyController');
+const requirePermission = require('../middleware/permissionMiddleware');
+const validate = require('../middleware/validateMiddleware');
+const { IdParams } = require('../schemas/common');
+const {
+  PartyInput,
+  PartyUpdate,
+  PartyListQuery,
+  ArchivedPartyListQuery,
+  PartyLedgerQuery,
+  PartyStatementQuery,
+} = require('../schemas/parties');
+const {
+  getAllParties,
+  createParty,
+  updateParty,
+  deleteParty,
+  getArchivedParties,
+  restoreParty,
+  deletePartyPermanently,
+  getPartySummary,
+  getPartyLedger,
+  getPartyStatement,
+} = require('../controllers/partyController');
 
 router.use(authMiddleware);
 
@@ -17,40 +39,43 @@ router.use(authMiddleware);
  * /api/parties:
  *   get:
  *     summary: Get all parties for the logged-in company
+ *     description: Paginated list of parties; `q` searches name, email, phone and GSTIN.
  *     tags: [Parties]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/PartyListQuery.type'
+ *       - $ref: '#/components/parameters/ListQuery.q'
+ *       - $ref: '#/components/parameters/PartyListQuery.sort'
+ *       - $ref: '#/components/parameters/ListQuery.order'
+ *       - $ref: '#/components/parameters/ListQuery.page'
+ *       - $ref: '#/components/parameters/ListQuery.limit'
  *     responses:
  *       200:
  *         description: List of parties
  *         content:
  *           application/json:
  *             schema:
- *               type: array
- *               items:
- *                 type: object
- *                 properties:
- *                   id:
- *                     type: string
- *                   company_id:
- *                     type: string
- *                   name:
- *                     type: string
- *                   type:
- *                     type: string
- *                     enum: [customer, supplier]
- *                   contact_email:
- *                     type: string
- *                   contact_phone:
- *                     type: string
- *                   billing_address:
- *                     type: string
- *                   created_at:
- *                     type: string
- *                     format: date-time
- *                   updated_at:
- *                     type: string
- *                     format: date-time
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Parties fetched successfully"
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
+ *                 parties:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Party'
+ *       400:
+ *         description: Invalid pagination, sort or filter parameter
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
  */
 
 /**
@@ -66,27 +91,7 @@ router.use(authMiddleware);
  *       content:
  *         application/json:
  *           schema:
- *             type: object
- *             required:
- *               - name
- *               - type
- *             properties:
- *               name:
- *                 type: string
- *                 example: "Acme Corp"
- *               type:
- *                 type: string
- *                 enum: [customer, supplier]
- *                 example: "customer"
- *               contact_email:
- *                 type: string
- *                 example: "contact@acme.com"
- *               contact_phone:
- *                 type: string
- *                 example: "+911234567890"
- *               billing_address:
- *                 type: string
- *                 example: "123 Main St, City, Country"
+ *             $ref: '#/components/schemas/PartyInput'
  *     responses:
  *       201:
  *         description: Party created successfully
@@ -94,6 +99,12 @@ router.use(authMiddleware);
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Party'
+ *       400:
+ *         description: Missing or invalid fields, or a GSTIN with a bad checksum
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
  *       500:
  *         description: Server error creating party
  */
@@ -103,34 +114,18 @@ router.use(authMiddleware);
  * /api/parties/{id}:
  *   put:
  *     summary: Update an existing party
+ *     description: Only the fields sent are changed; send null to clear an optional field.
  *     tags: [Parties]
  *     security:
  *       - bearerAuth: []
  *     parameters:
- *       - in: path
- *         name: id
- *         required: true
- *         description: Party ID
- *         schema:
- *           type: string
+ *       - $ref: '#/components/parameters/IdParams.id'
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
- *             type: object
- *             properties:
- *               name:
- *                 type: string
- *               type:
- *                 type: string
- *                 enum: [customer, supplier]
- *               contact_email:
- *                 type: string
- *               contact_phone:
- *                 type: string
- *               billing_address:
- *                 type: string
+ *             $ref: '#/components/schemas/PartyUpdate'
  *     responses:
  *       200:
  *         description: Party updated successfully
@@ -138,6 +133,12 @@ router.use(authMiddleware);
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Party'
+ *       400:
+ *         description: Invalid party ID or fields, or a GSTIN with a bad checksum
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
  *       404:
  *         description: Party not found or unauthorized
  *       500:
@@ -148,26 +149,114 @@ router.use(authMiddleware);
  * @swagger
  * /api/parties/{id}:
  *   delete:
- *     summary: Delete a party
+ *     summary: Archive a party
+ *     description: >
+ *       Moves the party to the trash. Archived parties are left out of party lists, summaries and
+ *       the dashboard and cannot be put on new documents; their ledger and existing documents are kept.
  *     tags: [Parties]
  *     security:
  *       - bearerAuth: []
  *     parameters:
- *       - in: path
- *         name: id
- *         required: true
- *         description: Party ID
- *         schema:
- *           type: string
+ *       - $ref: '#/components/parameters/IdParams.id'
  *     responses:
  *       200:
- *         description: Party deleted successfully
+ *         description: Party archived successfully
  *       404:
  *         description: Party not found or unauthorized
+ *       409:
+ *         description: Party is already archived, or has active/paused recurring invoices
  *       500:
  *         description: Server error deleting party
  */
 
+/**
+ * @swagger
+ * /api/parties/trash:
+ *   get:
+ *     summary: Get archived parties
+ *     tags: [Parties]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/ArchivedPartyListQuery.type'
+ *       - $ref: '#/components/parameters/ListQuery.q'
+ *       - $ref: '#/components/parameters/ArchivedPartyListQuery.sort'
+ *       - $ref: '#/components/parameters/ListQuery.order'
+ *       - $ref: '#/components/parameters/ListQuery.page'
+ *       - $ref: '#/components/parameters/ListQuery.limit'
+ *     responses:
+ *       200:
+ *         description: Archived parties
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
+ *                 parties:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Party'
+ *       400:
+ *         description: Invalid pagination, sort or filter parameter
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ */
+
+/**
+ * @swagger
+ * /api/parties/{id}/restore:
+ *   post:
+ *     summary: Restore an archived party
+ *     tags: [Parties]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdParams.id'
+ *     responses:
+ *       200:
+ *         description: Party restored successfully
+ *       404:
+ *         description: Party not found or unauthorized
+ *       409:
+ *         description: Party is not archived
+ */
+
+/**
+ * @swagger
+ * /api/parties/{id}/permanent:
+ *   delete:
+ *     summary: Delete an archived party permanently
+ *     description: Only parties without any invoice, bill, quotation/sales order or recurring invoice (archived ones included) can be deleted.
+ *     tags: [Parties]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdParams.id'
+ *     responses:
+ *       200:
+ *         description: Party deleted permanently
+ *       404:
+ *         description: Party not found or unauthorized
+ *       409:
+ *         description: Party is not archived, or documents still reference it (the message lists them)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: "Party has 4 invoice(s)/bill(s), 1 quotation(s)/sales order(s); it can stay archived but cannot be deleted permanently"
+ */
+
 /**
  * @swagger
  * components:
@@ -190,6 +279,22 @@ router.use(authMiddleware);
  *           type: string
  *         billing_address:
  *           type: string
+ *         city:
+ *           type: string
+ *         pincode:
+ *           type: string
+ *         gstin:
+ *           type: string
+ *         state_code:
+ *           type: string
+ *         deleted_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: When the party was archived
+ *         deleted_by:
+ *           type: string
+ *           nullable: true
  *         created_at:
  *           type: string
  *           format: date-time
@@ -240,10 +345,150 @@ router.use(authMiddleware);
  */
 
 
+/**
+ * @swagger
+ * /api/parties/{id}/ledger:
+ *   get:
+ *     summary: Get the ledger of a party
+ *     description: >
+ *       Every issued invoice, purchase bill, credit/debit note and payment for the party in date order,
+ *       with the opening balance before `from`, a running balance and the closing balance. Drafts and
+ *       cancelled documents are not posted. Balances are debit minus credit from the company's side:
+ *       positive (Dr) means the party owes the company, negative (Cr) that the company owes the party.
+ *       For a supplier this is the supplier ledger, and a Cr closing balance is the amount payable.
+ *     tags: [Parties]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdParams.id'
+ *       - $ref: '#/components/parameters/PartyLedgerQuery.from'
+ *       - $ref: '#/components/parameters/PartyLedgerQuery.to'
+ *     responses:
+ *       200:
+ *         description: Party ledger fetched successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/PartyLedger'
+ *       400:
+ *         description: Invalid date range
+ *       404:
+ *         description: Party not found or unauthorized
+ */
+
+/**
+ * @swagger
+ * /api/parties/{id}/statement:
+ *   get:
+ *     summary: Download a statement of account for a party
+ *     description: The party ledger for the period, formatted for sending to the customer or supplier.
+ *     tags: [Parties]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdParams.id'
+ *       - $ref: '#/components/parameters/PartyStatementQuery.from'
+ *       - $ref: '#/components/parameters/PartyStatementQuery.to'
+ *       - $ref: '#/components/parameters/PartyStatementQuery.format'
+ *       - $ref: '#/components/parameters/PartyStatementQuery.disposition'
+ *     responses:
+ *       200:
+ *         description: Statement file
+ *         content:
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Invalid date range or format
+ *       404:
+ *         description: Party not found or unauthorized
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     PartyLedger:
+ *       type: object
+ *       properties:
+ *         success:
+ *           type: boolean
+ *         message:
+ *           type: string
+ *         party:
+ *           $ref: '#/components/schemas/Party'
+ *         from:
+ *           type: string
+ *           format: date
+ *           nullable: true
+ *         to:
+ *           type: string
+ *           format: date
+ *           nullable: true
+ *         opening_balance:
+ *           type: number
+ *           example: 12000
+ *         total_debit:
+ *           type: number
+ *         total_credit:
+ *           type: number
+ *         closing_balance:
+ *           type: number
+ *           example: 4500
+ *         closing_balance_side:
+ *           type: string
+ *           enum: [Dr, Cr]
+ *         entries:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               entry_date:
+ *                 type: string
+ *                 format: date
+ *               entry_type:
+ *                 type: string
+ *                 enum: [sale, purchase, credit_note, debit_note, payment_received, payment_made]
+ *               description:
+ *                 type: string
+ *                 example: "Payment Received"
+ *               document_id:
+ *                 type: string
+ *                 description: Invoice/note ID, or payment ID for payments
+ *               reference:
+ *                 type: string
+ *                 description: Document number, or the payment reference
+ *               against_reference:
+ *                 type: string
+ *                 nullable: true
+ *                 description: Invoice a note or payment was recorded against
+ *               narration:
+ *                 type: string
+ *                 nullable: true
+ *                 description: Note reason, or payment mode
+ *               debit:
+ *                 type: number
+ *               credit:
+ *                 type: number
+ *               balance:
+ *                 type: number
+ *                 description: Running balance after this entry
+ */
+
+
 router.get('/summary', getPartySummary);
-router.get('/', getAllParties);
-router.post('/', createParty);
-router.put('/:id', updateParty);
-router.delete('/:id', deleteParty);
+router.get('/', validate({ query: PartyListQuery }), getAllParties);
+router.get('/trash', validate({ query: ArchivedPartyListQuery }), getArchivedParties);
+router.get('/:id/ledger', validate({ params: IdParams, query: PartyLedgerQuery }), getPartyLedger);
+router.get('/:id/statement', validate({ params: IdParams, query: PartyStatementQuery }), getPartyStatement);
+router.post('/', requirePermission('parties:write'), validate({ body: PartyInput }), createParty);
+router.put('/:id', requirePermission('parties:write'), validate({ params: IdParams, body: PartyUpdate }), updateParty);
+router.delete('/:id', requirePermission('parties:delete'), validate({ params: IdParams }), deleteParty);
+router.post('/:id/restore', requirePermission('parties:delete'), validate({ params: IdParams }), restoreParty);
+router.delete('/:id/permanent', requirePermission('parties:delete'), validate({ params: IdParams }), deletePartyPermanently);
 
 module.exports = router;
@@ -0,0 +1,305 @@
+const express = require('express');
+const router = express.Router();
+const authMiddleware = require('../middleware/authMiddleware');
+const requirePermission = require('../middleware/permissionMiddleware');
+const validate = require('../middleware/validateMiddleware');
+const { IdParams } = require('../schemas/common');
+const {
+  RecurringInvoiceInput,
+  RecurringInvoiceListQuery,
+  RecurringInvoiceQuery,
+} = require('../schemas/recurringInvoices');
+const {
+  createRecurringInvoice,
+  getAllRecurringInvoices,
+  getRecurringInvoiceById,
+  pauseRecurringInvoice,
+  resumeRecurringInvoice,
+  deleteRecurringInvoice,
+} = require('../controllers/recurringInvoiceController');
+
+router.use(authMiddleware);
+
+/**
+ * @swagger
+ * tags:
+ *   name: Recurring Invoices
+ *   description: Templates that raise the same sale invoice on a weekly, monthly or quarterly schedule
+ */
+
+/**
+ * @swagger
+ * /api/recurring-invoices:
+ *   post:
+ *     summary: Create a recurring invoice template
+ *     description: >
+ *       The scheduler raises a sale invoice on `start_date` and then every week, month or quarter
+ *       until `end_date` (inclusive). Monthly and quarterly runs keep the start date's day of month,
+ *       moving to the last day in shorter months. Each invoice is created exactly like
+ *       POST /api/invoices (next number from the invoice series, stock taken out), recorded in the
+ *       audit trail with no actor, and each run date is billed at most once, even across restarts.
+ *       A run that fails is retried on every poll; after 5 failures in a row
+ *       (`RECURRING_INVOICE_MAX_FAILURES`) the template is paused.
+ *     tags: [Recurring Invoices]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/RecurringInvoiceInput'
+ *     responses:
+ *       201:
+ *         description: Template created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: "Recurring invoice created successfully"
+ *                 recurring_invoice:
+ *                   $ref: '#/components/schemas/RecurringInvoice'
+ *       400:
+ *         description: >
+ *           Missing or invalid fields (see ValidationError), a start date in the past, or an end date
+ *           before it
+ *       422:
+ *         description: Unknown or archived party or item, or a party that is not a customer
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/', requirePermission('invoices:write'), validate({ body: RecurringInvoiceInput }), createRecurringInvoice);
+
+/**
+ * @swagger
+ * /api/recurring-invoices:
+ *   get:
+ *     summary: List recurring invoice templates with their next run dates
+ *     tags: [Recurring Invoices]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/RecurringInvoiceListQuery.status'
+ *       - $ref: '#/components/parameters/RecurringInvoiceListQuery.party_id'
+ *       - $ref: '#/components/parameters/ListQuery.q'
+ *       - $ref: '#/components/parameters/RecurringInvoiceListQuery.sort'
+ *       - $ref: '#/components/parameters/ListQuery.order'
+ *       - $ref: '#/components/parameters/ListQuery.page'
+ *       - $ref: '#/components/parameters/ListQuery.limit'
+ *     responses:
+ *       200:
+ *         description: Templates fetched successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
+ *                 recurring_invoices:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/RecurringInvoice'
+ *       400:
+ *         description: Invalid pagination, sort or filter parameter
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ */
+router.get('/', validate({ query: RecurringInvoiceListQuery }), getAllRecurringInvoices);
+
+/**
+ * @swagger
+ * /api/recurring-invoices/{id}:
+ *   get:
+ *     summary: Get a template with its lines, upcoming run dates and recent runs
+ *     tags: [Recurring Invoices]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdParams.id'
+ *       - $ref: '#/components/parameters/RecurringInvoiceQuery.upcoming'
+ *     responses:
+ *       200:
+ *         description: Template details
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/RecurringInvoice'
+ *                 - type: object
+ *                   properties:
+ *                     items:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           item_id:
+ *                             type: string
+ *                             format: uuid
+ *                           item_name:
+ *                             type: string
+ *                           quantity:
+ *                             type: integer
+ *                           price:
+ *                             type: number
+ *                             nullable: true
+ *                             description: Fixed unit price; null bills the item price on the run date
+ *                           current_item_price:
+ *                             type: number
+ *                     recent_runs:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           run_date:
+ *                             type: string
+ *                             format: date
+ *                           invoice_id:
+ *                             type: string
+ *                             format: uuid
+ *                             nullable: true
+ *                           invoice_number:
+ *                             type: string
+ *                           total_amount:
+ *                             type: number
+ *       400:
+ *         description: Invalid `upcoming` value
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ *       404:
+ *         description: Recurring invoice not found
+ */
+router.get('/:id', validate({ params: IdParams, query: RecurringInvoiceQuery }), getRecurringInvoiceById);
+
+/**
+ * @swagger
+ * /api/recurring-invoices/{id}/pause:
+ *   post:
+ *     summary: Pause an active template
+ *     tags: [Recurring Invoices]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdParams.id'
+ *     responses:
+ *       200:
+ *         description: Template paused
+ *       404:
+ *         description: Recurring invoice not found
+ *       409:
+ *         description: Template is not active
+ */
+router.post('/:id/pause', requirePermission('invoices:write'), validate({ params: IdParams }), pauseRecurringInvoice);
+
+/**
+ * @swagger
+ * /api/recurring-invoices/{id}/resume:
+ *   post:
+ *     summary: Resume a paused template
+ *     description: >
+ *       Billing continues from the first scheduled date on or after today; dates that passed while the
+ *       template was paused are skipped. If no date is left before `end_date` the template is ended.
+ *       Resuming clears the failure count of a template the scheduler paused.
+ *     tags: [Recurring Invoices]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdParams.id'
+ *     responses:
+ *       200:
+ *         description: Template resumed (or ended)
+ *       404:
+ *         description: Recurring invoice not found
+ *       409:
+ *         description: Template is not paused
+ */
+router.post('/:id/resume', requirePermission('invoices:write'), validate({ params: IdParams }), resumeRecurringInvoice);
+
+/**
+ * @swagger
+ * /api/recurring-invoices/{id}:
+ *   delete:
+ *     summary: Delete a template
+ *     description: Invoices already generated from the template are kept.
+ *     tags: [Recurring Invoices]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdParams.id'
+ *     responses:
+ *       200:
+ *         description: Template deleted
+ *       404:
+ *         description: Recurring invoice not found
+ */
+router.delete('/:id', requirePermission('invoices:delete'), validate({ params: IdParams }), deleteRecurringInvoice);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     RecurringInvoice:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *         party_id:
+ *           type: string
+ *           format: uuid
+ *         party_name:
+ *           type: string
+ *         frequency:
+ *           type: string
+ *           enum: [weekly, monthly, quarterly]
+ *         start_date:
+ *           type: string
+ *           format: date
+ *         end_date:
+ *           type: string
+ *           format: date
+ *           nullable: true
+ *         next_run_date:
+ *           type: string
+ *           format: date
+ *         last_run_date:
+ *           type: string
+ *           format: date
+ *           nullable: true
+ *         due_in_days:
+ *           type: integer
+ *         invoice_status:
+ *           type: string
+ *           enum: [draft, sent]
+ *         status:
+ *           type: string
+ *           enum: [active, paused, ended]
+ *         last_error:
+ *           type: string
+ *           nullable: true
+ *           description: Why the last attempt failed (e.g. insufficient stock); it is retried on the next poll
+ *         failure_count:
+ *           type: integer
+ *           description: Failed attempts in a row; the template is paused when it reaches the limit
+ *         upcoming_runs:
+ *           type: array
+ *           items:
+ *             type: string
+ *             format: date
+ *           example: ["2026-11-01", "2026-12-01", "2027-01-01"]
+ */
+
+module.exports = router;
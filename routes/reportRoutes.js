@@ -1,7 +1,26 @@
 const express = require("express");
 const router = express.Router();
 const authMiddleware = require("../middleware/authMiddleware");
-const { getMonthlySummary } = require("../controllers/reportController");
+const validate = require("../middleware/validateMiddleware");
+const {
+  AgeingQuery,
+  AgeingInvoicesQuery,
+  UpcomingPaymentsQuery,
+  ProfitLossQuery,
+  Gstr1Query,
+  Gstr3bQuery,
+} = require("../schemas/reports");
+const {
+  getMonthlySummary,
+  getReceivablesAgeing,
+  getReceivablesAgeingInvoices,
+  getPayablesAgeing,
+  getPayablesAgeingInvoices,
+  getUpcomingPayments,
+  getProfitAndLoss,
+  getGstr1,
+  getGstr3b,
+} = require("../controllers/reportController");
 
 // Apply authentication to all report routes
 router.use(authMiddleware);
@@ -18,7 +37,9 @@ router.use(authMiddleware);
  * /api/reports/monthly-summary:
  *   get:
  *     summary: Get total sales and purchases for the last 5 months
- *     description: Returns monthly totals for sales and purchases grouped by month name.
+ *     description: >
+ *       Returns monthly totals for sales and purchases grouped by month name. Credit notes are
+ *       netted off sales and debit notes off purchases, including the GST totals.
  *     tags: [Reports]
  *     security:
  *       - bearerAuth: []
@@ -50,10 +71,637 @@ router.use(authMiddleware);
  *                       total_purchases:
  *                         type: number
  *                         example: 35000.00
+ *                       total_credit_notes:
+ *                         type: number
+ *                         example: 2000.00
+ *                       total_debit_notes:
+ *                         type: number
+ *                         example: 0
+ *                       output_gst:
+ *                         type: number
+ *                         description: GST on sales less GST reversed by credit notes
+ *                         example: 10677.97
+ *                       input_gst:
+ *                         type: number
+ *                         description: GST on purchase bills less GST reversed by debit notes
+ *                         example: 5338.98
  *       500:
  *         description: Server error fetching monthly summary
  */
 
 router.get("/monthly-summary", getMonthlySummary);
 
+/**
+ * @swagger
+ * /api/reports/receivables-ageing:
+ *   get:
+ *     summary: Accounts receivable ageing by customer
+ *     description: >
+ *       Outstanding balances of issued sale invoices, bucketed by days past `due_date` (or the invoice
+ *       date when there is no due date) into current, 1-30, 31-60, 61-90 and 90+ days. Balances are
+ *       rebuilt from payments and credit notes dated on or before `as_of`. Customers with the most
+ *       90+ day debt come first.
+ *     tags: [Reports]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/AgeingQuery.as_of'
+ *       - $ref: '#/components/parameters/AgeingQuery.party_id'
+ *     responses:
+ *       200:
+ *         description: Receivables ageing fetched successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     as_of:
+ *                       type: string
+ *                       format: date
+ *                     buckets:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           key:
+ *                             type: string
+ *                             example: days_1_30
+ *                           label:
+ *                             type: string
+ *                             example: 1-30 days
+ *                     totals:
+ *                       $ref: '#/components/schemas/AgeingBuckets'
+ *                     customers:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/AgeingParty'
+ *       400:
+ *         description: Invalid as_of date
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ *       500:
+ *         description: Server error fetching receivables ageing
+ */
+router.get("/receivables-ageing", validate({ query: AgeingQuery }), getReceivablesAgeing);
+
+/**
+ * @swagger
+ * /api/reports/receivables-ageing/invoices:
+ *   get:
+ *     summary: Outstanding sale invoices behind the receivables ageing report
+ *     description: Drill-down for a customer and/or bucket; most overdue invoices first.
+ *     tags: [Reports]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/AgeingInvoicesQuery.as_of'
+ *       - $ref: '#/components/parameters/AgeingInvoicesQuery.party_id'
+ *       - $ref: '#/components/parameters/AgeingInvoicesQuery.bucket'
+ *     responses:
+ *       200:
+ *         description: Outstanding invoices fetched successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     as_of:
+ *                       type: string
+ *                       format: date
+ *                     total_outstanding:
+ *                       type: number
+ *                     invoices:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/AgeingInvoice'
+ *       400:
+ *         description: Invalid as_of date or bucket
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ *       500:
+ *         description: Server error fetching outstanding invoices
+ */
+router.get("/receivables-ageing/invoices", validate({ query: AgeingInvoicesQuery }), getReceivablesAgeingInvoices);
+
+/**
+ * @swagger
+ * /api/reports/payables-ageing:
+ *   get:
+ *     summary: Accounts payable ageing by supplier
+ *     description: >
+ *       What the company owes on issued purchase bills, bucketed like the receivables ageing report.
+ *       Balances are rebuilt from payments made and debit notes dated on or before `as_of`.
+ *       For the full history of a supplier use GET /api/parties/{id}/ledger.
+ *     tags: [Reports]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/AgeingQuery.as_of'
+ *       - $ref: '#/components/parameters/AgeingQuery.party_id'
+ *     responses:
+ *       200:
+ *         description: Payables ageing fetched successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     as_of:
+ *                       type: string
+ *                       format: date
+ *                     buckets:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           key:
+ *                             type: string
+ *                           label:
+ *                             type: string
+ *                     totals:
+ *                       $ref: '#/components/schemas/AgeingBuckets'
+ *                     suppliers:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/AgeingParty'
+ *       400:
+ *         description: Invalid as_of date
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ *       500:
+ *         description: Server error fetching payables ageing
+ */
+router.get("/payables-ageing", validate({ query: AgeingQuery }), getPayablesAgeing);
+
+/**
+ * @swagger
+ * /api/reports/payables-ageing/invoices:
+ *   get:
+ *     summary: Outstanding purchase bills behind the payables ageing report
+ *     description: Drill-down for a supplier and/or bucket; most overdue bills first.
+ *     tags: [Reports]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/AgeingInvoicesQuery.as_of'
+ *       - $ref: '#/components/parameters/AgeingInvoicesQuery.party_id'
+ *       - $ref: '#/components/parameters/AgeingInvoicesQuery.bucket'
+ *     responses:
+ *       200:
+ *         description: Outstanding bills fetched successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     as_of:
+ *                       type: string
+ *                       format: date
+ *                     total_outstanding:
+ *                       type: number
+ *                     invoices:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/AgeingInvoice'
+ *       400:
+ *         description: Invalid as_of date or bucket
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ *       500:
+ *         description: Server error fetching outstanding invoices
+ */
+router.get("/payables-ageing/invoices", validate({ query: AgeingInvoicesQuery }), getPayablesAgeingInvoices);
+
+/**
+ * @swagger
+ * /api/reports/upcoming-payments:
+ *   get:
+ *     summary: Supplier bills to pay now and in the next N days
+ *     description: >
+ *       Outstanding purchase bills split into `overdue` (most overdue first) and `upcoming` — due
+ *       today or within `days` days, soonest first. Bills without a due date are due on their bill date.
+ *     tags: [Reports]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/UpcomingPaymentsQuery.days'
+ *       - $ref: '#/components/parameters/UpcomingPaymentsQuery.party_id'
+ *     responses:
+ *       200:
+ *         description: Upcoming payments fetched successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     as_of:
+ *                       type: string
+ *                       format: date
+ *                     days:
+ *                       type: integer
+ *                     overdue_total:
+ *                       type: number
+ *                     upcoming_total:
+ *                       type: number
+ *                     overdue:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/AgeingInvoice'
+ *                     upcoming:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/AgeingInvoice'
+ *       400:
+ *         description: Invalid days
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ *       500:
+ *         description: Server error fetching upcoming payments
+ */
+router.get("/upcoming-payments", validate({ query: UpcomingPaymentsQuery }), getUpcomingPayments);
+
+/**
+ * @swagger
+ * /api/reports/profit-loss:
+ *   get:
+ *     summary: Profit and loss with cost of goods sold
+ *     description: >
+ *       Revenue is the taxable value (excluding GST) of issued sale invoices less credit notes. COGS is
+ *       the weighted-average cost each sold unit went out of stock at; credit notes that returned
+ *       goods reverse it. Lines recorded before cost tracking carry no cost.
+ *     tags: [Reports]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/ProfitLossQuery.from'
+ *       - $ref: '#/components/parameters/ProfitLossQuery.to'
+ *       - $ref: '#/components/parameters/ProfitLossQuery.group_by'
+ *     responses:
+ *       200:
+ *         description: Profit and loss fetched successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     from:
+ *                       type: string
+ *                       format: date
+ *                     to:
+ *                       type: string
+ *                       format: date
+ *                     group_by:
+ *                       type: string
+ *                     totals:
+ *                       $ref: '#/components/schemas/ProfitAndLossFigures'
+ *                     rows:
+ *                       type: array
+ *                       items:
+ *                         allOf:
+ *                           - $ref: '#/components/schemas/ProfitAndLossFigures'
+ *                           - type: object
+ *                             description: Carries the grouping key(s) for the chosen group_by
+ *                             properties:
+ *                               month:
+ *                                 type: string
+ *                                 example: "2026-09"
+ *                               category:
+ *                                 type: string
+ *                               item_id:
+ *                                 type: string
+ *                                 format: uuid
+ *                               item_name:
+ *                                 type: string
+ *                               quantity:
+ *                                 type: integer
+ *                                 description: Units sold net of returns
+ *       400:
+ *         description: Invalid dates or group_by (see ValidationError), or `from` after `to`
+ *       500:
+ *         description: Server error fetching profit and loss
+ */
+router.get("/profit-loss", validate({ query: ProfitLossQuery }), getProfitAndLoss);
+
+/**
+ * @swagger
+ * /api/reports/gstr-1:
+ *   get:
+ *     summary: GSTR-1 return data for a month
+ *     description: >
+ *       Builds the GSTR-1 JSON in the GST offline tool format from issued sale invoices and credit
+ *       notes dated in the month: B2B (buyer has a GSTIN), B2CL (inter-state to unregistered buyers
+ *       above ₹1 lakh), B2CS (all other unregistered sales, net of their credit notes), CDNR/CDNUR and
+ *       the HSN summary. Debit notes here are purchase returns and are not part of GSTR-1.
+ *       Documents the portal would reject (bad GSTIN or check digit, invalid document number, missing
+ *       place of supply, wrong tax heads, non-notified rate) are listed in `issues` as errors.
+ *     tags: [Reports]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/Gstr1Query.period'
+ *       - $ref: '#/components/parameters/Gstr1Query.format'
+ *     responses:
+ *       200:
+ *         description: GSTR-1 generated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     period:
+ *                       type: string
+ *                       example: "2026-09"
+ *                     ready_to_file:
+ *                       type: boolean
+ *                       description: False when any document would be rejected on upload
+ *                     summary:
+ *                       type: object
+ *                       properties:
+ *                         documents:
+ *                           type: integer
+ *                         b2b_invoices:
+ *                           type: integer
+ *                         b2cl_invoices:
+ *                           type: integer
+ *                         b2cs_rows:
+ *                           type: integer
+ *                         cdnr_notes:
+ *                           type: integer
+ *                         cdnur_notes:
+ *                           type: integer
+ *                         hsn_rows:
+ *                           type: integer
+ *                         errors:
+ *                           type: integer
+ *                         warnings:
+ *                           type: integer
+ *                     issues:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/GstReturnIssue'
+ *                     gstr1:
+ *                       type: object
+ *                       description: "Offline tool JSON: gstin, fp (MMYYYY), b2b, b2cl, b2cs, cdnr, cdnur, hsn"
+ *       400:
+ *         description: Invalid period or format
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ *       500:
+ *         description: Server error generating GSTR-1
+ */
+router.get("/gstr-1", validate({ query: Gstr1Query }), getGstr1);
+
+/**
+ * @swagger
+ * /api/reports/gstr-3b:
+ *   get:
+ *     summary: GSTR-3B summary for a month
+ *     description: >
+ *       Table 3.1 outward supplies (net of credit notes, nil-rated separately), table 3.2 inter-state
+ *       supplies to unregistered persons by state, and table 4 eligible ITC from bills of registered
+ *       suppliers (net of debit notes). `tax_payable` sets ITC off against output tax in the statutory
+ *       order and shows what is left to pay in cash.
+ *     tags: [Reports]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/Gstr3bQuery.period'
+ *     responses:
+ *       200:
+ *         description: GSTR-3B summary generated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     period:
+ *                       type: string
+ *                     ready_to_file:
+ *                       type: boolean
+ *                     gstr3b:
+ *                       type: object
+ *                       description: "gstin, ret_period, sup_details, inter_sup, itc_elg"
+ *                     tax_payable:
+ *                       type: object
+ *                       properties:
+ *                         output_tax:
+ *                           $ref: '#/components/schemas/GstTaxHeads'
+ *                         input_tax_credit:
+ *                           $ref: '#/components/schemas/GstTaxHeads'
+ *                         cash_payable:
+ *                           $ref: '#/components/schemas/GstTaxHeads'
+ *                         credit_carried_forward:
+ *                           $ref: '#/components/schemas/GstTaxHeads'
+ *                     issues:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/GstReturnIssue'
+ *       400:
+ *         description: Invalid period
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ *       500:
+ *         description: Server error generating GSTR-3B
+ */
+router.get("/gstr-3b", validate({ query: Gstr3bQuery }), getGstr3b);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     GstTaxHeads:
+ *       type: object
+ *       properties:
+ *         iamt:
+ *           type: number
+ *           description: IGST
+ *         camt:
+ *           type: number
+ *           description: CGST
+ *         samt:
+ *           type: number
+ *           description: SGST/UTGST
+ *         csamt:
+ *           type: number
+ *           description: Cess
+ *     GstReturnIssue:
+ *       type: object
+ *       properties:
+ *         severity:
+ *           type: string
+ *           enum: [error, warning]
+ *           description: Errors are rejected by the GST portal; warnings should be reviewed
+ *         document_id:
+ *           type: string
+ *           format: uuid
+ *           nullable: true
+ *         document_number:
+ *           type: string
+ *         document_type:
+ *           type: string
+ *         message:
+ *           type: string
+ *           example: "Invalid GSTIN check digit for party Acme (27AAPFU0939F1ZA)"
+ *     ProfitAndLossFigures:
+ *       type: object
+ *       properties:
+ *         revenue:
+ *           type: number
+ *           example: 250000
+ *         cogs:
+ *           type: number
+ *           example: 180000
+ *         gross_margin:
+ *           type: number
+ *           example: 70000
+ *         margin_percent:
+ *           type: number
+ *           nullable: true
+ *           example: 28
+ *     AgeingBuckets:
+ *       type: object
+ *       properties:
+ *         current:
+ *           type: number
+ *           description: Not yet due
+ *         days_1_30:
+ *           type: number
+ *         days_31_60:
+ *           type: number
+ *         days_61_90:
+ *           type: number
+ *         days_over_90:
+ *           type: number
+ *         total:
+ *           type: number
+ *     AgeingParty:
+ *       allOf:
+ *         - $ref: '#/components/schemas/AgeingBuckets'
+ *         - type: object
+ *           properties:
+ *             party_id:
+ *               type: string
+ *               format: uuid
+ *             party_name:
+ *               type: string
+ *             contact_email:
+ *               type: string
+ *             contact_phone:
+ *               type: string
+ *             invoice_count:
+ *               type: integer
+ *             oldest_days_overdue:
+ *               type: integer
+ *     AgeingInvoice:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *         invoice_number:
+ *           type: string
+ *         invoice_date:
+ *           type: string
+ *           format: date
+ *         due_date:
+ *           type: string
+ *           format: date
+ *           nullable: true
+ *         status:
+ *           type: string
+ *         party_id:
+ *           type: string
+ *           format: uuid
+ *         party_name:
+ *           type: string
+ *         total_amount:
+ *           type: number
+ *         amount_paid:
+ *           type: number
+ *           description: Paid on or before as_of
+ *         amount_credited:
+ *           type: number
+ *           description: Settled by notes dated on or before as_of
+ *         balance_due:
+ *           type: number
+ *         days_overdue:
+ *           type: integer
+ *         days_to_due:
+ *           type: integer
+ *           description: Days left until the due date (0 once due)
+ *         bucket:
+ *           type: string
+ *           enum: [current, days_1_30, days_31_60, days_61_90, days_over_90]
+ */
+
 module.exports = router;
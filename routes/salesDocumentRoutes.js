@@ -0,0 +1,398 @@
+const express = require('express');
+const router = express.Router();
+const authMiddleware = require('../middleware/authMiddleware');
+const requirePermission = require('../middleware/permissionMiddleware');
+const validate = require('../middleware/validateMiddleware');
+const { IdParams } = require('../schemas/common');
+const {
+  SalesDocumentInput,
+  SalesDocumentUpdate,
+  SalesDocumentStatusInput,
+  SalesDocumentConvertInput,
+  SalesDocumentListQuery,
+} = require('../schemas/salesDocuments');
+const {
+  createSalesDocument,
+  getAllSalesDocuments,
+  getSalesDocumentById,
+  updateSalesDocument,
+  updateSalesDocumentStatus,
+  convertSalesDocument,
+  deleteSalesDocument,
+} = require('../controllers/salesDocumentController');
+
+router.use(authMiddleware);
+
+/**
+ * @swagger
+ * tags:
+ *   name: Sales Documents
+ *   description: Quotations and sales orders (no stock impact) and their conversion to invoices
+ */
+
+/**
+ * @swagger
+ * /api/sales-documents:
+ *   post:
+ *     summary: Create a quotation or sales order
+ *     description: >
+ *       Lines are priced and taxed like an invoice (quoted `price` overrides the item price) but
+ *       stock is neither checked nor moved. Numbers come from the quotation / sales order series
+ *       unless one is supplied.
+ *     tags: [Sales Documents]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/SalesDocumentInput'
+ *     responses:
+ *       201:
+ *         description: Document created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: "Quotation created successfully"
+ *                 document:
+ *                   $ref: '#/components/schemas/SalesDocument'
+ *       400:
+ *         description: Missing or invalid fields
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ *       409:
+ *         description: Document number already exists
+ *       422:
+ *         description: Unknown or archived party or item, or a party that is not a customer
+ */
+router.post('/', requirePermission('sales_documents:write'), validate({ body: SalesDocumentInput }), createSalesDocument);
+
+/**
+ * @swagger
+ * /api/sales-documents:
+ *   get:
+ *     summary: List quotations and sales orders
+ *     tags: [Sales Documents]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/SalesDocumentListQuery.type'
+ *       - $ref: '#/components/parameters/SalesDocumentListQuery.status'
+ *       - $ref: '#/components/parameters/SalesDocumentListQuery.party_id'
+ *       - $ref: '#/components/parameters/ListQuery.q'
+ *       - $ref: '#/components/parameters/SalesDocumentListQuery.sort'
+ *       - $ref: '#/components/parameters/ListQuery.order'
+ *       - $ref: '#/components/parameters/ListQuery.page'
+ *       - $ref: '#/components/parameters/ListQuery.limit'
+ *     responses:
+ *       200:
+ *         description: Documents fetched successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
+ *                 documents:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/SalesDocument'
+ *       400:
+ *         description: Invalid pagination, sort or filter parameter
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ */
+router.get('/', validate({ query: SalesDocumentListQuery }), getAllSalesDocuments);
+
+/**
+ * @swagger
+ * /api/sales-documents/{id}:
+ *   get:
+ *     summary: Get a quotation or sales order with its lines and linked documents
+ *     tags: [Sales Documents]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdParams.id'
+ *     responses:
+ *       200:
+ *         description: Document details
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SalesDocument'
+ *       404:
+ *         description: Document not found
+ */
+router.get('/:id', validate({ params: IdParams }), getSalesDocumentById);
+
+/**
+ * @swagger
+ * /api/sales-documents/{id}:
+ *   put:
+ *     summary: Edit a draft or sent document
+ *     description: When `items` is given it replaces all lines. Lines are re-taxed for the (new) party.
+ *     tags: [Sales Documents]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdParams.id'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/SalesDocumentUpdate'
+ *     responses:
+ *       200:
+ *         description: Document updated
+ *       400:
+ *         description: Invalid fields
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ *       404:
+ *         description: Document not found
+ *       409:
+ *         description: Document is accepted, declined, expired or converted
+ *       422:
+ *         description: Unknown or archived party or item
+ */
+router.put(
+  '/:id',
+  requirePermission('sales_documents:write'),
+  validate({ params: IdParams, body: SalesDocumentUpdate }),
+  updateSalesDocument
+);
+
+/**
+ * @swagger
+ * /api/sales-documents/{id}/status:
+ *   put:
+ *     summary: Move a document along its lifecycle
+ *     description: >
+ *       Allowed transitions are draft → sent and sent → accepted | declined.
+ *       `expired` is set automatically once `valid_until` passes; `converted` by the convert endpoint.
+ *     tags: [Sales Documents]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdParams.id'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/SalesDocumentStatusInput'
+ *     responses:
+ *       200:
+ *         description: Status updated
+ *       400:
+ *         description: Not a status a user can set
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ *       404:
+ *         description: Document not found
+ *       409:
+ *         description: Transition not allowed from the current status
+ */
+router.put(
+  '/:id/status',
+  requirePermission('sales_documents:write'),
+  validate({ params: IdParams, body: SalesDocumentStatusInput }),
+  updateSalesDocumentStatus
+);
+
+/**
+ * @swagger
+ * /api/sales-documents/{id}/convert:
+ *   post:
+ *     summary: Convert a quotation or sales order in one call
+ *     description: >
+ *       A quotation converts to a sales order or an invoice; a sales order converts to an invoice.
+ *       Quoted prices carry over. Creating the invoice takes stock out and allocates the next invoice
+ *       number exactly like POST /api/invoices. The source is marked `converted` and keeps a link to
+ *       what was created (`converted_to`, and `sales_document_id` on the invoice).
+ *     tags: [Sales Documents]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdParams.id'
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/SalesDocumentConvertInput'
+ *     responses:
+ *       201:
+ *         description: Document converted
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: "Quotation converted successfully"
+ *                 source_document_id:
+ *                   type: string
+ *                   format: uuid
+ *                 created:
+ *                   type: object
+ *                   properties:
+ *                     document_type:
+ *                       type: string
+ *                       enum: [invoice, sales_order]
+ *                     id:
+ *                       type: string
+ *                       format: uuid
+ *                     number:
+ *                       type: string
+ *                       example: "INV/2026-27/0042"
+ *       400:
+ *         description: Invalid fields
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ *       404:
+ *         description: Document not found
+ *       409:
+ *         description: Document is declined, expired or already converted, or there is not enough stock
+ *       422:
+ *         description: A target the document cannot convert to, or an archived party or item
+ */
+router.post(
+  '/:id/convert',
+  requirePermission('sales_documents:write'),
+  validate({ params: IdParams, body: SalesDocumentConvertInput }),
+  convertSalesDocument
+);
+
+/**
+ * @swagger
+ * /api/sales-documents/{id}:
+ *   delete:
+ *     summary: Delete a quotation or sales order that has not been converted
+ *     tags: [Sales Documents]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdParams.id'
+ *     responses:
+ *       200:
+ *         description: Document deleted
+ *       404:
+ *         description: Document not found
+ *       409:
+ *         description: Document has been converted
+ */
+router.delete('/:id', requirePermission('sales_documents:delete'), validate({ params: IdParams }), deleteSalesDocument);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     SalesDocument:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *         document_type:
+ *           type: string
+ *           enum: [quotation, sales_order]
+ *         document_number:
+ *           type: string
+ *           example: "QT/2026-27/0001"
+ *         document_date:
+ *           type: string
+ *           format: date
+ *         valid_until:
+ *           type: string
+ *           format: date
+ *         status:
+ *           type: string
+ *           enum: [draft, sent, accepted, declined, expired, converted]
+ *         party_id:
+ *           type: string
+ *           format: uuid
+ *         party_name:
+ *           type: string
+ *         supply_type:
+ *           type: string
+ *           enum: [intra, inter]
+ *         taxable_amount:
+ *           type: number
+ *         cgst_amount:
+ *           type: number
+ *         sgst_amount:
+ *           type: number
+ *         igst_amount:
+ *           type: number
+ *         total_amount:
+ *           type: number
+ *         notes:
+ *           type: string
+ *         source_document_id:
+ *           type: string
+ *           format: uuid
+ *           nullable: true
+ *           description: Quotation a sales order was converted from
+ *         source_document_number:
+ *           type: string
+ *           nullable: true
+ *         items:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               item_id:
+ *                 type: string
+ *                 format: uuid
+ *               item_name:
+ *                 type: string
+ *               quantity:
+ *                 type: integer
+ *               price:
+ *                 type: number
+ *               gst_rate:
+ *                 type: number
+ *               total_line_amount:
+ *                 type: number
+ *         converted_to:
+ *           type: array
+ *           description: Sales orders and invoices created from this document
+ *           items:
+ *             type: object
+ *             properties:
+ *               document_type:
+ *                 type: string
+ *                 enum: [sales_order, invoice]
+ *               id:
+ *                 type: string
+ *                 format: uuid
+ *               number:
+ *                 type: string
+ *               status:
+ *                 type: string
+ */
+
+module.exports = router;
@@ -1,6 +1,17 @@
 const express = require('express');
-const { getUserDetails } = require('../controllers/userController');
+const {
+  getUserDetails,
+  getCompanyUsers,
+  inviteUser,
+  revokeInvitation,
+  updateUserRole,
+  removeUser,
+} = require('../controllers/userController');
 const authMiddleware = require('../middleware/authMiddleware');
+const requirePermission = require('../middleware/permissionMiddleware');
+const validate = require('../middleware/validateMiddleware');
+const { IdParams } = require('../schemas/common');
+const { InvitationInput, RoleInput } = require('../schemas/users');
 
 const router = express.Router();
 
@@ -24,4 +35,176 @@ router.use(authMiddleware);
  */
 router.get('/me', getUserDetails);
 
+/**
+ * @swagger
+ * /api/users:
+ *   get:
+ *     summary: List users and pending invitations of the logged-in company
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Company users and pending invitations
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 users:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: string
+ *                       email:
+ *                         type: string
+ *                       role:
+ *                         type: string
+ *                         enum: [owner, accountant, sales, viewer]
+ *                       created_at:
+ *                         type: string
+ *                         format: date-time
+ *                 invitations:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: string
+ *                       email:
+ *                         type: string
+ *                       role:
+ *                         type: string
+ *                       expires_at:
+ *                         type: string
+ *                         format: date-time
+ */
+router.get('/', getCompanyUsers);
+
+/**
+ * @swagger
+ * /api/users/invitations:
+ *   post:
+ *     summary: Invite another user to the company (owner only)
+ *     description: >
+ *       Emails an invitation link whose one-time token is accepted via `/api/auth/accept-invitation`.
+ *       The token is only sent by email, never in the response, as accepting it verifies that address.
+ *       Expires after 7 days; if the email does not arrive, revoke the invitation and send a new one.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/InvitationInput'
+ *     responses:
+ *       201:
+ *         description: Invitation created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 invitation:
+ *                   type: object
+ *                   properties:
+ *                     id:
+ *                       type: string
+ *                       format: uuid
+ *                     email:
+ *                       type: string
+ *                     role:
+ *                       type: string
+ *                     expires_at:
+ *                       type: string
+ *                       format: date-time
+ *       400:
+ *         description: Missing or invalid email or role
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ *       403:
+ *         description: Role not allowed to manage users
+ *       409:
+ *         description: A user with this email already exists
+ */
+router.post('/invitations', requirePermission('users:manage'), validate({ body: InvitationInput }), inviteUser);
+
+/**
+ * @swagger
+ * /api/users/invitations/{id}:
+ *   delete:
+ *     summary: Revoke a pending invitation (owner only)
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdParams.id'
+ *     responses:
+ *       200:
+ *         description: Invitation revoked successfully
+ *       404:
+ *         description: Invitation not found
+ */
+router.delete('/invitations/:id', requirePermission('users:manage'), validate({ params: IdParams }), revokeInvitation);
+
+/**
+ * @swagger
+ * /api/users/{id}/role:
+ *   put:
+ *     summary: Change a user's role (owner only)
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdParams.id'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/RoleInput'
+ *     responses:
+ *       200:
+ *         description: User role updated successfully
+ *       400:
+ *         description: Invalid role
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ *       404:
+ *         description: User not found
+ *       409:
+ *         description: The company must keep at least one owner
+ */
+router.put('/:id/role', requirePermission('users:manage'), validate({ params: IdParams, body: RoleInput }), updateUserRole);
+
+/**
+ * @swagger
+ * /api/users/{id}:
+ *   delete:
+ *     summary: Remove a user from the company (owner only)
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdParams.id'
+ *     responses:
+ *       200:
+ *         description: User removed successfully
+ *       404:
+ *         description: User not found
+ *       409:
+ *         description: Cannot remove yourself or the last owner
+ */
+router.delete('/:id', requirePermission('users:manage'), validate({ params: IdParams }), removeUser);
+
 module.exports = router;
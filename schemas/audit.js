@@ -0,0 +1,17 @@
+// schemas/audit.js
+const { uuid, date, listQuery } = require('./common');
+const { AUDIT_ENTITIES } = require('../utils/audit');
+
+const AuditLogQuery = listQuery(['seq', 'created_at'], 'seq', {
+  entity: { type: 'string', enum: AUDIT_ENTITIES },
+  entity_id: { type: 'string', description: 'Only changes to this record' },
+  action: {
+    type: 'string',
+    description: 'e.g. create, update, archive, restore, delete, cancel, cancel_irn, lock_books',
+  },
+  actor_id: { ...uuid, description: 'Only changes made by this user' },
+  date_from: date,
+  date_to: date,
+});
+
+module.exports = { AuditLogQuery };
@@ -0,0 +1,81 @@
+// schemas/auth.js
+const MIN_PASSWORD_LENGTH = 8;
+
+const email = { type: 'string', format: 'email', maxLength: 255, example: 'owner@techverse.com' };
+const token = { type: 'string', minLength: 1 };
+const newPassword = { type: 'string', minLength: MIN_PASSWORD_LENGTH };
+
+const RegisterInput = {
+  type: 'object',
+  required: ['company_name', 'email', 'password'],
+  properties: {
+    company_name: { type: 'string', minLength: 1, maxLength: 255, example: 'Techverse' },
+    company_email: { ...email, nullable: true, example: 'info@techverse.com' },
+    email,
+    password: { type: 'string', minLength: 1, example: 'password123' },
+  },
+};
+
+const LoginInput = {
+  type: 'object',
+  required: ['email', 'password'],
+  properties: {
+    email: { type: 'string', minLength: 1, example: 'owner@techverse.com' },
+    password: { type: 'string', minLength: 1, example: 'password123' },
+  },
+};
+
+const AcceptInvitationInput = {
+  type: 'object',
+  required: ['token', 'password'],
+  properties: {
+    token: { ...token, description: 'Invitation token returned to the inviting owner' },
+    password: { type: 'string', minLength: 1, example: 'password123' },
+  },
+};
+
+const RefreshInput = {
+  type: 'object',
+  required: ['refresh_token'],
+  properties: { refresh_token: token },
+};
+
+const ForgotPasswordInput = {
+  type: 'object',
+  required: ['email'],
+  properties: {
+    email: { type: 'string', minLength: 1, example: 'owner@techverse.com' },
+  },
+};
+
+const ResetPasswordInput = {
+  type: 'object',
+  required: ['token', 'password'],
+  properties: { token, password: newPassword },
+};
+
+const ChangePasswordInput = {
+  type: 'object',
+  required: ['current_password', 'new_password'],
+  properties: {
+    current_password: { type: 'string', minLength: 1 },
+    new_password: newPassword,
+  },
+};
+
+const VerifyEmailInput = {
+  type: 'object',
+  required: ['token'],
+  properties: { token },
+};
+
+module.exports = {
+  RegisterInput,
+  LoginInput,
+  AcceptInvitationInput,
+  RefreshInput,
+  ForgotPasswordInput,
+  ResetPasswordInput,
+  ChangePasswordInput,
+  VerifyEmailInput,
+};
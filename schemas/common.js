@@ -0,0 +1,117 @@
+// schemas/common.js
+// Building blocks shared by the request schemas of every router
+const { GST_RATES } = require('../utils/gst');
+const { DEFAULT_LIMIT, MAX_LIMIT } = require('../utils/listQuery');
+
+const uuid = { type: 'string', format: 'uuid' };
+const date = { type: 'string', format: 'date' };
+const month = {
+  type: 'string',
+  pattern: '^[0-9]{4}-(0[1-9]|1[0-2])$',
+  'x-pattern-message': 'must be a month in YYYY-MM format',
+};
+
+// Money and stock as sent in JSON bodies
+const amount = { type: 'number', minimum: 0 };
+const positiveAmount = { type: 'number', minimum: 0, exclusiveMinimum: true };
+const quantity = { type: 'integer', minimum: 0 };
+const positiveQuantity = { type: 'integer', minimum: 1 };
+
+const gstRate = { type: 'number', enum: GST_RATES, description: 'GST rate in percent (tax-exclusive price)' };
+const gstin = {
+  type: 'string',
+  description: '15-character GSTIN (checksum validated)',
+  example: '22AAAAA0000A1Z5',
+};
+// Optional codes may also be sent empty, which means "not set"
+const stateCode = {
+  type: 'string',
+  pattern: '^([0-9]{2})?$',
+  'x-pattern-message': 'must be a 2-digit GST state code',
+  description: '2-digit GST state code used to decide CGST+SGST vs IGST',
+  example: '23',
+};
+const pincode = {
+  type: 'string',
+  pattern: '^([1-9][0-9]{5})?$',
+  'x-pattern-message': 'must be a 6-digit PIN code',
+  example: '452001',
+};
+const hsnCode = {
+  type: 'string',
+  pattern: '^([0-9]{4}([0-9]{2}){0,2})?$',
+  'x-pattern-message': 'must be an HSN/SAC code of 4, 6 or 8 digits',
+  description: 'HSN (goods) or SAC (services) code',
+  example: '8471',
+};
+
+const IdParams = {
+  type: 'object',
+  required: ['id'],
+  properties: {
+    id: { ...uuid, description: 'UUID of the record' },
+  },
+};
+
+// page/limit/order/q of every paginated list
+const ListQuery = {
+  type: 'object',
+  properties: {
+    q: { type: 'string', description: 'Free-text search' },
+    order: { type: 'string', enum: ['asc', 'desc'], default: 'desc', description: 'Sort direction' },
+    page: { type: 'integer', minimum: 1, default: 1, description: 'Page number (1-based)' },
+    limit: { type: 'integer', minimum: 1, maximum: MAX_LIMIT, default: DEFAULT_LIMIT, description: 'Page size' },
+  },
+};
+
+/**
+ * A list endpoint's query: ListQuery plus its `sort` keys and own filters
+ */
+const listQuery = (sortKeys, defaultSort, filters = {}) => ({
+  type: 'object',
+  properties: {
+    ...filters,
+    ...ListQuery.properties,
+    sort: { type: 'string', enum: sortKeys, default: defaultSort, description: 'Field to sort by' },
+  },
+});
+
+// Body of every 400 the validation middleware sends
+const ValidationError = {
+  type: 'object',
+  properties: {
+    message: { type: 'string', example: 'Invalid request' },
+    code: { type: 'string', example: 'validation_failed' },
+    request_id: { type: 'string', example: '3f0c9a4e-7b1d-4c55-9d0e-1a2b3c4d5e6f' },
+    errors: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          in: { type: 'string', enum: ['path', 'query', 'body'] },
+          field: { type: 'string', example: 'items[0].quantity' },
+          message: { type: 'string', example: 'must be at least 1' },
+        },
+      },
+    },
+  },
+};
+
+module.exports = {
+  uuid,
+  date,
+  month,
+  amount,
+  positiveAmount,
+  quantity,
+  positiveQuantity,
+  gstRate,
+  gstin,
+  stateCode,
+  pincode,
+  hsnCode,
+  listQuery,
+  IdParams,
+  ListQuery,
+  ValidationError,
+};
@@ -0,0 +1,80 @@
+// schemas/companies.js
+const { uuid, month, gstin, stateCode, pincode } = require('./common');
+const { DOCUMENT_TYPES } = require('../utils/numbering');
+
+// Fields left out (or empty) keep their current value
+const CompanyUpdate = {
+  type: 'object',
+  minProperties: 1,
+  properties: {
+    name: { type: 'string', maxLength: 255, nullable: true, example: 'Techverse' },
+    address: { type: 'string', nullable: true, example: 'Indore, MP, India' },
+    city: { type: 'string', maxLength: 100, nullable: true, example: 'Indore' },
+    pincode: { ...pincode, nullable: true, description: '6-digit PIN code (required on e-invoices)' },
+    gstin: { ...gstin, nullable: true },
+    state_code: { ...stateCode, nullable: true },
+    contact_email: { type: 'string', maxLength: 255, nullable: true, example: 'info@techverse.com' },
+    contact_phone: { type: 'string', maxLength: 20, nullable: true, example: '+91 9999999999' },
+    logo: {
+      type: 'string',
+      nullable: true,
+      description: 'Base64 data URL of the new logo',
+      example: 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAA...',
+    },
+  },
+};
+
+const CompanyParams = {
+  type: 'object',
+  required: ['company_id'],
+  properties: {
+    company_id: { ...uuid, description: 'UUID of the company' },
+  },
+};
+
+const BooksLockInput = {
+  type: 'object',
+  required: ['month'],
+  properties: {
+    month: {
+      ...month,
+      nullable: true,
+      description: 'Last month to close, as YYYY-MM; it must have ended. Send null to reopen every period.',
+      example: '2026-09',
+    },
+  },
+};
+
+const NumberSeriesParams = {
+  type: 'object',
+  required: ['document_type'],
+  properties: {
+    document_type: { type: 'string', enum: DOCUMENT_TYPES },
+  },
+};
+
+const NumberSeriesInput = {
+  type: 'object',
+  properties: {
+    prefix: {
+      type: 'string',
+      pattern: '^[A-Za-z0-9\\-/]{1,20}$',
+      'x-pattern-message': 'must be 1-20 letters, digits, "-" or "/"',
+      example: 'INV',
+    },
+    padding: { type: 'integer', minimum: 1, maximum: 10, description: 'Minimum digits of the running number', example: 4 },
+    reset_yearly: {
+      type: 'boolean',
+      description: 'Restart at 1 every financial year (April–March) and include it in the number',
+      example: true,
+    },
+  },
+};
+
+module.exports = {
+  CompanyUpdate,
+  CompanyParams,
+  BooksLockInput,
+  NumberSeriesParams,
+  NumberSeriesInput,
+};
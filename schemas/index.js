@@ -0,0 +1,35 @@
+// schemas/index.js
+// Every request schema, published in the API docs (see swagger.js).
+// Body schemas are referenced as #/components/schemas/<Name>; the properties
+// of *Params and *Query schemas become #/components/parameters/<Name>.<property>.
+const { toParameters } = require('../utils/validation');
+const { IdParams, ListQuery, ValidationError } = require('./common');
+
+const schemas = {
+  IdParams,
+  ListQuery,
+  ValidationError,
+  ...require('./items'),
+  ...require('./parties'),
+  ...require('./invoices'),
+  ...require('./salesDocuments'),
+  ...require('./recurringInvoices'),
+  ...require('./companies'),
+  ...require('./users'),
+  ...require('./auth'),
+  ...require('./reports'),
+  ...require('./audit'),
+};
+
+const parameters = {};
+for (const [name, schema] of Object.entries(schemas)) {
+  const location = name.endsWith('Params') ? 'path' : name.endsWith('Query') ? 'query' : null;
+  if (!location) continue;
+  for (const parameter of toParameters(schema, location)) {
+    // page/limit/order/q are published once, as ListQuery.<property>
+    if (name !== 'ListQuery' && schema.properties[parameter.name] === ListQuery.properties[parameter.name]) continue;
+    parameters[`${name}.${parameter.name}`] = parameter;
+  }
+}
+
+module.exports = { schemas, parameters };
@@ -0,0 +1,275 @@
+// schemas/invoices.js
+// Invoices, purchase bills, credit/debit notes and the payments recorded against them
+const { uuid, date, positiveAmount, amount, positiveQuantity, stateCode, pincode, listQuery } = require('./common');
+const { INVOICE_TYPES, INITIAL_STATUSES } = require('../utils/invoices');
+const { PAYMENT_MODES, NOTE_TYPES } = require('../utils/payments');
+const { CANCEL_REASONS } = require('../utils/eInvoice');
+const { TRANSPORT_MODES, MAX_DISTANCE_KM } = require('../utils/ewayBill');
+
+const DOCUMENT_TYPES = [...INVOICE_TYPES, ...NOTE_TYPES];
+const INVOICE_SORT_KEYS = [
+  'created_at', 'invoice_date', 'due_date', 'invoice_number', 'total_amount', 'balance_due', 'status', 'party_name',
+];
+const ARCHIVED_INVOICE_SORT_KEYS = ['deleted_at', 'invoice_date', 'invoice_number', 'total_amount', 'party_name'];
+
+// Invoices per e-way bill bulk-upload file
+const MAX_EWAY_BILL_EXPORT = 100;
+
+const documentType = { type: 'string', enum: DOCUMENT_TYPES };
+
+const invoiceLine = {
+  type: 'object',
+  required: ['item_id', 'quantity'],
+  properties: {
+    item_id: { ...uuid, description: 'UUID of the item', example: '5d5d61b5-b2a3-49e2-97ce-8c8f41f647af' },
+    quantity: { ...positiveQuantity, description: 'Quantity of the item being sold or purchased', example: 3 },
+    price: {
+      ...amount,
+      description: 'Purchase bills only - supplier\'s unit rate (defaults to the item price)',
+      example: 450,
+    },
+  },
+};
+
+const InvoiceInput = {
+  type: 'object',
+  required: ['party_id', 'items'],
+  properties: {
+    party_id: { ...uuid, description: 'UUID of the customer or supplier', example: 'b7d8a9d1-0a56-4e3c-93a9-1b02c8d74df2' },
+    invoice_number: {
+      type: 'string',
+      minLength: 1,
+      maxLength: 50,
+      description: 'Optional for sales: when omitted the next number of the company\'s invoice series is allocated '
+        + '(e.g. `INV/2026-27/0001`). Required for purchase bills (the supplier\'s bill number).',
+      example: 'INV-2025-001',
+    },
+    invoice_type: {
+      type: 'string',
+      enum: INVOICE_TYPES,
+      description: 'Document type; defaults to `purchase` for supplier parties, `sale` otherwise',
+      example: 'sale',
+    },
+    due_date: { ...date, nullable: true, description: 'Due date for the invoice payment', example: '2025-11-30' },
+    status: {
+      type: 'string',
+      enum: INITIAL_STATUSES,
+      description: 'Create as a `draft` or issue it straight away as `sent`. Sales default to `draft`; '
+        + 'purchase bills default to `sent`, since the stock they bring in is booked at once',
+      example: 'draft',
+    },
+    items: { type: 'array', minItems: 1, items: invoiceLine, description: 'Lines of the invoice' },
+  },
+};
+
+const InvoiceUpdate = {
+  type: 'object',
+  minProperties: 1,
+  properties: {
+    party_id: { ...uuid, nullable: true, description: 'New party (keeps the current one when omitted)' },
+    due_date: { ...date, nullable: true, description: 'New due date (keeps the current one when omitted)' },
+    status: {
+      type: 'string',
+      description: 'Accepted only when unchanged; issue or cancel the invoice through their own endpoints',
+    },
+    items: {
+      type: 'array',
+      minItems: 1,
+      items: invoiceLine,
+      description: 'Replaces the lines: existing items get the new quantity, new ones are added and '
+        + 'items missing from the list are removed. Omit to keep the lines as they are.',
+    },
+  },
+  example: {
+    due_date: '2025-12-10',
+    items: [
+      { item_id: '5d5d61b5-b2a3-49e2-97ce-8c8f41f647af', quantity: 5 },
+      { item_id: 'e9c6f7d3-0a55-4a5e-9c44-b6c6a1d68a9f', quantity: 2 },
+    ],
+  },
+};
+
+const InvoiceStatusInput = {
+  type: 'object',
+  required: ['status'],
+  properties: {
+    status: {
+      type: 'string',
+      enum: ['sent'],
+      description: 'Payment statuses follow recorded payments and cancelling has its own action',
+    },
+  },
+};
+
+const InvoiceNoteInput = {
+  type: 'object',
+  required: ['items'],
+  properties: {
+    items: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        required: ['invoice_item_id', 'quantity'],
+        properties: {
+          invoice_item_id: { ...uuid, description: 'Line of the original invoice being returned' },
+          quantity: {
+            ...positiveQuantity,
+            description: 'Units returned; cannot exceed what is left unreturned on the line',
+            example: 1,
+          },
+        },
+      },
+    },
+    reason: { type: 'string', nullable: true, example: 'Damaged in transit' },
+    return_stock: {
+      type: 'boolean',
+      default: true,
+      description: 'Move the returned goods in (credit note) or out (debit note) of stock',
+    },
+    invoice_number: {
+      type: 'string',
+      minLength: 1,
+      maxLength: 50,
+      description: 'Optional; defaults to the next number of the credit/debit note series',
+      example: 'CN/2026-27/0001',
+    },
+  },
+};
+
+const PaymentInput = {
+  type: 'object',
+  required: ['amount', 'mode'],
+  properties: {
+    amount: { ...positiveAmount, example: 5000 },
+    payment_date: { ...date, nullable: true, description: 'Defaults to today', example: '2025-11-15' },
+    mode: { type: 'string', enum: PAYMENT_MODES, example: 'upi' },
+    reference: {
+      type: 'string',
+      maxLength: 100,
+      nullable: true,
+      description: 'UTR, cheque number or other reference',
+      example: 'UTR123456789',
+    },
+    notes: { type: 'string', nullable: true },
+  },
+};
+
+const PaymentParams = {
+  type: 'object',
+  required: ['id', 'paymentId'],
+  properties: {
+    id: { ...uuid, description: 'UUID of the invoice' },
+    paymentId: { ...uuid, description: 'UUID of the payment' },
+  },
+};
+
+const EInvoiceCancelInput = {
+  type: 'object',
+  required: ['reason_code', 'remarks'],
+  properties: {
+    reason_code: {
+      type: 'integer',
+      enum: Object.keys(CANCEL_REASONS).map(Number),
+      description: Object.entries(CANCEL_REASONS).map(([code, label]) => `${code} ${label}`).join(', '),
+      example: 2,
+    },
+    remarks: { type: 'string', minLength: 1, maxLength: 100, example: 'Wrong buyer GSTIN' },
+  },
+};
+
+// Omitted fields clear the stored value; text fields may also be sent empty. At least one field
+// must be sent, so an empty body cannot wipe the details by accident
+const optionalText = (maxLength) => ({ type: 'string', nullable: true, ...(maxLength && { maxLength }) });
+
+const InvoiceTransport = {
+  type: 'object',
+  minProperties: 1,
+  properties: {
+    transporter_id: {
+      ...optionalText(15),
+      description: 'Transporter\'s GSTIN or transporter ID; enough on its own for a Part-A only e-way bill',
+      example: '29AAACB2894G1ZN',
+    },
+    transporter_name: { ...optionalText(100), example: 'Blue Dart Express' },
+    transport_mode: { type: 'string', nullable: true, enum: Object.keys(TRANSPORT_MODES) },
+    vehicle_number: {
+      ...optionalText(20),
+      description: 'Required for road transport; spaces and dashes are removed',
+      example: 'MP09AB1234',
+    },
+    transport_doc_no: {
+      ...optionalText(15),
+      description: 'LR/RR/airway bill/bill of lading number; required for rail, air and ship',
+    },
+    transport_doc_date: { ...date, nullable: true },
+    distance_km: { type: 'integer', nullable: true, minimum: 1, maximum: MAX_DISTANCE_KM, example: 590 },
+    dispatch_address: optionalText(),
+    dispatch_city: optionalText(100),
+    dispatch_pincode: { ...pincode, nullable: true },
+    dispatch_state_code: { ...stateCode, nullable: true },
+    ship_to_address: optionalText(),
+    ship_to_city: optionalText(100),
+    ship_to_pincode: { ...pincode, nullable: true },
+    ship_to_state_code: { ...stateCode, nullable: true },
+  },
+};
+
+const EwayBillExportInput = {
+  type: 'object',
+  required: ['invoice_ids'],
+  properties: {
+    invoice_ids: { type: 'array', minItems: 1, maxItems: MAX_EWAY_BILL_EXPORT, items: uuid },
+  },
+};
+
+const InvoiceListQuery = listQuery(INVOICE_SORT_KEYS, 'created_at', {
+  type: { ...documentType, description: 'Only return documents of this type' },
+  status: {
+    type: 'string',
+    description: 'Comma-separated list of statuses to include',
+    example: 'sent,partially_paid',
+  },
+  party_id: uuid,
+  date_from: { ...date, description: 'Invoice date on or after (YYYY-MM-DD)' },
+  date_to: { ...date, description: 'Invoice date on or before (YYYY-MM-DD)' },
+});
+
+const ArchivedInvoiceListQuery = listQuery(ARCHIVED_INVOICE_SORT_KEYS, 'deleted_at', {
+  type: documentType,
+});
+
+const InvoiceSummaryQuery = {
+  type: 'object',
+  properties: {
+    type: { ...documentType, default: 'sale', description: 'Summarise sales invoices (default), purchase bills or notes' },
+  },
+};
+
+const InvoicePdfQuery = {
+  type: 'object',
+  properties: {
+    disposition: {
+      type: 'string',
+      enum: ['attachment', 'inline'],
+      default: 'attachment',
+      description: '`inline` to view in the browser, `attachment` (default) to download',
+    },
+  },
+};
+
+module.exports = {
+  InvoiceInput,
+  InvoiceUpdate,
+  InvoiceStatusInput,
+  InvoiceNoteInput,
+  PaymentInput,
+  PaymentParams,
+  EInvoiceCancelInput,
+  InvoiceTransport,
+  EwayBillExportInput,
+  InvoiceListQuery,
+  ArchivedInvoiceListQuery,
+  InvoiceSummaryQuery,
+  InvoicePdfQuery,
+};
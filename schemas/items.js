@@ -0,0 +1,59 @@
+// schemas/items.js
+const { amount, quantity, gstRate, hsnCode, listQuery } = require('./common');
+
+const ITEM_SORT_KEYS = ['created_at', 'name', 'price', 'quantity', 'category'];
+
+const ItemInput = {
+  type: 'object',
+  required: ['name', 'price', 'category'],
+  properties: {
+    name: { type: 'string', minLength: 1, maxLength: 255, example: 'Laptop' },
+    description: { type: 'string', nullable: true, example: '15-inch gaming laptop' },
+    price: { ...amount, description: 'Selling price per unit (tax exclusive)', example: 59999.99 },
+    cost_price: {
+      ...amount,
+      nullable: true,
+      description: 'Unit cost of the opening stock (tax exclusive); purchases re-average it',
+      example: 48000,
+    },
+    quantity: { ...quantity, default: 0, description: 'Opening stock, recorded in the stock ledger', example: 10 },
+    category: { type: 'string', minLength: 1, maxLength: 100, example: 'electronics' },
+    hsn_code: { ...hsnCode, nullable: true },
+    gst_rate: { ...gstRate, nullable: true, example: 18 },
+  },
+};
+
+// Fields left out (or null) keep their current value
+const ItemUpdate = {
+  type: 'object',
+  minProperties: 1,
+  properties: {
+    name: { type: 'string', minLength: 1, maxLength: 255, nullable: true },
+    description: { type: 'string', nullable: true },
+    price: { ...amount, nullable: true },
+    cost_price: { ...amount, nullable: true, description: 'Revalue the weighted-average cost of the units in stock' },
+    quantity: {
+      ...quantity,
+      nullable: true,
+      description: 'New stock count; the difference is logged as a manual adjustment at the current cost',
+    },
+    adjustment_note: {
+      type: 'string',
+      nullable: true,
+      description: 'Reason recorded on the stock adjustment',
+      example: 'Damaged units written off',
+    },
+    category: { type: 'string', minLength: 1, maxLength: 100, nullable: true },
+    hsn_code: { ...hsnCode, nullable: true },
+    gst_rate: { ...gstRate, nullable: true },
+  },
+};
+
+const ItemListQuery = listQuery(ITEM_SORT_KEYS, 'created_at', {
+  category: { type: 'string' },
+  low_stock: { type: 'boolean', description: 'Only items with fewer than 5 units in stock' },
+});
+
+const ArchivedItemListQuery = listQuery(['deleted_at', ...ITEM_SORT_KEYS], 'deleted_at');
+
+module.exports = { ItemInput, ItemUpdate, ItemListQuery, ArchivedItemListQuery };
@@ -0,0 +1,74 @@
+// schemas/parties.js
+const { date, gstin, stateCode, pincode, listQuery } = require('./common');
+
+const PARTY_TYPES = ['customer', 'supplier'];
+const PARTY_SORT_KEYS = ['created_at', 'name', 'type'];
+
+const partyFields = {
+  name: { type: 'string', minLength: 1, maxLength: 255, example: 'Acme Corp' },
+  type: { type: 'string', enum: PARTY_TYPES, example: 'customer' },
+  contact_email: { type: 'string', maxLength: 255, nullable: true, example: 'contact@acme.com' },
+  contact_phone: { type: 'string', maxLength: 20, nullable: true, example: '+911234567890' },
+  billing_address: { type: 'string', nullable: true, example: '123 Main St, City, Country' },
+  city: { type: 'string', maxLength: 100, nullable: true, example: 'Pune' },
+  pincode: { ...pincode, nullable: true, description: '6-digit PIN code (required on e-invoices)', example: '411001' },
+  gstin: { ...gstin, nullable: true, example: '27AAPFU0939F1ZV' },
+  state_code: {
+    ...stateCode,
+    nullable: true,
+    description: '2-digit GST state code (derived from GSTIN when omitted)',
+    example: '27',
+  },
+};
+
+const PartyInput = {
+  type: 'object',
+  required: ['name', 'type'],
+  properties: partyFields,
+};
+
+// Only the fields sent are changed; send null to clear an optional field
+const PartyUpdate = {
+  type: 'object',
+  minProperties: 1,
+  properties: partyFields,
+};
+
+const PartyListQuery = listQuery(PARTY_SORT_KEYS, 'created_at', {
+  type: { type: 'string', enum: PARTY_TYPES },
+});
+
+const ArchivedPartyListQuery = listQuery(['deleted_at', ...PARTY_SORT_KEYS], 'deleted_at', {
+  type: { type: 'string', enum: PARTY_TYPES },
+});
+
+const PartyLedgerQuery = {
+  type: 'object',
+  properties: {
+    from: { ...date, description: 'First date of the period (inclusive); omit for the full history', example: '2026-04-01' },
+    to: { ...date, description: 'Last date of the period (inclusive)', example: '2027-03-31' },
+  },
+};
+
+const PartyStatementQuery = {
+  type: 'object',
+  properties: {
+    ...PartyLedgerQuery.properties,
+    format: { type: 'string', enum: ['pdf', 'csv'], default: 'pdf' },
+    disposition: {
+      type: 'string',
+      enum: ['attachment', 'inline'],
+      default: 'attachment',
+      description: 'Use `inline` to open the file in the browser instead of downloading it',
+    },
+  },
+};
+
+module.exports = {
+  PartyInput,
+  PartyUpdate,
+  PartyListQuery,
+  ArchivedPartyListQuery,
+  PartyLedgerQuery,
+  PartyStatementQuery,
+};
@@ -0,0 +1,76 @@
+// schemas/recurringInvoices.js
+const { uuid, date, amount, positiveQuantity, listQuery } = require('./common');
+const { INITIAL_STATUSES } = require('../utils/invoices');
+const { RECURRING_FREQUENCIES } = require('../utils/recurring');
+
+const RECURRING_STATUSES = ['active', 'paused', 'ended'];
+const MAX_UPCOMING = 24;
+
+const RecurringInvoiceLineInput = {
+  type: 'object',
+  required: ['item_id', 'quantity'],
+  properties: {
+    item_id: uuid,
+    quantity: { ...positiveQuantity, example: 1 },
+    price: {
+      ...amount,
+      nullable: true,
+      description: 'Fixed unit price (tax exclusive); omit to bill the item price on each run date',
+      example: 2500,
+    },
+  },
+};
+
+const RecurringInvoiceInput = {
+  type: 'object',
+  required: ['party_id', 'frequency', 'start_date', 'items'],
+  properties: {
+    party_id: { ...uuid, description: 'Customer to bill' },
+    frequency: { type: 'string', enum: RECURRING_FREQUENCIES },
+    start_date: { ...date, description: 'First run date; today or later', example: '2026-11-01' },
+    end_date: {
+      ...date,
+      nullable: true,
+      description: 'Last date that may be billed; omit to run until paused or deleted',
+    },
+    due_in_days: {
+      type: 'integer',
+      minimum: 0,
+      default: 0,
+      description: 'Due date of each invoice, in days after its invoice date',
+      example: 15,
+    },
+    invoice_status: {
+      type: 'string',
+      enum: INITIAL_STATUSES,
+      default: 'draft',
+      description: 'Status of the generated invoices',
+    },
+    items: { type: 'array', minItems: 1, items: RecurringInvoiceLineInput },
+  },
+};
+
+const RecurringInvoiceListQuery = listQuery(['created_at', 'next_run_date', 'party_name'], 'created_at', {
+  status: { type: 'string', enum: RECURRING_STATUSES },
+  party_id: uuid,
+});
+
+const RecurringInvoiceQuery = {
+  type: 'object',
+  properties: {
+    upcoming: {
+      type: 'integer',
+      minimum: 1,
+      maximum: MAX_UPCOMING,
+      default: 5,
+      description: 'How many upcoming run dates to list',
+    },
+  },
+};
+
+module.exports = {
+  RecurringInvoiceLineInput,
+  RecurringInvoiceInput,
+  RecurringInvoiceListQuery,
+  RecurringInvoiceQuery,
+};
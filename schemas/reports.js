@@ -0,0 +1,63 @@
+// schemas/reports.js
+const { uuid, date, month } = require('./common');
+const { BUCKET_KEYS } = require('../utils/ageing');
+
+const MAX_UPCOMING_DAYS = 365;
+
+const asOf = { ...date, description: 'Date to age balances on; defaults to today', example: '2026-10-31' };
+const returnPeriod = { ...month, description: 'Return month; defaults to the previous month', example: '2026-09' };
+
+const AgeingQuery = {
+  type: 'object',
+  properties: {
+    as_of: asOf,
+    party_id: { ...uuid, description: 'Limit the report to one party' },
+  },
+};
+
+const AgeingInvoicesQuery = {
+  type: 'object',
+  properties: {
+    ...AgeingQuery.properties,
+    bucket: { type: 'string', enum: BUCKET_KEYS },
+  },
+};
+
+const UpcomingPaymentsQuery = {
+  type: 'object',
+  properties: {
+    days: { type: 'integer', minimum: 0, maximum: MAX_UPCOMING_DAYS, default: 30 },
+    party_id: { ...uuid, description: 'Limit to one supplier' },
+  },
+};
+
+const ProfitLossQuery = {
+  type: 'object',
+  properties: {
+    from: { ...date, description: 'Defaults to the start of the current financial year (1 April)' },
+    to: { ...date, description: 'Defaults to today' },
+    group_by: { type: 'string', enum: ['month', 'category', 'item'], default: 'month' },
+  },
+};
+
+const Gstr1Query = {
+  type: 'object',
+  properties: {
+    period: returnPeriod,
+    format: { type: 'string', enum: ['json'], description: 'Use `json` to download only the offline tool JSON file' },
+  },
+};
+
+const Gstr3bQuery = {
+  type: 'object',
+  properties: { period: returnPeriod },
+};
+
+module.exports = {
+  AgeingQuery,
+  AgeingInvoicesQuery,
+  UpcomingPaymentsQuery,
+  ProfitLossQuery,
+  Gstr1Query,
+  Gstr3bQuery,
+};
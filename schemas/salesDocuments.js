@@ -0,0 +1,100 @@
+// schemas/salesDocuments.js
+const { uuid, date, amount, positiveQuantity, listQuery } = require('./common');
+const { INITIAL_STATUSES } = require('../utils/invoices');
+
+const SALES_DOCUMENT_TYPES = ['quotation', 'sales_order'];
+const SALES_DOCUMENT_SORT_KEYS = [
+  'created_at', 'document_date', 'valid_until', 'document_number', 'total_amount', 'status', 'party_name',
+];
+
+const SalesDocumentLineInput = {
+  type: 'object',
+  required: ['item_id', 'quantity'],
+  properties: {
+    item_id: uuid,
+    quantity: { ...positiveQuantity, example: 2 },
+    price: {
+      ...amount,
+      nullable: true,
+      description: 'Quoted unit price (tax exclusive); defaults to the item price',
+      example: 1150,
+    },
+  },
+};
+
+const lines = { type: 'array', minItems: 1, items: SalesDocumentLineInput };
+
+const SalesDocumentInput = {
+  type: 'object',
+  required: ['document_type', 'party_id', 'items'],
+  properties: {
+    document_type: { type: 'string', enum: SALES_DOCUMENT_TYPES },
+    party_id: { ...uuid, description: 'Customer the document is addressed to' },
+    document_number: { type: 'string', maxLength: 50, nullable: true, example: 'QT/2026-27/0001' },
+    document_date: { ...date, nullable: true },
+    valid_until: {
+      ...date,
+      nullable: true,
+      description: 'Open documents expire automatically after this date',
+      example: '2026-11-30',
+    },
+    status: { type: 'string', enum: ['draft', 'sent'], default: 'draft' },
+    notes: { type: 'string', nullable: true },
+    items: lines,
+  },
+};
+
+// Fields left out keep their value; `items`, when given, replaces all lines
+const SalesDocumentUpdate = {
+  type: 'object',
+  properties: {
+    party_id: uuid,
+    document_date: { ...date, nullable: true },
+    valid_until: { ...date, nullable: true },
+    notes: { type: 'string', nullable: true },
+    items: lines,
+  },
+};
+
+const SalesDocumentStatusInput = {
+  type: 'object',
+  required: ['status'],
+  properties: {
+    status: { type: 'string', enum: ['sent', 'accepted', 'declined'] },
+  },
+};
+
+const SalesDocumentConvertInput = {
+  type: 'object',
+  properties: {
+    to: { type: 'string', enum: ['invoice', 'sales_order'], default: 'invoice' },
+    due_date: { ...date, nullable: true, description: 'Invoice only' },
+    status: { type: 'string', enum: INITIAL_STATUSES, description: 'Invoice only; defaults to draft' },
+    invoice_number: {
+      type: 'string',
+      maxLength: 50,
+      nullable: true,
+      description: 'Invoice only; defaults to the next number of the invoice series',
+    },
+    valid_until: { ...date, nullable: true, description: 'Sales order only' },
+  },
+};
+
+const SalesDocumentListQuery = listQuery(SALES_DOCUMENT_SORT_KEYS, 'created_at', {
+  type: { type: 'string', enum: SALES_DOCUMENT_TYPES },
+  status: {
+    type: 'string',
+    description: 'Comma-separated list of statuses to include',
+    example: 'sent,accepted',
+  },
+  party_id: uuid,
+});
+
+module.exports = {
+  SalesDocumentLineInput,
+  SalesDocumentInput,
+  SalesDocumentUpdate,
+  SalesDocumentStatusInput,
+  SalesDocumentConvertInput,
+  SalesDocumentListQuery,
+};
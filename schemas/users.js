@@ -0,0 +1,21 @@
+// schemas/users.js
+const { ROLES } = require('../config/roles');
+
+const role = { type: 'string', enum: ROLES, example: 'accountant' };
+
+const InvitationInput = {
+  type: 'object',
+  required: ['email', 'role'],
+  properties: {
+    email: { type: 'string', format: 'email', maxLength: 255, example: 'accounts@techverse.com' },
+    role,
+  },
+};
+
+const RoleInput = {
+  type: 'object',
+  required: ['role'],
+  properties: { role },
+};
+
+module.exports = { InvitationInput, RoleInput };
@@ -1,5 +1,6 @@
 const swaggerJsdoc = require('swagger-jsdoc');
 const swaggerUi = require('swagger-ui-express');
+const requestSchemas = require('./schemas');
 
 // Swagger configuration options
 const options = {
@@ -8,7 +9,17 @@ const options = {
     info: {
       title: 'PragatiApp API Docs',
       version: '1.0.0',
-      description: 'API documentation for the PragatiApp backend (Items, Parties, Invoices, Authentication)',
+      description: [
+        'API documentation for the PragatiApp backend (Items, Parties, Invoices, Authentication)',
+        '',
+        'Every response carries an `X-Request-Id` header (a sane incoming one is kept) and every error body '
+          + 'includes it as `request_id`; quote it when reporting a problem. Errors also carry a machine-readable '
+          + '`code` (see the Error schema).',
+        '',
+        'Send `X-Response-Envelope: true` to receive every JSON response in one envelope: '
+          + '`{ success: true, message?, data, request_id }` or '
+          + '`{ success: false, error: { code, message, details? }, request_id }`.',
+      ].join('\n'),
     },
     servers: [
       {
@@ -24,6 +35,36 @@ const options = {
           bearerFormat: 'JWT',
         },
       },
+      // Request parameters and bodies come from the schemas the validation middleware checks
+      parameters: requestSchemas.parameters,
+      schemas: {
+        ...requestSchemas.schemas,
+        Error: {
+          type: 'object',
+          description: '`message` and `error` carry the same text',
+          properties: {
+            success: { type: 'boolean', example: false },
+            message: { type: 'string', example: 'Insufficient stock for item: 5d5d61b5-b2a3-49e2-97ce-8c8f41f647af' },
+            error: { type: 'string', example: 'Insufficient stock for item: 5d5d61b5-b2a3-49e2-97ce-8c8f41f647af' },
+            code: {
+              type: 'string',
+              description: 'e.g. bad_request, unauthorized, forbidden, not_found, conflict, unprocessable_entity, '
+                + 'already_exists, still_referenced, reference_not_found, append_only, internal_server_error, bad_gateway',
+              example: 'conflict',
+            },
+            request_id: { type: 'string', example: '3f0c9a4e-7b1d-4c55-9d0e-1a2b3c4d5e6f' },
+          },
+        },
+        Pagination: {
+          type: 'object',
+          properties: {
+            page: { type: 'integer', example: 1 },
+            limit: { type: 'integer', example: 20 },
+            total: { type: 'integer', example: 57 },
+            total_pages: { type: 'integer', example: 3 },
+          },
+        },
+      },
     },
     security: [{ bearerAuth: [] }],
   },
@@ -0,0 +1,120 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { setUpDatabase, tearDownDatabase, inRolledBackTransaction } = require('./helpers/database');
+const { createCompany } = require('./helpers/fixtures');
+const { systemActor, recordAudit, verifyAuditChain } = require('../utils/audit');
+const { toAppError } = require('../utils/errors');
+
+describe('audit chain', () => {
+  let pool;
+  let company;
+  let otherCompany;
+
+  before(async () => {
+    pool = await setUpDatabase();
+    company = await createCompany(pool);
+    otherCompany = await createCompany(pool, { name: 'Other Traders' });
+  });
+  after(tearDownDatabase);
+
+  // Three entries: create, update and delete of one item
+  const recordHistory = async (client, company_id) => {
+    const actor = systemActor(company_id);
+    const item = { id: 'item-1', name: 'Widget', price: '10.00', created_at: new Date('2026-04-01T10:00:00Z') };
+    await recordAudit(client, { ...actor, entity: 'item', entity_id: item.id, action: 'create', after: item });
+    await recordAudit(client, {
+      ...actor,
+      entity: 'item',
+      entity_id: item.id,
+      action: 'update',
+      before: item,
+      after: { ...item, price: '12.00' },
+    });
+    return recordAudit(client, { ...actor, entity: 'item', entity_id: item.id, action: 'delete', before: item });
+  };
+
+  it('verifies an untouched chain and reports its head', async () => {
+    await inRolledBackTransaction(async (client) => {
+      const last = await recordHistory(client, company.id);
+
+      assert.equal(last.seq, 3);
+      assert.deepEqual(await verifyAuditChain(client, company.id), {
+        valid: true,
+        entries_checked: 3,
+        broken_at: null,
+        head_hash: last.hash,
+      });
+    });
+  });
+
+  it('links each entry to the one before it', async () => {
+    await inRolledBackTransaction(async (client) => {
+      await recordHistory(client, company.id);
+
+      const { rows } = await client.query(
+        'SELECT seq, prev_hash, hash FROM audit_logs WHERE company_id = $1 ORDER BY seq',
+        [company.id]
+      );
+      assert.equal(rows[0].prev_hash, '0'.repeat(64));
+      assert.equal(rows[1].prev_hash, rows[0].hash);
+      assert.equal(rows[2].prev_hash, rows[1].hash);
+    });
+  });
+
+  it('keeps a chain per company', async () => {
+    await inRolledBackTransaction(async (client) => {
+      await recordHistory(client, company.id);
+      const first = await recordAudit(client, { ...systemActor(otherCompany.id), entity: 'company', action: 'update' });
+
+      assert.equal(first.seq, 1);
+      assert.equal((await verifyAuditChain(client, otherCompany.id)).entries_checked, 1);
+    });
+  });
+
+  it('finds the first entry whose content was edited', async () => {
+    await inRolledBackTransaction(async (client) => {
+      await recordHistory(client, company.id);
+      await client.query('ALTER TABLE audit_logs DISABLE TRIGGER audit_logs_append_only');
+      await client.query(
+        `UPDATE audit_logs SET after_data = jsonb_set(after_data, '{price}', '"9.00"') WHERE company_id = $1 AND seq = 2`,
+        [company.id]
+      );
+
+      const result = await verifyAuditChain(client, company.id);
+      assert.equal(result.valid, false);
+      assert.equal(result.broken_at, 2);
+      assert.equal(result.entries_checked, 1);
+    });
+  });
+
+  it('finds an entry removed from the middle of the chain', async () => {
+    await inRolledBackTransaction(async (client) => {
+      await recordHistory(client, company.id);
+      await client.query('ALTER TABLE audit_logs DISABLE TRIGGER audit_logs_append_only');
+      await client.query('DELETE FROM audit_logs WHERE company_id = $1 AND seq = 2', [company.id]);
+
+      const result = await verifyAuditChain(client, company.id);
+      assert.equal(result.valid, false);
+      assert.equal(result.broken_at, 2);
+    });
+  });
+
+  it('refuses edits to recorded entries with a 409', async () => {
+    await inRolledBackTransaction(async (client) => {
+      await recordHistory(client, company.id);
+
+      await client.query('SAVEPOINT tamper');
+      const err = await client.query(`UPDATE audit_logs SET action = 'noop' WHERE company_id = $1`, [company.id]).then(
+        () => null,
+        (error) => error
+      );
+      await client.query('ROLLBACK TO SAVEPOINT tamper');
+
+      assert.ok(err, 'the update should have been refused');
+      const appError = toAppError(err);
+      assert.equal(appError.status, 409);
+      assert.equal(appError.code, 'append_only');
+    });
+  });
+});
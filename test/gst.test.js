@@ -0,0 +1,82 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { round2, splitTax, computeLineTax, getSupplyType, resolveStateCode, gstinError } = require('../utils/gst');
+
+describe('GST split', () => {
+  it('splits intra-state tax into equal CGST and SGST halves', () => {
+    assert.deepEqual(splitTax(1000, 18, 'intra'), {
+      taxable_amount: 1000,
+      gst_rate: 18,
+      cgst_amount: 90,
+      sgst_amount: 90,
+      igst_amount: 0,
+      total_line_amount: 1180,
+    });
+  });
+
+  it('charges inter-state tax as IGST only', () => {
+    assert.deepEqual(splitTax(1000, 18, 'inter'), {
+      taxable_amount: 1000,
+      gst_rate: 18,
+      cgst_amount: 0,
+      sgst_amount: 0,
+      igst_amount: 180,
+      total_line_amount: 1180,
+    });
+  });
+
+  it('rounds each half on its own so CGST and SGST always match', () => {
+    // 5% of 10.10 is 0.505: two halves of 0.2525 round to 0.25 each, IGST rounds to 0.51
+    const intra = splitTax(10.1, 5, 'intra');
+    assert.equal(intra.cgst_amount, 0.25);
+    assert.equal(intra.sgst_amount, intra.cgst_amount);
+    assert.equal(intra.total_line_amount, 10.6);
+
+    const inter = splitTax(10.1, 5, 'inter');
+    assert.equal(inter.igst_amount, 0.51);
+    assert.equal(inter.total_line_amount, 10.61);
+  });
+
+  it('computes the taxable value of a line to the paisa before taxing it', () => {
+    const line = computeLineTax({ price: 33.335, quantity: 3, gstRate: 18 });
+    assert.equal(line.taxable_amount, 100.01);
+    assert.equal(line.cgst_amount, 9);
+    assert.equal(line.sgst_amount, 9);
+    assert.equal(line.total_line_amount, 118.01);
+  });
+
+  it('leaves zero-rated lines untaxed', () => {
+    const line = computeLineTax({ price: 250, quantity: 2 });
+    assert.equal(line.total_line_amount, 500);
+    assert.equal(line.cgst_amount + line.sgst_amount + line.igst_amount, 0);
+  });
+
+  it('rounds half a paisa up', () => {
+    assert.equal(round2(1.005), 1.01);
+    assert.equal(round2(2.675), 2.68);
+  });
+});
+
+describe('supply type', () => {
+  it('is inter-state only when both states are known and differ', () => {
+    assert.equal(getSupplyType('27', '29'), 'inter');
+    assert.equal(getSupplyType('27', '27'), 'intra');
+    assert.equal(getSupplyType('27', null), 'intra');
+    assert.equal(getSupplyType(null, '29'), 'intra');
+  });
+
+  it('takes the state from the GSTIN when no state code is set', () => {
+    assert.equal(resolveStateCode({ gstin: '29ABCDE1234F1Z5' }), '29');
+    assert.equal(resolveStateCode({ state_code: '27', gstin: '29ABCDE1234F1Z5' }), '27');
+    assert.equal(resolveStateCode({}), null);
+  });
+});
+
+describe('GSTIN validation', () => {
+  it('rejects a GSTIN with a wrong check digit', () => {
+    assert.equal(gstinError('27AAPFU0939F1ZV'), null);
+    assert.equal(gstinError('27AAPFU0939F1ZA'), 'Invalid GSTIN check digit');
+    assert.equal(gstinError('not-a-gstin'), 'Invalid GSTIN format');
+  });
+});
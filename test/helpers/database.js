@@ -0,0 +1,65 @@
+// test/helpers/database.js
+// Gives each test file its own database loaded from query.sql, so files can run in parallel.
+// Require this before anything that requires db.js: it points the pool at the new database.
+const fs = require('fs');
+const path = require('path');
+const { Client } = require('pg');
+
+const ADMIN_DATABASE = process.env.DB_DATABASE;
+const TEST_DATABASE = `pragatiapp_test_${process.pid}`;
+process.env.DB_DATABASE = TEST_DATABASE;
+
+const SCHEMA_FILE = path.join(__dirname, '..', '..', 'query.sql');
+
+const adminQuery = async (sql) => {
+  const client = new Client({
+    user: process.env.DB_USER,
+    host: process.env.DB_HOST,
+    database: ADMIN_DATABASE,
+    password: process.env.DB_PASSWORD,
+    port: process.env.DB_PORT,
+    ssl: process.env.DB_SSL !== 'false',
+  });
+  await client.connect();
+  try {
+    await client.query(sql);
+  } finally {
+    await client.end();
+  }
+};
+
+/**
+ * Create this file's database and load the schema into it
+ */
+const setUpDatabase = async () => {
+  await adminQuery(`DROP DATABASE IF EXISTS ${TEST_DATABASE}`);
+  await adminQuery(`CREATE DATABASE ${TEST_DATABASE}`);
+
+  const pool = require('../../db');
+  await pool.query(fs.readFileSync(SCHEMA_FILE, 'utf8'));
+  return pool;
+};
+
+/**
+ * Close the pool and drop this file's database
+ */
+const tearDownDatabase = async () => {
+  await require('../../db').end();
+  await adminQuery(`DROP DATABASE IF EXISTS ${TEST_DATABASE}`);
+};
+
+/**
+ * Run `fn` in a transaction that is always rolled back
+ */
+const inRolledBackTransaction = async (fn) => {
+  const client = await require('../../db').connect();
+  try {
+    await client.query('BEGIN');
+    return await fn(client);
+  } finally {
+    await client.query('ROLLBACK');
+    client.release();
+  }
+};
+
+module.exports = { setUpDatabase, tearDownDatabase, inRolledBackTransaction };
@@ -0,0 +1,22 @@
+// test/helpers/express.js
+// Calls a route handler without a server: resolves with what it answered, rejects with what it passed to next()
+
+const callHandler = (handler, req = {}) =>
+  new Promise((resolve, reject) => {
+    const res = {
+      statusCode: 200,
+      status(code) {
+        this.statusCode = code;
+        return this;
+      },
+      json(body) {
+        resolve({ status: this.statusCode, body });
+        return this;
+      },
+    };
+    const next = (err) => reject(err || new Error('Handler called next() without answering'));
+
+    Promise.resolve(handler({ body: {}, params: {}, query: {}, headers: {}, ...req }, res, next)).catch(reject);
+  });
+
+module.exports = { callHandler };
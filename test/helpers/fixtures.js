@@ -0,0 +1,42 @@
+// test/helpers/fixtures.js
+// Minimal rows for the tests to work against; every helper takes overrides
+
+const createCompany = async (db, overrides = {}) => {
+  const company = { name: 'Test Traders', state_code: '27', books_locked_until: null, ...overrides };
+  const result = await db.query(
+    `INSERT INTO companies (name, state_code, books_locked_until) VALUES ($1, $2, $3) RETURNING *`,
+    [company.name, company.state_code, company.books_locked_until]
+  );
+  return result.rows[0];
+};
+
+const createUser = async (db, company_id, overrides = {}) => {
+  const user = { email: `user-${Date.now()}-${Math.random()}@example.com`, password: 'not-a-real-hash', ...overrides };
+  const result = await db.query(
+    `INSERT INTO users (company_id, email, password) VALUES ($1, $2, $3) RETURNING *`,
+    [company_id, user.email, user.password]
+  );
+  return result.rows[0];
+};
+
+const createParty = async (db, company_id, overrides = {}) => {
+  const party = { name: 'Test Customer', type: 'customer', state_code: '27', ...overrides };
+  const result = await db.query(
+    `INSERT INTO parties (company_id, name, type, state_code) VALUES ($1, $2, $3::party_type, $4) RETURNING *`,
+    [company_id, party.name, party.type, party.state_code]
+  );
+  return result.rows[0];
+};
+
+const createItem = async (db, company_id, overrides = {}) => {
+  const item = { name: 'Test Item', price: 100, cost_price: 0, quantity: 0, gst_rate: 18, ...overrides };
+  const result = await db.query(
+    `INSERT INTO items (company_id, name, price, cost_price, quantity, category, gst_rate)
+     VALUES ($1, $2, $3, $4, $5, 'General', $6)
+     RETURNING *`,
+    [company_id, item.name, item.price, item.cost_price, item.quantity, item.gst_rate]
+  );
+  return result.rows[0];
+};
+
+module.exports = { createCompany, createUser, createParty, createItem };
@@ -0,0 +1,239 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+
+const { setUpDatabase, tearDownDatabase } = require('./helpers/database');
+const { createCompany, createUser, createParty, createItem } = require('./helpers/fixtures');
+const { callHandler } = require('./helpers/express');
+
+// Local stand-in for a GSP/IRP gateway: records each request and answers from `reply`
+const startIrpServer = async () => {
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => {
+      body += chunk;
+    });
+    req.on('end', () => {
+      const request = { method: req.method, url: req.url, authorization: req.headers.authorization, body: JSON.parse(body) };
+      server.requests.push(request);
+      const { status = 200, payload } = server.reply(request);
+      res.writeHead(status, { 'Content-Type': typeof payload === 'string' ? 'text/html' : 'application/json' });
+      res.end(typeof payload === 'string' ? payload : JSON.stringify(payload));
+    });
+  });
+  server.requests = [];
+  server.reply = () => ({ payload: { Status: 1, Data: {} } });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  return server;
+};
+
+const payload = {
+  SellerDtls: { Gstin: '27AAPFU0939F1ZV' },
+  BuyerDtls: { Gstin: '29AAGCB7383J1Z4' },
+  DocDtls: { Typ: 'INV', No: 'INV/2026-27/0001', Dt: '01/06/2026' },
+  ItemList: [{ HsnCd: '8471' }],
+  ValDtls: { TotInvVal: 1180 },
+};
+
+describe('IRP client over HTTP', () => {
+  let server;
+  let irp;
+
+  before(async () => {
+    server = await startIrpServer();
+    // The client is chosen when config/irp is first loaded
+    process.env.IRP_BASE_URL = `http://127.0.0.1:${server.address().port}/v1/`;
+    process.env.IRP_AUTH_TOKEN = 'test-token';
+    irp = require('../config/irp');
+  });
+  after(() => new Promise((resolve) => server.close(resolve)));
+
+  it('posts invoices to the gateway with its token and returns its answer', async () => {
+    server.reply = () => ({ payload: { Status: 1, Data: { Irn: 'a'.repeat(64), AckNo: '112610000000001' } } });
+
+    const response = await irp.generateIrn(payload);
+
+    assert.deepEqual(response, { Status: 1, Data: { Irn: 'a'.repeat(64), AckNo: '112610000000001' } });
+    const request = server.requests.at(-1);
+    assert.equal(request.method, 'POST');
+    assert.equal(request.url, '/v1/invoice');
+    assert.equal(request.authorization, 'Bearer test-token');
+    assert.deepEqual(request.body, payload);
+  });
+
+  it('sends only the cancellation fields to the cancel endpoint', async () => {
+    server.reply = () => ({ payload: { Status: 0, ErrorDetails: [{ ErrorCode: '9999', ErrorMessage: 'Invoice is already cancelled' }] } });
+
+    const response = await irp.cancelIrn({ Irn: 'a'.repeat(64), CnlRsn: '2', CnlRem: 'Wrong rate', extra: 'dropped' });
+
+    assert.equal(response.Status, 0);
+    const request = server.requests.at(-1);
+    assert.equal(request.url, '/v1/invoice/cancel');
+    assert.deepEqual(request.body, { Irn: 'a'.repeat(64), CnlRsn: '2', CnlRem: 'Wrong rate' });
+  });
+
+  it('rejects when the gateway answers with something other than JSON', async () => {
+    server.reply = () => ({ status: 502, payload: '<html>Bad Gateway</html>' });
+
+    await assert.rejects(irp.generateIrn(payload), /IRP returned HTTP 502 with a non-JSON body/);
+  });
+});
+
+describe('mock IRP', () => {
+  const createMockClient = () => require('../config/irp').createMockClient();
+
+  it('refuses to register the same document twice', async () => {
+    const client = createMockClient();
+
+    const first = await client.generateIrn(payload);
+    assert.equal(first.Status, 1);
+    assert.match(first.Data.Irn, /^[0-9a-f]{64}$/);
+
+    const again = await client.generateIrn(payload);
+    assert.equal(again.Status, 0);
+    assert.equal(again.ErrorDetails[0].ErrorCode, '2150');
+  });
+
+  it('refuses to cancel an IRN twice', async () => {
+    const client = createMockClient();
+    const { Data } = await client.generateIrn(payload);
+
+    assert.equal((await client.cancelIrn({ Irn: Data.Irn })).Status, 1);
+    assert.equal((await client.cancelIrn({ Irn: Data.Irn })).Status, 0);
+  });
+});
+
+describe('IRN cancellation', () => {
+  let pool;
+  let company;
+  let user;
+  let item;
+  let customer;
+  let setIrpClient;
+  let cancelEInvoice;
+
+  before(async () => {
+    pool = await setUpDatabase();
+    ({ setIrpClient } = require('../config/irp'));
+    ({ cancelEInvoice } = require('../controllers/invoiceController'));
+    company = await createCompany(pool);
+    user = await createUser(pool, company.id);
+    customer = await createParty(pool, company.id);
+    item = await createItem(pool, company.id, { quantity: 10 });
+  });
+  after(tearDownDatabase);
+
+  // A sent invoice for 2 units whose IRN was generated an hour ago
+  const eInvoicedSale = async () => {
+    const { insertInvoice } = require('../utils/invoices');
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const invoice = await insertInvoice(client, {
+        company_id: company.id,
+        user_id: user.id,
+        party_id: customer.id,
+        items: [{ item_id: item.id, quantity: 2 }],
+        status: 'sent',
+      });
+      await client.query(
+        `UPDATE invoices SET irn = md5(random()::text) || md5(random()::text), irn_ack_date = NOW() - INTERVAL '1 hour'
+          WHERE id = $1`,
+        [invoice.id]
+      );
+      await client.query('COMMIT');
+      return invoice;
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
+    } finally {
+      client.release();
+    }
+  };
+
+  const cancel = (invoice) =>
+    callHandler(cancelEInvoice, {
+      params: { id: invoice.id },
+      body: { reason_code: 2, remarks: 'Wrong rate' },
+      user: { id: user.id, company_id: company.id, role: 'owner' },
+    });
+
+  const state = async (invoice) => {
+    const row = await pool.query('SELECT status, irn_cancelled_at FROM invoices WHERE id = $1', [invoice.id]);
+    const stock = await pool.query('SELECT quantity FROM items WHERE id = $1', [item.id]);
+    const audit = await pool.query(
+      `SELECT COUNT(*)::int AS count FROM audit_logs WHERE entity_id = $1 AND action = 'cancel_irn'`,
+      [invoice.id]
+    );
+    return { ...row.rows[0], stock: stock.rows[0].quantity, audited: audit.rows[0].count };
+  };
+
+  it('cancels the invoice and returns its stock once the IRP accepts', async () => {
+    const invoice = await eInvoicedSale();
+    const stockBefore = (await state(invoice)).stock;
+    const calls = [];
+    setIrpClient({
+      name: 'stand-in',
+      cancelIrn: async (request) => {
+        calls.push(request);
+        return { Status: 1, Data: { Irn: request.Irn } };
+      },
+    });
+
+    const answer = await cancel(invoice);
+
+    assert.equal(answer.status, 200);
+    assert.deepEqual(calls.map((call) => [call.CnlRsn, call.CnlRem]), [['2', 'Wrong rate']]);
+    const cancelled = await state(invoice);
+    assert.equal(cancelled.status, 'cancelled');
+    assert.ok(cancelled.irn_cancelled_at);
+    assert.equal(cancelled.stock, stockBefore + 2);
+    assert.equal(cancelled.audited, 1);
+  });
+
+  it('changes nothing when the IRP rejects the cancellation', async () => {
+    const invoice = await eInvoicedSale();
+    const unchanged = await state(invoice);
+    setIrpClient({
+      name: 'stand-in',
+      cancelIrn: async () => ({ Status: 0, ErrorDetails: [{ ErrorCode: '9999', ErrorMessage: 'Invoice is already cancelled' }] }),
+    });
+
+    await assert.rejects(cancel(invoice), { status: 422, details: { errors: ['9999: Invoice is already cancelled'] } });
+    assert.deepEqual(await state(invoice), unchanged);
+  });
+
+  it('changes nothing when the IRP cannot be reached', async () => {
+    const invoice = await eInvoicedSale();
+    const unchanged = await state(invoice);
+    setIrpClient({
+      name: 'stand-in',
+      cancelIrn: async () => {
+        throw new TypeError('fetch failed');
+      },
+    });
+
+    await assert.rejects(cancel(invoice), { status: 502 });
+    assert.deepEqual(await state(invoice), unchanged);
+  });
+
+  it('does not call the IRP when the invoice cannot be cancelled locally', async () => {
+    const invoice = await eInvoicedSale();
+    await pool.query(`UPDATE companies SET books_locked_until = CURRENT_DATE WHERE id = $1`, [company.id]);
+    let called = false;
+    setIrpClient({
+      name: 'stand-in',
+      cancelIrn: async () => {
+        called = true;
+        return { Status: 1, Data: {} };
+      },
+    });
+
+    try {
+      await assert.rejects(cancel(invoice), { status: 409 });
+      assert.equal(called, false);
+    } finally {
+      await pool.query(`UPDATE companies SET books_locked_until = NULL WHERE id = $1`, [company.id]);
+    }
+  });
+});
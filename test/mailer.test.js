@@ -0,0 +1,114 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { setUpDatabase, tearDownDatabase } = require('./helpers/database');
+const { createCompany, createUser } = require('./helpers/fixtures');
+const { callHandler } = require('./helpers/express');
+const { sendMail, setTransport } = require('../config/mailer');
+const { hashToken } = require('../utils/tokens');
+const { forgotPassword, resetPassword } = require('../controllers/authController');
+
+// Stands in for SMTP: keeps every message instead of sending it
+const createCapturingTransport = () => {
+  const sent = [];
+  return {
+    sent,
+    async sendMail(message) {
+      sent.push(message);
+      return { messageId: `<${sent.length}@test>` };
+    },
+  };
+};
+
+describe('mail transport', () => {
+  it('hands the message to the configured transport with the default sender', async () => {
+    const transport = createCapturingTransport();
+    setTransport(transport);
+
+    const info = await sendMail({ to: 'owner@example.com', subject: 'Hello', text: 'Body' });
+
+    assert.equal(info.messageId, '<1@test>');
+    assert.equal(transport.sent.length, 1);
+    assert.equal(transport.sent[0].from, 'PragatiApp <no-reply@pragatiapp.local>');
+    assert.equal(transport.sent[0].to, 'owner@example.com');
+    assert.equal(transport.sent[0].text, 'Body');
+  });
+
+  it('logs only the recipient and subject when no SMTP server is configured', async (t) => {
+    setTransport(createCapturingTransport());
+    const log = t.mock.method(console, 'log', () => {});
+
+    await sendMail({ to: 'owner@example.com', subject: 'Reset', text: 'secret-link' });
+
+    const logged = log.mock.calls.map((call) => call.arguments.join(' ')).join('\n');
+    assert.match(logged, /owner@example\.com - Reset/);
+    assert.doesNotMatch(logged, /secret-link/);
+  });
+
+  it('passes transport failures on to the caller', async () => {
+    setTransport({
+      sendMail: async () => {
+        throw new Error('SMTP unavailable');
+      },
+    });
+
+    await assert.rejects(sendMail({ to: 'owner@example.com', subject: 'Hello' }), /SMTP unavailable/);
+  });
+});
+
+describe('password reset mail', () => {
+  let pool;
+  let user;
+  let transport;
+
+  before(async () => {
+    pool = await setUpDatabase();
+    const company = await createCompany(pool);
+    user = await createUser(pool, company.id, { email: 'owner@example.com' });
+  });
+  after(tearDownDatabase);
+
+  beforeEach(() => {
+    transport = createCapturingTransport();
+    setTransport(transport);
+  });
+
+  const sameAnswer = { status: 200, body: { message: 'If an account exists for this email, a reset link has been sent' } };
+
+  it('mails a single-use reset link and stores only its hash', async () => {
+    const answer = await callHandler(forgotPassword, { body: { email: 'owner@example.com' } });
+
+    assert.deepEqual(answer, sameAnswer);
+    assert.equal(transport.sent.length, 1);
+    assert.equal(transport.sent[0].to, 'owner@example.com');
+    const token = transport.sent[0].text.match(/reset-password\?token=([0-9a-f]+)/)[1];
+
+    const stored = await pool.query(`SELECT token_hash FROM user_tokens WHERE user_id = $1`, [user.id]);
+    assert.deepEqual(stored.rows.map((row) => row.token_hash), [hashToken(token)]);
+
+    const reset = await callHandler(resetPassword, { body: { token, password: 'new-password-123' } });
+    assert.equal(reset.status, 200);
+    await assert.rejects(callHandler(resetPassword, { body: { token, password: 'again-password-123' } }), {
+      status: 400,
+    });
+  });
+
+  it('answers the same and sends nothing for an unknown email', async () => {
+    const answer = await callHandler(forgotPassword, { body: { email: 'nobody@example.com' } });
+
+    assert.deepEqual(answer, sameAnswer);
+    assert.equal(transport.sent.length, 0);
+  });
+
+  it('answers the same when the mail cannot be sent', async (t) => {
+    setTransport({
+      sendMail: async () => {
+        throw new Error('SMTP unavailable');
+      },
+    });
+    const error = t.mock.method(console, 'error', () => {});
+
+    assert.deepEqual(await callHandler(forgotPassword, { body: { email: 'owner@example.com' } }), sameAnswer);
+    assert.equal(error.mock.callCount(), 1);
+  });
+});
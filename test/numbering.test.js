@@ -0,0 +1,91 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { setUpDatabase, tearDownDatabase, inRolledBackTransaction } = require('./helpers/database');
+const { createCompany } = require('./helpers/fixtures');
+const { financialYear, peekNextNumber, allocateNumber } = require('../utils/numbering');
+
+describe('financial year', () => {
+  it('runs from April to March', () => {
+    assert.equal(financialYear('2026-03-31'), '2025-26');
+    assert.equal(financialYear('2026-04-01'), '2026-27');
+    assert.equal(financialYear(new Date(2027, 0, 15)), '2026-27');
+  });
+
+  it('wraps the short year at the turn of the century', () => {
+    assert.equal(financialYear('2099-05-01'), '2099-00');
+  });
+});
+
+describe('document numbering', () => {
+  let pool;
+  let company;
+
+  before(async () => {
+    pool = await setUpDatabase();
+    company = await createCompany(pool);
+  });
+  after(tearDownDatabase);
+
+  it('numbers documents in sequence within a financial year', async () => {
+    await inRolledBackTransaction(async (client) => {
+      const first = await allocateNumber(client, company.id, 'invoice', { date: '2026-04-01' });
+      const second = await allocateNumber(client, company.id, 'invoice', { date: '2027-03-31' });
+
+      assert.equal(first, 'INV/2026-27/0001');
+      assert.equal(second, 'INV/2026-27/0002');
+    });
+  });
+
+  it('starts again from 1 in a new financial year', async () => {
+    await inRolledBackTransaction(async (client) => {
+      await allocateNumber(client, company.id, 'invoice', { date: '2026-03-30' });
+      await allocateNumber(client, company.id, 'invoice', { date: '2026-03-31' });
+      const april = await allocateNumber(client, company.id, 'invoice', { date: '2026-04-01' });
+
+      assert.equal(april, 'INV/2026-27/0001');
+      // A late document for the old year carries on from where that year stopped
+      assert.equal(await allocateNumber(client, company.id, 'invoice', { date: '2026-03-31' }), 'INV/2025-26/0003');
+    });
+  });
+
+  it('keeps counting across years when the series never resets', async () => {
+    await inRolledBackTransaction(async (client) => {
+      await client.query(
+        `INSERT INTO number_series (company_id, document_type, prefix, padding, reset_yearly)
+         VALUES ($1, 'invoice', 'S', 3, FALSE)`,
+        [company.id]
+      );
+      await allocateNumber(client, company.id, 'invoice', { date: '2026-03-31' });
+      const next = await allocateNumber(client, company.id, 'invoice', { date: '2026-04-01' });
+
+      assert.equal(next, 'S/002');
+    });
+  });
+
+  it('skips numbers that were already used by hand', async () => {
+    await inRolledBackTransaction(async (client) => {
+      const taken = new Set(['INV/2026-27/0001', 'INV/2026-27/0002']);
+      const number = await allocateNumber(client, company.id, 'invoice', {
+        date: '2026-06-01',
+        isTaken: async (candidate) => taken.has(candidate),
+      });
+
+      assert.equal(number, 'INV/2026-27/0003');
+    });
+  });
+
+  it('previews the next number without allocating it', async () => {
+    await inRolledBackTransaction(async (client) => {
+      assert.equal(await peekNextNumber(client, company.id, 'credit_note', '2026-06-01'), 'CN/2026-27/0001');
+      assert.equal(await peekNextNumber(client, company.id, 'credit_note', '2026-06-01'), 'CN/2026-27/0001');
+      await allocateNumber(client, company.id, 'credit_note', { date: '2026-06-01' });
+      assert.equal(await peekNextNumber(client, company.id, 'credit_note', '2026-06-01'), 'CN/2026-27/0002');
+    });
+  });
+
+  it('gives the number back when the transaction rolls back', async () => {
+    await inRolledBackTransaction((client) => allocateNumber(client, company.id, 'quotation', { date: '2026-06-01' }));
+    assert.equal(await peekNextNumber(pool, company.id, 'quotation', '2026-06-01'), 'QT/2026-27/0001');
+  });
+});
@@ -0,0 +1,114 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { setUpDatabase, tearDownDatabase, inRolledBackTransaction } = require('./helpers/database');
+const { createCompany, createParty, createItem } = require('./helpers/fixtures');
+const { insertInvoice } = require('../utils/invoices');
+const { syncInvoicePayments } = require('../utils/payments');
+const { UnprocessableError } = require('../utils/errors');
+
+describe('payment status', () => {
+  let pool;
+  let company;
+  let customer;
+  let item;
+
+  before(async () => {
+    pool = await setUpDatabase();
+    company = await createCompany(pool);
+    customer = await createParty(pool, company.id);
+    item = await createItem(pool, company.id, { price: 1000, gst_rate: 18, quantity: 100 });
+  });
+  after(tearDownDatabase);
+
+  // 1 x 1000 at 18% = 1180.00
+  const sentInvoice = (client, overrides = {}) =>
+    insertInvoice(client, {
+      company_id: company.id,
+      party_id: customer.id,
+      items: [{ item_id: item.id, quantity: 1 }],
+      status: 'sent',
+      ...overrides,
+    });
+
+  const pay = (client, invoice, amount) =>
+    client.query(
+      `INSERT INTO payments (company_id, invoice_id, amount, mode) VALUES ($1, $2, $3, 'upi') RETURNING id`,
+      [company.id, invoice.id, amount]
+    );
+
+  const sync = (client, invoice) => syncInvoicePayments(client, invoice.id, company.id);
+
+  it('moves from sent to partially paid to paid as payments come in', async () => {
+    await inRolledBackTransaction(async (client) => {
+      const invoice = await sentInvoice(client);
+
+      await pay(client, invoice, 500);
+      const partial = await sync(client, invoice);
+      assert.equal(partial.status, 'partially_paid');
+      assert.equal(partial.balance_due, 680);
+
+      await pay(client, invoice, 680);
+      const paid = await sync(client, invoice);
+      assert.equal(paid.status, 'paid');
+      assert.equal(paid.balance_due, 0);
+
+      const row = await client.query('SELECT status, amount_paid FROM invoices WHERE id = $1', [invoice.id]);
+      assert.equal(row.rows[0].status, 'paid');
+      assert.equal(Number(row.rows[0].amount_paid), 1180);
+    });
+  });
+
+  it('goes back to sent when its payments are removed', async () => {
+    await inRolledBackTransaction(async (client) => {
+      const invoice = await sentInvoice(client);
+      const payment = await pay(client, invoice, 1180);
+      assert.equal((await sync(client, invoice)).status, 'paid');
+
+      await client.query('DELETE FROM payments WHERE id = $1', [payment.rows[0].id]);
+      assert.equal((await sync(client, invoice)).status, 'sent');
+    });
+  });
+
+  it('counts credit notes raised against the invoice towards settling it', async () => {
+    await inRolledBackTransaction(async (client) => {
+      const invoice = await sentInvoice(client);
+      await pay(client, invoice, 1000);
+      await client.query(
+        `INSERT INTO invoices (company_id, party_id, invoice_number, invoice_type, total_amount, status, original_invoice_id)
+         VALUES ($1, $2, 'CN/TEST/1', 'credit_note', 180, 'paid', $3)`,
+        [company.id, customer.id, invoice.id]
+      );
+
+      const result = await sync(client, invoice);
+      assert.equal(result.amount_credited, 180);
+      assert.equal(result.status, 'paid');
+    });
+  });
+
+  it('leaves a cancelled invoice cancelled', async () => {
+    await inRolledBackTransaction(async (client) => {
+      const invoice = await sentInvoice(client);
+      await client.query(`UPDATE invoices SET status = 'cancelled' WHERE id = $1`, [invoice.id]);
+      await pay(client, invoice, 100);
+
+      assert.equal((await sync(client, invoice)).status, 'cancelled');
+    });
+  });
+
+  it('refuses payments beyond the invoice total', async () => {
+    await inRolledBackTransaction(async (client) => {
+      const invoice = await sentInvoice(client);
+      await pay(client, invoice, 1180.01);
+
+      await assert.rejects(sync(client, invoice), UnprocessableError);
+    });
+  });
+
+  it('keeps a draft a draft until something is paid', async () => {
+    await inRolledBackTransaction(async (client) => {
+      const invoice = await sentInvoice(client, { status: 'draft' });
+      assert.equal((await sync(client, invoice)).status, 'draft');
+    });
+  });
+});
@@ -0,0 +1,73 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { setUpDatabase, tearDownDatabase, inRolledBackTransaction } = require('./helpers/database');
+const { createCompany, createParty, createItem } = require('./helpers/fixtures');
+const { monthEnd, periodLockReason } = require('../utils/periodLock');
+const { insertInvoice } = require('../utils/invoices');
+const { ConflictError } = require('../utils/errors');
+
+describe('month end', () => {
+  it('is the last day of the month, leap years included', () => {
+    assert.equal(monthEnd('2026-04'), '2026-04-30');
+    assert.equal(monthEnd('2026-12'), '2026-12-31');
+    assert.equal(monthEnd('2028-02'), '2028-02-29');
+    assert.equal(monthEnd('2026-02'), '2026-02-28');
+  });
+
+  it('is null for anything that is not a month', () => {
+    assert.equal(monthEnd('2026-13'), null);
+    assert.equal(monthEnd('2026-04-01'), null);
+    assert.equal(monthEnd(undefined), null);
+  });
+});
+
+describe('period lock', () => {
+  let pool;
+  let company;
+  let openCompany;
+
+  before(async () => {
+    pool = await setUpDatabase();
+    company = await createCompany(pool, { name: 'Closed Books', books_locked_until: '2026-03-31' });
+    openCompany = await createCompany(pool, { name: 'Open Books' });
+  });
+  after(tearDownDatabase);
+
+  it('locks documents dated on or before the close date', async () => {
+    const reason = await periodLockReason(pool, company.id, '2026-03-31');
+    assert.match(reason, /closed up to 2026-03-31/);
+    assert.ok(await periodLockReason(pool, company.id, '2025-12-01'));
+  });
+
+  it('leaves later documents open', async () => {
+    assert.equal(await periodLockReason(pool, company.id, '2026-04-01'), null);
+  });
+
+  it('accepts a pg DATE as well as a string', async () => {
+    assert.ok(await periodLockReason(pool, company.id, new Date(2026, 2, 31)));
+    assert.equal(await periodLockReason(pool, company.id, new Date(2026, 3, 1)), null);
+  });
+
+  it('never locks a company whose books were never closed', async () => {
+    assert.equal(await periodLockReason(pool, openCompany.id, '2000-01-01'), null);
+  });
+
+  it('refuses to book an invoice into a closed period', async () => {
+    await inRolledBackTransaction(async (client) => {
+      const customer = await createParty(client, company.id);
+      const item = await createItem(client, company.id, { quantity: 5 });
+      const invoice = (invoice_date) =>
+        insertInvoice(client, {
+          company_id: company.id,
+          party_id: customer.id,
+          invoice_date,
+          items: [{ item_id: item.id, quantity: 1 }],
+        });
+
+      await assert.rejects(invoice('2026-03-15'), ConflictError);
+      const booked = await invoice('2026-04-15');
+      assert.equal(booked.invoice_number, 'INV/2026-27/0001');
+    });
+  });
+});
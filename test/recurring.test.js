@@ -0,0 +1,171 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { setUpDatabase, tearDownDatabase } = require('./helpers/database');
+const { createCompany, createUser, createParty, createItem } = require('./helpers/fixtures');
+const { addInterval, upcomingRunDates, firstRunOnOrAfter, runDueRecurringInvoices } = require('../utils/recurring');
+const { verifyAuditChain } = require('../utils/audit');
+const { toDateString, addDays } = require('../utils/dates');
+
+describe('run dates', () => {
+  it('keeps monthly runs on the start day, clamped to shorter months', () => {
+    assert.equal(addInterval('2026-01-31', 'monthly', 31), '2026-02-28');
+    assert.equal(addInterval('2026-02-28', 'monthly', 31), '2026-03-31');
+    assert.equal(addInterval('2026-11-30', 'quarterly', 30), '2027-02-28');
+    assert.equal(addInterval('2026-12-29', 'weekly', 29), '2027-01-05');
+  });
+
+  it('stops listing runs at the end date', () => {
+    const schedule = {
+      status: 'active',
+      frequency: 'monthly',
+      start_date: '2026-01-31',
+      next_run_date: '2026-01-31',
+      end_date: '2026-04-15',
+    };
+    assert.deepEqual(upcomingRunDates(schedule), ['2026-01-31', '2026-02-28', '2026-03-31']);
+    assert.deepEqual(upcomingRunDates({ ...schedule, status: 'ended' }), []);
+  });
+
+  it('resumes on the first run date on or after a given day', () => {
+    const schedule = { frequency: 'weekly', start_date: '2026-06-01', next_run_date: '2026-06-01' };
+    assert.equal(firstRunOnOrAfter(schedule, '2026-06-10'), '2026-06-15');
+    assert.equal(firstRunOnOrAfter(schedule, '2026-06-15'), '2026-06-15');
+  });
+});
+
+describe('recurring invoice scheduler', () => {
+  let pool;
+
+  before(async () => {
+    pool = await setUpDatabase();
+  });
+  after(tearDownDatabase);
+
+  const today = () => toDateString(new Date());
+
+  // A weekly schedule started two weeks ago: runs two weeks ago, last week and today are due
+  const createSchedule = async ({ stock = 100 } = {}) => {
+    const company = await createCompany(pool, { name: `Scheduler ${Math.random()}` });
+    const user = await createUser(pool, company.id);
+    const customer = await createParty(pool, company.id);
+    const item = await createItem(pool, company.id, { price: 500, gst_rate: 18, quantity: stock });
+
+    const startDate = addDays(today(), -14);
+    const schedule = await pool.query(
+      `INSERT INTO recurring_invoices (company_id, party_id, frequency, start_date, next_run_date, due_in_days,
+                                       invoice_status, created_by)
+       VALUES ($1, $2, 'weekly', $3, $3, 15, 'sent', $4)
+       RETURNING *`,
+      [company.id, customer.id, startDate, user.id]
+    );
+    await pool.query(
+      `INSERT INTO recurring_invoice_items (recurring_invoice_id, item_id, quantity) VALUES ($1, $2, 2)`,
+      [schedule.rows[0].id, item.id]
+    );
+    return { company, item, schedule: schedule.rows[0] };
+  };
+
+  const invoicesOf = async (company) =>
+    (
+      await pool.query(
+        `SELECT invoice_number, invoice_date, due_date, total_amount, status
+           FROM invoices WHERE company_id = $1 ORDER BY invoice_date`,
+        [company.id]
+      )
+    ).rows;
+
+  const scheduleRow = async (schedule) =>
+    (await pool.query('SELECT * FROM recurring_invoices WHERE id = $1', [schedule.id])).rows[0];
+
+  it('catches up every missed run, one invoice per run date', async () => {
+    const { company, schedule } = await createSchedule();
+
+    await runDueRecurringInvoices();
+
+    const invoices = await invoicesOf(company);
+    assert.deepEqual(
+      invoices.map((invoice) => toDateString(invoice.invoice_date)),
+      [addDays(today(), -14), addDays(today(), -7), today()]
+    );
+    assert.equal(toDateString(invoices[0].due_date), addDays(today(), 1));
+    assert.ok(invoices.every((invoice) => Number(invoice.total_amount) === 1180 && invoice.status === 'sent'));
+
+    const row = await scheduleRow(schedule);
+    assert.equal(toDateString(row.next_run_date), addDays(today(), 7));
+    assert.equal(toDateString(row.last_run_date), today());
+  });
+
+  it('bills nothing more when it runs again', async () => {
+    const { company } = await createSchedule();
+
+    await runDueRecurringInvoices();
+    await runDueRecurringInvoices();
+
+    assert.equal((await invoicesOf(company)).length, 3);
+  });
+
+  it('bills each date once when two runs overlap', async () => {
+    const { company, schedule } = await createSchedule();
+
+    await Promise.all([runDueRecurringInvoices(), runDueRecurringInvoices()]);
+
+    assert.equal((await invoicesOf(company)).length, 3);
+    const runs = await pool.query('SELECT COUNT(*)::int AS count FROM recurring_invoice_runs WHERE recurring_invoice_id = $1', [
+      schedule.id,
+    ]);
+    assert.equal(runs.rows[0].count, 3);
+  });
+
+  it('skips a run date that was already billed', async () => {
+    const { company, schedule } = await createSchedule();
+    await pool.query(
+      `INSERT INTO recurring_invoice_runs (recurring_invoice_id, company_id, run_date) VALUES ($1, $2, $3)`,
+      [schedule.id, company.id, addDays(today(), -14)]
+    );
+
+    await runDueRecurringInvoices();
+
+    assert.equal((await invoicesOf(company)).length, 2);
+    assert.equal(toDateString((await scheduleRow(schedule)).next_run_date), addDays(today(), 7));
+  });
+
+  it('audits generated invoices as the system, on a chain that still verifies', async () => {
+    const { company } = await createSchedule();
+
+    await runDueRecurringInvoices();
+
+    const audit = await pool.query(
+      `SELECT actor_id, action FROM audit_logs WHERE company_id = $1 AND entity = 'invoice'`,
+      [company.id]
+    );
+    assert.equal(audit.rowCount, 3);
+    assert.ok(audit.rows.every((entry) => entry.actor_id === null && entry.action === 'create'));
+    assert.equal((await verifyAuditChain(pool, company.id)).valid, true);
+  });
+
+  it('keeps a failing run due and pauses the schedule after repeated failures', async () => {
+    // No stock to sell, so every attempt fails
+    const { company, schedule } = await createSchedule({ stock: 0 });
+
+    await runDueRecurringInvoices();
+    let row = await scheduleRow(schedule);
+    assert.equal(row.status, 'active');
+    assert.equal(row.failure_count, 1);
+    assert.match(row.last_error, /Insufficient stock/);
+    assert.equal(toDateString(row.next_run_date), toDateString(schedule.next_run_date));
+
+    for (let attempt = 2; attempt <= 5; attempt += 1) await runDueRecurringInvoices();
+    row = await scheduleRow(schedule);
+    assert.equal(row.status, 'paused');
+    assert.equal(row.failure_count, 5);
+    assert.equal((await invoicesOf(company)).length, 0);
+
+    const pause = await pool.query(
+      `SELECT actor_id FROM audit_logs WHERE company_id = $1 AND entity = 'recurring_invoice' AND action = 'pause'`,
+      [company.id]
+    );
+    assert.equal(pause.rowCount, 1);
+    assert.equal(pause.rows[0].actor_id, null);
+  });
+});
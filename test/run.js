@@ -0,0 +1,96 @@
+// test/run.js
+// Runs the test suite once. Unless DB_HOST points at a Postgres server to use,
+// a throwaway one is started in a temp directory and removed afterwards.
+// Every test file creates its own database on that server (see helpers/database.js).
+const { spawn } = require('child_process');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+
+const TEST_DIR = __dirname;
+
+const testFiles = () =>
+  fs
+    .readdirSync(TEST_DIR)
+    .filter((name) => name.endsWith('.test.js'))
+    .sort()
+    .map((name) => path.join(TEST_DIR, name));
+
+const freePort = () =>
+  new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.unref();
+    server.on('error', reject);
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+
+const startEmbeddedPostgres = async () => {
+  const { default: EmbeddedPostgres } = await import('embedded-postgres');
+  const databaseDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pragatiapp-test-pg-'));
+  const port = await freePort();
+
+  const server = new EmbeddedPostgres({
+    databaseDir,
+    port,
+    user: 'postgres',
+    password: 'postgres',
+    persistent: false,
+    // Postgres refuses to run as root (e.g. in a CI container); a postgres user is created to run it
+    createPostgresUser: process.getuid && process.getuid() === 0,
+    onLog: () => {},
+  });
+  try {
+    await server.initialise();
+    await server.start();
+  } catch (err) {
+    fs.rmSync(databaseDir, { recursive: true, force: true });
+    throw err;
+  }
+
+  return {
+    env: {
+      DB_HOST: '127.0.0.1',
+      DB_PORT: String(port),
+      DB_USER: 'postgres',
+      DB_PASSWORD: 'postgres',
+      DB_DATABASE: 'postgres',
+      DB_SSL: 'false',
+    },
+    stop: async () => {
+      await server.stop();
+      fs.rmSync(databaseDir, { recursive: true, force: true });
+    },
+  };
+};
+
+const runTests = (env) =>
+  new Promise((resolve) => {
+    const child = spawn(process.execPath, ['--test', ...testFiles()], { stdio: 'inherit', env });
+    child.on('exit', (code, signal) => resolve(signal ? 1 : code));
+  });
+
+const main = async () => {
+  const database = process.env.DB_HOST ? { env: {}, stop: async () => {} } : await startEmbeddedPostgres();
+
+  let exitCode = 1;
+  try {
+    exitCode = await runTests({
+      ...process.env,
+      ...database.env,
+      // The scheduler is driven by the tests themselves
+      RECURRING_INVOICE_POLL_MINUTES: '0',
+    });
+  } finally {
+    await database.stop();
+  }
+  process.exitCode = exitCode;
+};
+
+main().catch((err) => {
+  console.error('❌ Test run failed:', err);
+  process.exitCode = 1;
+});
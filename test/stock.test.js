@@ -0,0 +1,121 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { setUpDatabase, tearDownDatabase, inRolledBackTransaction } = require('./helpers/database');
+const { createCompany, createItem } = require('./helpers/fixtures');
+const { moveStock, costAmount } = require('../utils/stock');
+const { ConflictError } = require('../utils/errors');
+
+describe('weighted-average costing', () => {
+  let pool;
+  let company;
+
+  before(async () => {
+    pool = await setUpDatabase();
+    company = await createCompany(pool);
+  });
+  after(tearDownDatabase);
+
+  const move = (client, item, change, unit_cost, reason) =>
+    moveStock(client, {
+      company_id: company.id,
+      item_id: item.id,
+      change,
+      reason: reason || (change > 0 ? 'purchase' : 'sale'),
+      unit_cost,
+    });
+
+  const itemRow = async (client, item) =>
+    (await client.query('SELECT quantity, cost_price FROM items WHERE id = $1', [item.id])).rows[0];
+
+  it('re-averages the cost over the units in stock on a costed receipt', async () => {
+    await inRolledBackTransaction(async (client) => {
+      const item = await createItem(client, company.id);
+      await move(client, item, 10, 100);
+      const receipt = await move(client, item, 10, 130);
+
+      assert.equal(Number(receipt.unit_cost), 130);
+      assert.equal(receipt.balance_after, 20);
+      const row = await itemRow(client, item);
+      assert.equal(row.quantity, 20);
+      assert.equal(Number(row.cost_price), 115);
+    });
+  });
+
+  it('values issues at the current average and leaves it unchanged', async () => {
+    await inRolledBackTransaction(async (client) => {
+      const item = await createItem(client, company.id);
+      await move(client, item, 3, 10);
+      await move(client, item, 6, 11);
+      const issue = await move(client, item, -4);
+
+      // (3 x 10 + 6 x 11) / 9 = 10.6667 (rounded to four places)
+      assert.equal(Number(issue.unit_cost), 10.6667);
+      assert.equal(costAmount(issue.unit_cost, 4), 42.67);
+      assert.equal(Number((await itemRow(client, item)).cost_price), 10.6667);
+    });
+  });
+
+  it('keeps the average on a receipt without a cost', async () => {
+    await inRolledBackTransaction(async (client) => {
+      const item = await createItem(client, company.id);
+      await move(client, item, 5, 40);
+      const returned = await move(client, item, 2, null, 'sales_return');
+
+      assert.equal(Number(returned.unit_cost), 40);
+      assert.equal(Number((await itemRow(client, item)).cost_price), 40);
+    });
+  });
+
+  it('starts afresh from the receipt cost once stock has run out', async () => {
+    await inRolledBackTransaction(async (client) => {
+      const item = await createItem(client, company.id);
+      await move(client, item, 5, 40);
+      await move(client, item, -5);
+      await move(client, item, 2, 70);
+
+      assert.equal(Number((await itemRow(client, item)).cost_price), 70);
+    });
+  });
+
+  it('refuses to take stock below zero', async () => {
+    await inRolledBackTransaction(async (client) => {
+      const item = await createItem(client, company.id);
+      await move(client, item, 2, 10);
+
+      await assert.rejects(move(client, item, -3), ConflictError);
+      assert.equal((await itemRow(client, item)).quantity, 2);
+    });
+  });
+
+  it('keeps the ledger summing to the item quantity', async () => {
+    await inRolledBackTransaction(async (client) => {
+      const item = await createItem(client, company.id);
+      await move(client, item, 8, 12);
+      await move(client, item, -3);
+      await move(client, item, 4, 15);
+      await move(client, item, -1, null, 'adjustment');
+
+      const ledger = await client.query(
+        `SELECT SUM(quantity_change)::int AS total FROM stock_movements WHERE item_id = $1`,
+        [item.id]
+      );
+      assert.equal(ledger.rows[0].total, 8);
+      assert.equal((await itemRow(client, item)).quantity, 8);
+    });
+  });
+
+  it('keeps the ledger append-only', async () => {
+    await inRolledBackTransaction(async (client) => {
+      const item = await createItem(client, company.id);
+      const movement = await move(client, item, 1, 5);
+
+      await client.query('SAVEPOINT tamper');
+      await assert.rejects(
+        client.query('UPDATE stock_movements SET quantity_change = 2 WHERE id = $1', [movement.id]),
+        { code: 'P0001' }
+      );
+      await client.query('ROLLBACK TO SAVEPOINT tamper');
+    });
+  });
+});
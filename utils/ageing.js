@@ -0,0 +1,111 @@
+// utils/ageing.js
+// Outstanding invoice balances bucketed by days past due, as of a given date
+
+const AGEING_BUCKETS = [
+  { key: 'current', label: 'Current', max: 0 },
+  { key: 'days_1_30', label: '1-30 days', max: 30 },
+  { key: 'days_31_60', label: '31-60 days', max: 60 },
+  { key: 'days_61_90', label: '61-90 days', max: 90 },
+  { key: 'days_over_90', label: '90+ days', max: null },
+];
+const BUCKET_KEYS = AGEING_BUCKETS.map((b) => b.key);
+
+const BUCKET_SQL = `CASE ${AGEING_BUCKETS.filter((b) => b.max !== null)
+  .map((b) => `WHEN o.days_overdue <= ${b.max} THEN '${b.key}'`)
+  .join(' ')} ELSE '${AGEING_BUCKETS[AGEING_BUCKETS.length - 1].key}' END`;
+
+const round2 = (value) => Math.round(Number(value) * 100) / 100;
+
+const emptyBuckets = () => Object.fromEntries([...BUCKET_KEYS, 'total'].map((key) => [key, 0]));
+
+/**
+ * Invoices of `invoiceType` with a balance left on `asOf`, oldest due first.
+ * Balances are rebuilt from payments and notes dated on or before `asOf`,
+ * so the report can be rerun for a past date. An invoice without a due
+ * date is due on its invoice date.
+ */
+const outstandingInvoices = async (db, { company_id, invoiceType, asOf, party_id = null, bucket = null }) => {
+  const result = await db.query(
+    `SELECT o.*, ${BUCKET_SQL} AS bucket
+       FROM (
+         SELECT inv.id, inv.invoice_number, inv.invoice_date, inv.due_date, inv.status,
+                inv.party_id, p.name AS party_name, p.contact_email, p.contact_phone,
+                inv.total_amount,
+                COALESCE(pay.paid, 0) AS amount_paid,
+                COALESCE(notes.credited, 0) AS amount_credited,
+                inv.total_amount - COALESCE(pay.paid, 0) - COALESCE(notes.credited, 0) AS balance_due,
+                $3::date - COALESCE(inv.due_date, inv.invoice_date) AS days_overdue
+           FROM invoices inv
+           JOIN parties p ON p.id = inv.party_id
+           LEFT JOIN LATERAL (
+             SELECT SUM(amount) AS paid
+               FROM payments
+              WHERE invoice_id = inv.id AND payment_date <= $3::date
+           ) pay ON TRUE
+           LEFT JOIN LATERAL (
+             SELECT SUM(n.total_amount) AS credited
+               FROM invoices n
+              WHERE n.original_invoice_id = inv.id AND n.status <> 'cancelled' AND n.invoice_date <= $3::date
+           ) notes ON TRUE
+          WHERE inv.company_id = $1
+            AND inv.deleted_at IS NULL
+            AND inv.invoice_type = $2::invoice_type
+            AND inv.status NOT IN ('draft', 'cancelled')
+            AND inv.invoice_date <= $3::date
+            AND ($4::text IS NULL OR inv.party_id::text = $4::text)
+       ) o
+      WHERE o.balance_due > 0
+        AND ($5::text IS NULL OR ${BUCKET_SQL} = $5::text)
+      ORDER BY o.days_overdue DESC, o.invoice_date, o.invoice_number`,
+    [company_id, invoiceType, asOf, party_id, bucket]
+  );
+
+  return result.rows.map((row) => ({
+    ...row,
+    total_amount: round2(row.total_amount),
+    amount_paid: round2(row.amount_paid),
+    amount_credited: round2(row.amount_credited),
+    balance_due: round2(row.balance_due),
+    days_overdue: Math.max(Number(row.days_overdue), 0),
+    days_to_due: Math.max(-Number(row.days_overdue), 0),
+  }));
+};
+
+/**
+ * Roll outstanding invoices up per party and per bucket.
+ * Parties are ordered by the amount more than 90 days overdue, then by total,
+ * so the most urgent collections come first.
+ */
+const summariseAgeing = (invoices) => {
+  const totals = emptyBuckets();
+  const parties = new Map();
+
+  for (const invoice of invoices) {
+    if (!parties.has(invoice.party_id)) {
+      parties.set(invoice.party_id, {
+        party_id: invoice.party_id,
+        party_name: invoice.party_name,
+        contact_email: invoice.contact_email,
+        contact_phone: invoice.contact_phone,
+        ...emptyBuckets(),
+        invoice_count: 0,
+        oldest_days_overdue: 0,
+      });
+    }
+    const party = parties.get(invoice.party_id);
+    party[invoice.bucket] = round2(party[invoice.bucket] + invoice.balance_due);
+    party.total = round2(party.total + invoice.balance_due);
+    party.invoice_count += 1;
+    party.oldest_days_overdue = Math.max(party.oldest_days_overdue, invoice.days_overdue);
+
+    totals[invoice.bucket] = round2(totals[invoice.bucket] + invoice.balance_due);
+    totals.total = round2(totals.total + invoice.balance_due);
+  }
+
+  const rows = [...parties.values()].sort(
+    (a, b) => b.days_over_90 - a.days_over_90 || b.total - a.total
+  );
+  return { totals, parties: rows };
+};
+
+module.exports = { AGEING_BUCKETS, BUCKET_KEYS, outstandingInvoices, summariseAgeing };
@@ -0,0 +1,163 @@
+// utils/audit.js
+// Hash-chained audit trail: every entry's hash covers its content and the previous entry's hash
+const crypto = require('crypto');
+
+// What the API records changes to
+const AUDIT_ENTITIES = [
+  'company',
+  'number_series',
+  'user',
+  'invitation',
+  'item',
+  'party',
+  'invoice',
+  'payment',
+  'sales_document',
+  'recurring_invoice',
+];
+
+// prev_hash of a company's first entry
+const GENESIS_HASH = '0'.repeat(64);
+
+// Entries re-hashed per query when verifying a chain
+const VERIFY_BATCH_SIZE = 500;
+
+/**
+ * JSON with object keys sorted at every level, so a snapshot hashes the same
+ * after a round trip through JSONB (which reorders keys)
+ */
+const canonicalJson = (value) => {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value)
+      .sort()
+      .filter((key) => value[key] !== undefined)
+      .map((key) => `${JSON.stringify(key)}:${canonicalJson(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+};
+
+// Dates, Buffers and the like become the plain JSON that JSONB stores and returns
+const toSnapshot = (value) => (value === undefined || value === null ? null : JSON.parse(JSON.stringify(value)));
+
+const hashEntry = (prevHash, entry) =>
+  crypto
+    .createHash('sha256')
+    .update(
+      prevHash +
+        canonicalJson({
+          company_id: entry.company_id,
+          seq: String(entry.seq),
+          actor_id: entry.actor_id || null,
+          entity: entry.entity,
+          entity_id: entry.entity_id === null || entry.entity_id === undefined ? null : String(entry.entity_id),
+          action: entry.action,
+          before: entry.before,
+          after: entry.after,
+          created_at: new Date(entry.created_at).toISOString(),
+        })
+    )
+    .digest('hex');
+
+/**
+ * Who is acting, from an authenticated request
+ */
+const auditActor = (req) => ({ company_id: req.user.company_id, actor_id: req.user.id });
+
+/**
+ * Actor for changes made by the server itself, e.g. the recurring invoice scheduler (no user: actor_id is null)
+ */
+const systemActor = (company_id) => ({ company_id, actor_id: null });
+
+/**
+ * Append an entry to the company's audit chain.
+ * Must run inside the caller's transaction, so the change and its audit entry
+ * commit or roll back together; the company's chain is locked until then.
+ * `before`/`after` are snapshots of the entity (null on create/delete respectively).
+ */
+const recordAudit = async (client, { company_id, actor_id = null, entity, entity_id = null, action, before = null, after = null }) => {
+  // Serialise writers per company so seq and prev_hash never fork
+  await client.query(`SELECT pg_advisory_xact_lock(hashtextextended('audit_logs:' || $1::text, 0))`, [company_id]);
+
+  const last = await client.query(
+    `SELECT seq, hash FROM audit_logs WHERE company_id = $1 ORDER BY seq DESC LIMIT 1`,
+    [company_id]
+  );
+  const prevHash = last.rowCount ? last.rows[0].hash : GENESIS_HASH;
+
+  const entry = {
+    company_id,
+    seq: last.rowCount ? Number(last.rows[0].seq) + 1 : 1,
+    actor_id,
+    entity,
+    entity_id: entity_id === null || entity_id === undefined ? null : String(entity_id),
+    action,
+    before: toSnapshot(before),
+    after: toSnapshot(after),
+    created_at: new Date(),
+  };
+  const hash = hashEntry(prevHash, entry);
+
+  await client.query(
+    `INSERT INTO audit_logs
+       (company_id, seq, actor_id, entity, entity_id, action, before_data, after_data, prev_hash, hash, created_at)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)`,
+    [
+      entry.company_id,
+      entry.seq,
+      entry.actor_id,
+      entry.entity,
+      entry.entity_id,
+      entry.action,
+      entry.before === null ? null : JSON.stringify(entry.before),
+      entry.after === null ? null : JSON.stringify(entry.after),
+      prevHash,
+      hash,
+      entry.created_at,
+    ]
+  );
+  return { seq: entry.seq, hash };
+};
+
+/**
+ * Re-hash a company's whole chain in order.
+ * Returns { valid, entries_checked, broken_at, head_hash } where broken_at is the
+ * first seq whose content, hash or link to the previous entry does not match.
+ * Entries cut off the end of the chain leave it valid, so compare head_hash
+ * with a copy kept outside the database to detect that.
+ */
+const verifyAuditChain = async (db, company_id) => {
+  let prevHash = GENESIS_HASH;
+  let expectedSeq = 1;
+  let checked = 0;
+
+  for (;;) {
+    const { rows } = await db.query(
+      `SELECT company_id, seq, actor_id, entity, entity_id, action,
+              before_data AS before, after_data AS after, prev_hash, hash, created_at
+         FROM audit_logs
+        WHERE company_id = $1 AND seq >= $2
+        ORDER BY seq
+        LIMIT ${VERIFY_BATCH_SIZE}`,
+      [company_id, expectedSeq]
+    );
+
+    for (const row of rows) {
+      const seq = Number(row.seq);
+      const broken = seq !== expectedSeq || row.prev_hash !== prevHash || hashEntry(prevHash, row) !== row.hash;
+      if (broken) {
+        return { valid: false, entries_checked: checked, broken_at: expectedSeq, head_hash: prevHash };
+      }
+      prevHash = row.hash;
+      expectedSeq += 1;
+      checked += 1;
+    }
+
+    if (rows.length < VERIFY_BATCH_SIZE) break;
+  }
+
+  return { valid: true, entries_checked: checked, broken_at: null, head_hash: prevHash };
+};
+
+module.exports = { AUDIT_ENTITIES, auditActor, systemActor, recordAudit, verifyAuditChain };
@@ -0,0 +1,27 @@
+// utils/csv.js
+// Minimal RFC 4180 CSV writer for report exports
+const { toDateString } = require('./dates');
+
+// Text starting with these is run as a formula by spreadsheet apps
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const escapeCell = (value) => {
+  if (value === null || value === undefined) return '';
+  let text = value instanceof Date ? toDateString(value) : String(value);
+  if (typeof value === 'string' && FORMULA_PREFIX.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Build a CSV document from `columns` ({ key, label }) and row objects.
+ * Starts with a UTF-8 BOM so Excel keeps ₹ and non-ASCII names intact.
+ */
+const toCsv = (columns, rows) => {
+  const lines = [columns.map((col) => escapeCell(col.label))];
+  for (const row of rows) {
+    lines.push(columns.map((col) => escapeCell(row[col.key])));
+  }
+  return `\uFEFF${lines.map((cells) => cells.join(',')).join('\r\n')}\r\n`;
+};
+
+module.exports = { toCsv };
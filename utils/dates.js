@@ -0,0 +1,25 @@
+// utils/dates.js
+// Calendar-date helpers shared by the scheduler, period locks, reports and portal exports.
+// Dates travel as 'YYYY-MM-DD' strings so no time zone can shift them by a day.
+
+const pad2 = (n) => String(n).padStart(2, '0');
+
+/**
+ * 'YYYY-MM-DD' for a pg DATE (parsed as local midnight) or a date string
+ */
+const toDateString = (value) => {
+  if (typeof value === 'string') return value.slice(0, 10);
+  return `${value.getFullYear()}-${pad2(value.getMonth() + 1)}-${pad2(value.getDate())}`;
+};
+
+/**
+ * 'YYYY-MM-DD' of a Date built with Date.UTC
+ */
+const fromUtc = (d) => `${d.getUTCFullYear()}-${pad2(d.getUTCMonth() + 1)}-${pad2(d.getUTCDate())}`;
+
+const addDays = (dateString, days) => {
+  const [y, m, d] = dateString.split('-').map(Number);
+  return fromUtc(new Date(Date.UTC(y, m - 1, d + Number(days))));
+};
+
+module.exports = { pad2, toDateString, fromUtc, addDays };
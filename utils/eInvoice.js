@@ -0,0 +1,197 @@
+// utils/eInvoice.js
+// NIC e-invoice schema (INV-01, version 1.1) built from an invoice as returned by getInvoiceById
+const { gstinError, isValidPincode, resolveStateCode, round2 } = require('./gst');
+const { pad2 } = require('./dates');
+
+const SCHEMA_VERSION = '1.1';
+
+// Only documents we issue to a registered buyer are registered on the IRP
+const DOCUMENT_TYPES = { sale: 'INV', credit_note: 'CRN' };
+
+// The IRP takes document numbers of up to 16 characters that do not start with 0, '/' or '-'
+const DOCUMENT_NUMBER_REGEX = /^[A-Za-z1-9][A-Za-z0-9/-]{0,15}$/;
+
+// Items carry no unit of measure yet, so goods are reported in numbers
+const DEFAULT_UNIT = 'NOS';
+
+// Reason codes accepted when cancelling an IRN
+const CANCEL_REASONS = { 1: 'Duplicate', 2: 'Data entry mistake', 3: 'Order cancelled', 4: 'Others' };
+
+// An IRN can only be cancelled on the IRP within 24 hours of generation
+const CANCEL_WINDOW_HOURS = 24;
+
+// pg DATE (local midnight) -> 'DD/MM/YYYY' as the IRP expects
+const irpDate = (d) => `${pad2(d.getDate())}/${pad2(d.getMonth() + 1)}/${d.getFullYear()}`;
+
+const clip = (value, max) => (value ? String(value).replace(/\s+/g, ' ').trim().slice(0, max) : undefined);
+
+// Phone numbers are sent as 6-12 digits; anything else is left out rather than rejected
+const phoneDigits = (phone) => {
+  const digits = String(phone || '').replace(/\D/g, '').replace(/^91(?=\d{10}$)/, '');
+  return digits.length >= 6 && digits.length <= 12 ? digits : undefined;
+};
+
+// SAC codes (services) all start with 99
+const isService = (hsn) => String(hsn || '').startsWith('99');
+
+const addressDetails = (who, { name, address, city, pincode, state, gstin, phone, email }, errors) => {
+  const gstError = gstinError(gstin);
+  if (gstError) {
+    const missing = who === 'Buyer' ? 'GSTIN is required (e-invoices are only issued to registered buyers)' : 'GSTIN is required';
+    errors.push(`${who}: ${gstin ? gstError : missing}`);
+  }
+  if (!name || String(name).trim().length < 3) errors.push(`${who}: legal name must be at least 3 characters`);
+  if (!address) errors.push(`${who}: address is required`);
+  if (!city || String(city).trim().length < 3) errors.push(`${who}: city must be at least 3 characters`);
+  if (!isValidPincode(pincode)) errors.push(`${who}: a 6-digit pincode is required`);
+  if (!state) errors.push(`${who}: state code is required`);
+
+  return {
+    Gstin: gstin || undefined,
+    LglNm: clip(name, 100),
+    Addr1: clip(address, 100),
+    Loc: clip(city, 50),
+    Pin: isValidPincode(pincode) ? Number(pincode) : undefined,
+    Stcd: state || undefined,
+    Ph: phoneDigits(phone),
+    Em: email && String(email).length >= 6 ? clip(email, 100) : undefined,
+  };
+};
+
+/**
+ * Why an invoice cannot be registered on the IRP, before looking at its contents.
+ * Returns an error message or null.
+ */
+const eInvoiceEligibility = (invoice) => {
+  if (!DOCUMENT_TYPES[invoice.invoice_type]) {
+    return 'Only sales invoices and credit notes can be registered as e-invoices';
+  }
+  if (invoice.status === 'draft') return 'Issue the invoice before registering it as an e-invoice';
+  if (invoice.status === 'cancelled') return 'Cancelled invoices cannot be registered as e-invoices';
+  return null;
+};
+
+/**
+ * Build the IRP request body for `invoice` (getInvoiceById shape, with `items`),
+ * issued by `company` to `party` (their DB rows).
+ * Returns { payload, errors }; the payload should only be submitted when
+ * `errors` is empty.
+ */
+const buildEInvoicePayload = ({ company, party, invoice }) => {
+  const errors = [];
+  const eligibility = eInvoiceEligibility(invoice);
+  if (eligibility) errors.push(eligibility);
+  if (!DOCUMENT_NUMBER_REGEX.test(String(invoice.invoice_number || ''))) {
+    errors.push(
+      `Document number '${invoice.invoice_number}' must be at most 16 letters, digits, '/' or '-' and not start with 0, '/' or '-'`
+    );
+  }
+
+  const sellerState = resolveStateCode(company);
+  const buyerState = resolveStateCode(party);
+
+  const seller = addressDetails(
+    'Seller',
+    {
+      name: company.name,
+      address: company.address,
+      city: company.city,
+      pincode: company.pincode,
+      state: sellerState,
+      gstin: company.gstin,
+      phone: company.contact_phone,
+      email: company.contact_email,
+    },
+    errors
+  );
+  const buyer = addressDetails(
+    'Buyer',
+    {
+      name: party.name,
+      address: party.billing_address,
+      city: party.city,
+      pincode: party.pincode,
+      state: buyerState,
+      gstin: party.gstin,
+      phone: party.contact_phone,
+      email: party.contact_email,
+    },
+    errors
+  );
+
+  const items = invoice.items || [];
+  if (items.length === 0) errors.push('Invoice has no items');
+
+  const itemList = items.map((line, i) => {
+    const hsn = String(line.hsn_code || '');
+    if (!/^[0-9]{4}([0-9]{2}){0,2}$/.test(hsn)) {
+      errors.push(`Line ${i + 1} (${line.item_name}): HSN/SAC code of 4, 6 or 8 digits is required`);
+    }
+    const service = isService(hsn);
+    const taxable = round2(line.taxable_amount);
+    return {
+      SlNo: String(i + 1),
+      PrdDesc: clip(line.item_name, 300),
+      IsServc: service ? 'Y' : 'N',
+      HsnCd: hsn,
+      Qty: Number(line.quantity),
+      Unit: service ? undefined : DEFAULT_UNIT,
+      UnitPrice: round2(line.price_at_purchase),
+      TotAmt: taxable,
+      Discount: 0,
+      AssAmt: taxable,
+      GstRt: Number(line.gst_rate || 0),
+      IgstAmt: round2(line.igst_amount),
+      CgstAmt: round2(line.cgst_amount),
+      SgstAmt: round2(line.sgst_amount),
+      CesRt: 0,
+      CesAmt: 0,
+      TotItemVal: round2(line.total_line_amount),
+    };
+  });
+
+  const payload = {
+    Version: SCHEMA_VERSION,
+    TranDtls: { TaxSch: 'GST', SupTyp: 'B2B', RegRev: 'N', IgstOnIntra: 'N' },
+    DocDtls: {
+      Typ: DOCUMENT_TYPES[invoice.invoice_type] || null,
+      No: invoice.invoice_number,
+      Dt: irpDate(invoice.invoice_date),
+    },
+    SellerDtls: seller,
+    BuyerDtls: { ...buyer, Pos: invoice.place_of_supply || buyerState || undefined },
+    ItemList: itemList,
+    ValDtls: {
+      AssVal: round2(invoice.taxable_amount),
+      CgstVal: round2(invoice.cgst_amount),
+      SgstVal: round2(invoice.sgst_amount),
+      IgstVal: round2(invoice.igst_amount),
+      CesVal: 0,
+      Discount: 0,
+      OthChrg: 0,
+      RndOffAmt: 0,
+      TotInvVal: round2(invoice.total_amount),
+    },
+  };
+
+  if (invoice.invoice_type === 'credit_note' && invoice.original_invoice_number) {
+    payload.RefDtls = {
+      PrecDocDtls: [
+        {
+          InvNo: invoice.original_invoice_number,
+          InvDt: invoice.original_invoice_date ? irpDate(invoice.original_invoice_date) : undefined,
+        },
+      ],
+    };
+  }
+
+  // Drop unset optional fields so the payload matches what the IRP validates
+  return { payload: JSON.parse(JSON.stringify(payload)), errors };
+};
+
+module.exports = {
+  CANCEL_REASONS,
+  CANCEL_WINDOW_HOURS,
+  eInvoiceEligibility,
+  buildEInvoicePayload,
+};
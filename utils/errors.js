@@ -0,0 +1,179 @@
+// utils/errors.js
+// Application errors and their HTTP mapping. Anything thrown (or passed to
+// next()) reaches middleware/errorMiddleware, which answers with the status
+// and code of the error; unknown errors become a generic 500.
+const { STATUS_CODES } = require('http');
+
+/**
+ * Machine-readable code for an HTTP status, e.g. 404 -> 'not_found'
+ */
+const codeForStatus = (status) =>
+  (STATUS_CODES[status] || 'Error').toLowerCase().replace(/[^a-z0-9]+/g, '_');
+
+class AppError extends Error {
+  /**
+   * @param {string} message  Safe to show to the client
+   * @param {object} [options]
+   * @param {number} [options.status]   HTTP status (default 500)
+   * @param {string} [options.code]     Machine-readable code (default derived from the status)
+   * @param {object} [options.details]  Extra fields sent with the error, e.g. { errors: [...] }
+   * @param {Error}  [options.cause]    Underlying error; logged for 5xx, never sent
+   */
+  constructor(message, { status = 500, code, details, cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.code = code || codeForStatus(status);
+    this.details = details;
+  }
+
+  toJSON() {
+    return {
+      success: false,
+      // Routers answered with either `message` or `error` before errors were centralised
+      message: this.message,
+      error: this.message,
+      code: this.code,
+      ...this.details,
+    };
+  }
+}
+
+// Malformed input that a schema cannot express (or the schema check itself)
+class BadRequestError extends AppError {
+  constructor(message, options = {}) {
+    super(message, { ...options, status: 400 });
+  }
+}
+
+// Missing, invalid or revoked credentials
+class UnauthorizedError extends AppError {
+  constructor(message, options = {}) {
+    super(message, { ...options, status: 401 });
+  }
+}
+
+// Signed in, but the user's role does not allow the action
+class ForbiddenError extends AppError {
+  constructor(message, options = {}) {
+    super(message, { ...options, status: 403 });
+  }
+}
+
+// The record named in the URL does not exist for this company
+class NotFoundError extends AppError {
+  constructor(message = 'Not found', options = {}) {
+    super(message, { ...options, status: 404 });
+  }
+}
+
+// The request clashes with the current state: duplicates, closed periods, stock already sold
+class ConflictError extends AppError {
+  constructor(message, options = {}) {
+    super(message, { ...options, status: 409 });
+  }
+}
+
+// Well-formed but breaks a business rule, e.g. a sale raised against a supplier
+class UnprocessableError extends AppError {
+  constructor(message, options = {}) {
+    super(message, { ...options, status: 422 });
+  }
+}
+
+// An outside service we depend on (e.g. the e-invoice registration portal) failed or could not be reached
+class BadGatewayError extends AppError {
+  constructor(message, options = {}) {
+    super(message, { ...options, status: 502 });
+  }
+}
+
+// Columns shown in duplicate-key messages; company_id is implied by the login
+const keyColumns = (detail) => {
+  const match = /^Key \(([^)]+)\)=/.exec(detail || '');
+  if (!match) return [];
+  return match[1].split(',').map((column) => column.trim()).filter((column) => column !== 'company_id');
+};
+
+// Table named in a foreign-key violation's detail
+const referencedTable = (detail, pattern) => {
+  const match = pattern.exec(detail || '');
+  return match ? match[1].replace(/_/g, ' ') : 'another record';
+};
+
+/**
+ * The AppError for a Postgres error (node-postgres sets `code` to the
+ * SQLSTATE), or null when it is not caused by the request.
+ * Messages name columns and tables only, never the values in `detail`.
+ */
+const fromDatabaseError = (err) => {
+  switch (err.code) {
+    case '23505': { // unique_violation
+      const columns = keyColumns(err.detail);
+      const message = columns.length
+        ? `A record with this ${columns.join(', ')} already exists`
+        : 'A record with these values already exists';
+      return new ConflictError(message, { code: 'already_exists' });
+    }
+    case '23503': // foreign_key_violation
+      if (/is still referenced/.test(err.detail || '')) {
+        const table = referencedTable(err.detail, /from table "([^"]+)"/);
+        return new ConflictError(`Record is still referenced by ${table} and cannot be removed`, {
+          code: 'still_referenced',
+        });
+      }
+      return new UnprocessableError(
+        `Referenced record does not exist (${referencedTable(err.detail, /in table "([^"]+)"/)})`,
+        { code: 'reference_not_found' }
+      );
+    case '23502': // not_null_violation
+      return new BadRequestError(`${err.column || 'A required field'} is required`, { code: 'missing_field' });
+    case '23514': // check_violation
+      return new UnprocessableError('A value breaks a data rule', { code: 'constraint_violation' });
+    case '22001': // string_data_right_truncation
+    case '22003': // numeric_value_out_of_range
+    case '22007': // invalid_datetime_format
+    case '22008': // datetime_field_overflow
+    case '22P02': // invalid_text_representation
+      return new BadRequestError('A value has the wrong format or is out of range', { code: 'invalid_value' });
+    case 'P0001': // raise_exception: the append-only triggers on stock_movements and audit_logs
+      return new ConflictError('Recorded history cannot be changed or removed', { code: 'append_only' });
+    case '40001': // serialization_failure
+    case '40P01': // deadlock_detected
+      return new ConflictError('The record was changed by another request; try again', { code: 'concurrent_update' });
+    default:
+      return null;
+  }
+};
+
+/**
+ * Any thrown value as an AppError; unexpected errors become a 500 that does
+ * not reveal their message
+ */
+const toAppError = (err) => {
+  if (err instanceof AppError) return err;
+  const dbError = err && fromDatabaseError(err);
+  if (dbError) return dbError;
+  // Raised by express.json() before any route runs
+  if (err && err.type === 'entity.parse.failed') {
+    return new BadRequestError('Request body is not valid JSON', { code: 'invalid_json' });
+  }
+  if (err && err.type === 'entity.too.large') {
+    return new AppError('Request body is too large', { status: 413 });
+  }
+  return new AppError('Internal server error');
+};
+
+module.exports = {
+  codeForStatus,
+  AppError,
+  BadRequestError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  UnprocessableError,
+  BadGatewayError,
+  fromDatabaseError,
+  toAppError,
+};
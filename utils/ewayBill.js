@@ -0,0 +1,270 @@
+// utils/ewayBill.js
+// E-way bill bulk-upload JSON (NIC EWB bulk generation tool) built from invoices and their transport details
+const { gstinError, isValidPincode, isValidStateCode, resolveStateCode, round2 } = require('./gst');
+const { isValidDate } = require('./listQuery');
+const { pad2 } = require('./dates');
+
+const EWAY_BILL_JSON_VERSION = '1.0.0621';
+
+// Consignments above this value (₹) need an e-way bill; below it one is optional
+const EWAY_BILL_THRESHOLD = 50000;
+
+const MAX_DISTANCE_KM = 4000;
+
+const TRANSPORT_MODES = { road: 1, rail: 2, air: 3, ship: 4 };
+
+// Indian registration numbers such as KA01AB1234 or DL1C1234
+const VEHICLE_NUMBER_REGEX = /^[A-Z]{2}[0-9]{1,2}[A-Z]{0,3}[0-9]{4}$/;
+
+// Items carry no unit of measure yet, so quantities are reported in numbers
+const DEFAULT_UNIT = 'NOS';
+
+// Direction of the goods and how the portal classifies each document type
+const DOCUMENT_SETTINGS = {
+  sale: { outward: true, supplyType: 'O', subSupplyType: 1, docType: 'INV' },
+  debit_note: { outward: true, supplyType: 'O', subSupplyType: 8, subSupplyDesc: 'Purchase Return', docType: 'CHL' },
+  purchase: { outward: false, supplyType: 'I', subSupplyType: 1, docType: 'INV' },
+  credit_note: { outward: false, supplyType: 'I', subSupplyType: 7, docType: 'CHL' },
+};
+
+// Bill To-Ship To and Bill From-Dispatch From change the portal's transaction type
+const TRANSACTION_TYPES = { regular: 1, ship_to: 2, dispatch_from: 3, both: 4 };
+
+const ADDRESS_GROUPS = ['dispatch', 'ship_to'];
+const ADDRESS_FIELDS = ['address', 'city', 'pincode', 'state_code'];
+
+
+// pg DATE (local midnight) -> 'DD/MM/YYYY' as the portal expects
+const portalDate = (d) => `${pad2(d.getDate())}/${pad2(d.getMonth() + 1)}/${d.getFullYear()}`;
+
+const clip = (value, max) => (value ? String(value).replace(/\s+/g, ' ').trim().slice(0, max) : '');
+
+const normaliseVehicleNumber = (value) => String(value || '').toUpperCase().replace(/[\s-]/g, '');
+
+const isService = (hsn) => String(hsn || '').startsWith('99');
+
+/**
+ * Validate the transport details of an invoice from a request body.
+ * Returns { error } or { values } keyed by invoice column; omitted fields clear the column.
+ */
+const parseTransportDetails = (body = {}) => {
+  const text = (value) => (value === undefined || value === null || String(value).trim() === '' ? null : String(value).trim());
+
+  const values = {
+    transporter_id: text(body.transporter_id) && text(body.transporter_id).toUpperCase(),
+    transporter_name: text(body.transporter_name),
+    transport_mode: text(body.transport_mode),
+    vehicle_number: text(body.vehicle_number) && normaliseVehicleNumber(body.vehicle_number),
+    transport_doc_no: text(body.transport_doc_no),
+    transport_doc_date: text(body.transport_doc_date),
+    distance_km: text(body.distance_km),
+  };
+  for (const group of ADDRESS_GROUPS) {
+    for (const field of ADDRESS_FIELDS) {
+      values[`${group}_${field}`] = text(body[`${group}_${field}`]);
+    }
+  }
+
+  if (values.transporter_id && gstinError(values.transporter_id)) {
+    return { error: 'transporter_id must be a valid GSTIN or transporter ID' };
+  }
+  if (values.transporter_name && values.transporter_name.length > 100) {
+    return { error: 'transporter_name must be at most 100 characters' };
+  }
+  if (values.transport_mode && !TRANSPORT_MODES[values.transport_mode]) {
+    return { error: `transport_mode must be one of: ${Object.keys(TRANSPORT_MODES).join(', ')}` };
+  }
+  if (values.vehicle_number && !VEHICLE_NUMBER_REGEX.test(values.vehicle_number)) {
+    return { error: 'vehicle_number must be a registration number such as KA01AB1234' };
+  }
+  if (values.transport_doc_no && values.transport_doc_no.length > 15) {
+    return { error: 'transport_doc_no must be at most 15 characters' };
+  }
+  if (values.transport_doc_date && !isValidDate(values.transport_doc_date)) {
+    return { error: 'transport_doc_date must be a date in YYYY-MM-DD format' };
+  }
+  if (values.distance_km !== null) {
+    const distance = Number(values.distance_km);
+    if (!Number.isInteger(distance) || distance < 1 || distance > MAX_DISTANCE_KM) {
+      return { error: `distance_km must be a whole number of kilometres between 1 and ${MAX_DISTANCE_KM}` };
+    }
+    values.distance_km = distance;
+  }
+
+  for (const group of ADDRESS_GROUPS) {
+    const given = ADDRESS_FIELDS.filter((field) => values[`${group}_${field}`] !== null);
+    if (given.length > 0 && given.length < ADDRESS_FIELDS.length) {
+      return { error: `${group} needs all of: ${ADDRESS_FIELDS.map((f) => `${group}_${f}`).join(', ')}` };
+    }
+    if (values[`${group}_pincode`] && !isValidPincode(values[`${group}_pincode`])) {
+      return { error: `${group}_pincode must be a 6-digit PIN code` };
+    }
+    if (values[`${group}_state_code`] && !isValidStateCode(values[`${group}_state_code`])) {
+      return { error: `${group}_state_code must be a 2-digit GST state code` };
+    }
+  }
+
+  return { values };
+};
+
+const checkAddress = (who, { name, address, city, pincode, state }, flag) => {
+  if (!name) flag(`${who}: name is required`);
+  if (!address) flag(`${who}: address is required`);
+  if (!city) flag(`${who}: city is required`);
+  if (!isValidPincode(pincode)) flag(`${who}: a 6-digit pincode is required`);
+  if (!state) flag(`${who}: state code is required`);
+};
+
+/**
+ * One entry of the bulk-upload `billLists` for `invoice` (getInvoiceById shape, with `items`),
+ * between `company` and `party` (their DB rows).
+ * Returns { bill, issues }; issues with severity 'error' will be rejected by the portal.
+ */
+const buildEwayBill = ({ company, party, invoice }) => {
+  const issues = [];
+  const flag = (message, severity = 'error') => issues.push({ severity, message });
+
+  const settings = DOCUMENT_SETTINGS[invoice.invoice_type];
+  if (invoice.status === 'draft') flag('Issue the invoice before generating its e-way bill');
+  if (invoice.status === 'cancelled') flag('Cancelled invoices cannot have an e-way bill');
+  if (Number(invoice.total_amount) <= EWAY_BILL_THRESHOLD) {
+    flag(`Invoice value is not above ₹${EWAY_BILL_THRESHOLD.toLocaleString('en-IN')}; an e-way bill is optional`, 'warning');
+  }
+
+  const companyError = gstinError(company.gstin);
+  if (companyError) flag(`Company: ${company.gstin ? companyError : 'GSTIN is required to generate e-way bills'}`);
+  if (party.gstin && gstinError(party.gstin)) flag(`Party: ${gstinError(party.gstin)}`);
+
+  const ours = {
+    gstin: company.gstin,
+    name: company.name,
+    address: company.address,
+    city: company.city,
+    pincode: company.pincode,
+    state: resolveStateCode(company),
+  };
+  const theirs = {
+    // Unregistered parties are reported as 'URP'
+    gstin: party.gstin || 'URP',
+    name: party.name,
+    address: party.billing_address,
+    city: party.city,
+    pincode: party.pincode,
+    state: resolveStateCode(party) || invoice.place_of_supply,
+  };
+  const from = settings.outward ? ours : theirs;
+  const to = settings.outward ? theirs : ours;
+
+  // Goods may leave from a warehouse or go to a site other than the parties' own addresses
+  const dispatch = invoice.dispatch_address
+    ? { address: invoice.dispatch_address, city: invoice.dispatch_city, pincode: invoice.dispatch_pincode, state: invoice.dispatch_state_code }
+    : from;
+  const shipTo = invoice.ship_to_address
+    ? { address: invoice.ship_to_address, city: invoice.ship_to_city, pincode: invoice.ship_to_pincode, state: invoice.ship_to_state_code }
+    : to;
+  checkAddress(invoice.dispatch_address ? 'Dispatch from' : 'Consignor', { ...from, ...dispatch }, flag);
+  checkAddress(invoice.ship_to_address ? 'Ship to' : 'Consignee', { ...to, ...shipTo }, flag);
+
+  let transactionType = TRANSACTION_TYPES.regular;
+  if (invoice.dispatch_address && invoice.ship_to_address) transactionType = TRANSACTION_TYPES.both;
+  else if (invoice.ship_to_address) transactionType = TRANSACTION_TYPES.ship_to;
+  else if (invoice.dispatch_address) transactionType = TRANSACTION_TYPES.dispatch_from;
+
+  // Part-B (vehicle or transport document) can be left for the transporter when a transporter ID is given
+  if (!invoice.distance_km) flag('Transport: distance_km is required');
+  if (invoice.transport_mode === 'road' && !invoice.vehicle_number) {
+    flag('Transport: vehicle_number is required for road transport');
+  } else if (invoice.transport_mode && invoice.transport_mode !== 'road' && !(invoice.transport_doc_no && invoice.transport_doc_date)) {
+    flag(`Transport: transport_doc_no and transport_doc_date are required for ${invoice.transport_mode} transport`);
+  } else if (!invoice.transport_mode && !invoice.transporter_id) {
+    flag('Transport: set transport_mode with its vehicle or document details, or a transporter_id to generate Part-A only');
+  }
+
+  const items = invoice.items || [];
+  const goods = items.filter((line) => !isService(line.hsn_code));
+  if (goods.length === 0) flag('E-way bills are only needed for goods; this invoice has none');
+  items.forEach((line, i) => {
+    if (!/^[0-9]{4,8}$/.test(String(line.hsn_code || ''))) {
+      flag(`Line ${i + 1} (${line.item_name}): HSN code is required`);
+    }
+  });
+  const mainLine = [...goods].sort((a, b) => Number(b.taxable_amount) - Number(a.taxable_amount))[0];
+
+  const inter = invoice.supply_type === 'inter';
+  const bill = {
+    userGstin: company.gstin || '',
+    supplyType: settings.supplyType,
+    subSupplyType: settings.subSupplyType,
+    subSupplyDesc: settings.subSupplyDesc || '',
+    docType: settings.docType,
+    docNo: invoice.invoice_number,
+    docDate: portalDate(invoice.invoice_date),
+    fromGstin: from.gstin || '',
+    fromTrdName: clip(from.name, 100),
+    fromAddr1: clip(dispatch.address, 120),
+    fromAddr2: '',
+    fromPlace: clip(dispatch.city, 50),
+    fromPincode: Number(dispatch.pincode) || 0,
+    fromStateCode: Number(from.state) || 0,
+    actFromStateCode: Number(dispatch.state) || 0,
+    toGstin: to.gstin || '',
+    toTrdName: clip(to.name, 100),
+    toAddr1: clip(shipTo.address, 120),
+    toAddr2: '',
+    toPlace: clip(shipTo.city, 50),
+    toPincode: Number(shipTo.pincode) || 0,
+    toStateCode: Number(to.state) || 0,
+    actToStateCode: Number(shipTo.state) || 0,
+    transactionType,
+    totalValue: round2(invoice.taxable_amount),
+    cgstValue: round2(invoice.cgst_amount),
+    sgstValue: round2(invoice.sgst_amount),
+    igstValue: round2(invoice.igst_amount),
+    cessValue: 0,
+    cessNonAdvolValue: 0,
+    otherValue: 0,
+    totInvValue: round2(invoice.total_amount),
+    transMode: TRANSPORT_MODES[invoice.transport_mode] || '',
+    transDistance: Number(invoice.distance_km) || 0,
+    transporterId: invoice.transporter_id || '',
+    transporterName: invoice.transporter_name || '',
+    transDocNo: invoice.transport_doc_no || '',
+    transDocDate: invoice.transport_doc_date ? portalDate(invoice.transport_doc_date) : '',
+    vehicleNo: invoice.vehicle_number || '',
+    vehicleType: invoice.transport_mode === 'road' ? 'R' : '',
+    mainHsnCode: mainLine ? Number(mainLine.hsn_code) || 0 : 0,
+    itemList: items.map((line, i) => {
+      const rate = Number(line.gst_rate || 0);
+      return {
+        itemNo: i + 1,
+        productName: clip(line.item_name, 100),
+        productDesc: clip(line.item_name, 100),
+        hsnCode: Number(line.hsn_code) || 0,
+        quantity: Number(line.quantity),
+        qtyUnit: DEFAULT_UNIT,
+        taxableAmount: round2(line.taxable_amount),
+        cgstRate: inter ? 0 : rate / 2,
+        sgstRate: inter ? 0 : rate / 2,
+        igstRate: inter ? rate : 0,
+        cessRate: 0,
+        cessNonAdvol: 0,
+      };
+    }),
+  };
+
+  return { bill, issues };
+};
+
+/**
+ * Wrap e-way bills in the bulk-upload document accepted by the portal
+ */
+const buildEwayBillExport = (bills) => ({ version: EWAY_BILL_JSON_VERSION, billLists: bills });
+
+module.exports = {
+  EWAY_BILL_THRESHOLD,
+  MAX_DISTANCE_KM,
+  TRANSPORT_MODES,
+  parseTransportDetails,
+  buildEwayBill,
+  buildEwayBillExport,
+};
@@ -0,0 +1,114 @@
+// utils/gst.js
+
+/**
+ * GST slabs accepted on items (percent)
+ */
+const GST_RATES = [0, 0.25, 3, 5, 12, 18, 28];
+
+const GSTIN_REGEX = /^[0-9]{2}[A-Z]{5}[0-9]{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/;
+
+const GSTIN_CHARSET = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+
+/**
+ * Expected 15th character of a GSTIN (mod-36 check digit over the first 14)
+ */
+const gstinCheckDigit = (gstin) => {
+  let sum = 0;
+  for (let i = 0; i < 14; i += 1) {
+    const product = GSTIN_CHARSET.indexOf(gstin[i]) * (i % 2 === 0 ? 1 : 2);
+    sum += Math.floor(product / 36) + (product % 36);
+  }
+  return GSTIN_CHARSET[(36 - (sum % 36)) % 36];
+};
+
+/**
+ * Why a GSTIN would be rejected by the GST portal, or null when it is valid
+ */
+const gstinError = (gstin) => {
+  if (!GSTIN_REGEX.test(String(gstin || ''))) return 'Invalid GSTIN format';
+  if (gstinCheckDigit(gstin) !== gstin[14]) return 'Invalid GSTIN check digit';
+  return null;
+};
+
+const round2 = (value) => Math.round((Number(value) + Number.EPSILON) * 100) / 100;
+
+const isValidGstRate = (rate) => GST_RATES.includes(Number(rate));
+
+const isValidStateCode = (code) => /^[0-9]{2}$/.test(String(code || ''));
+
+// Indian postal PIN codes are six digits and never start with 0
+const isValidPincode = (pincode) => /^[1-9][0-9]{5}$/.test(String(pincode || ''));
+
+/**
+ * Resolve the 2-digit state code of a company or party.
+ * An explicit state_code wins, otherwise the first two digits of the GSTIN are used.
+ */
+const resolveStateCode = ({ state_code, gstin } = {}) => {
+  if (isValidStateCode(state_code)) return state_code;
+  if (gstin && isValidStateCode(gstin.slice(0, 2))) return gstin.slice(0, 2);
+  return null;
+};
+
+/**
+ * Decide the supply type for an invoice.
+ * Inter-state (IGST) only when both states are known and differ; otherwise the
+ * supply is treated as intra-state (CGST + SGST).
+ */
+const getSupplyType = (companyStateCode, placeOfSupply) => {
+  if (companyStateCode && placeOfSupply && companyStateCode !== placeOfSupply) {
+    return 'inter';
+  }
+  return 'intra';
+};
+
+/**
+ * Compute the tax split for a single invoice line.
+ * `price` is the tax-exclusive unit price.
+ */
+const computeLineTax = ({ price, quantity, gstRate = 0, supplyType = 'intra' }) => {
+  const taxableAmount = round2(Number(price) * Number(quantity));
+  return splitTax(taxableAmount, gstRate, supplyType);
+};
+
+/**
+ * Split GST on an already known taxable amount (used when an invoice's
+ * supply type changes without its lines changing)
+ */
+const splitTax = (taxableAmount, gstRate = 0, supplyType = 'intra') => {
+  const taxable = round2(taxableAmount);
+
+  let cgst = 0;
+  let sgst = 0;
+  let igst = 0;
+
+  if (supplyType === 'inter') {
+    igst = round2((taxable * Number(gstRate)) / 100);
+  } else {
+    // Each half is rounded on its own so CGST and SGST always match
+    cgst = round2((taxable * Number(gstRate)) / 200);
+    sgst = cgst;
+  }
+
+  return {
+    taxable_amount: taxable,
+    gst_rate: Number(gstRate),
+    cgst_amount: cgst,
+    sgst_amount: sgst,
+    igst_amount: igst,
+    total_line_amount: round2(taxable + cgst + sgst + igst),
+  };
+};
+
+module.exports = {
+  GST_RATES,
+  GSTIN_REGEX,
+  gstinError,
+  round2,
+  isValidGstRate,
+  isValidStateCode,
+  isValidPincode,
+  resolveStateCode,
+  getSupplyType,
+  computeLineTax,
+  splitTax,
+};
@@ -0,0 +1,412 @@
+// utils/gstReturns.js
+// GSTR-1 (GST offline tool JSON) and GSTR-3B summaries built from issued invoices
+const { GST_RATES, gstinError, isValidStateCode, round2 } = require('./gst');
+const { pad2 } = require('./dates');
+
+// Inter-state supplies to unregistered buyers above this invoice value are
+// reported invoice-wise in B2CL (₹1 lakh from August 2024), the rest in B2CS
+const B2CL_THRESHOLD = 100000;
+
+// The portal accepts document numbers of up to 16 letters, digits, '/' and '-'
+const DOCUMENT_NUMBER_REGEX = /^[A-Za-z0-9/-]{1,16}$/;
+
+const GSTR1_VERSION = 'GST3.0.4';
+
+// Items carry no unit of measure yet, so quantities are reported as numbers
+const DEFAULT_UQC = 'NOS';
+
+
+/**
+ * 'YYYY-MM' -> first/last day and the portal's 'MMYYYY' return period, or null
+ */
+const parsePeriod = (period) => {
+  const match = /^(\d{4})-(0[1-9]|1[0-2])$/.exec(String(period || ''));
+  if (!match) return null;
+  const [, year, month] = match;
+  const lastDay = new Date(Date.UTC(Number(year), Number(month), 0)).getUTCDate();
+  return {
+    period: `${year}-${month}`,
+    from: `${year}-${month}-01`,
+    to: `${year}-${month}-${pad2(lastDay)}`,
+    fp: `${month}${year}`,
+  };
+};
+
+/**
+ * The month before `date`, as 'YYYY-MM' (returns are filed for the month gone by)
+ */
+const previousPeriod = (date = new Date()) => {
+  const d = new Date(date.getFullYear(), date.getMonth() - 1, 1);
+  return `${d.getFullYear()}-${pad2(d.getMonth() + 1)}`;
+};
+
+// pg DATE (local midnight) -> 'DD-MM-YYYY' as the portal expects
+const portalDate = (d) => `${pad2(d.getDate())}-${pad2(d.getMonth() + 1)}-${d.getFullYear()}`;
+
+const emptyTax = () => ({ txval: 0, iamt: 0, camt: 0, samt: 0, csamt: 0 });
+
+const addTax = (target, line, sign = 1) => {
+  target.txval = round2(target.txval + sign * Number(line.taxable_amount));
+  target.iamt = round2(target.iamt + sign * Number(line.igst_amount));
+  target.camt = round2(target.camt + sign * Number(line.cgst_amount));
+  target.samt = round2(target.samt + sign * Number(line.sgst_amount));
+  return target;
+};
+
+/**
+ * Issued documents of the given types dated within the period, each with its lines.
+ * Credit/debit notes carry the invoice they were raised against.
+ */
+const fetchDocuments = async (db, { company_id, types, from, to }) => {
+  const { rows } = await db.query(
+    `SELECT inv.id, inv.invoice_number, inv.invoice_type, inv.invoice_date, inv.place_of_supply,
+            inv.supply_type, inv.total_amount,
+            p.name AS party_name, p.gstin AS party_gstin,
+            orig.invoice_number AS original_number, orig.total_amount AS original_total,
+            orig.supply_type AS original_supply_type,
+            ii.id AS line_id, ii.hsn_code, ii.gst_rate, ii.quantity, ii.taxable_amount,
+            ii.cgst_amount, ii.sgst_amount, ii.igst_amount, it.name AS item_name
+       FROM invoices inv
+       JOIN parties p ON p.id = inv.party_id
+       JOIN invoice_items ii ON ii.invoice_id = inv.id
+       JOIN items it ON it.id = ii.item_id
+       LEFT JOIN invoices orig ON orig.id = inv.original_invoice_id
+      WHERE inv.company_id = $1
+        AND inv.deleted_at IS NULL
+        AND inv.invoice_type = ANY($2::invoice_type[])
+        AND inv.status NOT IN ('draft', 'cancelled')
+        AND inv.invoice_date BETWEEN $3 AND $4
+      ORDER BY inv.invoice_date, inv.invoice_number, ii.id`,
+    [company_id, types, from, to]
+  );
+
+  const documents = new Map();
+  for (const row of rows) {
+    if (!documents.has(row.id)) {
+      documents.set(row.id, {
+        id: row.id,
+        number: row.invoice_number,
+        type: row.invoice_type,
+        date: row.invoice_date,
+        pos: row.place_of_supply,
+        supply_type: row.supply_type,
+        value: round2(row.total_amount),
+        party_name: row.party_name,
+        party_gstin: row.party_gstin ? row.party_gstin.trim().toUpperCase() : null,
+        original_number: row.original_number,
+        original_total: row.original_total === null ? null : round2(row.original_total),
+        original_supply_type: row.original_supply_type,
+        lines: [],
+      });
+    }
+    documents.get(row.id).lines.push(row);
+  }
+  return [...documents.values()];
+};
+
+/**
+ * Everything about a document the portal would reject ('error') or that
+ * should be looked at before filing ('warning')
+ */
+const documentIssues = (doc, { companyGstin, companyState }) => {
+  const issues = [];
+  const flag = (severity, message) =>
+    issues.push({ severity, document_id: doc.id, document_number: doc.number, document_type: doc.type, message });
+
+  if (!DOCUMENT_NUMBER_REGEX.test(doc.number)) {
+    flag('error', 'Document number must be at most 16 characters of letters, digits, "/" and "-"');
+  }
+  if (!isValidStateCode(doc.pos)) {
+    flag('error', 'Place of supply is missing or not a 2-digit state code');
+  } else if (companyState && (doc.pos !== companyState) !== (doc.supply_type === 'inter')) {
+    flag('warning', `Supply is taxed as ${doc.supply_type}-state but the place of supply is ${doc.pos}`);
+  }
+  if (doc.party_gstin) {
+    const error = gstinError(doc.party_gstin);
+    if (error) flag('error', `${error} for party ${doc.party_name} (${doc.party_gstin})`);
+    else if (doc.party_gstin === companyGstin) flag('error', 'Party GSTIN is the company\'s own GSTIN');
+  }
+  if (!(doc.value > 0)) flag('warning', 'Document value is zero');
+
+  for (const line of doc.lines) {
+    if (!GST_RATES.includes(Number(line.gst_rate))) {
+      flag('error', `${line.item_name}: GST rate ${Number(line.gst_rate)}% is not a notified rate`);
+    }
+    const interTax = Number(line.igst_amount) > 0;
+    const intraTax = Number(line.cgst_amount) > 0 || Number(line.sgst_amount) > 0;
+    if ((doc.supply_type === 'inter' && intraTax) || (doc.supply_type === 'intra' && interTax)) {
+      flag('error', `${line.item_name}: tax heads do not match the ${doc.supply_type}-state supply`);
+    }
+    if (!line.hsn_code || String(line.hsn_code).length < 4) {
+      flag('warning', `${line.item_name}: HSN/SAC code missing or shorter than 4 digits`);
+    }
+  }
+  return issues;
+};
+
+// Document lines rolled up per GST rate, in the portal's itms shape
+const rateItems = (doc) => {
+  const byRate = new Map();
+  for (const line of doc.lines) {
+    const rate = Number(line.gst_rate);
+    if (!byRate.has(rate)) byRate.set(rate, emptyTax());
+    addTax(byRate.get(rate), line);
+  }
+  return [...byRate.entries()].map(([rt, tax], index) => {
+    const itm_det = { txval: tax.txval, rt };
+    if (doc.supply_type === 'inter') itm_det.iamt = tax.iamt;
+    else Object.assign(itm_det, { camt: tax.camt, samt: tax.samt });
+    itm_det.csamt = 0;
+    return { num: index + 1, itm_det };
+  });
+};
+
+const pushGrouped = (list, keyField, key, entryField, entry) => {
+  let group = list.find((g) => g[keyField] === key);
+  if (!group) {
+    group = { [keyField]: key, [entryField]: [] };
+    list.push(group);
+  }
+  group[entryField].push(entry);
+};
+
+/**
+ * Build the GSTR-1 offline-tool JSON for a company and period.
+ * Sales to registered buyers go to B2B, large inter-state sales to unregistered
+ * buyers to B2CL and the rest are summarised in B2CS. Credit notes go to CDNR /
+ * CDNUR, or reduce B2CS when raised against a B2CS sale. Debit notes in this
+ * app are purchase returns to suppliers, which are not outward supplies.
+ */
+const buildGstr1 = async (db, { company, period }) => {
+  const companyGstin = company.gstin ? company.gstin.toUpperCase() : null;
+  const companyState = company.state_code || (companyGstin ? companyGstin.slice(0, 2) : null);
+
+  const documents = await fetchDocuments(db, {
+    company_id: company.id,
+    types: ['sale', 'credit_note'],
+    from: period.from,
+    to: period.to,
+  });
+
+  const issues = [];
+  const companyError = gstinError(companyGstin);
+  if (companyError) {
+    issues.push({ severity: 'error', document_id: null, message: `${companyError}: company GSTIN is required to file` });
+  }
+
+  const b2b = [];
+  const b2cl = [];
+  const b2csMap = new Map();
+  const cdnr = [];
+  const cdnur = [];
+  const hsnMap = new Map();
+
+  const addB2cs = (doc, sign) => {
+    for (const line of doc.lines) {
+      const rt = Number(line.gst_rate);
+      const sply_ty = doc.supply_type === 'inter' ? 'INTER' : 'INTRA';
+      const key = `${sply_ty}|${doc.pos}|${rt}`;
+      if (!b2csMap.has(key)) b2csMap.set(key, { sply_ty, pos: doc.pos, typ: 'OE', rt, ...emptyTax() });
+      addTax(b2csMap.get(key), line, sign);
+    }
+  };
+
+  for (const doc of documents) {
+    issues.push(...documentIssues(doc, { companyGstin, companyState }));
+
+    const isNote = doc.type === 'credit_note';
+    const sign = isNote ? -1 : 1;
+
+    for (const line of doc.lines) {
+      const rt = Number(line.gst_rate);
+      const key = `${line.hsn_code || ''}|${rt}`;
+      if (!hsnMap.has(key)) {
+        hsnMap.set(key, { hsn_sc: line.hsn_code || '', desc: line.item_name, uqc: DEFAULT_UQC, qty: 0, rt, ...emptyTax() });
+      }
+      const hsn = hsnMap.get(key);
+      hsn.qty += sign * Number(line.quantity);
+      addTax(hsn, line, sign);
+    }
+
+    if (!isNote) {
+      const invoice = { inum: doc.number, idt: portalDate(doc.date), val: doc.value, pos: doc.pos };
+      if (doc.party_gstin) {
+        pushGrouped(b2b, 'ctin', doc.party_gstin, 'inv', { ...invoice, rchrg: 'N', inv_typ: 'R', itms: rateItems(doc) });
+      } else if (doc.supply_type === 'inter' && doc.value > B2CL_THRESHOLD) {
+        const { pos, ...rest } = invoice;
+        pushGrouped(b2cl, 'pos', pos, 'inv', { ...rest, itms: rateItems(doc) });
+      } else {
+        addB2cs(doc, 1);
+      }
+      continue;
+    }
+
+    const note = { ntty: 'C', nt_num: doc.number, nt_dt: portalDate(doc.date), val: doc.value, pos: doc.pos };
+    if (doc.party_gstin) {
+      pushGrouped(cdnr, 'ctin', doc.party_gstin, 'nt', { ...note, rchrg: 'N', inv_typ: 'R', itms: rateItems(doc) });
+    } else if (doc.original_supply_type === 'inter' && doc.original_total > B2CL_THRESHOLD) {
+      cdnur.push({ ...note, typ: 'B2CL', itms: rateItems(doc) });
+    } else {
+      addB2cs(doc, -1);
+    }
+  }
+
+  const b2cs = [...b2csMap.values()].map(({ sply_ty, pos, typ, rt, txval, iamt, camt, samt, csamt }) =>
+    sply_ty === 'INTER'
+      ? { sply_ty, pos, typ, rt, txval, iamt, csamt }
+      : { sply_ty, pos, typ, rt, txval, camt, samt, csamt }
+  );
+  const hsn = [...hsnMap.values()].map((row, index) => ({ num: index + 1, ...row }));
+
+  const gstr1 = {
+    gstin: companyGstin,
+    fp: period.fp,
+    version: GSTR1_VERSION,
+    hash: 'hash',
+    b2b,
+    b2cl,
+    b2cs,
+    cdnr,
+    cdnur,
+    hsn: { data: hsn },
+  };
+
+  const errors = issues.filter((i) => i.severity === 'error').length;
+  return {
+    gstr1,
+    issues,
+    ready_to_file: errors === 0,
+    summary: {
+      documents: documents.length,
+      b2b_invoices: b2b.reduce((n, g) => n + g.inv.length, 0),
+      b2cl_invoices: b2cl.reduce((n, g) => n + g.inv.length, 0),
+      b2cs_rows: b2cs.length,
+      cdnr_notes: cdnr.reduce((n, g) => n + g.nt.length, 0),
+      cdnur_notes: cdnur.length,
+      hsn_rows: hsn.length,
+      errors,
+      warnings: issues.length - errors,
+    },
+  };
+};
+
+/**
+ * Set input tax credit off against output tax in the statutory order:
+ * IGST credit first (IGST, then CGST, then SGST), then CGST credit (CGST,
+ * then IGST) and SGST credit (SGST, then IGST). Returns what is left to pay
+ * in cash and the credit carried forward.
+ */
+const setOffTax = (output, itc) => {
+  const payable = { iamt: output.iamt, camt: output.camt, samt: output.samt };
+  const credit = { iamt: itc.iamt, camt: itc.camt, samt: itc.samt };
+  const use = (from, heads) => {
+    for (const head of heads) {
+      const used = Math.min(credit[from], Math.max(payable[head], 0));
+      payable[head] = round2(payable[head] - used);
+      credit[from] = round2(credit[from] - used);
+    }
+  };
+  use('iamt', ['iamt', 'camt', 'samt']);
+  use('camt', ['camt', 'iamt']);
+  use('samt', ['samt', 'iamt']);
+  return { cash_payable: payable, credit_carried_forward: credit };
+};
+
+/**
+ * Build the GSTR-3B summary for a company and period: outward supplies
+ * (net of credit notes), inter-state supplies to unregistered persons by
+ * state, and eligible ITC from bills of registered suppliers (net of debit notes).
+ */
+const buildGstr3b = async (db, { company, period }) => {
+  const companyGstin = company.gstin ? company.gstin.toUpperCase() : null;
+  const companyState = company.state_code || (companyGstin ? companyGstin.slice(0, 2) : null);
+  const issues = [];
+  const companyError = gstinError(companyGstin);
+  if (companyError) {
+    issues.push({ severity: 'error', document_id: null, message: `${companyError}: company GSTIN is required to file` });
+  }
+
+  const documents = await fetchDocuments(db, {
+    company_id: company.id,
+    types: ['sale', 'credit_note', 'purchase', 'debit_note'],
+    from: period.from,
+    to: period.to,
+  });
+
+  const osup_det = emptyTax();
+  const osup_nil_exmp = emptyTax();
+  const unregByState = new Map();
+  const itc = emptyTax();
+
+  for (const doc of documents) {
+    const outward = doc.type === 'sale' || doc.type === 'credit_note';
+    const sign = doc.type === 'credit_note' || doc.type === 'debit_note' ? -1 : 1;
+
+    if (outward) {
+      issues.push(...documentIssues(doc, { companyGstin, companyState }));
+      for (const line of doc.lines) {
+        addTax(Number(line.gst_rate) > 0 ? osup_det : osup_nil_exmp, line, sign);
+      }
+      if (!doc.party_gstin && doc.supply_type === 'inter') {
+        if (!unregByState.has(doc.pos)) unregByState.set(doc.pos, { pos: doc.pos, ...emptyTax() });
+        for (const line of doc.lines) addTax(unregByState.get(doc.pos), line, sign);
+      }
+      continue;
+    }
+
+    // Only tax charged by a registered supplier on a valid GSTIN can be claimed
+    const supplierError = doc.party_gstin ? gstinError(doc.party_gstin) : 'Supplier is unregistered';
+    if (supplierError) {
+      issues.push({
+        severity: 'warning',
+        document_id: doc.id,
+        document_number: doc.number,
+        document_type: doc.type,
+        message: `${supplierError} (${doc.party_name}); no input tax credit taken`,
+      });
+      continue;
+    }
+    for (const line of doc.lines) addTax(itc, line, sign);
+  }
+
+  const heads = ({ txval, iamt, camt, samt, csamt }) => ({ txval, iamt, camt, samt, csamt });
+  const itcHeads = ({ iamt, camt, samt, csamt }) => ({ iamt, camt, samt, csamt });
+  const zeroItc = (ty) => ({ ty, iamt: 0, camt: 0, samt: 0, csamt: 0 });
+
+  const gstr3b = {
+    gstin: companyGstin,
+    ret_period: period.fp,
+    sup_details: {
+      osup_det: heads(osup_det),
+      osup_zero: { txval: 0, iamt: 0, csamt: 0 },
+      osup_nil_exmp: { txval: osup_nil_exmp.txval },
+      isup_rev: { txval: 0, iamt: 0, camt: 0, samt: 0, csamt: 0 },
+      osup_nongst: { txval: 0 },
+    },
+    inter_sup: {
+      unreg_details: [...unregByState.values()].map(({ pos, txval, iamt }) => ({ pos, txval, iamt })),
+      comp_details: [],
+      uin_details: [],
+    },
+    itc_elg: {
+      itc_avl: [zeroItc('IMPG'), zeroItc('IMPS'), zeroItc('ISRC'), zeroItc('ISD'), { ty: 'OTH', ...itcHeads(itc) }],
+      itc_rev: [zeroItc('RUL'), zeroItc('OTH')],
+      itc_net: itcHeads(itc),
+      itc_inelg: [zeroItc('RUL'), zeroItc('OTH')],
+    },
+  };
+
+  const errors = issues.filter((i) => i.severity === 'error').length;
+  return {
+    gstr3b,
+    tax_payable: {
+      output_tax: itcHeads(osup_det),
+      input_tax_credit: itcHeads(itc),
+      ...setOffTax(osup_det, itc),
+    },
+    issues,
+    ready_to_file: errors === 0,
+  };
+};
+
+module.exports = { B2CL_THRESHOLD, parsePeriod, previousPeriod, buildGstr1, buildGstr3b, setOffTax };
@@ -0,0 +1,356 @@
+// utils/invoicePdf.js
+const PDFDocument = require('pdfkit');
+const QRCode = require('qrcode');
+
+// Standard PDF fonts ship with pdfkit, so rendering needs no network or system fonts
+const FONT = 'Helvetica';
+const FONT_BOLD = 'Helvetica-Bold';
+
+const PAGE_MARGIN = 40;
+
+const DOCUMENT_TITLES = {
+  sale: 'TAX INVOICE',
+  purchase: 'PURCHASE BILL',
+  credit_note: 'CREDIT NOTE',
+  debit_note: 'DEBIT NOTE',
+};
+const NUMBER_LABELS = { sale: 'Invoice', purchase: 'Bill', credit_note: 'Credit Note', debit_note: 'Debit Note' };
+
+// Documents exchanged with suppliers
+const SUPPLIER_DOCUMENTS = ['purchase', 'debit_note'];
+
+const ONES = [
+  '', 'One', 'Two', 'Three', 'Four', 'Five', 'Six', 'Seven', 'Eight', 'Nine', 'Ten',
+  'Eleven', 'Twelve', 'Thirteen', 'Fourteen', 'Fifteen', 'Sixteen', 'Seventeen', 'Eighteen', 'Nineteen',
+];
+const TENS = ['', '', 'Twenty', 'Thirty', 'Forty', 'Fifty', 'Sixty', 'Seventy', 'Eighty', 'Ninety'];
+
+const twoDigitsToWords = (n) => {
+  if (n < 20) return ONES[n];
+  return `${TENS[Math.floor(n / 10)]} ${ONES[n % 10]}`.trim();
+};
+
+const threeDigitsToWords = (n) => {
+  const hundred = Math.floor(n / 100);
+  const rest = n % 100;
+  return [hundred ? `${ONES[hundred]} Hundred` : '', rest ? twoDigitsToWords(rest) : '']
+    .filter(Boolean)
+    .join(' ');
+};
+
+/**
+ * Spell out a rupee amount using the Indian numbering system (lakh, crore)
+ */
+const amountInWords = (amount) => {
+  const rupees = Math.floor(Number(amount) || 0);
+  const paise = Math.round(((Number(amount) || 0) - rupees) * 100);
+
+  const parts = [];
+  let n = rupees;
+  const crore = Math.floor(n / 10000000);
+  n %= 10000000;
+  const lakh = Math.floor(n / 100000);
+  n %= 100000;
+  const thousand = Math.floor(n / 1000);
+  n %= 1000;
+
+  if (crore) parts.push(`${threeDigitsToWords(crore)} Crore`);
+  if (lakh) parts.push(`${twoDigitsToWords(lakh)} Lakh`);
+  if (thousand) parts.push(`${twoDigitsToWords(thousand)} Thousand`);
+  if (n) parts.push(threeDigitsToWords(n));
+
+  let words = `Rupees ${parts.length ? parts.join(' ') : 'Zero'}`;
+  if (paise) words += ` and ${twoDigitsToWords(paise)} Paise`;
+  return `${words} Only`;
+};
+
+const money = (value) =>
+  Number(value || 0).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+
+const formatDate = (value) => {
+  if (!value) return '-';
+  const d = new Date(value);
+  if (Number.isNaN(d.getTime())) return String(value);
+  return d.toLocaleDateString('en-IN', { day: '2-digit', month: 'short', year: 'numeric' });
+};
+
+/**
+ * Fetch the company logo (Cloudinary URL) as a buffer.
+ * Returns null when there is no logo or it cannot be fetched, so the PDF
+ * still renders offline.
+ */
+const fetchLogo = async (url) => {
+  if (!url) return null;
+  try {
+    const response = await fetch(url, { signal: AbortSignal.timeout(3000) });
+    if (!response.ok) return null;
+    const type = response.headers.get('content-type') || '';
+    // pdfkit can only embed PNG and JPEG images
+    if (!/image\/(png|jpe?g)/.test(type)) return null;
+    return Buffer.from(await response.arrayBuffer());
+  } catch (err) {
+    console.error('⚠️ Could not fetch company logo for PDF:', err.message);
+    return null;
+  }
+};
+
+const drawHeader = (doc, { company, invoice, logo }) => {
+  const top = PAGE_MARGIN;
+  let textX = PAGE_MARGIN;
+
+  if (logo) {
+    try {
+      doc.image(logo, PAGE_MARGIN, top, { fit: [70, 70] });
+      textX = PAGE_MARGIN + 80;
+    } catch (err) {
+      console.error('⚠️ Could not embed company logo:', err.message);
+    }
+  }
+
+  doc.font(FONT_BOLD).fontSize(14).text(company.name || '', textX, top, { width: 260 });
+  doc.font(FONT).fontSize(9);
+  if (company.address) doc.text(company.address, { width: 260 });
+  if (company.gstin) doc.text(`GSTIN: ${company.gstin}`);
+  if (company.state_code) doc.text(`State Code: ${company.state_code}`);
+  const contact = [company.contact_email, company.contact_phone].filter(Boolean).join(' | ');
+  if (contact) doc.text(contact, { width: 260 });
+  const leftBottom = doc.y;
+
+  const rightX = 380;
+  const type = DOCUMENT_TITLES[invoice.invoice_type] ? invoice.invoice_type : 'sale';
+  doc.font(FONT_BOLD).fontSize(16).text(DOCUMENT_TITLES[type], rightX, top, {
+    width: 175,
+    align: 'right',
+  });
+  doc.font(FONT).fontSize(9);
+  doc.text(`${NUMBER_LABELS[type]} No: ${invoice.invoice_number}`, rightX, doc.y + 4, { width: 175, align: 'right' });
+  doc.text(`${NUMBER_LABELS[type]} Date: ${formatDate(invoice.invoice_date)}`, { width: 175, align: 'right' });
+  if (invoice.original_invoice_number) {
+    doc.text(`Against Invoice No: ${invoice.original_invoice_number}`, { width: 175, align: 'right' });
+  } else {
+    doc.text(`Due Date: ${formatDate(invoice.due_date)}`, { width: 175, align: 'right' });
+  }
+  if (invoice.place_of_supply) {
+    doc.text(`Place of Supply: ${invoice.place_of_supply}`, { width: 175, align: 'right' });
+  }
+
+  doc.y = Math.max(leftBottom, doc.y, top + 70) + 15;
+};
+
+const drawParty = (doc, { party, invoice }) => {
+  const startY = doc.y;
+  const label = SUPPLIER_DOCUMENTS.includes(invoice.invoice_type) ? 'Supplier' : 'Bill To';
+  doc.font(FONT_BOLD).fontSize(10).text(label, PAGE_MARGIN, startY);
+  doc.font(FONT).fontSize(9);
+  doc.text(party.name || '', { width: 300 });
+  if (party.billing_address) doc.text(party.billing_address, { width: 300 });
+  if (party.gstin) doc.text(`GSTIN: ${party.gstin}`);
+  if (party.state_code) doc.text(`State Code: ${party.state_code}`);
+  if (invoice.note_reason) doc.text(`Reason: ${invoice.note_reason}`, { width: 300 });
+  doc.moveDown();
+};
+
+// IRP acknowledgement times are shown in IST whatever the server's time zone
+const formatDateTime = (value) =>
+  new Date(value).toLocaleString('en-IN', { timeZone: 'Asia/Kolkata', dateStyle: 'medium', timeStyle: 'short' });
+
+/**
+ * Signed QR code of an active e-invoice as a PNG buffer, or null.
+ * A cancelled IRN is no longer valid, so its QR code is not printed.
+ */
+const eInvoiceQr = async (invoice) => {
+  if (!invoice.irn_signed_qr || invoice.irn_cancelled_at) return null;
+  try {
+    return await QRCode.toBuffer(invoice.irn_signed_qr, { errorCorrectionLevel: 'M', margin: 1, width: 240 });
+  } catch (err) {
+    console.error('⚠️ Could not render e-invoice QR code:', err.message);
+    return null;
+  }
+};
+
+const drawEInvoice = (doc, { invoice, qr }) => {
+  if (!invoice.irn) return;
+  const startY = doc.y;
+  const qrSize = 100;
+
+  if (qr) doc.image(qr, doc.page.width - PAGE_MARGIN - qrSize, startY, { fit: [qrSize, qrSize] });
+
+  doc.font(FONT_BOLD).fontSize(10).text('e-Invoice', PAGE_MARGIN, startY);
+  doc.font(FONT).fontSize(8);
+  doc.text(`IRN: ${invoice.irn}`, { width: 380 });
+  doc.text(`Ack No: ${invoice.irn_ack_no || '-'}`);
+  doc.text(`Ack Date: ${invoice.irn_ack_date ? formatDateTime(invoice.irn_ack_date) : '-'}`);
+  if (invoice.irn_cancelled_at) {
+    doc.font(FONT_BOLD).text(`IRN cancelled on ${formatDateTime(invoice.irn_cancelled_at)}`);
+  }
+
+  doc.y = Math.max(doc.y, qr ? startY + qrSize : 0) + 10;
+};
+
+const tableColumns = (supplyType) => {
+  const common = [
+    { key: 'index', label: '#', width: 20 },
+    { key: 'item_name', label: 'Item', width: 110 },
+    { key: 'hsn_code', label: 'HSN/SAC', width: 50 },
+    { key: 'quantity', label: 'Qty', width: 30, align: 'right' },
+    { key: 'price_at_purchase', label: 'Rate', width: 55, align: 'right', money: true },
+    { key: 'taxable_amount', label: 'Taxable', width: 60, align: 'right', money: true },
+    { key: 'gst_rate', label: 'GST %', width: 35, align: 'right' },
+  ];
+  const taxes =
+    supplyType === 'inter'
+      ? [{ key: 'igst_amount', label: 'IGST', width: 90, align: 'right', money: true }]
+      : [
+          { key: 'cgst_amount', label: 'CGST', width: 45, align: 'right', money: true },
+          { key: 'sgst_amount', label: 'SGST', width: 45, align: 'right', money: true },
+        ];
+  return [...common, ...taxes, { key: 'total_line_amount', label: 'Amount', width: 65, align: 'right', money: true }];
+};
+
+const drawRow = (doc, columns, values, { bold = false } = {}) => {
+  const y = doc.y;
+  let x = PAGE_MARGIN;
+  let rowHeight = 0;
+
+  doc.font(bold ? FONT_BOLD : FONT).fontSize(8);
+  for (const col of columns) {
+    const text = values[col.key] === null || values[col.key] === undefined ? '' : String(values[col.key]);
+    const height = doc.heightOfString(text, { width: col.width - 4 });
+    doc.text(text, x + 2, y, { width: col.width - 4, align: col.align || 'left' });
+    rowHeight = Math.max(rowHeight, height);
+    x += col.width;
+  }
+
+  doc.y = y + rowHeight + 6;
+  doc
+    .moveTo(PAGE_MARGIN, doc.y - 3)
+    .lineTo(x, doc.y - 3)
+    .strokeColor('#dddddd')
+    .stroke();
+};
+
+const drawItems = (doc, { invoice, items }) => {
+  const columns = tableColumns(invoice.supply_type);
+  const header = Object.fromEntries(columns.map((c) => [c.key, c.label]));
+  const bottom = doc.page.height - PAGE_MARGIN - 120;
+
+  drawRow(doc, columns, header, { bold: true });
+
+  items.forEach((line, i) => {
+    if (doc.y > bottom) {
+      doc.addPage();
+      drawRow(doc, columns, header, { bold: true });
+    }
+    const values = { ...line, index: i + 1 };
+    for (const col of columns) {
+      if (col.money) values[col.key] = money(line[col.key]);
+    }
+    values.gst_rate = Number(line.gst_rate || 0);
+    drawRow(doc, columns, values);
+  });
+};
+
+const drawTotals = (doc, { invoice }) => {
+  if (doc.y > doc.page.height - PAGE_MARGIN - 140) doc.addPage();
+
+  const labelX = 340;
+  const valueX = 460;
+  const rows = [['Taxable Value', invoice.taxable_amount]];
+  if (invoice.supply_type === 'inter') {
+    rows.push(['IGST', invoice.igst_amount]);
+  } else {
+    rows.push(['CGST', invoice.cgst_amount], ['SGST', invoice.sgst_amount]);
+  }
+
+  doc.moveDown(0.5);
+  doc.font(FONT).fontSize(9);
+  for (const [label, value] of rows) {
+    const y = doc.y;
+    doc.text(label, labelX, y, { width: 110 });
+    doc.text(money(value), valueX, y, { width: 95, align: 'right' });
+  }
+
+  const y = doc.y + 4;
+  doc.font(FONT_BOLD).fontSize(10);
+  doc.text('Grand Total (INR)', labelX, y, { width: 110 });
+  doc.text(money(invoice.total_amount), valueX, y, { width: 95, align: 'right' });
+
+  const settlements = [];
+  if (Number(invoice.amount_paid) > 0) settlements.push(['Amount Paid', invoice.amount_paid]);
+  if (Number(invoice.amount_credited) > 0 && !invoice.original_invoice_id) {
+    settlements.push(['Credit/Debit Notes', invoice.amount_credited]);
+  }
+  if (settlements.length) {
+    doc.font(FONT).fontSize(9);
+    for (const [label, value] of [...settlements, ['Balance Due', invoice.balance_due]]) {
+      const rowY = doc.y;
+      doc.text(label, labelX, rowY, { width: 110 });
+      doc.text(money(value), valueX, rowY, { width: 95, align: 'right' });
+    }
+  }
+
+  doc.moveDown();
+  doc.font(FONT).fontSize(9).text(`Amount in words: ${amountInWords(invoice.total_amount)}`, PAGE_MARGIN, doc.y, {
+    width: doc.page.width - PAGE_MARGIN * 2,
+  });
+};
+
+const drawFooter = (doc, { company }) => {
+  doc.moveDown(3);
+  doc.font(FONT).fontSize(9).text(`For ${company.name || ''}`, 380, doc.y, { width: 175, align: 'right' });
+  doc.moveDown(3);
+  doc.text('Authorised Signatory', 380, doc.y, { width: 175, align: 'right' });
+  doc.moveDown(2);
+  doc
+    .fontSize(7)
+    .fillColor('#777777')
+    .text('This is a computer generated invoice.', PAGE_MARGIN, doc.y, {
+      width: doc.page.width - PAGE_MARGIN * 2,
+      align: 'center',
+    })
+    .fillColor('black');
+};
+
+/**
+ * Render a GST tax invoice as a PDF buffer.
+ * `invoice` is the shape returned by getInvoiceById (header + `items`),
+ * `company` and `party` are their DB rows.
+ */
+const renderInvoicePdf = async ({ company, party, invoice }) => {
+  const logo = await fetchLogo(company.logo);
+  const qr = await eInvoiceQr(invoice);
+
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({
+      size: 'A4',
+      margin: PAGE_MARGIN,
+      info: { Title: `Invoice ${invoice.invoice_number}`, Author: company.name || '' },
+    });
+    const chunks = [];
+    doc.on('data', (chunk) => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    drawHeader(doc, { company, invoice, logo });
+    drawParty(doc, { party, invoice });
+    drawEInvoice(doc, { invoice, qr });
+    drawItems(doc, { invoice, items: invoice.items || [] });
+    drawTotals(doc, { invoice });
+    drawFooter(doc, { company });
+
+    doc.end();
+  });
+};
+
+module.exports = {
+  renderInvoicePdf,
+  amountInWords,
+  // Shared with the other printable documents
+  PAGE_MARGIN,
+  FONT,
+  FONT_BOLD,
+  money,
+  formatDate,
+  fetchLogo,
+  drawRow,
+};
@@ -0,0 +1,268 @@
+// utils/invoices.js
+// Invoice creation shared by the invoice API and document conversions
+const { resolveStateCode, getSupplyType, computeLineTax } = require('./gst');
+const { PAYMENT_STATUSES } = require('./payments');
+const { moveStock, costAmount } = require('./stock');
+const { allocateNumber } = require('./numbering');
+const { periodLockReason } = require('./periodLock');
+const { BadRequestError, ConflictError, UnprocessableError } = require('./errors');
+
+const INVOICE_TYPES = ['sale', 'purchase'];
+
+// Invoices start as drafts or are issued straight away; later moves follow the invoice API
+const INITIAL_STATUSES = ['draft', 'sent'];
+
+// Sales are raised to customers, purchase bills are booked from suppliers
+const PARTY_TYPE_FOR = { sale: 'customer', purchase: 'supplier', credit_note: 'customer', debit_note: 'supplier' };
+
+/**
+ * Resolve place of supply and CGST+SGST vs IGST for an invoice from the
+ * company and party state codes (falls back to the GSTIN prefix)
+ */
+const resolveSupply = async (client, company_id, party_id) => {
+  const result = await client.query(
+    `SELECT c.state_code AS company_state_code,
+            c.gstin      AS company_gstin,
+            p.state_code AS party_state_code,
+            p.gstin      AS party_gstin,
+            p.type       AS party_type,
+            p.deleted_at AS party_deleted_at
+       FROM companies c
+       JOIN parties p
+         ON p.company_id = c.id
+      WHERE c.id = $1 AND p.id = $2`,
+    [company_id, party_id]
+  );
+  if (result.rowCount === 0) {
+    throw new UnprocessableError('Party not found for this company');
+  }
+  if (result.rows[0].party_deleted_at) {
+    throw new UnprocessableError('Party is archived; restore it before raising documents against it');
+  }
+
+  const row = result.rows[0];
+  const companyState = resolveStateCode({ state_code: row.company_state_code, gstin: row.company_gstin });
+  // Unregistered party without a state -> assume a local (intra-state) sale
+  const placeOfSupply =
+    resolveStateCode({ state_code: row.party_state_code, gstin: row.party_gstin }) || companyState;
+
+  return {
+    party_type: row.party_type,
+    place_of_supply: placeOfSupply,
+    supply_type: getSupplyType(companyState, placeOfSupply),
+  };
+};
+
+/**
+ * Direction of stock movement for a document type:
+ * sales and goods returned to suppliers take stock out (-1),
+ * purchase bills and goods returned by customers bring it in (+1)
+ */
+const stockSign = (invoiceType) => (['purchase', 'credit_note'].includes(invoiceType) ? 1 : -1);
+
+/**
+ * Whether a document number is already used. Our own numbers (sales and
+ * notes) are unique per company, supplier bill numbers only per supplier.
+ */
+const invoiceNumberTaken = async (db, { company_id, number, invoiceType, party_id }) => {
+  const check = await db.query(
+    `SELECT 1 FROM invoices
+      WHERE company_id = $1 AND invoice_number = $2
+        AND CASE WHEN $3::text = 'purchase'
+                 THEN invoice_type = 'purchase' AND party_id = $4
+                 ELSE invoice_type <> 'purchase'
+            END`,
+    [company_id, number, invoiceType, party_id]
+  );
+  return check.rowCount > 0;
+};
+
+/**
+ * Roll line-level taxes up onto the invoice header
+ */
+const rollUpInvoiceTotals = async (client, invoiceId, company_id) => {
+  await client.query(
+    `UPDATE invoices inv
+        SET taxable_amount = t.taxable_amount,
+            cgst_amount    = t.cgst_amount,
+            sgst_amount    = t.sgst_amount,
+            igst_amount    = t.igst_amount,
+            total_amount   = t.total_amount
+       FROM (
+         SELECT COALESCE(SUM(taxable_amount), 0)    AS taxable_amount,
+                COALESCE(SUM(cgst_amount), 0)       AS cgst_amount,
+                COALESCE(SUM(sgst_amount), 0)       AS sgst_amount,
+                COALESCE(SUM(igst_amount), 0)       AS igst_amount,
+                COALESCE(SUM(total_line_amount), 0) AS total_amount
+           FROM invoice_items
+          WHERE invoice_id = $1
+       ) t
+      WHERE inv.id = $1 AND inv.company_id = $2`,
+    [invoiceId, company_id]
+  );
+};
+
+/**
+ * Insert an invoice with its lines, move stock and roll up taxes.
+ * Must run inside the caller's transaction; throws on invalid input.
+ * Sale lines use the item's selling price unless `keepLinePrices` is set
+ * (prices agreed on a quotation/sales order); bills may always carry a rate.
+ * Returns { id, invoice_number, invoice_type }.
+ */
+const insertInvoice = async (
+  client,
+  {
+    company_id,
+    user_id,
+    party_id,
+    invoice_number,
+    invoice_date,
+    due_date,
+    items = [],
+    status,
+    invoice_type,
+    sales_document_id = null,
+  },
+  { keepLinePrices = false } = {}
+) => {
+  if (PAYMENT_STATUSES.includes(status)) {
+    throw new UnprocessableError(`Status '${status}' is set by recording payments against the invoice`);
+  }
+  if (status && !INITIAL_STATUSES.includes(status)) {
+    throw new BadRequestError(`A new invoice must be ${INITIAL_STATUSES.join(' or ')}`);
+  }
+  if (invoice_type && !INVOICE_TYPES.includes(invoice_type)) {
+    throw new BadRequestError(`Invoice type must be one of: ${INVOICE_TYPES.join(', ')}`);
+  }
+
+  // Nothing may be booked into a closed period
+  const lockedReason = await periodLockReason(client, company_id, invoice_date);
+  if (lockedReason) throw new ConflictError(lockedReason);
+
+  // 0) Validate party belongs to company and decide intra/inter-state supply
+  const supply = await resolveSupply(client, company_id, party_id);
+
+  // 0.1) Supplier parties default to purchase bills; the party must match the document type
+  const invoiceType = invoice_type || (supply.party_type === 'supplier' ? 'purchase' : 'sale');
+  if (supply.party_type !== PARTY_TYPE_FOR[invoiceType]) {
+    throw new UnprocessableError(`A ${invoiceType} must be raised against a ${PARTY_TYPE_FOR[invoiceType]}`);
+  }
+  const isPurchase = invoiceType === 'purchase';
+
+  // 0.2) Sales without a number get the next one from the company's series;
+  // supplier bills always carry the supplier's own bill number.
+  const numberExists = (number) =>
+    invoiceNumberTaken(client, { company_id, number, invoiceType, party_id });
+
+  let invoiceNumber = invoice_number ? String(invoice_number).trim() : '';
+  if (!invoiceNumber) {
+    if (isPurchase) throw new BadRequestError('Bill number is required for purchase bills');
+    invoiceNumber = await allocateNumber(client, company_id, 'invoice', {
+      date: invoice_date || new Date(),
+      isTaken: numberExists,
+    });
+  } else if (await numberExists(invoiceNumber)) {
+    throw new ConflictError(isPurchase
+      ? 'Bill number already exists for this supplier'
+      : 'Invoice number already exists for this company');
+  }
+
+  // Step A: Insert invoice. A received bill brings its stock in straight away,
+  // so it is booked as issued unless a draft is asked for; sales start as drafts.
+  const invoiceStatus = status || (isPurchase ? 'sent' : 'draft');
+  const invoiceResult = await client.query(
+    `INSERT INTO invoices (company_id, party_id, invoice_number, invoice_date, due_date, total_amount, status,
+                           place_of_supply, supply_type, invoice_type, sales_document_id)
+     VALUES ($1, $2, $3, COALESCE($4::date, CURRENT_DATE), $5, $6, $7::invoice_status,
+             $8, $9::supply_type, $10::invoice_type, $11)
+     RETURNING id`,
+    [company_id, party_id, invoiceNumber, invoice_date || null, due_date || null, 0, invoiceStatus,
+     supply.place_of_supply, supply.supply_type, invoiceType, sales_document_id]
+  );
+
+  const invoiceId = invoiceResult.rows[0].id;
+
+  // Step B: Loop through items (if any)
+  for (const item of items) {
+    const { item_id, quantity, price } = item;
+
+    if (!item_id) throw new BadRequestError('Item ID is required for each item line');
+    if (!quantity || quantity <= 0) {
+      throw new BadRequestError(`Item quantity must be greater than 0 for item: ${item_id}`);
+    }
+
+    // Fetch item (only from this company)
+    const itemData = await client.query(
+      `SELECT price, quantity AS stock_quantity, hsn_code, gst_rate, deleted_at
+         FROM items
+        WHERE id = $1 AND company_id = $2`,
+      [item_id, company_id]
+    );
+    if (itemData.rowCount === 0) {
+      throw new UnprocessableError(`Item not found for this company: ${item_id}`);
+    }
+    if (itemData.rows[0].deleted_at) {
+      throw new UnprocessableError(`Item is archived; restore it before adding it to documents: ${item_id}`);
+    }
+
+    const { stock_quantity, hsn_code, gst_rate } = itemData.rows[0];
+
+    if (!isPurchase && stock_quantity < quantity) {
+      throw new ConflictError(`Insufficient stock for item: ${item_id}`);
+    }
+
+    // Sales use the item's selling price; bills may carry the supplier's rate
+    const usePrice = (isPurchase || keepLinePrices) && price !== undefined && price !== null;
+    const priceAtPurchase = usePrice ? Number(price) : itemData.rows[0].price;
+    if (!(priceAtPurchase >= 0)) {
+      throw new BadRequestError(`Price must be 0 or more for item: ${item_id}`);
+    }
+
+    const tax = computeLineTax({
+      price: priceAtPurchase,
+      quantity,
+      gstRate: gst_rate,
+      supplyType: supply.supply_type,
+    });
+
+    // Move stock WITH company scope (out for sales, in for purchases).
+    // Bills bring stock in at their rate; sales go out at the weighted-average cost.
+    const movement = await moveStock(client, {
+      company_id,
+      item_id,
+      change: stockSign(invoiceType) * Number(quantity),
+      reason: invoiceType,
+      reference_type: 'invoice',
+      reference_id: invoiceId,
+      user_id,
+      unit_cost: isPurchase ? priceAtPurchase : null,
+    });
+    const unitCost = movement.unit_cost;
+
+    await client.query(
+      `INSERT INTO invoice_items (invoice_id, item_id, quantity, price_at_purchase, hsn_code, gst_rate,
+                                  taxable_amount, cgst_amount, sgst_amount, igst_amount, total_line_amount,
+                                  unit_cost, cost_amount)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)`,
+      [invoiceId, item_id, quantity, priceAtPurchase, hsn_code, tax.gst_rate,
+       tax.taxable_amount, tax.cgst_amount, tax.sgst_amount, tax.igst_amount, tax.total_line_amount,
+       unitCost, costAmount(unitCost, quantity)]
+    );
+  }
+
+  // Roll up taxable value, taxes and grand total on invoice
+  await rollUpInvoiceTotals(client, invoiceId, company_id);
+
+  return { id: invoiceId, invoice_number: invoiceNumber, invoice_type: invoiceType };
+};
+
+module.exports = {
+  INVOICE_TYPES,
+  INITIAL_STATUSES,
+  PARTY_TYPE_FOR,
+  resolveSupply,
+  stockSign,
+  invoiceNumberTaken,
+  rollUpInvoiceTotals,
+  insertInvoice,
+};
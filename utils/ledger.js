@@ -0,0 +1,130 @@
+// utils/ledger.js
+// Party ledger: every issued invoice, note and payment for a party in date order
+
+// Drafts are not issued yet and cancelled documents are void; neither (nor their payments) is posted
+const UNPOSTED_STATUSES = ['draft', 'cancelled'];
+
+const ENTRY_LABELS = {
+  sale: 'Invoice',
+  purchase: 'Purchase Bill',
+  credit_note: 'Credit Note',
+  debit_note: 'Debit Note',
+  payment_received: 'Payment Received',
+  payment_made: 'Payment Made',
+};
+
+/**
+ * Ledger entries from the company's side of the books:
+ * debit raises what the party owes us (sales, debit notes, payments we make),
+ * credit raises what we owe them (purchase bills, credit notes, payments we receive).
+ * $1 company, $2 party.
+ */
+const ENTRIES_SQL = `
+  SELECT inv.invoice_date AS entry_date,
+         inv.created_at,
+         inv.invoice_type::text AS entry_type,
+         inv.id AS document_id,
+         inv.invoice_number AS reference,
+         orig.invoice_number AS against_reference,
+         inv.note_reason AS narration,
+         CASE WHEN inv.invoice_type IN ('sale', 'debit_note') THEN inv.total_amount ELSE 0 END AS debit,
+         CASE WHEN inv.invoice_type IN ('purchase', 'credit_note') THEN inv.total_amount ELSE 0 END AS credit
+    FROM invoices inv
+    LEFT JOIN invoices orig ON orig.id = inv.original_invoice_id
+   WHERE inv.company_id = $1 AND inv.party_id = $2
+     AND inv.deleted_at IS NULL
+     AND inv.status <> ALL($3::invoice_status[])
+  UNION ALL
+  SELECT p.payment_date,
+         p.created_at,
+         CASE WHEN inv.invoice_type = 'purchase' THEN 'payment_made' ELSE 'payment_received' END,
+         p.id,
+         p.reference,
+         inv.invoice_number,
+         INITCAP(p.mode::text),
+         CASE WHEN inv.invoice_type = 'purchase' THEN p.amount ELSE 0 END,
+         CASE WHEN inv.invoice_type = 'purchase' THEN 0 ELSE p.amount END
+    FROM payments p
+    JOIN invoices inv ON inv.id = p.invoice_id
+   WHERE p.company_id = $1 AND inv.party_id = $2
+     AND inv.status <> ALL($3::invoice_status[])`;
+
+const round2 = (value) => Math.round(Number(value) * 100) / 100;
+
+/**
+ * Ledger for one party over an optional date range (inclusive).
+ * Opening balance is everything posted before `from`; balances are
+ * debit - credit, so positive means the party owes the company (Dr)
+ * and negative means the company owes the party (Cr).
+ * Returns null when the party does not belong to the company.
+ */
+const buildPartyLedger = async (db, { company_id, party_id, from = null, to = null }) => {
+  const partyResult = await db.query(
+    `SELECT id, name, type, billing_address, gstin, state_code, contact_email, contact_phone
+       FROM parties
+      WHERE id = $1 AND company_id = $2`,
+    [party_id, company_id]
+  );
+  if (partyResult.rowCount === 0) return null;
+
+  const params = [company_id, party_id, UNPOSTED_STATUSES];
+
+  const openingResult = await db.query(
+    `SELECT COALESCE(SUM(e.debit - e.credit), 0) AS opening_balance
+       FROM (${ENTRIES_SQL}) e
+      WHERE e.entry_date < $4::date`,
+    [...params, from]
+  );
+
+  const entriesResult = await db.query(
+    `SELECT e.*
+       FROM (${ENTRIES_SQL}) e
+      WHERE ($4::date IS NULL OR e.entry_date >= $4::date)
+        AND ($5::date IS NULL OR e.entry_date <= $5::date)
+      ORDER BY e.entry_date, e.created_at, e.document_id`,
+    [...params, from, to]
+  );
+
+  const opening = round2(openingResult.rows[0].opening_balance);
+  let balance = opening;
+  let totalDebit = 0;
+  let totalCredit = 0;
+
+  const entries = entriesResult.rows.map((row) => {
+    const debit = round2(row.debit);
+    const credit = round2(row.credit);
+    totalDebit += debit;
+    totalCredit += credit;
+    balance = round2(balance + debit - credit);
+    return {
+      entry_date: row.entry_date,
+      entry_type: row.entry_type,
+      description: ENTRY_LABELS[row.entry_type] || row.entry_type,
+      document_id: row.document_id,
+      reference: row.reference,
+      against_reference: row.against_reference,
+      narration: row.narration,
+      debit,
+      credit,
+      balance,
+    };
+  });
+
+  return {
+    party: partyResult.rows[0],
+    from,
+    to,
+    opening_balance: opening,
+    total_debit: round2(totalDebit),
+    total_credit: round2(totalCredit),
+    closing_balance: balance,
+    entries,
+  };
+};
+
+/**
+ * 'Dr' when the party owes the company, 'Cr' when the company owes the party
+ */
+const balanceSide = (balance) => (Number(balance) < 0 ? 'Cr' : 'Dr');
+
+module.exports = { ENTRY_LABELS, buildPartyLedger, balanceSide };
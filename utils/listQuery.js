@@ -0,0 +1,77 @@
+// utils/listQuery.js
+// Shared parsing of list query parameters: page/limit, sort/order and q (search).
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Parse pagination and sorting for a list endpoint.
+ * `sortable` maps public sort keys to SQL expressions, so only whitelisted
+ * columns ever reach the ORDER BY clause.
+ * Returns { error } on invalid input.
+ */
+const parseListQuery = (query, { sortable, defaultSort, defaultOrder = 'desc' }) => {
+  const page = query.page === undefined ? 1 : Number(query.page);
+  const limit = query.limit === undefined ? DEFAULT_LIMIT : Number(query.limit);
+
+  if (!Number.isInteger(page) || page < 1) {
+    return { error: 'page must be a positive integer' };
+  }
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    return { error: `limit must be an integer between 1 and ${MAX_LIMIT}` };
+  }
+
+  const sort = query.sort || defaultSort;
+  if (!Object.prototype.hasOwnProperty.call(sortable, sort)) {
+    return { error: `sort must be one of: ${Object.keys(sortable).join(', ')}` };
+  }
+
+  const order = String(query.order || defaultOrder).toLowerCase();
+  if (!['asc', 'desc'].includes(order)) {
+    return { error: 'order must be asc or desc' };
+  }
+
+  const search = typeof query.q === 'string' && query.q.trim() ? query.q.trim() : null;
+
+  return {
+    page,
+    limit,
+    offset: (page - 1) * limit,
+    // Secondary key keeps paging stable when the sort column has ties
+    orderBy: `${sortable[sort]} ${order.toUpperCase()} NULLS LAST, ${sortable[defaultSort]} DESC`,
+    search,
+  };
+};
+
+/**
+ * Collects WHERE conditions with numbered placeholders
+ */
+const createFilter = (baseCondition, baseParams = []) => {
+  const conditions = [baseCondition];
+  const params = [...baseParams];
+
+  const param = (value) => {
+    params.push(value);
+    return `$${params.length}`;
+  };
+
+  return {
+    params,
+    param,
+    add: (condition) => conditions.push(condition),
+    where: () => conditions.join(' AND '),
+  };
+};
+
+const isValidDate = (value) => DATE_REGEX.test(String(value)) && !Number.isNaN(Date.parse(value));
+
+const buildPagination = ({ page, limit }, total) => ({
+  page,
+  limit,
+  total,
+  total_pages: Math.ceil(total / limit),
+});
+
+module.exports = { parseListQuery, createFilter, isValidDate, buildPagination, DEFAULT_LIMIT, MAX_LIMIT };
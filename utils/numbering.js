@@ -0,0 +1,99 @@
+// utils/numbering.js
+// Per-company document numbering series, e.g. INV/2026-27/0001
+const { pad2 } = require('./dates');
+
+// Used until a company configures its own series
+const DEFAULT_SERIES = {
+  invoice: { prefix: 'INV', padding: 4, reset_yearly: true },
+  credit_note: { prefix: 'CN', padding: 4, reset_yearly: true },
+  debit_note: { prefix: 'DN', padding: 4, reset_yearly: true },
+  quotation: { prefix: 'QT', padding: 4, reset_yearly: true },
+  sales_order: { prefix: 'SO', padding: 4, reset_yearly: true },
+};
+
+const DOCUMENT_TYPES = Object.keys(DEFAULT_SERIES);
+
+/**
+ * Indian financial year (April–March) for a Date or 'YYYY-MM-DD' string, e.g. '2026-27'
+ */
+const financialYear = (date = new Date()) => {
+  const [year, month] =
+    typeof date === 'string' ? date.split('-').map(Number) : [date.getFullYear(), date.getMonth() + 1];
+  const start = month >= 4 ? year : year - 1;
+  return `${start}-${pad2((start + 1) % 100)}`;
+};
+
+// Counters restart each financial year unless the series runs continuously
+const seriesPeriod = (series, date) => (series.reset_yearly ? financialYear(date) : 'all');
+
+const formatNumber = (series, period, value) => {
+  const parts = [series.prefix];
+  if (series.reset_yearly) parts.push(period);
+  parts.push(String(value).padStart(series.padding, '0'));
+  return parts.join('/');
+};
+
+/**
+ * Load a company's series for a document type, falling back to the default
+ */
+const getSeries = async (db, company_id, documentType) => {
+  const result = await db.query(
+    `SELECT id, document_type, prefix, padding, reset_yearly
+       FROM number_series
+      WHERE company_id = $1 AND document_type = $2`,
+    [company_id, documentType]
+  );
+  if (result.rowCount > 0) return result.rows[0];
+
+  return { id: null, document_type: documentType, ...DEFAULT_SERIES[documentType] };
+};
+
+/**
+ * Preview the number the next document would get, without allocating it
+ */
+const peekNextNumber = async (db, company_id, documentType, date = new Date()) => {
+  const series = await getSeries(db, company_id, documentType);
+  const period = seriesPeriod(series, date);
+
+  const result = await db.query(
+    `SELECT last_value FROM number_series_counters
+      WHERE company_id = $1 AND document_type = $2 AND prefix = $3 AND period = $4`,
+    [company_id, documentType, series.prefix, period]
+  );
+  const last = result.rowCount > 0 ? Number(result.rows[0].last_value) : 0;
+  return formatNumber(series, period, last + 1);
+};
+
+/**
+ * Allocate the next number of a series. Must run inside the caller's
+ * transaction: the counter row stays locked until COMMIT, so concurrent
+ * documents queue instead of racing, and a ROLLBACK gives the number back.
+ * `isTaken(number)` lets the caller skip numbers already used manually.
+ */
+const allocateNumber = async (client, company_id, documentType, { date = new Date(), isTaken } = {}) => {
+  const series = await getSeries(client, company_id, documentType);
+  const period = seriesPeriod(series, date);
+
+  for (;;) {
+    const result = await client.query(
+      `INSERT INTO number_series_counters (company_id, document_type, prefix, period, last_value)
+       VALUES ($1, $2, $3, $4, 1)
+       ON CONFLICT (company_id, document_type, prefix, period)
+       DO UPDATE SET last_value = number_series_counters.last_value + 1
+       RETURNING last_value`,
+      [company_id, documentType, series.prefix, period]
+    );
+
+    const number = formatNumber(series, period, result.rows[0].last_value);
+    if (!isTaken || !(await isTaken(number))) return number;
+  }
+};
+
+module.exports = {
+  DEFAULT_SERIES,
+  DOCUMENT_TYPES,
+  financialYear,
+  getSeries,
+  peekNextNumber,
+  allocateNumber,
+};
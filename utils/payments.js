@@ -0,0 +1,79 @@
+// utils/payments.js
+const { round2 } = require('./gst');
+const { NotFoundError, UnprocessableError } = require('./errors');
+
+const PAYMENT_MODES = ['cash', 'upi', 'bank', 'cheque'];
+
+// Statuses derived from recorded payments; clients cannot set them directly
+const PAYMENT_STATUSES = ['partially_paid', 'paid'];
+
+// Credit notes (against sales) and debit notes (against purchase bills)
+const NOTE_TYPES = ['credit_note', 'debit_note'];
+
+/**
+ * Re-derive amount_paid, amount_credited and the payment status of an invoice
+ * from its payments and the credit/debit notes raised against it.
+ * Must run inside the caller's transaction; locks the invoice row.
+ * The balance goes negative when goods are returned after full payment
+ * (the party is owed a refund).
+ */
+const syncInvoicePayments = async (client, invoiceId, company_id) => {
+  const invoiceResult = await client.query(
+    `SELECT total_amount, status
+       FROM invoices
+      WHERE id = $1 AND company_id = $2
+      FOR UPDATE`,
+    [invoiceId, company_id]
+  );
+  if (invoiceResult.rowCount === 0) {
+    throw new NotFoundError('Invoice not found');
+  }
+
+  const paidResult = await client.query(
+    `SELECT COALESCE(SUM(amount), 0) AS amount_paid
+       FROM payments
+      WHERE invoice_id = $1 AND company_id = $2`,
+    [invoiceId, company_id]
+  );
+  const creditResult = await client.query(
+    `SELECT COALESCE(SUM(total_amount), 0) AS amount_credited
+       FROM invoices
+      WHERE original_invoice_id = $1 AND company_id = $2 AND status <> 'cancelled'`,
+    [invoiceId, company_id]
+  );
+
+  const total = Number(invoiceResult.rows[0].total_amount);
+  const paid = Number(paidResult.rows[0].amount_paid);
+  const credited = Number(creditResult.rows[0].amount_credited);
+
+  if (paid > total) {
+    throw new UnprocessableError('Payments received exceed the invoice total');
+  }
+
+  const settled = paid + credited;
+  let status = invoiceResult.rows[0].status;
+  if (status !== 'cancelled') {
+    if (settled > 0 && settled >= total) status = 'paid';
+    else if (settled > 0) status = 'partially_paid';
+    else if (PAYMENT_STATUSES.includes(status)) status = 'sent';
+  }
+
+  await client.query(
+    `UPDATE invoices
+        SET amount_paid = $1,
+            amount_credited = $2,
+            status = $3::invoice_status
+      WHERE id = $4 AND company_id = $5`,
+    [paid, credited, status, invoiceId, company_id]
+  );
+
+  return {
+    total_amount: total,
+    amount_paid: paid,
+    amount_credited: credited,
+    balance_due: round2(total - settled),
+    status,
+  };
+};
+
+module.exports = { PAYMENT_MODES, PAYMENT_STATUSES, NOTE_TYPES, syncInvoicePayments };
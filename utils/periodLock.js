@@ -0,0 +1,36 @@
+// utils/periodLock.js
+// Closed accounting periods: once a month is closed, nothing dated in it or
+// before it may be created, changed or deleted until the books are reopened
+
+const { pad2, toDateString } = require('./dates');
+
+const MONTH_REGEX = /^\d{4}-(0[1-9]|1[0-2])$/;
+
+/**
+ * Last day ('YYYY-MM-DD') of a 'YYYY-MM' month, or null when the value is not a month
+ */
+const monthEnd = (month) => {
+  if (!MONTH_REGEX.test(String(month))) return null;
+  const [year, m] = month.split('-').map(Number);
+  const lastDay = new Date(Date.UTC(year, m, 0)).getUTCDate();
+  return `${year}-${pad2(m)}-${pad2(lastDay)}`;
+};
+
+/**
+ * Why a document dated `date` (a 'YYYY-MM-DD' string or pg DATE; no date
+ * means today) can no longer be created, changed or deleted, or null when
+ * its period is still open
+ */
+const periodLockReason = async (db, company_id, date) => {
+  const result = await db.query(
+    `SELECT books_locked_until
+       FROM companies
+      WHERE id = $1 AND books_locked_until >= COALESCE($2::date, CURRENT_DATE)`,
+    [company_id, date ? toDateString(date) : null]
+  );
+  if (result.rowCount === 0) return null;
+  const lockedUntil = toDateString(result.rows[0].books_locked_until);
+  return `The books are closed up to ${lockedUntil}; documents dated on or before it cannot be created, changed or deleted`;
+};
+
+module.exports = { monthEnd, periodLockReason };
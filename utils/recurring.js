@@ -0,0 +1,258 @@
+// utils/recurring.js
+// Recurring invoice schedules: run-date arithmetic and the in-process scheduler
+const pool = require('../db');
+const { insertInvoice } = require('./invoices');
+const { systemActor, recordAudit } = require('./audit');
+const { toDateString, fromUtc, addDays } = require('./dates');
+
+const RECURRING_FREQUENCIES = ['weekly', 'monthly', 'quarterly'];
+
+// How often the scheduler looks for due schedules; 0 disables it (e.g. on extra app instances)
+const POLL_MINUTES = Number(process.env.RECURRING_INVOICE_POLL_MINUTES ?? 60);
+const FIRST_RUN_DELAY_MS = 10 * 1000;
+// Failed attempts in a row before a schedule is paused, so a broken template stops retrying every poll
+const MAX_FAILURES = Number(process.env.RECURRING_INVOICE_MAX_FAILURES) || 5;
+
+/**
+ * Next run date after `dateString`. Monthly and quarterly runs stay on the
+ * start date's day of month, clamped to shorter months (31st -> 30th/28th).
+ */
+const addInterval = (dateString, frequency, anchorDay) => {
+  if (frequency === 'weekly') return addDays(dateString, 7);
+
+  const [y, m] = dateString.split('-').map(Number);
+  const months = frequency === 'quarterly' ? 3 : 1;
+  const lastDay = new Date(Date.UTC(y, m - 1 + months + 1, 0)).getUTCDate();
+  return fromUtc(new Date(Date.UTC(y, m - 1 + months, Math.min(anchorDay, lastDay))));
+};
+
+const anchorDayOf = (schedule) => Number(toDateString(schedule.start_date).slice(8, 10));
+
+/**
+ * The next `count` run dates of a schedule, stopping at its end date
+ */
+const upcomingRunDates = (schedule, count = 5) => {
+  const dates = [];
+  if (schedule.status === 'ended') return dates;
+
+  const endDate = schedule.end_date ? toDateString(schedule.end_date) : null;
+  let next = toDateString(schedule.next_run_date);
+  while (dates.length < count && (!endDate || next <= endDate)) {
+    dates.push(next);
+    next = addInterval(next, schedule.frequency, anchorDayOf(schedule));
+  }
+  return dates;
+};
+
+/**
+ * First run date on or after `fromDate`, e.g. when resuming a paused schedule
+ */
+const firstRunOnOrAfter = (schedule, fromDate) => {
+  let next = toDateString(schedule.next_run_date);
+  while (next < fromDate) {
+    next = addInterval(next, schedule.frequency, anchorDayOf(schedule));
+  }
+  return next;
+};
+
+/**
+ * Surface a failed run on its schedule. The run date is kept so the next tick
+ * retries it, until MAX_FAILURES attempts in a row pause the schedule; the
+ * pause is audited like one made through the API.
+ */
+const recordFailure = async (client, scheduleId, err) => {
+  try {
+    await client.query('BEGIN');
+
+    const before = await client.query(`SELECT * FROM recurring_invoices WHERE id = $1 FOR UPDATE`, [scheduleId]);
+    if (before.rowCount === 0) {
+      await client.query('ROLLBACK');
+      return;
+    }
+    const failureCount = before.rows[0].failure_count + 1;
+    const pause = before.rows[0].status === 'active' && failureCount >= MAX_FAILURES;
+
+    const after = await client.query(
+      `UPDATE recurring_invoices
+          SET last_error = $1,
+              failure_count = $2,
+              status = CASE WHEN $3 THEN 'paused'::recurring_status ELSE status END
+        WHERE id = $4
+        RETURNING *`,
+      [err.message, failureCount, pause, scheduleId]
+    );
+
+    if (pause) {
+      console.error(`⏸️ Recurring invoice ${scheduleId} paused after ${failureCount} failed attempts`);
+      await recordAudit(client, {
+        ...systemActor(before.rows[0].company_id),
+        entity: 'recurring_invoice',
+        entity_id: scheduleId,
+        action: 'pause',
+        before: before.rows[0],
+        after: after.rows[0],
+      });
+    }
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  }
+};
+
+/**
+ * Generate the invoice for one due run of a schedule.
+ * The run row (unique per schedule and date) is written in the same
+ * transaction as the invoice, so a crash or restart can never bill the same
+ * date twice; SKIP LOCKED keeps parallel workers off the same schedule.
+ * Returns true when the schedule is still due (missed runs to catch up).
+ */
+const runSchedule = async (scheduleId) => {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const scheduleResult = await client.query(
+      `SELECT *
+         FROM recurring_invoices
+        WHERE id = $1 AND status = 'active' AND next_run_date <= CURRENT_DATE
+        FOR UPDATE SKIP LOCKED`,
+      [scheduleId]
+    );
+    if (scheduleResult.rowCount === 0) {
+      await client.query('ROLLBACK');
+      return false;
+    }
+    const schedule = scheduleResult.rows[0];
+    const runDate = toDateString(schedule.next_run_date);
+
+    const runResult = await client.query(
+      `INSERT INTO recurring_invoice_runs (recurring_invoice_id, company_id, run_date)
+       VALUES ($1, $2, $3)
+       ON CONFLICT (recurring_invoice_id, run_date) DO NOTHING
+       RETURNING id`,
+      [schedule.id, schedule.company_id, runDate]
+    );
+
+    // Only bill when this date has not been billed before
+    if (runResult.rowCount > 0) {
+      const lines = await client.query(
+        `SELECT item_id, quantity, price FROM recurring_invoice_items WHERE recurring_invoice_id = $1`,
+        [schedule.id]
+      );
+      const invoice = await insertInvoice(
+        client,
+        {
+          company_id: schedule.company_id,
+          user_id: schedule.created_by,
+          party_id: schedule.party_id,
+          invoice_date: runDate,
+          due_date: addDays(runDate, schedule.due_in_days),
+          items: lines.rows,
+          status: schedule.invoice_status,
+          invoice_type: 'sale',
+        },
+        { keepLinePrices: true }
+      );
+      await client.query(`UPDATE recurring_invoice_runs SET invoice_id = $1 WHERE id = $2`, [
+        invoice.id,
+        runResult.rows[0].id,
+      ]);
+
+      const created = await client.query(
+        `SELECT inv.*,
+                (SELECT json_agg(ii) FROM invoice_items ii WHERE ii.invoice_id = inv.id) AS items
+           FROM invoices inv
+          WHERE inv.id = $1`,
+        [invoice.id]
+      );
+      await recordAudit(client, {
+        ...systemActor(schedule.company_id),
+        entity: 'invoice',
+        entity_id: invoice.id,
+        action: 'create',
+        after: { ...created.rows[0], recurring_invoice_id: schedule.id },
+      });
+    }
+
+    const next = addInterval(runDate, schedule.frequency, anchorDayOf(schedule));
+    const ended = Boolean(schedule.end_date) && next > toDateString(schedule.end_date);
+    await client.query(
+      `UPDATE recurring_invoices
+          SET next_run_date = $1,
+              status = $2::recurring_status,
+              last_run_date = $3,
+              last_error = NULL,
+              failure_count = 0
+        WHERE id = $4`,
+      [next, ended ? 'ended' : 'active', runDate, schedule.id]
+    );
+
+    await client.query('COMMIT');
+    return !ended && next <= toDateString(new Date());
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error(`❌ Recurring invoice ${scheduleId} failed:`, err.message);
+    await recordFailure(client, scheduleId, err).catch((recordError) => {
+      console.error(`❌ Could not record the failure of recurring invoice ${scheduleId}:`, recordError.message);
+    });
+    return false;
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Bill every schedule that is due, catching up missed runs one by one
+ */
+const runDueRecurringInvoices = async () => {
+  const due = await pool.query(
+    `SELECT id FROM recurring_invoices
+      WHERE status = 'active' AND next_run_date <= CURRENT_DATE
+      ORDER BY next_run_date`
+  );
+
+  for (const { id } of due.rows) {
+    let stillDue = true;
+    while (stillDue) stillDue = await runSchedule(id);
+  }
+};
+
+let running = false;
+
+const tick = async () => {
+  if (running) return;
+  running = true;
+  try {
+    await runDueRecurringInvoices();
+  } catch (err) {
+    console.error('❌ Recurring invoice scheduler error:', err.message);
+  } finally {
+    running = false;
+  }
+};
+
+/**
+ * Start polling for due schedules. Timers are unref'd so they never keep
+ * the process alive on their own.
+ */
+const startRecurringScheduler = () => {
+  if (!(POLL_MINUTES > 0)) {
+    console.log('⏸️ Recurring invoice scheduler disabled');
+    return;
+  }
+  setTimeout(tick, FIRST_RUN_DELAY_MS).unref();
+  setInterval(tick, POLL_MINUTES * 60 * 1000).unref();
+  console.log(`🔁 Recurring invoice scheduler running every ${POLL_MINUTES} min`);
+};
+
+module.exports = {
+  RECURRING_FREQUENCIES,
+  addInterval,
+  upcomingRunDates,
+  firstRunOnOrAfter,
+  runDueRecurringInvoices,
+  startRecurringScheduler,
+};
@@ -0,0 +1,161 @@
+// utils/statementPdf.js
+const PDFDocument = require('pdfkit');
+const { PAGE_MARGIN, FONT, FONT_BOLD, money, formatDate, fetchLogo, drawRow } = require('./invoicePdf');
+const { balanceSide } = require('./ledger');
+
+const COLUMNS = [
+  { key: 'entry_date', label: 'Date', width: 62 },
+  { key: 'description', label: 'Particulars', width: 88 },
+  { key: 'reference', label: 'Reference', width: 80 },
+  { key: 'against_reference', label: 'Against', width: 75 },
+  { key: 'debit', label: 'Debit', width: 68, align: 'right' },
+  { key: 'credit', label: 'Credit', width: 68, align: 'right' },
+  { key: 'balance', label: 'Balance', width: 74, align: 'right' },
+];
+
+const signedBalance = (balance) => `${money(Math.abs(balance))} ${balanceSide(balance)}`;
+
+// Query dates are plain 'YYYY-MM-DD' strings; read them as local dates like pg DATE columns
+const localDate = (value) => new Date(`${value}T00:00:00`);
+
+const periodLabel = ({ from, to }) => {
+  if (from && to) return `${formatDate(localDate(from))} to ${formatDate(localDate(to))}`;
+  if (from) return `From ${formatDate(localDate(from))}`;
+  if (to) return `Up to ${formatDate(localDate(to))}`;
+  return 'All transactions';
+};
+
+const drawHeader = (doc, { company, ledger, logo }) => {
+  const top = PAGE_MARGIN;
+  let textX = PAGE_MARGIN;
+
+  if (logo) {
+    try {
+      doc.image(logo, PAGE_MARGIN, top, { fit: [70, 70] });
+      textX = PAGE_MARGIN + 80;
+    } catch (err) {
+      console.error('⚠️ Could not embed company logo:', err.message);
+    }
+  }
+
+  doc.font(FONT_BOLD).fontSize(14).text(company.name || '', textX, top, { width: 260 });
+  doc.font(FONT).fontSize(9);
+  if (company.address) doc.text(company.address, { width: 260 });
+  if (company.gstin) doc.text(`GSTIN: ${company.gstin}`);
+  const contact = [company.contact_email, company.contact_phone].filter(Boolean).join(' | ');
+  if (contact) doc.text(contact, { width: 260 });
+  const leftBottom = doc.y;
+
+  const rightX = 340;
+  doc.font(FONT_BOLD).fontSize(16).text('STATEMENT OF ACCOUNT', rightX, top, { width: 215, align: 'right' });
+  doc.font(FONT).fontSize(9);
+  doc.text(`Period: ${periodLabel(ledger)}`, rightX, doc.y + 4, { width: 215, align: 'right' });
+  doc.text(`Generated: ${formatDate(new Date())}`, { width: 215, align: 'right' });
+
+  doc.y = Math.max(leftBottom, doc.y, top + 70) + 15;
+
+  const { party } = ledger;
+  doc.font(FONT_BOLD).fontSize(10).text('Statement For', PAGE_MARGIN, doc.y);
+  doc.font(FONT).fontSize(9);
+  doc.text(party.name || '', { width: 300 });
+  if (party.billing_address) doc.text(party.billing_address, { width: 300 });
+  if (party.gstin) doc.text(`GSTIN: ${party.gstin}`);
+  doc.moveDown();
+};
+
+const drawEntries = (doc, { ledger }) => {
+  const header = Object.fromEntries(COLUMNS.map((c) => [c.key, c.label]));
+  const bottom = doc.page.height - PAGE_MARGIN - 80;
+
+  drawRow(doc, COLUMNS, header, { bold: true });
+  drawRow(
+    doc,
+    COLUMNS,
+    {
+      entry_date: ledger.from ? formatDate(localDate(ledger.from)) : '',
+      description: 'Opening Balance',
+      balance: signedBalance(ledger.opening_balance),
+    },
+    { bold: true }
+  );
+
+  for (const entry of ledger.entries) {
+    if (doc.y > bottom) {
+      doc.addPage();
+      drawRow(doc, COLUMNS, header, { bold: true });
+    }
+    drawRow(doc, COLUMNS, {
+      entry_date: formatDate(entry.entry_date),
+      description: entry.narration ? `${entry.description} (${entry.narration})` : entry.description,
+      reference: entry.reference || '',
+      against_reference: entry.against_reference || '',
+      debit: entry.debit ? money(entry.debit) : '',
+      credit: entry.credit ? money(entry.credit) : '',
+      balance: signedBalance(entry.balance),
+    });
+  }
+
+  if (doc.y > bottom) doc.addPage();
+  drawRow(
+    doc,
+    COLUMNS,
+    {
+      description: 'Closing Balance',
+      debit: money(ledger.total_debit),
+      credit: money(ledger.total_credit),
+      balance: signedBalance(ledger.closing_balance),
+    },
+    { bold: true }
+  );
+};
+
+const drawSummary = (doc, { company, ledger }) => {
+  const closing = ledger.closing_balance;
+  let line = 'Your account is fully settled.';
+  if (closing > 0) line = `Amount due from you: INR ${money(closing)}`;
+  if (closing < 0) line = `Amount due to you: INR ${money(-closing)}`;
+
+  doc.moveDown();
+  doc.font(FONT_BOLD).fontSize(10).text(line, PAGE_MARGIN, doc.y, { width: doc.page.width - PAGE_MARGIN * 2 });
+  doc.moveDown(2);
+  doc
+    .font(FONT)
+    .fontSize(7)
+    .fillColor('#777777')
+    .text(
+      `Dr: amount owed to ${company.name || 'us'}. Cr: amount owed by ${company.name || 'us'}. ` +
+        'Please report any discrepancy within 15 days. This is a computer generated statement.',
+      PAGE_MARGIN,
+      doc.y,
+      { width: doc.page.width - PAGE_MARGIN * 2, align: 'center' }
+    )
+    .fillColor('black');
+};
+
+/**
+ * Render a party statement of account as a PDF buffer.
+ * `ledger` is the shape returned by buildPartyLedger, `company` its DB row.
+ */
+const renderStatementPdf = async ({ company, ledger }) => {
+  const logo = await fetchLogo(company.logo);
+
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({
+      size: 'A4',
+      margin: PAGE_MARGIN,
+      info: { Title: `Statement - ${ledger.party.name}`, Author: company.name || '' },
+    });
+    const chunks = [];
+    doc.on('data', (chunk) => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    drawHeader(doc, { company, ledger, logo });
+    drawEntries(doc, { ledger });
+    drawSummary(doc, { company, ledger });
+
+    doc.end();
+  });
+};
+
+module.exports = { renderStatementPdf };
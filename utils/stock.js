@@ -0,0 +1,85 @@
+// utils/stock.js
+const { BadRequestError, ConflictError } = require('./errors');
+
+const STOCK_MOVEMENT_REASONS = [
+  'opening',
+  'sale',
+  'purchase',
+  'adjustment',
+  'invoice_edit',
+  'invoice_delete',
+  'sales_return',
+  'purchase_return',
+  'invoice_restore',
+  'invoice_cancel',
+];
+
+/**
+ * Apply a signed stock change to an item and append it to the stock ledger.
+ * Every path that changes items.quantity must go through here so that the
+ * ledger always sums to the current quantity. Must run inside the caller's
+ * transaction; refuses to take stock below zero.
+ *
+ * Weighted-average costing: a receipt with a `unit_cost` re-averages the
+ * item's cost_price over the units in stock; receipts without one and all
+ * issues are valued at the current average. The movement (returned) carries
+ * the unit cost it was valued at, which sale lines use as their COGS.
+ */
+const moveStock = async (
+  client,
+  {
+    company_id,
+    item_id,
+    change,
+    reason,
+    reference_type = null,
+    reference_id = null,
+    note = null,
+    user_id = null,
+    unit_cost = null,
+  }
+) => {
+  const quantityChange = Number(change);
+  if (!quantityChange) return null;
+
+  const receiptCost = quantityChange > 0 && unit_cost !== null && unit_cost !== undefined ? Number(unit_cost) : null;
+  if (receiptCost !== null && !(receiptCost >= 0)) {
+    throw new BadRequestError(`Unit cost must be 0 or more for item: ${item_id}`);
+  }
+
+  const result = await client.query(
+    `UPDATE items
+        SET quantity = quantity + $1,
+            cost_price = CASE
+              WHEN $4::numeric IS NULL THEN cost_price
+              WHEN quantity <= 0 THEN $4::numeric
+              ELSE ROUND((quantity * cost_price + $1 * $4::numeric) / (quantity + $1), 4)
+            END
+      WHERE id = $2 AND company_id = $3
+        AND quantity + $1 >= 0
+      RETURNING quantity, cost_price`,
+    [quantityChange, item_id, company_id, receiptCost]
+  );
+  if (result.rowCount === 0) {
+    throw new ConflictError(`Insufficient stock for item: ${item_id}`);
+  }
+
+  const movement = await client.query(
+    `INSERT INTO stock_movements (company_id, item_id, quantity_change, balance_after, unit_cost, reason,
+                                  reference_type, reference_id, note, created_by)
+     VALUES ($1, $2, $3, $4, $5, $6::stock_movement_reason, $7, $8, $9, $10)
+     RETURNING *`,
+    [company_id, item_id, quantityChange, result.rows[0].quantity, receiptCost ?? result.rows[0].cost_price,
+     reason, reference_type, reference_id, note, user_id]
+  );
+
+  return movement.rows[0];
+};
+
+/**
+ * Cost of `quantity` units at `unitCost`, rounded to paise
+ */
+const costAmount = (unitCost, quantity) =>
+  unitCost === null || unitCost === undefined ? 0 : Math.round(Number(unitCost) * Number(quantity) * 100) / 100;
+
+module.exports = { STOCK_MOVEMENT_REASONS, moveStock, costAmount };
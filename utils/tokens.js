@@ -0,0 +1,17 @@
+// utils/tokens.js
+const crypto = require('crypto');
+
+/**
+ * SHA-256 of an opaque token; only the hash is ever stored in the database
+ */
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+/**
+ * Create a random URL-safe token together with its hash
+ */
+const createOpaqueToken = (bytes = 32) => {
+  const token = crypto.randomBytes(bytes).toString('hex');
+  return { token, tokenHash: hashToken(token) };
+};
+
+module.exports = { hashToken, createOpaqueToken };
@@ -0,0 +1,142 @@
+// utils/validation.js
+// Request validation against the OpenAPI schemas in schemas/, so the docs and
+// the checks are the same definitions. Supports the subset of OpenAPI 3.0
+// schema keywords those definitions use.
+
+const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const FORMATS = {
+  uuid: (value) => UUID_REGEX.test(value) || 'must be a UUID',
+  date: (value) =>
+    (DATE_REGEX.test(value) && !Number.isNaN(Date.parse(value))) || 'must be a date in YYYY-MM-DD format',
+  'date-time': (value) => !Number.isNaN(Date.parse(value)) || 'must be a date-time',
+  email: (value) => EMAIL_REGEX.test(value) || 'must be an email address',
+};
+
+const typeOf = (value) => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+};
+
+const matchesType = (type, value) => {
+  const actual = typeOf(value);
+  if (type === 'number') return actual === 'number' || actual === 'integer';
+  return actual === type;
+};
+
+// Query strings and path segments are always strings; read them as the schema's type
+const coerce = (schema, value) => {
+  if (typeof value !== 'string') return value;
+  if ((schema.type === 'integer' || schema.type === 'number') && value.trim() !== '' && !Number.isNaN(Number(value))) {
+    return Number(value);
+  }
+  if (schema.type === 'boolean' && ['true', 'false'].includes(value)) return value === 'true';
+  return value;
+};
+
+const joinPath = (path, key) => (path ? `${path}.${key}` : key);
+
+/**
+ * Check `value` against `schema` and collect { field, message } for every
+ * problem found. `field` is the dotted path to the offending value
+ * (e.g. `items[0].quantity`). Query and path values are coerced from strings
+ * when `coerceStrings` is set.
+ */
+const validateValue = (schema, value, { path = '', coerceStrings = false } = {}, errors = []) => {
+  const field = path || '(root)';
+  const v = coerceStrings ? coerce(schema, value) : value;
+
+  if (v === null) {
+    if (!schema.nullable) errors.push({ field, message: 'must not be null' });
+    return errors;
+  }
+
+  if (schema.type && !matchesType(schema.type, v)) {
+    errors.push({ field, message: `must be ${schema.type === 'integer' ? 'an integer' : `a ${schema.type}`}` });
+    return errors;
+  }
+
+  if (schema.enum && !schema.enum.includes(v)) {
+    errors.push({ field, message: `must be one of: ${schema.enum.join(', ')}` });
+    return errors;
+  }
+
+  if (typeof v === 'string') {
+    if (schema.minLength !== undefined && v.trim().length < schema.minLength) {
+      errors.push({ field, message: schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters` });
+    } else if (schema.maxLength !== undefined && v.length > schema.maxLength) {
+      errors.push({ field, message: `must be at most ${schema.maxLength} characters` });
+    } else if (schema.format && FORMATS[schema.format]) {
+      const ok = FORMATS[schema.format](v);
+      if (ok !== true) errors.push({ field, message: ok });
+    } else if (schema.pattern && !new RegExp(schema.pattern).test(v)) {
+      errors.push({ field, message: schema['x-pattern-message'] || `must match ${schema.pattern}` });
+    }
+  }
+
+  if (typeof v === 'number') {
+    if (schema.minimum !== undefined) {
+      if (schema.exclusiveMinimum ? v <= schema.minimum : v < schema.minimum) {
+        errors.push({ field, message: `must be ${schema.exclusiveMinimum ? 'greater than' : 'at least'} ${schema.minimum}` });
+      }
+    }
+    if (schema.maximum !== undefined && v > schema.maximum) {
+      errors.push({ field, message: `must be at most ${schema.maximum}` });
+    }
+  }
+
+  if (Array.isArray(v)) {
+    if (schema.minItems !== undefined && v.length < schema.minItems) {
+      errors.push({ field, message: `must have at least ${schema.minItems} item(s)` });
+    }
+    if (schema.maxItems !== undefined && v.length > schema.maxItems) {
+      errors.push({ field, message: `must have at most ${schema.maxItems} item(s)` });
+    }
+    if (schema.items) {
+      v.forEach((entry, i) => validateValue(schema.items, entry, { path: `${path}[${i}]`, coerceStrings }, errors));
+    }
+  }
+
+  if (typeOf(v) === 'object') {
+    for (const key of schema.required || []) {
+      if (v[key] === undefined) errors.push({ field: joinPath(path, key), message: 'is required' });
+    }
+    for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+      if (v[key] !== undefined) {
+        validateValue(propertySchema, v[key], { path: joinPath(path, key), coerceStrings }, errors);
+      }
+    }
+    if (schema.additionalProperties === false) {
+      for (const key of Object.keys(v)) {
+        if (!schema.properties || !schema.properties[key]) {
+          errors.push({ field: joinPath(path, key), message: 'is not allowed' });
+        }
+      }
+    }
+    if (schema.minProperties !== undefined && Object.keys(v).length < schema.minProperties) {
+      errors.push({ field, message: `must set at least ${schema.minProperties} field(s)` });
+    }
+  }
+
+  return errors;
+};
+
+/**
+ * OpenAPI parameter objects for the properties of an object schema
+ * (query string or path), keeping each property's description and example
+ */
+const toParameters = (schema, location) =>
+  Object.entries(schema.properties).map(([name, { description, example, ...propertySchema }]) => ({
+    in: location,
+    name,
+    required: location === 'path' || (schema.required || []).includes(name),
+    ...(description ? { description } : {}),
+    ...(example !== undefined ? { example } : {}),
+    schema: propertySchema,
+  }));
+
+module.exports = { validateValue, toParameters };